@@ -9,6 +9,7 @@
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 
 // Load environment variables from a .env file.
@@ -21,13 +22,18 @@ dotenv.config();
 
 // Import the route files that you have created.
 // These files contain the route definitions and use our custom middleware.
+const authRoutes = require('./src/api/routes/authRoutes');
 const userRoutes = require('./src/api/routes/userRoutes');
 const postRoutes = require('./src/api/routes/postRoutes');
+const wellKnownRoutes = require('./src/api/routes/wellKnownRoutes');
+const oauthRoutes = require('./src/api/routes/oauthRoutes');
+const organizationRoutes = require('./src/api/routes/organizationRoutes');
 
 // Import your custom middlewares.
 // Although they are also used within the route files, you can mount them globally here if needed.
 const rbacMiddleware = require('./src/middleware/rbacMiddleware');
 const validatorMiddleware = require('./src/middleware/validatorMiddleware');
+const rateLimitMiddleware = require('./src/middleware/rateLimitMiddleware');
 
 // The `authMiddleware` is a crucial next step, so we'll leave a placeholder here.
 // const authMiddleware = require('./src/middleware/authMiddleware');
@@ -48,6 +54,14 @@ const port = process.env.PORT || 3000;
 // This must be used before any route that handles JSON payloads.
 app.use(express.json());
 
+// A generous per-IP request limit for the whole API. The auth routes add
+// stricter limits of their own.
+app.use(rateLimitMiddleware({
+  name: 'global',
+  limit: parseInt(process.env.RATE_LIMIT_MAX, 10) || 300,
+  window: process.env.RATE_LIMIT_WINDOW || '1m',
+}));
+
 // =========================================================================
 // 4. Route Mounting
 // =========================================================================
@@ -57,6 +71,12 @@ app.get('/', (req, res) => {
   res.status(200).send('API is running successfully!');
 });
 
+// Mount the authentication routes (register, login, tokens, passwords) at '/api/v1/auth'.
+app.use('/api/v1/auth', authRoutes);
+
+// Mount the organization routes (organizations, members, invitations) at '/api/v1/organizations'.
+app.use('/api/v1/organizations', organizationRoutes);
+
 // Mount the user routes at the '/api/users' base path.
 // All routes defined in userRoutes.js will be prefixed with '/api/users'.
 app.use('/api/users', userRoutes);
@@ -65,14 +85,29 @@ app.use('/api/users', userRoutes);
 // All routes defined in postRoutes.js will be prefixed with '/api/posts'.
 app.use('/api/posts', postRoutes);
 
+// Mount the OAuth 2.0 authorization server (authorize, token, clients) at '/oauth'.
+app.use('/oauth', oauthRoutes);
+
+// Mount the discovery documents (e.g. the JWKS) at the '/.well-known' base path.
+app.use('/.well-known', wellKnownRoutes);
+
 // =========================================================================
 // 5. Start the Server
 // =========================================================================
 
+// Connect to MongoDB, which stores the users and the token records.
+mongoose.connect(process.env.MONGO_URI)
+  .then(() => console.log('Connected to MongoDB'))
+  .catch((err) => console.error('MongoDB connection error:', err.message));
+
 // Make the app listen for incoming requests on the specified port.
 app.listen(port, () => {
   console.log(`Server is listening on port ${port}`);
   console.log('API documentation:');
+  console.log(`- Auth API: http://localhost:${port}/api/v1/auth`);
+  console.log(`- Organizations API: http://localhost:${port}/api/v1/organizations`);
   console.log(`- Users API: http://localhost:${port}/api/users`);
   console.log(`- Posts API: http://localhost:${port}/api/posts`);
+  console.log(`- OAuth: http://localhost:${port}/oauth`);
+  console.log(`- JWKS: http://localhost:${port}/.well-known/jwks.json`);
 });
\ No newline at end of file
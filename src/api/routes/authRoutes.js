@@ -13,21 +13,67 @@
 const express = require('express');
 
 // Import controllers for handling the business logic of each route.
-const authController = require('../src/controllers/authController');
+const authController = require('../../controllers/authController');
+const apiKeyController = require('../../controllers/apiKeyController');
+const roleController = require('../../controllers/roleController');
 
 // Import middleware for securing and validating routes.
-const authMiddleware = require('../src/middleware/authMiddleware');
-const rbacMiddleware = require('../src/middleware/rbacMiddleware');
+const authMiddleware = require('../../middleware/authMiddleware');
+const { rejectImpersonation } = authMiddleware;
+const rbacMiddleware = require('../../middleware/rbacMiddleware');
+const rateLimitMiddleware = require('../../middleware/rateLimitMiddleware');
 const {
   validateUserRegistration,
   validateUserLogin,
   validateProfileUpdate,
   validatePasswordChange,
-} = require('../src/middleware/validatorMiddleware');
+  validateRefreshToken,
+  validateLogout,
+  validateEmailVerification,
+  validateResendVerification,
+  validateMagicLink,
+  validateMagicLinkConsume,
+  validateForgotPassword,
+  validateResetPassword,
+  validateMfaVerification,
+  validateMfaCode,
+  validatePasskeyRegistration,
+  validatePasskeyLogin,
+  validatePasskeyId,
+  validateIdentityId,
+  validateApiKeyCreation,
+  validateApiKeyId,
+  validateUserId,
+  validateSessionId,
+  validateImpersonation,
+  validateImpersonationQuery,
+  validateRoleCreation,
+  validateRoleUpdate,
+  validateRoleName,
+  validateRolePermissions,
+  validateRolePermission,
+  validateOrganizationSwitch,
+} = require('../../middleware/validatorMiddleware');
 
 // Create a new router instance from Express.
 const router = express.Router();
 
+// Limits the endpoints that check credentials or codes, per IP address.
+const authRateLimit = rateLimitMiddleware({
+  name: 'auth',
+  limit: parseInt(process.env.RATE_LIMIT_AUTH_MAX, 10) || 20,
+  window: process.env.RATE_LIMIT_AUTH_WINDOW || '15m',
+  algorithm: 'sliding-window',
+});
+
+// Limits the endpoints that send emails, per IP address, so they cannot be used to spam inboxes.
+const emailRateLimit = rateLimitMiddleware({
+  name: 'auth-email',
+  limit: parseInt(process.env.RATE_LIMIT_EMAIL_MAX, 10) || 5,
+  window: process.env.RATE_LIMIT_EMAIL_WINDOW || '1h',
+  algorithm: 'sliding-window',
+});
+
 // ------------------------------------
 // 2. PUBLIC ROUTES (NO AUTH REQUIRED)
 // ------------------------------------
@@ -39,24 +85,129 @@ const router = express.Router();
  * @details This endpoint validates user input, hashes the password, creates
  * a new user record, and returns a JWT for immediate login.
  */
-router.post('/register', validateUserRegistration, authController.register);
+router.post('/register', authRateLimit, validateUserRegistration, authController.register);
 
 /**
  * @route   POST /api/v1/auth/login
  * @desc    Authenticates a user and returns a JWT.
  * @access  Public
  * @details This endpoint validates user credentials (email and password),
- * compares the password, and generates a new JWT if successful.
+ * compares the password, and generates a new JWT if successful. Repeated
+ * failures are slowed down and lock the account (423) or the IP address (429).
+ */
+router.post('/login', authRateLimit, validateUserLogin, authController.login);
+
+/**
+ * @route   POST /api/v1/auth/mfa/verify
+ * @desc    Completes a two-factor login and returns a JWT.
+ * @access  Public
+ * @details Exchanges the short-lived mfa pending token returned by login,
+ * together with a TOTP code or a one-time recovery code, for a token pair.
+ */
+router.post('/mfa/verify', authRateLimit, validateMfaVerification, authController.verifyMfa);
+
+/**
+ * @route   POST /api/v1/auth/passkeys/login/options
+ * @desc    Starts a passwordless login with a passkey.
+ * @access  Public
+ * @details Returns the WebAuthn request options and a challenge token.
+ */
+router.post('/passkeys/login/options', authController.passkeyLoginOptions);
+
+/**
+ * @route   POST /api/v1/auth/passkeys/login/verify
+ * @desc    Logs a user in with a passkey and returns a JWT.
+ * @access  Public
+ * @details Verifies the authenticator's assertion against the stored public key
+ * and issues the same token pair as the password login.
+ */
+router.post('/passkeys/login/verify', authRateLimit, validatePasskeyLogin, authController.passkeyLoginVerify);
+
+/**
+ * @route   POST /api/v1/auth/refresh
+ * @desc    Exchanges a refresh token for a new access token and refresh token.
+ * @access  Public
+ * @details Refresh tokens rotate on every use. Replaying a refresh token that
+ * has already been exchanged revokes every token issued from the same login.
+ */
+router.post('/refresh', validateRefreshToken, authController.refresh);
+
+/**
+ * @route   GET /api/v1/auth/oidc/:provider
+ * @desc    Redirects to an OpenID Connect provider to log in.
+ * @access  Public
+ * @details The provider must be listed in OIDC_PROVIDERS.
+ */
+router.get('/oidc/:provider', authController.oidcLogin);
+
+/**
+ * @route   GET /api/v1/auth/oidc/:provider/callback
+ * @desc    Completes a login with an OpenID Connect provider and returns a JWT.
+ * @access  Public
+ * @details Exchanges the authorization code (with PKCE), validates the ID token,
+ * links the external account to a user and answers like the password login.
+ */
+router.get('/oidc/:provider/callback', authController.oidcCallback);
+
+/**
+ * @route   POST /api/v1/auth/verify-email
+ * @desc    Verifies the user's email address.
+ * @access  Public
+ * @details Accepts the single-use token from the verification email.
+ */
+router.post('/verify-email', authRateLimit, validateEmailVerification, authController.verifyEmail);
+
+/**
+ * @route   POST /api/v1/auth/resend-verification
+ * @desc    Sends a new verification email.
+ * @access  Public
+ * @details Responds identically whether or not the email belongs to an
+ * unverified account.
+ */
+router.post('/resend-verification', emailRateLimit, validateResendVerification, authController.resendVerification);
+
+/**
+ * @route   POST /api/v1/auth/magic-link
+ * @desc    Emails a passwordless login link.
+ * @access  Public
+ * @details Responds identically whether or not the email belongs to an account.
+ * Links are single-use, short-lived and sent at most once per cooldown period.
+ */
+router.post('/magic-link', emailRateLimit, validateMagicLink, authController.requestMagicLink);
+
+/**
+ * @route   POST /api/v1/auth/magic-link/consume
+ * @desc    Logs a user in with the token from a magic link.
+ * @access  Public
+ * @details Returns the same response as the password login.
+ */
+router.post('/magic-link/consume', authRateLimit, validateMagicLinkConsume, authController.consumeMagicLink);
+
+/**
+ * @route   POST /api/v1/auth/forgot-password
+ * @desc    Emails a password reset link.
+ * @access  Public
+ * @details Responds identically whether or not the email belongs to an account.
  */
-router.post('/login', validateUserLogin, authController.login);
+router.post('/forgot-password', emailRateLimit, validateForgotPassword, authController.forgotPassword);
+
+/**
+ * @route   POST /api/v1/auth/reset-password
+ * @desc    Sets a new password with the token from the reset email.
+ * @access  Public
+ * @details Reset tokens are single-use and time-limited. A successful reset
+ * ends every existing session of the user.
+ */
+router.post('/reset-password', authRateLimit, validateResetPassword, authController.resetPassword);
 
 // --------------------------------------------------------
 // 3. PROTECTED ROUTES (AUTHENTICATION REQUIRED)
 // --------------------------------------------------------
 
 // All routes below this line will use the `authMiddleware` to ensure
-// the user is authenticated with a valid JWT.
-router.use(authMiddleware);
+// the user is authenticated with a valid JWT. Tokens issued to OAuth clients
+// cannot be used to manage the account.
+router.use(authMiddleware({ allowClientTokens: false }));
 
 /**
  * @route   GET /api/v1/auth/profile
@@ -74,16 +225,175 @@ router.get('/profile', authController.getProfile);
  * @details Allows the authenticated user to update their own profile information.
  * Validation middleware is used to ensure data integrity.
  */
-router.patch('/profile', validateProfileUpdate, authController.updateProfile);
+router.patch('/profile', rejectImpersonation, validateProfileUpdate, authController.updateProfile);
 
 /**
  * @route   PATCH /api/v1/auth/change-password
  * @desc    Changes the authenticated user's password.
  * @access  Private
  * @details Requires the user to provide their current password and the new password.
- * Validation is performed to ensure the new password meets requirements.
+ * Validation is performed to ensure the new password meets requirements. Tokens
+ * issued before the change stop working; the response carries a fresh token pair.
+ */
+router.patch('/change-password', rejectImpersonation, validatePasswordChange, authController.changePassword);
+
+/**
+ * @route   POST /api/v1/auth/logout
+ * @desc    Logs the user out of the current session.
+ * @access  Private
+ * @details Revokes the access token used for the request. Sending the session's
+ * refresh token in the body revokes it as well.
+ */
+router.post('/logout', validateLogout, authController.logout);
+
+/**
+ * @route   POST /api/v1/auth/logout-all
+ * @desc    Logs the user out everywhere.
+ * @access  Private
+ * @details Revokes every access and refresh token issued to the user so far.
  */
-router.patch('/change-password', validatePasswordChange, authController.changePassword);
+router.post('/logout-all', rejectImpersonation, authController.logoutAll);
+
+/**
+ * @route   GET /api/v1/auth/sessions
+ * @desc    Lists the devices the user is logged in on.
+ * @access  Private
+ * @details Each session shows its user agent, IP address, creation and last-seen times.
+ */
+router.get('/sessions', authController.getSessions);
+
+/**
+ * @route   DELETE /api/v1/auth/sessions/:id
+ * @desc    Logs one device out.
+ * @access  Private
+ * @details Revokes the session's refresh token and access tokens.
+ */
+router.delete('/sessions/:id', rejectImpersonation, validateSessionId, authController.deleteSession);
+
+/**
+ * @route   POST /api/v1/auth/switch-organization
+ * @desc    Switches the organization the user works in on this device.
+ * @access  Private
+ * @details Takes `organizationId` (or null for none) and returns a new token
+ * pair whose `org` claim names it.
+ */
+router.post('/switch-organization', validateOrganizationSwitch, authController.switchOrganization);
+
+/**
+ * @route   POST /api/v1/auth/mfa/totp/setup
+ * @desc    Starts TOTP two-factor enrollment.
+ * @access  Private
+ * @details Returns a new secret and its otpauth URI for the authenticator app.
+ */
+router.post('/mfa/totp/setup', rejectImpersonation, authController.setupTotp);
+
+/**
+ * @route   POST /api/v1/auth/mfa/totp/confirm
+ * @desc    Enables two-factor authentication with a first TOTP code.
+ * @access  Private
+ * @details Returns the one-time recovery codes and a fresh token pair.
+ */
+router.post('/mfa/totp/confirm', rejectImpersonation, validateMfaCode, authController.confirmTotp);
+
+/**
+ * @route   POST /api/v1/auth/mfa/recovery-codes
+ * @desc    Replaces the recovery codes.
+ * @access  Private
+ * @details Requires a current TOTP code.
+ */
+router.post('/mfa/recovery-codes', rejectImpersonation, validateMfaCode, authController.regenerateRecoveryCodes);
+
+/**
+ * @route   POST /api/v1/auth/mfa/totp/disable
+ * @desc    Disables two-factor authentication.
+ * @access  Private
+ * @details Requires a current TOTP code. Refused for roles where 2FA is mandatory.
+ */
+router.post('/mfa/totp/disable', rejectImpersonation, validateMfaCode, authController.disableTotp);
+
+/**
+ * @route   POST /api/v1/auth/oidc/:provider/link
+ * @desc    Starts linking an external account to the authenticated user.
+ * @access  Private
+ * @details Returns the provider's authorization URL for the frontend to open.
+ */
+router.post('/oidc/:provider/link', rejectImpersonation, authController.oidcLink);
+
+/**
+ * @route   GET /api/v1/auth/identities
+ * @desc    Lists the external accounts linked to the authenticated user.
+ * @access  Private
+ */
+router.get('/identities', authController.getIdentities);
+
+/**
+ * @route   DELETE /api/v1/auth/identities/:id
+ * @desc    Unlinks an external account.
+ * @access  Private
+ */
+router.delete('/identities/:id', rejectImpersonation, validateIdentityId, authController.deleteIdentity);
+
+/**
+ * @route   POST /api/v1/auth/passkeys/register/options
+ * @desc    Starts registering a passkey.
+ * @access  Private
+ * @details Returns the WebAuthn creation options and a challenge token.
+ */
+router.post('/passkeys/register/options', rejectImpersonation, authController.passkeyRegistrationOptions);
+
+/**
+ * @route   POST /api/v1/auth/passkeys/register/verify
+ * @desc    Stores a new passkey for the authenticated user.
+ * @access  Private
+ * @details Verifies the authenticator's attestation before storing the credential.
+ */
+router.post('/passkeys/register/verify', rejectImpersonation, validatePasskeyRegistration, authController.passkeyRegistrationVerify);
+
+/**
+ * @route   GET /api/v1/auth/passkeys
+ * @desc    Lists the authenticated user's passkeys.
+ * @access  Private
+ */
+router.get('/passkeys', authController.getPasskeys);
+
+/**
+ * @route   DELETE /api/v1/auth/passkeys/:id
+ * @desc    Deletes one of the authenticated user's passkeys.
+ * @access  Private
+ */
+router.delete('/passkeys/:id', rejectImpersonation, validatePasskeyId, authController.deletePasskey);
+
+/**
+ * @route   POST /api/v1/auth/api-keys
+ * @desc    Creates an API key for the authenticated user.
+ * @access  Private
+ * @details The key can be restricted to some of the user's permissions and can
+ * expire. It is returned once; send it in the `X-API-Key` header.
+ */
+router.post('/api-keys', rejectImpersonation, validateApiKeyCreation, apiKeyController.createApiKey);
+
+/**
+ * @route   GET /api/v1/auth/api-keys
+ * @desc    Lists the authenticated user's API keys.
+ * @access  Private
+ */
+router.get('/api-keys', apiKeyController.getApiKeys);
+
+/**
+ * @route   DELETE /api/v1/auth/api-keys/:keyId
+ * @desc    Revokes one of the authenticated user's API keys.
+ * @access  Private
+ */
+router.delete('/api-keys/:keyId', rejectImpersonation, validateApiKeyId, apiKeyController.revokeApiKey);
+
+/**
+ * @route   POST /api/v1/auth/impersonation/stop
+ * @desc    Stops impersonating a user.
+ * @access  Private (impersonation token)
+ * @details Revokes the impersonation token used for the request and records the
+ * stop in the audit trail.
+ */
+router.post('/impersonation/stop', authController.stopImpersonation);
 
 // -----------------------------------------------------------------
 // 4. PROTECTED ROUTES (AUTHENTICATION & RBAC REQUIRED)
@@ -108,6 +418,14 @@ router.get('/users', rbacMiddleware(['manage_users']), authController.getAllUser
  */
 router.get('/users/:id', rbacMiddleware(['manage_users']), authController.getUserById);
 
+/**
+ * @route   POST /api/v1/auth/users/:id/unlock
+ * @desc    Unlocks an account locked after too many failed logins.
+ * @access  Private (Admin Only)
+ * @details Requires 'manage_users' permission.
+ */
+router.post('/users/:id/unlock', rbacMiddleware(['manage_users']), validateUserId, authController.unlockUser);
+
 /**
  * @route   PATCH /api/v1/auth/users/:id
  * @desc    Updates a user by ID.
@@ -126,6 +444,105 @@ router.patch('/users/:id', rbacMiddleware(['manage_users']), authController.upda
  */
 router.delete('/users/:id', rbacMiddleware(['manage_users']), authController.deleteUserById);
 
+/**
+ * @route   POST /api/v1/auth/users/:id/api-keys
+ * @desc    Creates an API key for a user, e.g. a service account.
+ * @access  Private (Admin Only)
+ * @details Requires 'manage_users' permission. The key acts as that user, within
+ * the permissions of the user's role.
+ */
+router.post('/users/:id/api-keys', rbacMiddleware(['manage_users']), validateUserId, validateApiKeyCreation, apiKeyController.createApiKey);
+
+/**
+ * @route   GET /api/v1/auth/users/:id/api-keys
+ * @desc    Lists a user's API keys.
+ * @access  Private (Admin Only)
+ * @details Requires 'manage_users' permission.
+ */
+router.get('/users/:id/api-keys', rbacMiddleware(['manage_users']), validateUserId, apiKeyController.getApiKeys);
+
+/**
+ * @route   DELETE /api/v1/auth/users/:id/api-keys/:keyId
+ * @desc    Revokes a user's API key.
+ * @access  Private (Admin Only)
+ * @details Requires 'manage_users' permission.
+ */
+router.delete('/users/:id/api-keys/:keyId', rbacMiddleware(['manage_users']), validateApiKeyId, apiKeyController.revokeApiKey);
+
+/**
+ * @route   POST /api/v1/auth/users/:id/impersonate
+ * @desc    Starts impersonating a user.
+ * @access  Private (Admin Only)
+ * @details Requires 'impersonate:user' permission. Returns a short-lived token
+ * for the user with an `act` claim naming the admin. Every impersonation is
+ * recorded; users with the same or higher privileges cannot be impersonated.
+ */
+router.post('/users/:id/impersonate', rejectImpersonation, rbacMiddleware(['impersonate:user']), validateImpersonation, authController.impersonateUser);
+
+/**
+ * @route   GET /api/v1/auth/impersonations
+ * @desc    Lists the impersonation audit trail.
+ * @access  Private (Admin Only)
+ * @details Requires 'impersonate:user' permission. Filter with `actor` or `target`.
+ */
+router.get('/impersonations', rbacMiddleware(['impersonate:user']), validateImpersonationQuery, authController.getImpersonations);
+
+/**
+ * @route   GET /api/v1/auth/roles
+ * @desc    Lists the roles and their permissions.
+ * @access  Private (Admin Only)
+ * @details Requires 'manage_roles' permission.
+ */
+router.get('/roles', rbacMiddleware(['manage_roles']), roleController.getRoles);
+
+/**
+ * @route   POST /api/v1/auth/roles
+ * @desc    Creates a role.
+ * @access  Private (Admin Only)
+ * @details Requires 'manage_roles' permission.
+ */
+router.post('/roles', rejectImpersonation, rbacMiddleware(['manage_roles']), validateRoleCreation, roleController.createRole);
+
+/**
+ * @route   GET /api/v1/auth/roles/:name
+ * @desc    Gets a role by name.
+ * @access  Private (Admin Only)
+ * @details Requires 'manage_roles' permission.
+ */
+router.get('/roles/:name', rbacMiddleware(['manage_roles']), validateRoleName, roleController.getRole);
+
+/**
+ * @route   PATCH /api/v1/auth/roles/:name
+ * @desc    Updates a role's description or replaces its permissions.
+ * @access  Private (Admin Only)
+ * @details Requires 'manage_roles' permission.
+ */
+router.patch('/roles/:name', rejectImpersonation, rbacMiddleware(['manage_roles']), validateRoleUpdate, roleController.updateRole);
+
+/**
+ * @route   DELETE /api/v1/auth/roles/:name
+ * @desc    Deletes a role that no user has.
+ * @access  Private (Admin Only)
+ * @details Requires 'manage_roles' permission. Built-in roles cannot be deleted.
+ */
+router.delete('/roles/:name', rejectImpersonation, rbacMiddleware(['manage_roles']), validateRoleName, roleController.deleteRole);
+
+/**
+ * @route   POST /api/v1/auth/roles/:name/permissions
+ * @desc    Assigns permissions to a role.
+ * @access  Private (Admin Only)
+ * @details Requires 'manage_roles' permission.
+ */
+router.post('/roles/:name/permissions', rejectImpersonation, rbacMiddleware(['manage_roles']), validateRolePermissions, roleController.addRolePermissions);
+
+/**
+ * @route   DELETE /api/v1/auth/roles/:name/permissions/:permission
+ * @desc    Removes a permission from a role.
+ * @access  Private (Admin Only)
+ * @details Requires 'manage_roles' permission.
+ */
+router.delete('/roles/:name/permissions/:permission', rejectImpersonation, rbacMiddleware(['manage_roles']), validateRolePermission, roleController.removeRolePermission);
+
 // -------------------
 // 5. EXPORT THE ROUTER
 // -------------------
@@ -0,0 +1,103 @@
+/**
+ * @file oauthRoutes.js
+ * @description This file defines the routes of the OAuth 2.0 authorization server:
+ * the authorization endpoint used by the consent page, the token endpoint used
+ * by clients, and the admin routes that register clients.
+ */
+
+// -------------------
+// 1. MODULE IMPORTS
+// -------------------
+
+const express = require('express');
+
+// Import the controller for handling the business logic of each route.
+const oauthController = require('../../controllers/oauthController');
+
+// Import middleware for securing and validating routes.
+const authMiddleware = require('../../middleware/authMiddleware');
+const { rejectImpersonation } = authMiddleware;
+const rbacMiddleware = require('../../middleware/rbacMiddleware');
+const {
+  validateOAuthClientRegistration,
+  validateOAuthClientId,
+} = require('../../middleware/validatorMiddleware');
+
+// Create a new router instance from Express.
+const router = express.Router();
+
+// Only first-party tokens may approve clients or manage them: a client must not
+// be able to grant itself, or another client, more access.
+const requireUser = authMiddleware({ allowClientTokens: false });
+
+// ------------------------------------
+// 2. PUBLIC ROUTES (CLIENT AUTHENTICATION)
+// ------------------------------------
+
+/**
+ * @route   POST /oauth/token
+ * @desc    Issues access tokens to OAuth clients.
+ * @access  Public (client authentication)
+ * @details Takes form-encoded parameters, as required by RFC 6749. Supports the
+ * authorization_code grant (with PKCE) and the client_credentials grant.
+ * Confidential clients authenticate with HTTP Basic or client_secret in the body.
+ */
+router.post('/token', express.urlencoded({ extended: false }), oauthController.token);
+
+// ------------------------------------
+// 3. PRIVATE ROUTES (AUTH REQUIRED)
+// ------------------------------------
+
+/**
+ * @route   GET /oauth/authorize
+ * @desc    Checks an authorization request for the consent page.
+ * @access  Private
+ * @details The consent page forwards the client's query string. Returns the
+ * client's name, the requested scopes and whether consent is still needed.
+ */
+router.get('/authorize', requireUser, oauthController.getAuthorization);
+
+/**
+ * @route   POST /oauth/authorize
+ * @desc    Approves or denies a client.
+ * @access  Private
+ * @details Takes the authorization request parameters plus `approve` (boolean).
+ * Returns `redirectTo`, the client URL to send the user to.
+ */
+router.post('/authorize', requireUser, rejectImpersonation, oauthController.authorize);
+
+// ------------------------------------
+// 4. ADMIN-ONLY ROUTES (RBAC REQUIRED)
+// ------------------------------------
+
+/**
+ * @route   POST /oauth/clients
+ * @desc    Registers an OAuth client.
+ * @access  Private (Admin Only)
+ * @details Requires 'manage_clients' permission. The client secret of a
+ * confidential client is returned once, in this response.
+ */
+router.post('/clients', requireUser, rbacMiddleware(['manage_clients']), validateOAuthClientRegistration, oauthController.createClient);
+
+/**
+ * @route   GET /oauth/clients
+ * @desc    Lists the registered OAuth clients.
+ * @access  Private (Admin Only)
+ * @details Requires 'manage_clients' permission.
+ */
+router.get('/clients', requireUser, rbacMiddleware(['manage_clients']), oauthController.getClients);
+
+/**
+ * @route   DELETE /oauth/clients/:id
+ * @desc    Deletes an OAuth client.
+ * @access  Private (Admin Only)
+ * @details Requires 'manage_clients' permission. Also deletes the consents
+ * users gave to the client and its unused authorization codes.
+ */
+router.delete('/clients/:id', requireUser, rbacMiddleware(['manage_clients']), validateOAuthClientId, oauthController.deleteClient);
+
+// -------------------
+// 5. EXPORT THE ROUTER
+// -------------------
+
+module.exports = router;
@@ -0,0 +1,159 @@
+/**
+ * @file organizationRoutes.js
+ * @description This file defines the routes for organizations: creating and
+ * managing them, their members and the invitations to join them. Routes about
+ * one organization run `organizationMiddleware`, which checks that the caller
+ * is a member, so that `rbacMiddleware` checks the caller's role within the
+ * organization rather than their global role.
+ */
+
+// -------------------
+// 1. MODULE IMPORTS
+// -------------------
+
+const express = require('express');
+
+// Import the controller for handling the business logic of each route.
+const organizationController = require('../../controllers/organizationController');
+const Membership = require('../../models/membershipModel');
+
+// Import middleware for securing and validating routes.
+const authMiddleware = require('../../middleware/authMiddleware');
+const { rejectImpersonation } = authMiddleware;
+const organizationMiddleware = require('../../middleware/organizationMiddleware');
+const rbacMiddleware = require('../../middleware/rbacMiddleware');
+const { anyOf, condition } = rbacMiddleware;
+const {
+  validateOrganizationCreation,
+  validateOrganizationUpdate,
+  validateOrganizationId,
+  validateMemberId,
+  validateMemberUpdate,
+  validateInvitationCreation,
+  validateInvitationId,
+  validateInvitationAcceptance,
+} = require('../../middleware/validatorMiddleware');
+
+// Create a new router instance from Express.
+const router = express.Router();
+
+// Resolves the organization in `:orgId` and the caller's membership of it.
+const requireMember = organizationMiddleware();
+
+// Loads the membership a route is about, so members can remove themselves
+// (the membership's `user` is the caller, see the `own` condition).
+const loadMember = (req) => {
+  return Membership.findOne({ organization: req.params.orgId, user: req.params.userId });
+};
+
+// --------------------------------------------------------
+// 2. PROTECTED ROUTES (AUTHENTICATION REQUIRED)
+// --------------------------------------------------------
+
+// Every organization route needs a logged-in user. Tokens issued to OAuth
+// clients cannot be used to manage organizations.
+router.use(authMiddleware({ allowClientTokens: false }));
+
+/**
+ * @route   POST /api/v1/organizations
+ * @desc    Creates an organization.
+ * @access  Private
+ * @details The caller becomes its first member, with the 'org_admin' role.
+ */
+router.post('/', rejectImpersonation, validateOrganizationCreation, organizationController.createOrganization);
+
+/**
+ * @route   GET /api/v1/organizations
+ * @desc    Lists the caller's organizations and their role in each.
+ * @access  Private
+ */
+router.get('/', organizationController.getOrganizations);
+
+/**
+ * @route   POST /api/v1/organizations/invitations/accept
+ * @desc    Accepts an invitation with the token from the emailed link.
+ * @access  Private
+ * @details The caller must be logged in with the invited email address.
+ */
+router.post('/invitations/accept', rejectImpersonation, validateInvitationAcceptance, organizationController.acceptInvitation);
+
+// -----------------------------------------------------------------
+// 3. ORGANIZATION ROUTES (MEMBERSHIP & RBAC REQUIRED)
+// -----------------------------------------------------------------
+
+/**
+ * @route   GET /api/v1/organizations/:orgId
+ * @desc    Gets an organization.
+ * @access  Private (Members)
+ */
+router.get('/:orgId', validateOrganizationId, requireMember, organizationController.getOrganization);
+
+/**
+ * @route   PATCH /api/v1/organizations/:orgId
+ * @desc    Renames an organization or changes its slug.
+ * @access  Private (Organization admins)
+ * @details Requires 'update:organization' permission in the organization.
+ */
+router.patch('/:orgId', rejectImpersonation, validateOrganizationUpdate, requireMember, rbacMiddleware(['update:organization']), organizationController.updateOrganization);
+
+/**
+ * @route   DELETE /api/v1/organizations/:orgId
+ * @desc    Deletes an organization with its memberships and invitations.
+ * @access  Private (Organization admins)
+ * @details Requires 'delete:organization' permission in the organization.
+ */
+router.delete('/:orgId', rejectImpersonation, validateOrganizationId, requireMember, rbacMiddleware(['delete:organization']), organizationController.deleteOrganization);
+
+/**
+ * @route   GET /api/v1/organizations/:orgId/members
+ * @desc    Lists the members of an organization and their roles.
+ * @access  Private (Members)
+ */
+router.get('/:orgId/members', validateOrganizationId, requireMember, organizationController.getMembers);
+
+/**
+ * @route   PATCH /api/v1/organizations/:orgId/members/:userId
+ * @desc    Changes a member's role in the organization.
+ * @access  Private (Organization admins)
+ * @details Requires 'manage:member' permission in the organization.
+ */
+router.patch('/:orgId/members/:userId', rejectImpersonation, validateMemberUpdate, requireMember, rbacMiddleware(['manage:member']), organizationController.updateMember);
+
+/**
+ * @route   DELETE /api/v1/organizations/:orgId/members/:userId
+ * @desc    Removes a member from the organization.
+ * @access  Private (Organization admins, or the member)
+ * @details Requires 'manage:member' permission in the organization, except for
+ * members leaving it themselves.
+ */
+router.delete('/:orgId/members/:userId', rejectImpersonation, validateMemberId, requireMember, rbacMiddleware(anyOf('manage:member', condition('own')), { load: loadMember }), organizationController.removeMember);
+
+/**
+ * @route   POST /api/v1/organizations/:orgId/invitations
+ * @desc    Invites someone to the organization by email.
+ * @access  Private (Organization admins)
+ * @details Requires 'manage:member' permission in the organization.
+ */
+router.post('/:orgId/invitations', rejectImpersonation, validateInvitationCreation, requireMember, rbacMiddleware(['manage:member']), organizationController.createInvitation);
+
+/**
+ * @route   GET /api/v1/organizations/:orgId/invitations
+ * @desc    Lists the pending invitations of the organization.
+ * @access  Private (Organization admins)
+ * @details Requires 'manage:member' permission in the organization.
+ */
+router.get('/:orgId/invitations', validateOrganizationId, requireMember, rbacMiddleware(['manage:member']), organizationController.getInvitations);
+
+/**
+ * @route   DELETE /api/v1/organizations/:orgId/invitations/:invitationId
+ * @desc    Revokes a pending invitation.
+ * @access  Private (Organization admins)
+ * @details Requires 'manage:member' permission in the organization.
+ */
+router.delete('/:orgId/invitations/:invitationId', rejectImpersonation, validateInvitationId, requireMember, rbacMiddleware(['manage:member']), organizationController.deleteInvitation);
+
+// -------------------
+// 4. EXPORT THE ROUTER
+// -------------------
+
+module.exports = router;
@@ -34,6 +34,11 @@ const authMiddleware = (req, res, next) => {
   next();
 };
 
+// Routes about a single post can check conditional permissions such as
+// 'update:own:post' by loading the post first. This example has no post model,
+// so its routes check plain permissions; with one, a route would use e.g.
+//   rbacMiddleware(['update:post'], { load: req => Post.findById(req.params.id) })
+
 // =========================================================================
 // 2. Joi Schemas for Validation
 // =========================================================================
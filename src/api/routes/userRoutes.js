@@ -33,6 +33,13 @@ const authMiddleware = (req, res, next) => {
   next();
 };
 
+// Loads the user a route is about, so that rbacMiddleware can let users
+// access their own account through the 'self' condition.
+const loadUser = async (req) => {
+  // You would fetch the user from the database here, e.g. User.findById(req.params.id).
+  return { id: req.params.id };
+};
+
 // =========================================================================
 // 2. Joi Schemas for Validation
 // =========================================================================
@@ -115,14 +122,16 @@ router.get(
 /**
  * @route   GET /api/users/:id
  * @desc    Get a single user by ID
- * @access  Private (Admin-only)
- * This route is protected by both authentication and RBAC.
+ * @access  Private (Admin, or the user themselves)
+ * This route is protected by both authentication and RBAC. Admins have
+ * 'read:user'; other users have 'read:self:user', which only allows it for
+ * their own ID.
  */
 router.get(
   '/:id',
   authMiddleware,
-  rbacMiddleware(['read:user']),
   validatorMiddleware({ params: userSchemas.userIdParam }),
+  rbacMiddleware(['read:user'], { load: loadUser }),
   (req, res) => {
     // Both authentication and validation have passed.
     console.log(`User ID ${req.user.id} requesting details for user ${req.params.id}.`);
@@ -137,17 +146,18 @@ router.get(
 /**
  * @route   PUT /api/users/:id
  * @desc    Update a user's details
- * @access  Private (Admin-only)
- * This route requires the 'update:user' permission.
+ * @access  Private (Admin, or the user themselves)
+ * This route requires the 'update:user' permission, or 'update:self:user' for
+ * the user's own ID.
  */
 router.put(
   '/:id',
   authMiddleware,
-  rbacMiddleware(['update:user']),
   validatorMiddleware({
     params: userSchemas.userIdParam,
     body: userSchemas.updateUser
   }),
+  rbacMiddleware(['update:user'], { load: loadUser }),
   (req, res) => {
     console.log(`User ID ${req.user.id} updating user ${req.params.id} with data:`, req.body);
     // You would update the user in the database here.
@@ -0,0 +1,54 @@
+/**
+ * @file wellKnownRoutes.js
+ * @description Defines the public discovery documents served under `/.well-known`.
+ * Downstream services use these to verify tokens issued by this API without
+ * sharing any secret with it.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// =========================================================================
+// 1. Import Utilities
+// =========================================================================
+
+const keyUtils = require('../../utils/keyUtils');
+const oauthController = require('../../controllers/oauthController');
+
+// =========================================================================
+// 2. Discovery Route Definitions
+// =========================================================================
+
+/**
+ * @route   GET /.well-known/jwks.json
+ * @desc    Publishes the public keys that verify our access tokens (JWKS).
+ * @access  Public
+ * Every key still in the key ring is listed, including rotated keys that no
+ * longer sign but whose tokens have not expired yet. Match a token to its key
+ * with the `kid` in the token header. Only available with RS256 or ES256 signing.
+ */
+router.get('/jwks.json', (req, res) => {
+  const algorithm = process.env.JWT_ALGORITHM || 'HS256';
+  if (!keyUtils.SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    return res.status(404).json({ error: 'No public keys are published: tokens are signed with a shared secret.' });
+  }
+
+  try {
+    // Let verifiers cache the key set, but pick up rotations reasonably fast.
+    res.set('Cache-Control', 'public, max-age=600');
+    res.status(200).json(keyUtils.getKeyRing().toJWKS());
+  } catch (err) {
+    console.error('Error building the JWKS:', err.message);
+    res.status(500).json({ error: 'Could not load the signing keys.' });
+  }
+});
+
+/**
+ * @route   GET /.well-known/oauth-authorization-server
+ * @desc    Publishes the OAuth 2.0 authorization server metadata (RFC 8414).
+ * @access  Public
+ * Lets clients discover the endpoints, grants and scopes of the authorization server.
+ */
+router.get('/oauth-authorization-server', oauthController.metadata);
+
+module.exports = router;
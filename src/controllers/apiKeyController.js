@@ -0,0 +1,161 @@
+/**
+ * @file apiKeyController.js
+ * @description This file contains the controller functions for API keys, which
+ * let cron jobs and integrations call the API without borrowing a user's JWT.
+ * Users manage their own keys; admins manage the keys of any user, e.g. a
+ * dedicated service account. The routes use `req.params.id` (the user, on the
+ * admin routes) or fall back to the authenticated user.
+ */
+
+// -------------------
+// 1. MODULE IMPORTS
+// -------------------
+
+const User = require('../models/userModel'); // Import the Mongoose User model
+const ApiKey = require('../models/apiKeyModel'); // Hashed API keys
+const apiKeyUtils = require('../utils/apiKeyUtils'); // Key generation and hashing
+const mfaUtils = require('../utils/mfaUtils'); // Mandatory two-factor enrollment
+const { getRolePermissions, hasPermission } = require('../utils/permissionUtils');
+
+// -------------------
+// 2. HELPER FUNCTIONS
+// -------------------
+
+/**
+ * Returns the user whose keys the request manages.
+ * @param {object} req - The request object from Express.
+ * @returns {string} - The user ID.
+ */
+const getKeyOwnerId = (req) => {
+  return req.params.id || req.user.id;
+};
+
+/**
+ * Returns the fields of an API key that are safe to show.
+ * @param {object} apiKey - The API key document.
+ * @returns {object} - The key without its hash.
+ */
+const formatApiKey = (apiKey) => {
+  return {
+    id: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    permissions: apiKey.permissions,
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    revokedAt: apiKey.revokedAt,
+    createdAt: apiKey.createdAt,
+  };
+};
+
+// ----------------------------------------------------
+// 3. API KEY CONTROLLER FUNCTIONS
+// ----------------------------------------------------
+
+/**
+ * @desc    Creates an API key.
+ * @route   POST /api/v1/auth/api-keys
+ * @route   POST /api/v1/auth/users/:id/api-keys
+ * @access  Private (the owner, or Admin-only for another user)
+ * @details Takes a `name`, optional `permissions` (a subset of the owner's role
+ * permissions; empty means all of them) and an optional `expiresAt`. The key is
+ * returned only in this response; only its hash is stored. Owners whose role
+ * requires two-factor authentication must have enrolled first.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, permissions = [], expiresAt = null } = req.body;
+
+    const owner = await User.findById(getKeyOwnerId(req));
+    if (!owner || !owner.isActive) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // A key must not let the owner's role be used without the 2FA it requires
+    if (mfaUtils.isMfaEnrollmentRequired(owner)) {
+      return res.status(403).json({
+        message: 'Two-factor authentication must be set up before creating API keys for this user',
+        code: 'mfa_enrollment_required',
+      });
+    }
+
+    // A key can be restricted, but never grant more than its owner's role
+    const rolePermissions = await getRolePermissions(owner.role);
+    const deniedPermissions = permissions.filter(permission => !hasPermission(rolePermissions, permission));
+    if (deniedPermissions.length > 0) {
+      return res.status(400).json({ message: `The user's role does not grant: ${deniedPermissions.join(', ')}` });
+    }
+
+    const { key, prefix, keyHash } = apiKeyUtils.generateApiKey();
+    const apiKey = await ApiKey.create({
+      user: owner._id,
+      name,
+      prefix,
+      keyHash,
+      permissions,
+      expiresAt,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      message: 'API key created successfully. Store it now: it cannot be shown again.',
+      apiKey: formatApiKey(apiKey),
+      key,
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ message: 'Server error while creating the API key' });
+  }
+};
+
+/**
+ * @desc    Lists API keys, including revoked and expired ones.
+ * @route   GET /api/v1/auth/api-keys
+ * @route   GET /api/v1/auth/users/:id/api-keys
+ * @access  Private (the owner, or Admin-only for another user)
+ * @details `lastUsedAt` helps finding stale keys to revoke.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: getKeyOwnerId(req) }).sort({ createdAt: -1 });
+    res.status(200).json({
+      message: 'API keys fetched successfully',
+      count: apiKeys.length,
+      apiKeys: apiKeys.map(formatApiKey),
+    });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ message: 'Server error while fetching the API keys' });
+  }
+};
+
+/**
+ * @desc    Revokes an API key.
+ * @route   DELETE /api/v1/auth/api-keys/:keyId
+ * @route   DELETE /api/v1/auth/users/:id/api-keys/:keyId
+ * @access  Private (the owner, or Admin-only for another user)
+ * @details The key stops working immediately. It stays in the listing as revoked.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.keyId, user: getKeyOwnerId(req), revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found or already revoked' });
+    }
+
+    res.status(200).json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ message: 'Server error while revoking the API key' });
+  }
+};
@@ -1,17 +1,37 @@
 /**
  * @file authController.js
  * @description This file contains the core business logic for the
- * Quilox Auth API. It handles user registration, login, profile management,
- * and user management tasks for administrators.
+ * Quilox Auth API. It handles user registration, login, token refresh,
+ * profile management, and user management tasks for administrators.
  */
 
 // -------------------
 // 1. MODULE IMPORTS
 // -------------------
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const User = require('../src/models/userModel'); // Import the Mongoose User model
+const ms = require('ms');
+const User = require('../models/userModel'); // Import the Mongoose User model
+const RefreshToken = require('../models/refreshTokenModel'); // Server-side refresh token records
+const Session = require('../models/sessionModel'); // Logins per device
+const { getRevocationStore } = require('../stores/revocationStore'); // Revoked access token denylist
+const { getLoginAttemptStore } = require('../stores/loginAttemptStore'); // Failed login counters and lockouts
+const jwtUtils = require('../utils/jwtUtils'); // Access token signing (HS256, RS256 or ES256)
+const cookieUtils = require('../utils/cookieUtils'); // Opt-in cookie mode and CSRF tokens
+const { ACTION_PURPOSES, generateActionToken, verifyActionToken } = require('../utils/actionTokenUtils'); // Emailed links
+const { sendMail } = require('../transports/mailTransport'); // Pluggable email delivery
+const mfaUtils = require('../utils/mfaUtils'); // TOTP codes and recovery codes
+const Passkey = require('../models/passkeyModel'); // Registered WebAuthn credentials
+const webauthn = require('@simplewebauthn/server'); // WebAuthn ceremonies
+const passport = require('passport'); // Federated login strategies
+const FederatedIdentity = require('../models/federatedIdentityModel'); // Linked external accounts
+const ApiKey = require('../models/apiKeyModel'); // API keys, deleted with their user
+const Impersonation = require('../models/impersonationModel'); // Impersonation audit trail
+const Membership = require('../models/membershipModel'); // Organization memberships, deleted with their user
+const { getRolePermissions, roleExists, hasPermission, isDenied } = require('../utils/permissionUtils'); // Role permissions
+const { getOidcStrategy } = require('../strategies/oidcStrategy'); // Configured OpenID Connect providers
 
 // -------------------
 // 2. HELPER FUNCTIONS
@@ -19,168 +39,1981 @@ const User = require('../src/models/userModel'); // Import the Mongoose User mod
 
 /**
  * Generates a JSON Web Token (JWT) for a user.
- * @param {string} id - The user's database ID.
+ * The token carries a unique `jti` so it can be revoked on logout, and is signed
+ * with the algorithm and keys configured for jwtUtils. The `role` claim is
+ * the user's role at the time of issue, for services that verify the token on
+ * their own; authMiddleware replaces it with the current role. The `email_verified`
+ * claim lets rbacMiddleware restrict unverified users, and `tokenVersion` lets
+ * authMiddleware reject tokens issued before the user's password changed.
+ * Users whose role requires two-factor authentication but who have not enrolled
+ * yet get the `mfa_enrollment_required` claim, which rbacMiddleware denies.
+ * The `sid` claim ties the token to its session, so revoking the session
+ * revokes the token. `iat_ms` is the issue time in milliseconds, so a token
+ * issued right after "logout everywhere" is not mistaken for an older one.
+ * The `org` claim names the organization the user switched to in this session,
+ * for organizationMiddleware.
+ * @param {object} user - The user document.
+ * @param {string} [sessionId] - The session the token belongs to.
+ * @param {object} [options]
+ * @param {object} [options.claims] - Extra claims, e.g. `act` for impersonation.
+ * @param {string} [options.expiresIn] - The lifetime. Defaults to JWT_EXPIRES_IN.
  * @returns {string} - The signed JWT.
  */
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
-  });
-};
+const generateToken = (user, sessionId, { claims = {}, expiresIn = process.env.JWT_EXPIRES_IN } = {}) => {
+  return jwtUtils.generateToken({
+    id: String(user._id),
+    role: user.role,
+    ...(sessionId && { sid: sessionId }),
+    iat_ms: Date.now(),
+    email_verified: Boolean(user.isEmailVerified),
+    tokenVersion: user.tokenVersion || 0,
+    ...(mfaUtils.isMfaEnrollmentRequired(user) && { mfa_enrollment_required: true }),
+    ...claims,
+  }, expiresIn);
+};
+
+/**
+ * Generates a refresh token for a user and records it server-side.
+ * Each refresh token carries a unique `jti` and the `family` of the login it
+ * descends from, so that reuse of an already exchanged token can be detected.
+ * @param {string} id - The user's database ID.
+ * @param {string} [family] - The token family. A new family is started when omitted.
+ * @returns {Promise<string>} - The signed refresh token.
+ */
+const generateRefreshToken = async (id, family = crypto.randomUUID()) => {
+  const jti = crypto.randomUUID();
+  const refreshToken = jwt.sign({ id, family }, process.env.JWT_REFRESH_SECRET, {
+    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN,
+    jwtid: jti,
+  });
+
+  const { exp } = jwt.decode(refreshToken);
+  await RefreshToken.create({ jti, family, user: id, expiresAt: new Date(exp * 1000) });
+
+  return refreshToken;
+};
+
+/**
+ * Issues an access token together with a rotating refresh token. Without a
+ * session ID a new session is started for the device making the request; the
+ * session ID doubles as the refresh token family. A continued session keeps its
+ * active organization in the `org` claim.
+ * @param {object} user - The user document.
+ * @param {object} req - The request object from Express (for the device and IP address).
+ * @param {string} [sessionId] - The session to continue, if any.
+ * @returns {Promise<{token: string, refreshToken: string}>} - The token pair.
+ */
+const generateTokenPair = async (user, req, sessionId) => {
+  const session = sessionId ? null : new Session({ user: user._id, userAgent: req.get('user-agent') || null });
+  const sid = sessionId ? String(sessionId) : String(session._id);
+
+  const refreshToken = await generateRefreshToken(user._id, sid);
+
+  // The session lasts as long as its latest refresh token
+  const update = {
+    ip: req.ip,
+    lastSeenAt: new Date(),
+    expiresAt: new Date(jwt.decode(refreshToken).exp * 1000),
+  };
+  let organization = null;
+  if (session) {
+    session.set(update);
+    await session.save();
+  } else {
+    const continued = await Session.findOneAndUpdate({ _id: sid }, update, { new: true });
+    organization = continued ? continued.organization : null;
+  }
+
+  return {
+    token: generateToken(user, sid, { claims: organization ? { org: String(organization) } : {} }),
+    refreshToken,
+  };
+};
+
+/**
+ * Ends one session: its refresh tokens can no longer be exchanged, and
+ * authMiddleware rejects its access tokens.
+ * @param {string} sessionId - The session ID (the refresh token family).
+ * @returns {Promise<void>}
+ */
+const endSession = async (sessionId) => {
+  await RefreshToken.revokeFamily(String(sessionId));
+  if (/^[0-9a-f]{24}$/.test(String(sessionId))) {
+    await Session.revoke(sessionId);
+  }
+};
+
+/**
+ * Ends every session of a user: revokes all access tokens issued so far and
+ * every refresh token family.
+ * @param {string} userId - The user's database ID.
+ * @returns {Promise<void>}
+ */
+const revokeAllSessions = async (userId) => {
+  const now = new Date();
+
+  // Tokens issued up to now are denied for as long as any of them could still be valid
+  const expiresAt = new Date(now.getTime() + ms(process.env.JWT_EXPIRES_IN || '1h'));
+  await getRevocationStore().revokeUser(String(userId), now, expiresAt);
+
+  // Refresh tokens must not be able to mint new access tokens either
+  await RefreshToken.revokeAllForUser(userId);
+  await Session.revokeAllForUser(userId);
+};
+
+/**
+ * Hashes a password reset token. Only the hash is stored, so a leaked
+ * database does not leak usable reset links.
+ * @param {string} token - The plain reset token.
+ * @returns {string} - The SHA-256 hash, hex encoded.
+ */
+const hashResetToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Returns how email verification is enforced (EMAIL_VERIFICATION):
+ * - 'optional' (default): verification emails are sent, nothing is restricted.
+ * - 'restrict': unverified users can log in, but rbacMiddleware denies them access.
+ * - 'block': unverified users cannot log in at all.
+ * @returns {string} - The verification mode.
+ */
+const getEmailVerificationMode = () => {
+  return process.env.EMAIL_VERIFICATION || 'optional';
+};
+
+/**
+ * Issues a new single-use verification token for a user and emails the link.
+ * Issuing a new token invalidates any previous one.
+ * @param {object} user - The user document.
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  const { token, jti } = generateActionToken({
+    purpose: ACTION_PURPOSES.EMAIL_VERIFICATION,
+    userId: user._id,
+    email: user.email,
+    expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h',
+  });
+  await User.updateOne({ _id: user._id }, { emailVerificationJti: jti });
+
+  const baseUrl = process.env.EMAIL_VERIFICATION_URL || 'http://localhost:3000/verify-email';
+  const link = `${baseUrl}?token=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Please confirm your email address by opening this link:\n\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+  });
+};
+
+/**
+ * Returns the brute-force protection settings for password logins:
+ * - LOGIN_MAX_ATTEMPTS: failed attempts on one account before it is locked.
+ * - LOGIN_MAX_ATTEMPTS_PER_IP: failed attempts from one IP address before it is locked out.
+ * - LOGIN_ATTEMPT_WINDOW: how long a failed attempt is remembered.
+ * - LOGIN_LOCKOUT_DURATION: how long a lockout lasts.
+ * - LOGIN_DELAY_BASE / LOGIN_DELAY_MAX: the delay added after the first failure,
+ * doubled with each further failure up to the maximum.
+ * @returns {object} - The settings, with durations in milliseconds.
+ */
+const getLoginThrottleConfig = () => {
+  return {
+    maxAccountAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5,
+    maxIpAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP, 10) || 50,
+    windowMs: ms(process.env.LOGIN_ATTEMPT_WINDOW || '15m'),
+    lockoutMs: ms(process.env.LOGIN_LOCKOUT_DURATION || '15m'),
+    delayBaseMs: ms(process.env.LOGIN_DELAY_BASE || '250ms'),
+    delayMaxMs: ms(process.env.LOGIN_DELAY_MAX || '4s'),
+  };
+};
+
+/**
+ * Returns the login attempt store keys of a login request. Accounts are keyed
+ * by email, so guessing against unknown emails is limited the same way.
+ * Behind a proxy, configure Express's `trust proxy` so `req.ip` is the client.
+ * @param {string} email - The submitted email address.
+ * @param {string} ip - The client's IP address.
+ * @returns {{account: string, ip: string}} - The store keys.
+ */
+const getLoginAttemptKeys = (email, ip) => {
+  return { account: `account:${String(email).trim().toLowerCase()}`, ip: `ip:${ip}` };
+};
+
+/**
+ * Checks whether a login may be attempted.
+ * @param {{account: string, ip: string}} keys - The login attempt store keys.
+ * @returns {Promise<{lock?: object, failures: number}>} - The active lockout
+ * (`{ scope: 'account'|'ip', until }`), if any, and the recent failures.
+ */
+const checkLoginThrottle = async (keys) => {
+  const store = getLoginAttemptStore();
+  const [account, ip] = await Promise.all([store.get(keys.account), store.get(keys.ip)]);
+  const now = Date.now();
+
+  if (account && account.lockedUntil && account.lockedUntil.getTime() > now) {
+    return { lock: { scope: 'account', until: account.lockedUntil }, failures: 0 };
+  }
+  if (ip && ip.lockedUntil && ip.lockedUntil.getTime() > now) {
+    return { lock: { scope: 'ip', until: ip.lockedUntil }, failures: 0 };
+  }
+  return { failures: Math.max(account ? account.count : 0, ip ? ip.count : 0) };
+};
+
+/**
+ * Waits before checking a password, longer after each recent failure, so
+ * guessing gets slower long before the lockout.
+ * @param {number} failures - The recent failed attempts.
+ * @returns {Promise<void>}
+ */
+const delayLogin = (failures) => {
+  if (failures === 0) {
+    return Promise.resolve();
+  }
+  const { delayBaseMs, delayMaxMs } = getLoginThrottleConfig();
+  const delay = Math.min(delayBaseMs * 2 ** (failures - 1), delayMaxMs);
+  return new Promise(resolve => setTimeout(resolve, delay));
+};
+
+/**
+ * Records a failed login, and locks the account or the IP address once it
+ * reaches its threshold.
+ * @param {{account: string, ip: string}} keys - The login attempt store keys.
+ * @returns {Promise<object|null>} - The lockout that just started, or null.
+ */
+const recordLoginFailure = async (keys) => {
+  const store = getLoginAttemptStore();
+  const { maxAccountAttempts, maxIpAttempts, windowMs, lockoutMs } = getLoginThrottleConfig();
+  const [accountFailures, ipFailures] = await Promise.all([
+    store.increment(keys.account, windowMs),
+    store.increment(keys.ip, windowMs),
+  ]);
+
+  const until = new Date(Date.now() + lockoutMs);
+  if (accountFailures >= maxAccountAttempts) {
+    await store.lock(keys.account, until);
+    return { scope: 'account', until };
+  }
+  if (ipFailures >= maxIpAttempts) {
+    await store.lock(keys.ip, until);
+    return { scope: 'ip', until };
+  }
+  return null;
+};
+
+/**
+ * Refuses a login during a lockout: 423 Locked for an account, 429 Too Many
+ * Requests for an IP address. `Retry-After` tells the client when to retry.
+ * @param {object} res - The response object from Express.
+ * @param {{scope: string, until: Date}} lock - The lockout.
+ */
+const sendLockedResponse = (res, lock) => {
+  const retryAfter = Math.max(1, Math.ceil((lock.until.getTime() - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  if (lock.scope === 'account') {
+    return res.status(423).json({
+      message: 'Too many failed login attempts. The account is temporarily locked.',
+      code: 'account_locked',
+      retryAfter,
+    });
+  }
+  res.status(429).json({
+    message: 'Too many failed login attempts from this address. Please try again later.',
+    code: 'too_many_attempts',
+    retryAfter,
+  });
+};
+
+// How many wrong codes a two-step login accepts before the user has to log in again.
+const MFA_MAX_ATTEMPTS = 5;
+
+/**
+ * Starts the second step of a login: issues a short-lived, single-use "mfa
+ * pending" token that can only be exchanged for real tokens together with a
+ * valid TOTP or recovery code. Starting a new challenge ends any previous one.
+ * @param {object} user - The user document.
+ * @returns {Promise<string>} - The mfa pending token.
+ */
+const startMfaChallenge = async (user) => {
+  const { token, jti } = generateActionToken({
+    purpose: ACTION_PURPOSES.MFA_LOGIN,
+    userId: user._id,
+    email: user.email,
+    expiresIn: process.env.MFA_CHALLENGE_EXPIRES_IN || '5m',
+  });
+  await User.updateOne({ _id: user._id }, { mfaChallengeJti: jti, mfaChallengeAttempts: 0 });
+  return token;
+};
+
+/**
+ * Records the time step of an accepted TOTP code. Fails if a code for the same
+ * or a later step was already used, so every code works only once.
+ * @param {string} userId - The user's database ID.
+ * @param {number} step - The time step returned by `mfaUtils.verifyTotp`.
+ * @returns {Promise<boolean>} - True if the code had not been used yet.
+ */
+const consumeTotpStep = async (userId, step) => {
+  const result = await User.updateOne(
+    { _id: userId, $or: [{ mfaLastUsedStep: { $exists: false } }, { mfaLastUsedStep: { $lt: step } }] },
+    { $set: { mfaLastUsedStep: step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Uses up a recovery code. The code is removed atomically, so it works only once.
+ * @param {string} userId - The user's database ID.
+ * @param {string} recoveryCode - The recovery code as entered by the user.
+ * @returns {Promise<boolean>} - True if the code was valid and unused.
+ */
+const consumeRecoveryCode = async (userId, recoveryCode) => {
+  const hash = mfaUtils.hashRecoveryCode(recoveryCode);
+  const result = await User.updateOne(
+    { _id: userId, mfaRecoveryCodes: hash },
+    { $pull: { mfaRecoveryCodes: hash } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Checks a TOTP code of a user who has two-factor authentication enabled and
+ * marks it as used.
+ * @param {string} userId - The user's database ID.
+ * @param {string} code - The TOTP code.
+ * @returns {Promise<boolean>} - True if the code is valid and had not been used yet.
+ */
+const checkTotpCode = async (userId, code) => {
+  const user = await User.findById(userId).select('+mfaSecret');
+  if (!user || !user.mfaEnabled) {
+    return false;
+  }
+  const step = mfaUtils.verifyTotp(user.mfaSecret, code);
+  return step !== null && await consumeTotpStep(user._id, step);
+};
+
+/**
+ * Returns the WebAuthn relying party settings:
+ * - WEBAUTHN_RP_ID: the domain passkeys are bound to (default 'localhost').
+ * - WEBAUTHN_RP_NAME: the name shown by the authenticator.
+ * - WEBAUTHN_ORIGIN: the origins the browser may run the ceremony on, comma-separated.
+ * @returns {{rpID: string, rpName: string, origins: string[]}} - The settings.
+ */
+const getWebAuthnConfig = () => {
+  return {
+    rpID: process.env.WEBAUTHN_RP_ID || 'localhost',
+    rpName: process.env.WEBAUTHN_RP_NAME || 'Quilox Auth',
+    origins: (process.env.WEBAUTHN_ORIGIN || 'http://localhost:3000').split(',').map(origin => origin.trim()),
+  };
+};
+
+/**
+ * Wraps the challenge of a WebAuthn ceremony in a short-lived signed token, so
+ * the server does not have to keep state between the options and verify steps.
+ * @param {string} purpose - ACTION_PURPOSES.WEBAUTHN_REGISTRATION or WEBAUTHN_AUTHENTICATION.
+ * @param {string} challenge - The challenge from the generated options.
+ * @param {object} [user] - The user document, for registration.
+ * @returns {string} - The challenge token.
+ */
+const issueWebAuthnChallenge = (purpose, challenge, user) => {
+  const { token } = generateActionToken({
+    purpose,
+    userId: user && user._id,
+    expiresIn: process.env.WEBAUTHN_CHALLENGE_EXPIRES_IN || '5m',
+    claims: { challenge },
+  });
+  return token;
+};
+
+/**
+ * Verifies a challenge token and uses it up, so every challenge can only be
+ * answered once. Used tokens are recorded in the revocation store.
+ * @param {string} challengeToken - The token returned with the options.
+ * @param {string} purpose - The purpose the token must have been issued for.
+ * @returns {Promise<object|null>} - The payload (`challenge`, `id`, ...), or null if invalid or used.
+ */
+const consumeWebAuthnChallenge = async (challengeToken, purpose) => {
+  const payload = verifyActionToken(challengeToken, purpose);
+  if (!payload) {
+    return null;
+  }
+  const store = getRevocationStore();
+  if (await store.isRevoked(payload.jti)) {
+    return null;
+  }
+  await store.revoke(payload.jti, new Date(payload.exp * 1000));
+  return payload;
+};
+
+/**
+ * Sends a response that hands a token pair to the client. In cookie mode the
+ * tokens are set as HttpOnly cookies and only the CSRF token is returned in the
+ * body; otherwise the tokens are returned in the body.
+ * @param {object} res - The response object from Express.
+ * @param {number} status - The HTTP status code.
+ * @param {object} body - The response body (message, user data, ...).
+ * @param {{token: string, refreshToken: string}} tokens - The token pair.
+ */
+const sendTokenResponse = (res, status, { message, ...rest }, tokens) => {
+  const credentials = cookieUtils.isCookieModeEnabled()
+    ? { csrfToken: cookieUtils.setAuthCookies(res, tokens) }
+    : tokens;
+  res.status(status).json({ message, ...credentials, ...rest });
+};
+
+/**
+ * Completes a login once the first factor (password, magic link, external
+ * provider) has been checked: users with two-factor authentication get an mfa
+ * pending token, everybody else the token pair.
+ * @param {object} req - The request object from Express.
+ * @param {object} res - The response object from Express.
+ * @param {object} user - The user document.
+ * @returns {Promise<void>}
+ */
+const sendLoginResponse = async (req, res, user) => {
+  if (user.mfaEnabled) {
+    const mfaToken = await startMfaChallenge(user);
+    return res.status(200).json({
+      message: 'Two-factor authentication required',
+      mfaRequired: true,
+      mfaToken,
+    });
+  }
+
+  const tokens = await generateTokenPair(user, req);
+  sendTokenResponse(res, 200, {
+    message: 'Logged in successfully',
+    user: {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+    },
+  }, tokens);
+};
+
+/**
+ * Tells whether an admin may impersonate a user. Nobody can impersonate a user
+ * whose role grants a permission their own role lacks or denies, or a user who
+ * can impersonate others (another admin).
+ * @param {string} actorRole - The admin's role.
+ * @param {string} targetRole - The target user's role.
+ * @returns {Promise<boolean>} - True if the impersonation is allowed.
+ */
+const canImpersonate = async (actorRole, targetRole) => {
+  const actorPermissions = await getRolePermissions(actorRole);
+  const targetPermissions = await getRolePermissions(targetRole);
+  if (hasPermission(targetPermissions, 'impersonate:user')) {
+    return false;
+  }
+  const grantsNoMore = targetPermissions.every(permission => isDenied(permission) || hasPermission(actorPermissions, permission));
+  const deniesAsMuch = actorPermissions.filter(isDenied).every(denied => !hasPermission(targetPermissions, denied.slice(1)));
+  return grantsNoMore && deniesAsMuch;
+};
+
+/**
+ * Runs a Passport strategy and resolves with its outcome instead of letting
+ * Passport write the response.
+ * @param {object} strategy - The Passport strategy.
+ * @param {object} req - The request object from Express.
+ * @param {object} res - The response object from Express.
+ * @returns {Promise<{result: *, info: object, status: number}>} - The authenticated
+ * result (false on failure), the failure info and the failure status.
+ */
+const runStrategy = (strategy, req, res) => {
+  return new Promise((resolve, reject) => {
+    passport.authenticate(strategy, { session: false }, (err, result, info, status) => {
+      return err ? reject(err) : resolve({ result, info, status });
+    })(req, res, reject);
+  });
+};
+
+/**
+ * Finds the user an external identity belongs to, linking it on first use.
+ * - A known identity logs its user in.
+ * - When `linkUserId` is set, the identity is linked to that (logged-in) user.
+ * - Otherwise a user with the same email address is linked automatically, but
+ *   only if the provider says the address is verified (and OIDC_AUTO_LINK is not
+ *   'false'); without such a user, a new user is created.
+ * @param {object} identity - The identity from the OIDC strategy.
+ * @param {string} identity.provider - The provider name.
+ * @param {object} identity.claims - The validated ID token claims.
+ * @param {string} [identity.linkUserId] - The user to link the identity to.
+ * @returns {Promise<{user?: object, identity?: object, status?: number, error?: string}>}
+ */
+const resolveFederatedIdentity = async ({ provider, claims, linkUserId }) => {
+  const existing = await FederatedIdentity.findOne({ provider, subject: claims.sub });
+
+  // Linking from a logged-in account
+  if (linkUserId) {
+    if (existing && String(existing.user) !== String(linkUserId)) {
+      return { status: 409, error: 'This external account is already linked to another user' };
+    }
+    const identity = existing || await FederatedIdentity.create({
+      provider,
+      subject: claims.sub,
+      user: linkUserId,
+      email: claims.email,
+    });
+    return { identity, user: await User.findById(linkUserId) };
+  }
+
+  if (existing) {
+    existing.lastLoginAt = new Date();
+    await existing.save();
+    return { identity: existing, user: await User.findById(existing.user) };
+  }
+
+  if (!claims.email) {
+    return { status: 401, error: 'The identity provider did not share an email address' };
+  }
+
+  let user = await User.findOne({ email: claims.email.toLowerCase() });
+  if (user) {
+    // Whoever controls an unverified address must not take over the account
+    if (claims.email_verified !== true || process.env.OIDC_AUTO_LINK === 'false') {
+      return {
+        status: 409,
+        error: 'An account with this email already exists. Log in and link the provider from your profile.',
+      };
+    }
+  } else {
+    // The random password is never shown; the user can set one with forgot-password
+    user = await User.create({
+      email: claims.email,
+      password: crypto.randomBytes(32).toString('hex'),
+      isEmailVerified: claims.email_verified === true,
+    });
+  }
+
+  const identity = await FederatedIdentity.create({
+    provider,
+    subject: claims.sub,
+    user: user._id,
+    email: claims.email,
+    lastLoginAt: new Date(),
+  });
+  return { identity, user };
+};
+
+/**
+ * Reads the refresh token from the request body, or from its cookie in cookie mode.
+ * @param {object} req - The request object from Express.
+ * @returns {{refreshToken: (string|null), fromCookie: boolean}} The refresh token and where it came from.
+ */
+const readRefreshToken = (req) => {
+  const fromBody = req.body && req.body.refreshToken;
+  if (fromBody) {
+    return { refreshToken: fromBody, fromCookie: false };
+  }
+  if (cookieUtils.isCookieModeEnabled()) {
+    return { refreshToken: cookieUtils.getCookie(req, cookieUtils.COOKIE_NAMES.REFRESH), fromCookie: true };
+  }
+  return { refreshToken: null, fromCookie: false };
+};
+
+// ----------------------------------------------------
+// 3. AUTHENTICATION & REGISTRATION CONTROLLER FUNCTIONS
+// ----------------------------------------------------
+
+/**
+ * @desc    Registers a new user in the system.
+ * @route   POST /api/v1/auth/register
+ * @access  Public
+ * @param   {object} req - The request object from Express.
+ * @param   {object} res - The response object from Express.
+ */
+exports.register = async (req, res) => {
+  try {
+    const { email, password, role } = req.body;
+
+    // Check if the user already exists
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({ message: 'User with this email already exists' });
+    }
+
+    // Create a new user instance
+    const newUser = new User({ email, password, role });
+    await newUser.save();
+
+    // Send the email verification link. A delivery failure must not fail the
+    // registration: the user can ask for a new link later.
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (mailError) {
+      console.error('Error sending verification email:', mailError);
+    }
+
+    // In 'block' mode the user cannot use the account before verifying the email
+    if (getEmailVerificationMode() === 'block') {
+      return res.status(201).json({
+        message: 'User registered successfully. Please verify your email address before logging in.',
+        user: {
+          id: newUser._id,
+          email: newUser.email,
+          role: newUser.role,
+        },
+      });
+    }
+
+    // Generate an access token and a refresh token for the newly created user
+    const tokens = await generateTokenPair(newUser, req);
+
+    // Respond with success message, user data, and the tokens
+    sendTokenResponse(res, 201, {
+      message: 'User registered successfully',
+      user: {
+        id: newUser._id,
+        email: newUser.email,
+        role: newUser.role,
+      },
+    }, tokens);
+  } catch (error) {
+    console.error('Error during user registration:', error);
+    res.status(500).json({ message: 'Server error during registration' });
+  }
+};
+
+/**
+ * @desc    Authenticates a user and generates a JWT upon successful login.
+ * @route   POST /api/v1/auth/login
+ * @access  Public
+ * @details Failed attempts are counted per account and per IP address: each one
+ * delays the next attempt a little more, and reaching the threshold locks the
+ * account or the address for a while.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // Refuse locked accounts and addresses, and slow down repeated failures
+    const attemptKeys = getLoginAttemptKeys(email, req.ip);
+    const throttle = await checkLoginThrottle(attemptKeys);
+    if (throttle.lock) {
+      return sendLockedResponse(res, throttle.lock);
+    }
+    await delayLogin(throttle.failures);
+
+    // Find the user by email and explicitly select the password field
+    const user = await User.findOne({ email }).select('+password');
+
+    // Compare the provided password with the stored hashed password
+    const isMatch = user ? await bcrypt.compare(password, user.password) : false;
+    if (!isMatch) {
+      const lock = await recordLoginFailure(attemptKeys);
+      if (lock) {
+        return sendLockedResponse(res, lock);
+      }
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    // In 'block' mode unverified users cannot log in
+    if (getEmailVerificationMode() === 'block' && !user.isEmailVerified) {
+      return res.status(403).json({
+        message: 'Please verify your email address before logging in',
+        code: 'email_not_verified',
+      });
+    }
+
+    // With two-factor authentication the password is only the first step: the
+    // client must exchange the mfa pending token and a code at /mfa/verify.
+    // Wrong codes count as failed logins, so the failure count is kept until then.
+    if (user.mfaEnabled) {
+      const mfaToken = await startMfaChallenge(user);
+      return res.status(200).json({
+        message: 'Two-factor authentication required',
+        mfaRequired: true,
+        mfaToken,
+      });
+    }
+
+    // The login succeeded: the account's failure count starts over
+    await getLoginAttemptStore().reset(attemptKeys.account);
+
+    // Generate an access token and a refresh token for the authenticated user
+    const tokens = await generateTokenPair(user, req);
+
+    // Respond with a success message, the tokens, and user data (without password)
+    sendTokenResponse(res, 200, {
+      message: 'Logged in successfully',
+      user: {
+        id: user._id,
+        email: user.email,
+        role: user.role,
+      },
+    }, tokens);
+  } catch (error) {
+    console.error('Error during user login:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+};
+
+/**
+ * @desc    Completes a two-step login with a TOTP code or a recovery code.
+ * @route   POST /api/v1/auth/mfa/verify
+ * @access  Public
+ * @details Takes the mfa pending token returned by login. The pending token is
+ * single-use, and after too many wrong codes it is invalidated, so the user has
+ * to start over with the password. Wrong codes also count as failed logins of
+ * the account, so starting over does not give a fresh set of guesses, and
+ * locked accounts and addresses are refused.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.verifyMfa = async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+    const invalidChallenge = {
+      message: 'The two-factor login is invalid or has expired. Please log in again.',
+      code: 'mfa_challenge_invalid',
+    };
+
+    const payload = verifyActionToken(mfaToken, ACTION_PURPOSES.MFA_LOGIN);
+    if (!payload) {
+      return res.status(401).json(invalidChallenge);
+    }
+
+    const challenge = { _id: payload.id, mfaChallengeJti: payload.jti };
+    const user = await User.findOne(challenge).select('+mfaSecret');
+    if (!user || !user.isActive || !user.mfaEnabled) {
+      return res.status(401).json(invalidChallenge);
+    }
+
+    // Refuse locked accounts and addresses, and slow down repeated failures
+    const attemptKeys = getLoginAttemptKeys(user.email, req.ip);
+    const throttle = await checkLoginThrottle(attemptKeys);
+    if (throttle.lock) {
+      return sendLockedResponse(res, throttle.lock);
+    }
+    await delayLogin(throttle.failures);
+
+    // Check the code; each TOTP code and each recovery code works only once
+    let accepted = false;
+    if (code) {
+      const step = mfaUtils.verifyTotp(user.mfaSecret, code);
+      accepted = step !== null && await consumeTotpStep(user._id, step);
+    } else {
+      accepted = await consumeRecoveryCode(user._id, recoveryCode);
+    }
+
+    if (!accepted) {
+      // Count the failure, and end the challenge once there were too many
+      const updated = await User.findOneAndUpdate(challenge, { $inc: { mfaChallengeAttempts: 1 } }, { new: true })
+        .select('+mfaChallengeAttempts');
+      if (updated && updated.mfaChallengeAttempts >= MFA_MAX_ATTEMPTS) {
+        await User.updateOne(challenge, { $unset: { mfaChallengeJti: 1, mfaChallengeAttempts: 1 } });
+      }
+      const lock = await recordLoginFailure(attemptKeys);
+      if (lock) {
+        return sendLockedResponse(res, lock);
+      }
+      return res.status(401).json({ message: 'Invalid two-factor code', code: 'mfa_code_invalid' });
+    }
+
+    // End the challenge, so the mfa pending token cannot be used again
+    const ended = await User.updateOne(challenge, { $unset: { mfaChallengeJti: 1, mfaChallengeAttempts: 1 } });
+    if (ended.modifiedCount === 0) {
+      return res.status(401).json(invalidChallenge);
+    }
+
+    // The login succeeded: the account's failure count starts over
+    await getLoginAttemptStore().reset(attemptKeys.account);
+
+    const tokens = await generateTokenPair(user, req);
+    sendTokenResponse(res, 200, {
+      message: 'Logged in successfully',
+      user: {
+        id: user._id,
+        email: user.email,
+        role: user.role,
+      },
+    }, tokens);
+  } catch (error) {
+    console.error('Error during two-factor login:', error);
+    res.status(500).json({ message: 'Server error during two-factor login' });
+  }
+};
+
+/**
+ * @desc    Exchanges a refresh token for a new access token and refresh token.
+ * @route   POST /api/v1/auth/refresh
+ * @access  Public
+ * @details Refresh tokens are single-use. Presenting a token that has already
+ * been exchanged is treated as theft: the whole token family is revoked and the
+ * user has to log in again. In cookie mode the refresh token may come from its
+ * cookie, in which case the CSRF token must be sent as well.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken, fromCookie } = readRefreshToken(req);
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+    if (fromCookie && !cookieUtils.verifyCsrfToken(req)) {
+      return res.status(403).json({ message: 'Missing or invalid CSRF token' });
+    }
+
+    // Verify the signature and expiry of the refresh token
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    } catch (err) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    // Mark the token as used. This fails if it was already used or revoked.
+    const consumed = await RefreshToken.consume(decoded.jti);
+    if (!consumed) {
+      const stored = await RefreshToken.findOne({ jti: decoded.jti });
+      if (stored && stored.usedAt) {
+        // The token was exchanged before: someone is replaying it. End the session.
+        await endSession(stored.family);
+        console.warn(`Refresh token reuse detected for user ${stored.user}; family ${stored.family} revoked.`);
+      }
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    // Make sure the user still exists and has not been deactivated
+    const user = await User.findById(consumed.user);
+    if (!user || !user.isActive) {
+      await endSession(consumed.family);
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    // Families issued before sessions existed are not session IDs: they move to a new session
+    const session = /^[0-9a-f]{24}$/.test(consumed.family) && await Session.findById(consumed.family);
+    if (session && session.revokedAt) {
+      await RefreshToken.revokeFamily(consumed.family);
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    // Rotate: issue a new pair that continues the same session
+    const tokens = await generateTokenPair(user, req, session ? session._id : undefined);
+
+    sendTokenResponse(res, 200, { message: 'Token refreshed successfully' }, tokens);
+  } catch (error) {
+    console.error('Error during token refresh:', error);
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+};
+
+/**
+ * @desc    Logs the user out of the current session.
+ * @route   POST /api/v1/auth/logout
+ * @access  Private
+ * @details Revokes the access token used for this request. If the matching
+ * refresh token is sent in the body (or its cookie), its whole family is revoked
+ * as well. In cookie mode the auth cookies are cleared.
+ * @param   {object} req - The request object, containing the token payload from authMiddleware.
+ * @param   {object} res - The response object.
+ */
+exports.logout = async (req, res) => {
+  try {
+    const { jti, exp, id, sid } = req.user;
+
+    // Deny the access token until it would have expired anyway
+    if (jti) {
+      await getRevocationStore().revoke(jti, new Date(exp * 1000));
+    }
+
+    // End the session the access token belongs to
+    if (sid) {
+      await endSession(sid);
+    }
+
+    // Revoke the refresh token family of this login, if the client sent it
+    const { refreshToken } = readRefreshToken(req);
+    if (refreshToken) {
+      try {
+        const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+        if (String(decoded.id) === String(id)) {
+          await endSession(decoded.family);
+        }
+      } catch (err) {
+        // An invalid or expired refresh token cannot be used anymore; nothing to revoke.
+      }
+    }
+
+    if (cookieUtils.isCookieModeEnabled()) {
+      cookieUtils.clearAuthCookies(res);
+    }
+
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error during logout:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+};
+
+/**
+ * @desc    Logs the user out of every session on every device.
+ * @route   POST /api/v1/auth/logout-all
+ * @access  Private
+ * @details Revokes every access token issued to the user so far and every
+ * refresh token family belonging to them.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.logoutAll = async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id);
+
+    if (cookieUtils.isCookieModeEnabled()) {
+      cookieUtils.clearAuthCookies(res);
+    }
+
+    res.status(200).json({ message: 'Logged out of all sessions successfully' });
+  } catch (error) {
+    console.error('Error during logout from all sessions:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+};
+
+/**
+ * @desc    Verifies a user's email address with the token from the verification email.
+ * @route   POST /api/v1/auth/verify-email
+ * @access  Public
+ * @details Verification tokens are signed, expire, and can be used only once:
+ * the token's ID must match the one stored on the user, and is cleared on use.
+ * Tokens issued afterwards carry `email_verified: true`.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.verifyEmail = async (req, res) => {
+  try {
+    const decoded = verifyActionToken(req.body.token, ACTION_PURPOSES.EMAIL_VERIFICATION);
+    if (!decoded) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    // Consume the token: only the latest token issued for this address is accepted
+    const user = await User.findOneAndUpdate(
+      { _id: decoded.id, email: decoded.email, emailVerificationJti: decoded.jti },
+      { isEmailVerified: true, $unset: { emailVerificationJti: 1 } },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    res.status(200).json({
+      message: 'Email verified successfully',
+      user: {
+        id: user._id,
+        email: user.email,
+        isEmailVerified: user.isEmailVerified,
+      },
+    });
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    res.status(500).json({ message: 'Server error during email verification' });
+  }
+};
+
+/**
+ * @desc    Sends a new verification email.
+ * @route   POST /api/v1/auth/resend-verification
+ * @access  Public
+ * @details Always responds the same way, whether or not the address belongs to
+ * an unverified account, so the endpoint cannot be used to discover accounts.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.resendVerification = async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (user && !user.isEmailVerified) {
+      await sendVerificationEmail(user);
+    }
+
+    res.status(200).json({
+      message: 'If an unverified account exists for this email, a new verification link has been sent',
+    });
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    res.status(500).json({ message: 'Server error while sending the verification email' });
+  }
+};
+
+/**
+ * @desc    Emails a passwordless login link.
+ * @route   POST /api/v1/auth/magic-link
+ * @access  Public
+ * @details Always responds the same way, whether or not the email belongs to an
+ * account. The link is signed, bound to the email address, expires after
+ * MAGIC_LINK_EXPIRES_IN and works once; requesting a new link invalidates the
+ * previous one. At most one link per MAGIC_LINK_COOLDOWN is sent to an address.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.requestMagicLink = async (req, res) => {
+  try {
+    const { email } = req.body;
+    const now = new Date();
+    const cooldownStart = new Date(now.getTime() - ms(process.env.MAGIC_LINK_COOLDOWN || '1m'));
+
+    // Claim the send slot atomically, so parallel requests cannot bypass the cooldown
+    const user = await User.findOneAndUpdate(
+      {
+        email,
+        isActive: true,
+        $or: [{ magicLinkSentAt: { $exists: false } }, { magicLinkSentAt: { $lte: cooldownStart } }],
+      },
+      { magicLinkSentAt: now },
+      { new: true }
+    );
+
+    if (user) {
+      const { token, jti } = generateActionToken({
+        purpose: ACTION_PURPOSES.MAGIC_LINK,
+        userId: user._id,
+        email: user.email,
+        expiresIn: process.env.MAGIC_LINK_EXPIRES_IN || '15m',
+      });
+      await User.updateOne({ _id: user._id }, { magicLinkJti: jti });
+
+      const baseUrl = process.env.MAGIC_LINK_URL || 'http://localhost:3000/magic-link';
+      const link = `${baseUrl}?token=${encodeURIComponent(token)}`;
+
+      // Do not wait for delivery, so the response time does not reveal whether the account exists
+      sendMail({
+        to: user.email,
+        subject: 'Your login link',
+        text: `Open this link to log in:
+
+${link}
+
+The link works once and expires soon. If you did not ask for it, you can ignore this email.`,
+      }).catch(mailError => console.error('Error sending magic link email:', mailError));
+    }
+
+    res.status(200).json({
+      message: 'If an account exists for this email, a login link has been sent',
+    });
+  } catch (error) {
+    console.error('Error sending magic link:', error);
+    res.status(500).json({ message: 'Server error while sending the login link' });
+  }
+};
+
+/**
+ * @desc    Logs a user in with the token from a magic link.
+ * @route   POST /api/v1/auth/magic-link/consume
+ * @access  Public
+ * @details Issues the same response as the password login. Opening the link
+ * proves the user owns the email address, so it is marked as verified. Users
+ * with two-factor authentication still have to complete the second step.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.consumeMagicLink = async (req, res) => {
+  try {
+    const decoded = verifyActionToken(req.body.token, ACTION_PURPOSES.MAGIC_LINK);
+    if (!decoded) {
+      return res.status(401).json({ message: 'Invalid or expired login link' });
+    }
+
+    // Consume the token: only the latest link sent to this address is accepted
+    const user = await User.findOneAndUpdate(
+      { _id: decoded.id, email: decoded.email, magicLinkJti: decoded.jti, isActive: true },
+      { isEmailVerified: true, $unset: { magicLinkJti: 1 } },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid or expired login link' });
+    }
+
+    // The link replaces the password, not the second factor
+    await sendLoginResponse(req, res, user);
+  } catch (error) {
+    console.error('Error during magic link login:', error);
+    res.status(500).json({ message: 'Server error during magic link login' });
+  }
+};
+
+/**
+ * @desc    Emails a password reset link.
+ * @route   POST /api/v1/auth/forgot-password
+ * @access  Public
+ * @details Always responds the same way, whether or not the email belongs to an
+ * account. The link carries a random token; only its hash is stored on the user,
+ * together with its expiry. Requesting a new link invalidates the previous one.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.forgotPassword = async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (user && user.isActive) {
+      const resetToken = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(Date.now() + ms(process.env.PASSWORD_RESET_EXPIRES_IN || '1h'));
+      await User.updateOne(
+        { _id: user._id },
+        { passwordResetTokenHash: hashResetToken(resetToken), passwordResetExpiresAt: expiresAt }
+      );
+
+      const baseUrl = process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password';
+      const link = `${baseUrl}?token=${resetToken}`;
+
+      // Do not wait for delivery, so the response time does not reveal whether the account exists
+      sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Someone asked to reset the password of your account. Open this link to choose a new password:\n\n${link}\n\nThe link expires at ${expiresAt.toISOString()}. If you did not ask for this, you can ignore this email.`,
+      }).catch(mailError => console.error('Error sending password reset email:', mailError));
+    }
+
+    res.status(200).json({
+      message: 'If an account exists for this email, a password reset link has been sent',
+    });
+  } catch (error) {
+    console.error('Error during forgot password:', error);
+    res.status(500).json({ message: 'Server error during password reset request' });
+  }
+};
+
+/**
+ * @desc    Sets a new password using the token from the reset email.
+ * @route   POST /api/v1/auth/reset-password
+ * @access  Public
+ * @details The token must match the stored hash and must not have expired. It
+ * is cleared on use, and every existing session of the user is ended.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Consume the token atomically, so it cannot be used twice
+    const user = await User.findOneAndUpdate(
+      { passwordResetTokenHash: hashResetToken(token), passwordResetExpiresAt: { $gt: new Date() } },
+      { $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 } },
+      { new: true }
+    ).select('+password');
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired password reset token' });
+    }
+
+    // The pre-save hook hashes the new password. Receiving the link proves
+    // ownership of the email address as well.
+    user.password = password;
+    user.isEmailVerified = true;
+    user.tokenVersion += 1;
+    await user.save();
+
+    // Whoever knew the old password must not stay logged in
+    await revokeAllSessions(user._id);
+
+    res.status(200).json({ message: 'Password reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Error during password reset:', error);
+    res.status(500).json({ message: 'Server error during password reset' });
+  }
+};
+
+// ---------------------------------------------
+// 4. USER PROFILE MANAGEMENT CONTROLLER FUNCTIONS
+// ---------------------------------------------
+
+/**
+ * @desc    Gets the profile of the authenticated user.
+ * @route   GET /api/v1/auth/profile
+ * @access  Private
+ * @param   {object} req - The request object, containing the user ID from authMiddleware.
+ * @param   {object} res - The response object.
+ */
+exports.getProfile = async (req, res) => {
+  try {
+    // Get the user ID from the JWT payload added by the authMiddleware
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(200).json({
+      message: 'Profile fetched successfully',
+      user: {
+        id: user._id,
+        email: user.email,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching user profile:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Updates the profile of the authenticated user.
+ * @route   PATCH /api/v1/auth/profile
+ * @access  Private
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.updateProfile = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { email, role } = req.body; // Role cannot be changed by the user themselves
+
+    const currentUser = await User.findById(userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // A new email address has to be verified again
+    const update = { email };
+    const emailChanged = email !== undefined && email.toLowerCase() !== currentUser.email;
+    if (emailChanged) {
+      update.isEmailVerified = false;
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      userId,
+      update,
+      { new: true, runValidators: true } // Return the updated document and run schema validators
+    ).select('-password');
+
+    if (!updatedUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(updatedUser);
+      } catch (mailError) {
+        console.error('Error sending verification email:', mailError);
+      }
+    }
+
+    res.status(200).json({
+      message: 'Profile updated successfully',
+      user: updatedUser,
+    });
+  } catch (error) {
+    console.error('Error updating user profile:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Changes the password of the authenticated user.
+ * @route   PATCH /api/v1/auth/change-password
+ * @access  Private
+ * @details Requires the current password. Bumps the user's `tokenVersion`, so
+ * every access token issued before the change stops working, and revokes every
+ * refresh token. The caller receives a fresh token pair to stay logged in.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Make sure the caller knows the current password
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    // The pre-save hook hashes the new password
+    user.password = newPassword;
+    user.tokenVersion += 1;
+    await user.save();
+
+    // Other devices must log in again with the new password
+    await RefreshToken.revokeAllForUser(user._id);
+    await Session.revokeAllForUser(user._id);
+
+    const tokens = await generateTokenPair(user, req);
+    sendTokenResponse(res, 200, { message: 'Password changed successfully' }, tokens);
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ message: 'Server error while changing the password' });
+  }
+};
+
+/**
+ * @desc    Lists the authenticated user's active sessions (logged-in devices).
+ * @route   GET /api/v1/auth/sessions
+ * @access  Private
+ * @details `current` marks the session of the token used for this request.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+
+    res.status(200).json({
+      message: 'Sessions fetched successfully',
+      count: sessions.length,
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: String(session._id) === String(req.user.sid),
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ message: 'Server error while fetching the sessions' });
+  }
+};
+
+/**
+ * @desc    Revokes one of the authenticated user's sessions.
+ * @route   DELETE /api/v1/auth/sessions/:id
+ * @access  Private
+ * @details Logs the device out: its refresh token stops working immediately and
+ * authMiddleware rejects its access tokens.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.deleteSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user.id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await endSession(session._id);
+
+    res.status(200).json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ message: 'Server error while revoking the session' });
+  }
+};
+
+/**
+ * @desc    Switches the organization the user works in on this device.
+ * @route   POST /api/v1/auth/switch-organization
+ * @access  Private
+ * @details Takes `organizationId`, an organization the user is a member of, or
+ * null to work outside any organization. The session remembers it, and the
+ * returned token pair (also after refreshes) carries it in the `org` claim.
+ * Only tokens from a login (with a session) can switch.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.switchOrganization = async (req, res) => {
+  try {
+    if (!req.user.sid) {
+      return res.status(400).json({ message: 'Only tokens issued by a login can switch organizations' });
+    }
+
+    const { organizationId } = req.body;
+    let membership = null;
+    if (organizationId) {
+      membership = await Membership.findOne({ organization: organizationId, user: req.user.id })
+        .populate('organization', 'name slug');
+      if (!membership || !membership.organization) {
+        return res.status(404).json({ message: 'Organization not found' });
+      }
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    await Session.updateOne({ _id: req.user.sid }, { organization: organizationId || null });
+
+    const tokens = await generateTokenPair(user, req, req.user.sid);
+    sendTokenResponse(res, 200, {
+      message: membership ? 'Switched organization successfully' : 'Left the active organization',
+      organization: membership && {
+        id: membership.organization._id,
+        name: membership.organization.name,
+        slug: membership.organization.slug,
+        role: membership.role,
+      },
+    }, tokens);
+  } catch (error) {
+    console.error('Error switching organization:', error);
+    res.status(500).json({ message: 'Server error while switching the organization' });
+  }
+};
+
+// ---------------------------------------------
+// 5. TWO-FACTOR AUTHENTICATION CONTROLLER FUNCTIONS
+// ---------------------------------------------
+
+/**
+ * @desc    Starts enrolling the authenticated user in TOTP two-factor authentication.
+ * @route   POST /api/v1/auth/mfa/totp/setup
+ * @access  Private
+ * @details Generates a new secret and returns it with its otpauth URI (to be
+ * shown as a QR code). 2FA is only enabled once a first code is confirmed.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.setupTotp = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.mfaEnabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = mfaUtils.generateTotpSecret();
+    await User.updateOne({ _id: user._id }, { $set: { mfaSecret: secret }, $unset: { mfaLastUsedStep: 1 } });
+
+    res.status(200).json({
+      message: 'Scan the QR code with your authenticator app, then confirm a code',
+      secret,
+      otpauthUri: mfaUtils.buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: process.env.MFA_ISSUER || 'Quilox Auth',
+      }),
+    });
+  } catch (error) {
+    console.error('Error starting two-factor enrollment:', error);
+    res.status(500).json({ message: 'Server error while starting two-factor enrollment' });
+  }
+};
+
+/**
+ * @desc    Confirms the TOTP enrollment with a first code and enables 2FA.
+ * @route   POST /api/v1/auth/mfa/totp/confirm
+ * @access  Private
+ * @details Returns the recovery codes (only this once) and a fresh token pair,
+ * which no longer carries the `mfa_enrollment_required` restriction.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.confirmTotp = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+mfaSecret');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.mfaEnabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.mfaSecret) {
+      return res.status(400).json({ message: 'Two-factor enrollment has not been started' });
+    }
+
+    const step = mfaUtils.verifyTotp(user.mfaSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid two-factor code', code: 'mfa_code_invalid' });
+    }
+
+    const { codes, hashes } = mfaUtils.generateRecoveryCodes();
+    user.mfaEnabled = true;
+    user.mfaLastUsedStep = step;
+    user.mfaRecoveryCodes = hashes;
+    await user.save();
+
+    const tokens = await generateTokenPair(user, req, req.user.sid);
+    sendTokenResponse(res, 200, {
+      message: 'Two-factor authentication enabled. Store the recovery codes in a safe place.',
+      recoveryCodes: codes,
+    }, tokens);
+  } catch (error) {
+    console.error('Error confirming two-factor enrollment:', error);
+    res.status(500).json({ message: 'Server error while confirming two-factor enrollment' });
+  }
+};
+
+/**
+ * @desc    Replaces the recovery codes of the authenticated user.
+ * @route   POST /api/v1/auth/mfa/recovery-codes
+ * @access  Private
+ * @details Requires a current TOTP code. All previous recovery codes stop working.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    if (!await checkTotpCode(req.user.id, req.body.code)) {
+      return res.status(400).json({ message: 'Invalid two-factor code', code: 'mfa_code_invalid' });
+    }
+
+    const { codes, hashes } = mfaUtils.generateRecoveryCodes();
+    await User.updateOne({ _id: req.user.id }, { mfaRecoveryCodes: hashes });
+
+    res.status(200).json({
+      message: 'New recovery codes generated. The previous codes no longer work.',
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    console.error('Error generating recovery codes:', error);
+    res.status(500).json({ message: 'Server error while generating recovery codes' });
+  }
+};
+
+/**
+ * @desc    Turns off two-factor authentication for the authenticated user.
+ * @route   POST /api/v1/auth/mfa/totp/disable
+ * @access  Private
+ * @details Requires a current TOTP code. Not allowed for roles listed in
+ * MFA_REQUIRED_ROLES.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.disableTotp = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (mfaUtils.getMfaRequiredRoles().includes(user.role)) {
+      return res.status(403).json({ message: 'Two-factor authentication is mandatory for your role' });
+    }
+    if (!await checkTotpCode(user._id, req.body.code)) {
+      return res.status(400).json({ message: 'Invalid two-factor code', code: 'mfa_code_invalid' });
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      $set: { mfaEnabled: false },
+      $unset: {
+        mfaSecret: 1,
+        mfaLastUsedStep: 1,
+        mfaRecoveryCodes: 1,
+        mfaChallengeJti: 1,
+        mfaChallengeAttempts: 1,
+      },
+    });
+
+    res.status(200).json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({ message: 'Server error while disabling two-factor authentication' });
+  }
+};
+
+// ---------------------------------------------
+// 6. PASSKEY (WEBAUTHN) CONTROLLER FUNCTIONS
+// ---------------------------------------------
+
+/**
+ * @desc    Starts registering a passkey for the authenticated user.
+ * @route   POST /api/v1/auth/passkeys/register/options
+ * @access  Private
+ * @details Returns the options for `navigator.credentials.create()` and a
+ * challenge token that must be sent back with the authenticator's response.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.passkeyRegistrationOptions = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
 
-// ----------------------------------------------------
-// 3. AUTHENTICATION & REGISTRATION CONTROLLER FUNCTIONS
-// ----------------------------------------------------
+    // Keep the authenticator from registering a second passkey for the same account
+    const existing = await Passkey.find({ user: user._id });
+    const { rpID, rpName } = getWebAuthnConfig();
+    const options = await webauthn.generateRegistrationOptions({
+      rpName,
+      rpID,
+      userName: user.email,
+      userID: Buffer.from(String(user._id)),
+      attestationType: 'none',
+      excludeCredentials: existing.map(passkey => ({ id: passkey.credentialId, transports: passkey.transports })),
+      authenticatorSelection: {
+        residentKey: 'required',
+        userVerification: 'required',
+      },
+    });
+
+    res.status(200).json({
+      options,
+      challengeToken: issueWebAuthnChallenge(ACTION_PURPOSES.WEBAUTHN_REGISTRATION, options.challenge, user),
+    });
+  } catch (error) {
+    console.error('Error generating passkey registration options:', error);
+    res.status(500).json({ message: 'Server error while starting passkey registration' });
+  }
+};
 
 /**
- * @desc    Registers a new user in the system.
- * @route   POST /api/v1/auth/register
- * @access  Public
- * @param   {object} req - The request object from Express.
- * @param   {object} res - The response object from Express.
+ * @desc    Verifies the authenticator's attestation and stores the new passkey.
+ * @route   POST /api/v1/auth/passkeys/register/verify
+ * @access  Private
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
  */
-exports.register = async (req, res) => {
+exports.passkeyRegistrationVerify = async (req, res) => {
   try {
-    const { email, password, role } = req.body;
+    const { challengeToken, response, name } = req.body;
 
-    // Check if the user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ message: 'User with this email already exists' });
+    const challenge = await consumeWebAuthnChallenge(challengeToken, ACTION_PURPOSES.WEBAUTHN_REGISTRATION);
+    if (!challenge || challenge.id !== String(req.user.id)) {
+      return res.status(400).json({ message: 'The passkey challenge is invalid or has expired', code: 'webauthn_challenge_invalid' });
     }
 
-    // Create a new user instance
-    const newUser = new User({ email, password, role });
-    await newUser.save();
+    const { rpID, origins } = getWebAuthnConfig();
+    let verification;
+    try {
+      verification = await webauthn.verifyRegistrationResponse({
+        response,
+        expectedChallenge: challenge.challenge,
+        expectedOrigin: origins,
+        expectedRPID: rpID,
+        requireUserVerification: true,
+      });
+    } catch (err) {
+      return res.status(400).json({ message: `Passkey registration failed: ${err.message}`, code: 'webauthn_verification_failed' });
+    }
+    if (!verification.verified) {
+      return res.status(400).json({ message: 'Passkey registration failed', code: 'webauthn_verification_failed' });
+    }
+
+    const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+    if (await Passkey.exists({ credentialId: credential.id })) {
+      return res.status(409).json({ message: 'This passkey is already registered' });
+    }
 
-    // Generate a JWT for the newly created user
-    const token = generateToken(newUser._id);
+    const passkey = await Passkey.create({
+      credentialId: credential.id,
+      user: req.user.id,
+      publicKey: Buffer.from(credential.publicKey),
+      counter: credential.counter,
+      transports: credential.transports,
+      deviceType: credentialDeviceType,
+      backedUp: credentialBackedUp,
+      name,
+    });
 
-    // Respond with success message, user data, and the token
     res.status(201).json({
-      message: 'User registered successfully',
-      token,
-      user: {
-        id: newUser._id,
-        email: newUser.email,
-        role: newUser.role,
+      message: 'Passkey registered successfully',
+      passkey: {
+        id: passkey._id,
+        name: passkey.name,
+        deviceType: passkey.deviceType,
+        createdAt: passkey.createdAt,
       },
     });
   } catch (error) {
-    console.error('Error during user registration:', error);
-    res.status(500).json({ message: 'Server error during registration' });
+    console.error('Error verifying passkey registration:', error);
+    res.status(500).json({ message: 'Server error while registering the passkey' });
   }
 };
 
 /**
- * @desc    Authenticates a user and generates a JWT upon successful login.
- * @route   POST /api/v1/auth/login
+ * @desc    Starts a passwordless login with a passkey.
+ * @route   POST /api/v1/auth/passkeys/login/options
  * @access  Public
+ * @details Returns the options for `navigator.credentials.get()`. The browser
+ * lets the user pick one of their passkeys for this site (discoverable credentials).
  * @param   {object} req - The request object.
  * @param   {object} res - The response object.
  */
-exports.login = async (req, res) => {
+exports.passkeyLoginOptions = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { rpID } = getWebAuthnConfig();
+    const options = await webauthn.generateAuthenticationOptions({
+      rpID,
+      userVerification: 'required',
+    });
 
-    // Find the user by email and explicitly select the password field
-    const user = await User.findOne({ email }).select('+password');
-    if (!user) {
+    res.status(200).json({
+      options,
+      challengeToken: issueWebAuthnChallenge(ACTION_PURPOSES.WEBAUTHN_AUTHENTICATION, options.challenge),
+    });
+  } catch (error) {
+    console.error('Error generating passkey login options:', error);
+    res.status(500).json({ message: 'Server error while starting passkey login' });
+  }
+};
+
+/**
+ * @desc    Verifies a passkey assertion and logs the user in.
+ * @route   POST /api/v1/auth/passkeys/login/verify
+ * @access  Public
+ * @details Issues the same token pair as the password login. A passkey with
+ * user verification is already multi-factor, so no TOTP code is asked for.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.passkeyLoginVerify = async (req, res) => {
+  try {
+    const { challengeToken, response } = req.body;
+
+    const challenge = await consumeWebAuthnChallenge(challengeToken, ACTION_PURPOSES.WEBAUTHN_AUTHENTICATION);
+    if (!challenge) {
+      return res.status(400).json({ message: 'The passkey challenge is invalid or has expired', code: 'webauthn_challenge_invalid' });
+    }
+
+    const passkey = await Passkey.findOne({ credentialId: response.id });
+    const user = passkey && await User.findById(passkey.user);
+    if (!user || !user.isActive) {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Compare the provided password with the stored hashed password
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
+    const { rpID, origins } = getWebAuthnConfig();
+    let verification;
+    try {
+      verification = await webauthn.verifyAuthenticationResponse({
+        response,
+        expectedChallenge: challenge.challenge,
+        expectedOrigin: origins,
+        expectedRPID: rpID,
+        requireUserVerification: true,
+        credential: {
+          id: passkey.credentialId,
+          publicKey: new Uint8Array(passkey.publicKey),
+          counter: passkey.counter,
+          transports: passkey.transports,
+        },
+      });
+    } catch (err) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+    if (!verification.verified) {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Generate a JWT for the authenticated user
-    const token = generateToken(user._id);
+    passkey.counter = verification.authenticationInfo.newCounter;
+    passkey.lastUsedAt = new Date();
+    await passkey.save();
 
-    // Respond with a success message, the token, and user data (without password)
-    res.status(200).json({
+    // In 'block' mode unverified users cannot log in
+    if (getEmailVerificationMode() === 'block' && !user.isEmailVerified) {
+      return res.status(403).json({
+        message: 'Please verify your email address before logging in',
+        code: 'email_not_verified',
+      });
+    }
+
+    const tokens = await generateTokenPair(user, req);
+    sendTokenResponse(res, 200, {
       message: 'Logged in successfully',
-      token,
       user: {
         id: user._id,
         email: user.email,
         role: user.role,
       },
+    }, tokens);
+  } catch (error) {
+    console.error('Error during passkey login:', error);
+    res.status(500).json({ message: 'Server error during passkey login' });
+  }
+};
+
+/**
+ * @desc    Lists the passkeys of the authenticated user.
+ * @route   GET /api/v1/auth/passkeys
+ * @access  Private
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.getPasskeys = async (req, res) => {
+  try {
+    const passkeys = await Passkey.find({ user: req.user.id })
+      .select('name deviceType backedUp lastUsedAt createdAt');
+    res.status(200).json({
+      message: 'Passkeys fetched successfully',
+      count: passkeys.length,
+      passkeys,
     });
   } catch (error) {
-    console.error('Error during user login:', error);
-    res.status(500).json({ message: 'Server error during login' });
+    console.error('Error fetching passkeys:', error);
+    res.status(500).json({ message: 'Server error while fetching passkeys' });
+  }
+};
+
+/**
+ * @desc    Deletes one of the authenticated user's passkeys.
+ * @route   DELETE /api/v1/auth/passkeys/:id
+ * @access  Private
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.deletePasskey = async (req, res) => {
+  try {
+    const deleted = await Passkey.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!deleted) {
+      return res.status(404).json({ message: 'Passkey not found' });
+    }
+    res.status(200).json({ message: 'Passkey deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting passkey:', error);
+    res.status(500).json({ message: 'Server error while deleting the passkey' });
   }
 };
 
 // ---------------------------------------------
-// 4. USER PROFILE MANAGEMENT CONTROLLER FUNCTIONS
+// 7. FEDERATED LOGIN (OPENID CONNECT) CONTROLLER FUNCTIONS
 // ---------------------------------------------
 
 /**
- * @desc    Gets the profile of the authenticated user.
- * @route   GET /api/v1/auth/profile
- * @access  Private
- * @param   {object} req - The request object, containing the user ID from authMiddleware.
+ * @desc    Redirects the user to an OpenID Connect provider to log in.
+ * @route   GET /api/v1/auth/oidc/:provider
+ * @access  Public
+ * @param   {object} req - The request object.
  * @param   {object} res - The response object.
  */
-exports.getProfile = async (req, res) => {
+exports.oidcLogin = async (req, res) => {
   try {
-    // Get the user ID from the JWT payload added by the authMiddleware
-    const user = await User.findById(req.user.id);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    const strategy = await getOidcStrategy(req.params.provider);
+    if (!strategy) {
+      return res.status(404).json({ message: 'Unknown identity provider' });
     }
-
-    res.status(200).json({
-      message: 'Profile fetched successfully',
-      user: {
-        id: user._id,
-        email: user.email,
-        role: user.role,
-      },
+    // The strategy redirects to the provider; it only calls back on errors
+    passport.authenticate(strategy, { session: false })(req, res, (err) => {
+      console.error('Error starting OIDC login:', err);
+      res.status(500).json({ message: 'Server error while contacting the identity provider' });
     });
   } catch (error) {
-    console.error('Error fetching user profile:', error);
-    res.status(500).json({ message: 'Server error' });
+    console.error('Error starting OIDC login:', error);
+    res.status(500).json({ message: 'Server error while contacting the identity provider' });
   }
 };
 
 /**
- * @desc    Updates the profile of the authenticated user.
- * @route   PATCH /api/v1/auth/profile
+ * @desc    Starts linking an external account to the authenticated user.
+ * @route   POST /api/v1/auth/oidc/:provider/link
  * @access  Private
+ * @details Returns the provider's `authorizationUrl` for the frontend to open.
+ * The callback then links the external account instead of logging in.
  * @param   {object} req - The request object.
  * @param   {object} res - The response object.
  */
-exports.updateProfile = async (req, res) => {
+exports.oidcLink = async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { email, role } = req.body; // Role cannot be changed by the user themselves
+    const strategy = await getOidcStrategy(req.params.provider);
+    if (!strategy) {
+      return res.status(404).json({ message: 'Unknown identity provider' });
+    }
+    passport.authenticate(strategy, {
+      session: false,
+      linkUserId: req.user.id,
+      returnAuthorizationUrl: true,
+    })(req, res, (err) => {
+      if (err) {
+        console.error('Error starting OIDC account linking:', err);
+        return res.status(500).json({ message: 'Server error while contacting the identity provider' });
+      }
+      res.status(200).json({ authorizationUrl: req.authorizationUrl });
+    });
+  } catch (error) {
+    console.error('Error starting OIDC account linking:', error);
+    res.status(500).json({ message: 'Server error while contacting the identity provider' });
+  }
+};
 
-    const updatedUser = await User.findByIdAndUpdate(
-      userId,
-      { email },
-      { new: true, runValidators: true } // Return the updated document and run schema validators
-    ).select('-password');
+/**
+ * @desc    Completes a login (or account linking) at an OpenID Connect provider.
+ * @route   GET /api/v1/auth/oidc/:provider/callback
+ * @access  Public
+ * @details The provider redirects here with an authorization code. Once the ID
+ * token is validated, the external account is linked to a user (see
+ * `resolveFederatedIdentity`) and the response is the same as the password login.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.oidcCallback = async (req, res) => {
+  try {
+    const strategy = await getOidcStrategy(req.params.provider);
+    if (!strategy) {
+      return res.status(404).json({ message: 'Unknown identity provider' });
+    }
 
-    if (!updatedUser) {
-      return res.status(404).json({ message: 'User not found' });
+    const { result: externalIdentity, info, status } = await runStrategy(strategy, req, res);
+    if (!externalIdentity) {
+      return res.status(status || 401).json({ message: (info && info.message) || 'Login with the identity provider failed' });
+    }
+
+    const { user, identity, status: errorStatus, error } = await resolveFederatedIdentity(externalIdentity);
+    if (error) {
+      return res.status(errorStatus).json({ message: error });
+    }
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    if (externalIdentity.linkUserId) {
+      return res.status(200).json({
+        message: 'External account linked successfully',
+        identity: {
+          id: identity._id,
+          provider: identity.provider,
+          email: identity.email,
+        },
+      });
+    }
+
+    // In 'block' mode unverified users cannot log in
+    if (getEmailVerificationMode() === 'block' && !user.isEmailVerified) {
+      return res.status(403).json({
+        message: 'Please verify your email address before logging in',
+        code: 'email_not_verified',
+      });
     }
 
+    await sendLoginResponse(req, res, user);
+  } catch (error) {
+    console.error('Error during OIDC login:', error);
+    res.status(500).json({ message: 'Server error during login with the identity provider' });
+  }
+};
+
+/**
+ * @desc    Lists the external accounts linked to the authenticated user.
+ * @route   GET /api/v1/auth/identities
+ * @access  Private
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.getIdentities = async (req, res) => {
+  try {
+    const identities = await FederatedIdentity.find({ user: req.user.id })
+      .select('provider email lastLoginAt createdAt');
     res.status(200).json({
-      message: 'Profile updated successfully',
-      user: updatedUser,
+      message: 'Linked accounts fetched successfully',
+      count: identities.length,
+      identities,
     });
   } catch (error) {
-    console.error('Error updating user profile:', error);
-    res.status(500).json({ message: 'Server error' });
+    console.error('Error fetching linked accounts:', error);
+    res.status(500).json({ message: 'Server error while fetching linked accounts' });
+  }
+};
+
+/**
+ * @desc    Unlinks an external account from the authenticated user.
+ * @route   DELETE /api/v1/auth/identities/:id
+ * @access  Private
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.deleteIdentity = async (req, res) => {
+  try {
+    const deleted = await FederatedIdentity.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!deleted) {
+      return res.status(404).json({ message: 'Linked account not found' });
+    }
+    res.status(200).json({ message: 'External account unlinked successfully' });
+  } catch (error) {
+    console.error('Error unlinking external account:', error);
+    res.status(500).json({ message: 'Server error while unlinking the external account' });
   }
 };
 
 // ----------------------------------------------------
-// 5. USER MANAGEMENT CONTROLLER FUNCTIONS (ADMIN ONLY)
+// 8. USER MANAGEMENT CONTROLLER FUNCTIONS (ADMIN ONLY)
 // ----------------------------------------------------
 
 /**
@@ -227,16 +2060,46 @@ exports.getUserById = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Unlocks an account locked after too many failed logins.
+ * @route   POST /api/v1/auth/users/:id/unlock
+ * @access  Private (Admin-only)
+ * @details Clears the account's failed login count and lockout. Lockouts of IP
+ * addresses expire on their own.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await getLoginAttemptStore().reset(getLoginAttemptKeys(user.email).account);
+    res.status(200).json({ message: 'Account unlocked successfully' });
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 /**
  * @desc    Updates a user's details by their ID.
  * @route   PATCH /api/v1/auth/users/:id
  * @access  Private (Admin Only)
+ * @details The role must be an existing role. It applies to the user's current
+ * tokens on their next request.
  * @param   {object} req - The request object.
  * @param   {object} res - The response object.
  */
 exports.updateUserById = async (req, res) => {
   try {
     const { email, role } = req.body;
+    if (role !== undefined && !(await roleExists(role))) {
+      return res.status(400).json({ message: `Role '${role}' does not exist` });
+    }
+
     const updatedUser = await User.findByIdAndUpdate(
       req.params.id,
       { email, role },
@@ -270,6 +2133,13 @@ exports.deleteUserById = async (req, res) => {
     if (!deletedUser) {
       return res.status(404).json({ message: 'User not found' });
     }
+
+    // The user's passkeys, linked accounts, API keys, sessions and memberships are useless without the account
+    await Passkey.deleteMany({ user: deletedUser._id });
+    await FederatedIdentity.deleteMany({ user: deletedUser._id });
+    await ApiKey.deleteMany({ user: deletedUser._id });
+    await Session.deleteMany({ user: deletedUser._id });
+    await Membership.deleteMany({ user: deletedUser._id });
     res.status(200).json({
       message: 'User deleted successfully',
       user: deletedUser,
@@ -279,3 +2149,129 @@ exports.deleteUserById = async (req, res) => {
     res.status(500).json({ message: 'Server error' });
   }
 };
+
+/**
+ * @desc    Starts impersonating a user, to see the API as they do.
+ * @route   POST /api/v1/auth/users/:id/impersonate
+ * @access  Private (Admin-only)
+ * @details Requires 'impersonate:user' permission. Returns a short-lived access
+ * token (IMPERSONATION_EXPIRES_IN, no refresh token) for the target user, with an
+ * `act` claim naming the admin. Users with the same or more privileges cannot be
+ * impersonated. The start is recorded in the impersonation audit trail together
+ * with the optional `reason`.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.impersonateUser = async (req, res) => {
+  try {
+    const actor = await User.findById(req.user.id);
+    if (!actor || !actor.isActive) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const target = await User.findById(req.params.id);
+    if (!target || !target.isActive) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (String(target._id) === String(actor._id)) {
+      return res.status(400).json({ message: 'You cannot impersonate yourself' });
+    }
+    if (!(await canImpersonate(actor.role, target.role))) {
+      return res.status(403).json({
+        message: 'You cannot impersonate a user with the same or higher privileges',
+        code: 'impersonation_forbidden',
+      });
+    }
+
+    const jti = crypto.randomUUID();
+    const token = generateToken(target, undefined, {
+      claims: { act: { sub: String(actor._id) }, jti },
+      expiresIn: process.env.IMPERSONATION_EXPIRES_IN || '15m',
+    });
+    const expiresAt = new Date(jwt.decode(token).exp * 1000);
+
+    await Impersonation.create({
+      actor: actor._id,
+      target: target._id,
+      reason: req.body.reason || null,
+      jti,
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null,
+      expiresAt,
+    });
+
+    res.status(200).json({
+      message: 'Impersonation started',
+      token,
+      expiresAt,
+      user: {
+        id: target._id,
+        email: target.email,
+        role: target.role,
+      },
+    });
+  } catch (error) {
+    console.error('Error starting impersonation:', error);
+    res.status(500).json({ message: 'Server error while starting the impersonation' });
+  }
+};
+
+/**
+ * @desc    Stops the impersonation the request is made with.
+ * @route   POST /api/v1/auth/impersonation/stop
+ * @access  Private (impersonation token)
+ * @details Revokes the impersonation token and records the stop in the audit trail.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.stopImpersonation = async (req, res) => {
+  try {
+    if (!req.actor) {
+      return res.status(400).json({ message: 'This request is not made while impersonating' });
+    }
+
+    const { jti, exp } = req.user;
+    await getRevocationStore().revoke(jti, new Date(exp * 1000));
+    await Impersonation.updateOne({ jti, endedAt: null }, { endedAt: new Date() });
+
+    res.status(200).json({ message: 'Impersonation stopped' });
+  } catch (error) {
+    console.error('Error stopping impersonation:', error);
+    res.status(500).json({ message: 'Server error while stopping the impersonation' });
+  }
+};
+
+/**
+ * @desc    Lists the impersonation audit trail, most recent first.
+ * @route   GET /api/v1/auth/impersonations
+ * @access  Private (Admin-only)
+ * @details Requires 'impersonate:user' permission. Filter with the `actor` or
+ * `target` query parameters (user IDs).
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.getImpersonations = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.actor) {
+      filter.actor = req.query.actor;
+    }
+    if (req.query.target) {
+      filter.target = req.query.target;
+    }
+
+    const impersonations = await Impersonation.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .populate('actor', 'email role')
+      .populate('target', 'email role');
+    res.status(200).json({
+      message: 'Impersonations fetched successfully',
+      count: impersonations.length,
+      impersonations,
+    });
+  } catch (error) {
+    console.error('Error fetching impersonations:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
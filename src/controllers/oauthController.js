@@ -0,0 +1,570 @@
+/**
+ * @file oauthController.js
+ * @description This file contains the controller functions that let Quilox Auth
+ * act as an OAuth 2.0 authorization server for our own applications:
+ * - The authorization endpoint (authorization code grant with PKCE), including
+ *   the consent step. It is called by the frontend's consent page on behalf of
+ *   the logged-in user.
+ * - The token endpoint (authorization_code and client_credentials grants).
+ * - Client registration for admins.
+ * - The authorization server metadata (RFC 8414).
+ *
+ * Scopes are the permission strings used by rbacMiddleware (e.g. 'read:post').
+ * Access tokens issued to clients carry `client_id` and `scope` claims, and
+ * rbacMiddleware grants such tokens only the permissions listed in their scope.
+ */
+
+// -------------------
+// 1. MODULE IMPORTS
+// -------------------
+
+const crypto = require('crypto');
+const ms = require('ms');
+const User = require('../models/userModel'); // Import the Mongoose User model
+const OAuthClient = require('../models/oauthClientModel'); // Registered OAuth clients
+const OAuthAuthorizationCode = require('../models/oauthAuthorizationCodeModel'); // Single-use authorization codes
+const OAuthConsent = require('../models/oauthConsentModel'); // Remembered consents
+const jwtUtils = require('../utils/jwtUtils'); // Access token signing (HS256, RS256 or ES256)
+const { getRolePermissions, getAllPermissions, hasPermission } = require('../utils/permissionUtils'); // Scopes are permissions
+
+// -------------------
+// 2. HELPER FUNCTIONS
+// -------------------
+
+// The grants the token endpoint supports.
+const GRANT_TYPES = ['authorization_code', 'client_credentials'];
+
+/**
+ * Returns the authorization server settings:
+ * - OAUTH_BASE_URL: the public URL this API is reachable at.
+ * - OAUTH_AUTHORIZATION_URL: the frontend consent page clients send users to.
+ * - OAUTH_ACCESS_TOKEN_EXPIRES_IN: the lifetime of access tokens issued to clients.
+ * - OAUTH_CODE_EXPIRES_IN: the lifetime of authorization codes.
+ * @returns {object} - The settings.
+ */
+const getOAuthConfig = () => {
+  const baseUrl = process.env.OAUTH_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return {
+    baseUrl,
+    authorizationUrl: process.env.OAUTH_AUTHORIZATION_URL || `${baseUrl}/oauth/authorize`,
+    accessTokenExpiresIn: process.env.OAUTH_ACCESS_TOKEN_EXPIRES_IN || process.env.JWT_EXPIRES_IN || '1h',
+    codeExpiresIn: process.env.OAUTH_CODE_EXPIRES_IN || '1m',
+  };
+};
+
+/**
+ * Hashes a client secret or an authorization code. Both are long random
+ * values, so a fast hash is enough; only the hashes are stored.
+ * @param {string} value - The plain value.
+ * @returns {string} - The SHA-256 hash, hex encoded.
+ */
+const hashValue = (value) => {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+};
+
+/**
+ * Splits a space-separated scope parameter.
+ * @param {string} [scope] - The scope parameter.
+ * @returns {string[]|null} - The distinct scopes, or null if the parameter is missing.
+ */
+const parseScope = (scope) => {
+  if (typeof scope !== 'string' || scope.trim() === '') {
+    return null;
+  }
+  return [...new Set(scope.trim().split(/\s+/))];
+};
+
+/**
+ * Sends an OAuth error response (RFC 6749, section 5.2).
+ * @param {object} res - The response object from Express.
+ * @param {number} status - The HTTP status code.
+ * @param {string} error - The OAuth error code, e.g. 'invalid_grant'.
+ * @param {string} description - A human-readable description.
+ */
+const sendOAuthError = (res, status, error, description) => {
+  if (error === 'invalid_client') {
+    res.set('WWW-Authenticate', 'Basic realm="oauth"');
+  }
+  res.set('Cache-Control', 'no-store');
+  res.status(status).json({ error, error_description: description });
+};
+
+/**
+ * Appends parameters to a redirect URI.
+ * @param {string} redirectUri - The client's redirect URI.
+ * @param {object} params - The parameters; undefined values are skipped.
+ * @returns {string} - The URL to send the user to.
+ */
+const buildRedirect = (redirectUri, params) => {
+  const url = new URL(redirectUri);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined) {
+      url.searchParams.set(key, value);
+    }
+  });
+  return url.toString();
+};
+
+/**
+ * Checks an authorization request (the query of the client's redirect to the
+ * consent page). Problems with the client or the redirect URI must not be sent
+ * to the redirect URI, because it cannot be trusted; every other problem is
+ * reported to the client through it.
+ * @param {object} params - The request parameters.
+ * @returns {Promise<object>} - `{ client, redirectUri, scopes, state, codeChallenge }`,
+ * or `{ error, description, redirectTo? }`.
+ */
+const checkAuthorizationRequest = async (params) => {
+  const client = params.client_id && await OAuthClient.findOne({ clientId: String(params.client_id), isActive: true });
+  if (!client || !client.grantTypes.includes('authorization_code')) {
+    return { error: 'invalid_client', description: 'Unknown client or the client cannot use the authorization code grant' };
+  }
+
+  // The redirect URI must be one of the registered ones, character for character
+  let redirectUri = params.redirect_uri;
+  if (redirectUri === undefined && client.redirectUris.length === 1) {
+    redirectUri = client.redirectUris[0];
+  }
+  if (!client.redirectUris.includes(redirectUri)) {
+    return { error: 'invalid_request', description: 'The redirect_uri is not registered for this client' };
+  }
+
+  const state = params.state;
+  const reject = (error, description) => ({
+    error,
+    description,
+    redirectTo: buildRedirect(redirectUri, { error, error_description: description, state }),
+  });
+
+  if (params.response_type !== 'code') {
+    return reject('unsupported_response_type', 'Only response_type=code is supported');
+  }
+  if (!params.code_challenge || params.code_challenge_method !== 'S256') {
+    return reject('invalid_request', 'PKCE is required: send a code_challenge with code_challenge_method=S256');
+  }
+
+  const scopes = parseScope(params.scope) || client.scopes;
+  if (!scopes.every(scope => client.scopes.includes(scope))) {
+    return reject('invalid_scope', 'The client may not request these scopes');
+  }
+
+  return { client, redirectUri, scopes, state, codeChallenge: params.code_challenge };
+};
+
+/**
+ * Reads the client credentials from the Authorization header (client_secret_basic)
+ * or the request body (client_secret_post, or only client_id for public clients),
+ * and authenticates the client.
+ * @param {object} req - The request object from Express.
+ * @returns {Promise<{client?: object, error?: string}>} - The client, or why it was rejected.
+ */
+const authenticateClient = async (req) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+
+  const authHeader = req.headers.authorization;
+  if (authHeader && /^Basic /i.test(authHeader)) {
+    const decoded = Buffer.from(authHeader.slice(6), 'base64').toString();
+    const separator = decoded.indexOf(':');
+    if (separator === -1) {
+      return { error: 'Malformed Basic authorization header' };
+    }
+    // RFC 6749 form-encodes both parts; a malformed escape such as '%zz' throws
+    try {
+      clientId = decodeURIComponent(decoded.slice(0, separator));
+      clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+    } catch (err) {
+      return { error: 'Malformed Basic authorization header' };
+    }
+  }
+
+  if (!clientId) {
+    return { error: 'Client authentication is required' };
+  }
+  const client = await OAuthClient.findOne({ clientId: String(clientId), isActive: true }).select('+clientSecretHash');
+  if (!client) {
+    return { error: 'Unknown client' };
+  }
+
+  if (client.isConfidential()) {
+    const expected = Buffer.from(client.clientSecretHash);
+    const actual = Buffer.from(hashValue(clientSecret || ''));
+    if (!clientSecret || !crypto.timingSafeEqual(expected, actual)) {
+      return { error: 'Invalid client credentials' };
+    }
+  } else if (clientSecret) {
+    return { error: 'Public clients have no client secret' };
+  }
+  return { client };
+};
+
+/**
+ * Issues an access token to a client.
+ * @param {object} claims - The token claims (`sub`, `client_id`, `scope`, ...).
+ * @returns {{access_token: string, token_type: string, expires_in: number, scope: string}} - The token response.
+ */
+const issueAccessToken = (claims) => {
+  const { accessTokenExpiresIn } = getOAuthConfig();
+  return {
+    access_token: jwtUtils.generateToken(claims, accessTokenExpiresIn),
+    token_type: 'Bearer',
+    expires_in: Math.floor(ms(String(accessTokenExpiresIn)) / 1000),
+    scope: claims.scope,
+  };
+};
+
+/**
+ * Handles grant_type=authorization_code: exchanges a code (once) for an access
+ * token on behalf of the user who approved the client.
+ * @param {object} req - The request object from Express.
+ * @param {object} res - The response object from Express.
+ * @param {object} client - The authenticated client.
+ * @returns {Promise<void>}
+ */
+const exchangeAuthorizationCode = async (req, res, client) => {
+  const { code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+  if (!code || !redirectUri || !codeVerifier) {
+    return sendOAuthError(res, 400, 'invalid_request', 'code, redirect_uri and code_verifier are required');
+  }
+
+  const record = await OAuthAuthorizationCode.consume(hashValue(code), client.clientId);
+  if (!record || record.redirectUri !== redirectUri) {
+    return sendOAuthError(res, 400, 'invalid_grant', 'The authorization code is invalid, expired or already used');
+  }
+
+  // PKCE: the verifier must hash to the challenge sent with the authorization request
+  const challenge = crypto.createHash('sha256').update(String(codeVerifier)).digest('base64url');
+  if (challenge !== record.codeChallenge) {
+    return sendOAuthError(res, 400, 'invalid_grant', 'The code_verifier does not match the code_challenge');
+  }
+
+  const user = await User.findById(record.user);
+  if (!user || !user.isActive) {
+    return sendOAuthError(res, 400, 'invalid_grant', 'The user is no longer active');
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json(issueAccessToken({
+    sub: String(user._id),
+    id: String(user._id),
+    client_id: client.clientId,
+    scope: record.scopes.join(' '),
+    tokenVersion: user.tokenVersion || 0,
+  }));
+};
+
+/**
+ * Handles grant_type=client_credentials: issues an access token to a
+ * confidential client acting on its own behalf.
+ * @param {object} req - The request object from Express.
+ * @param {object} res - The response object from Express.
+ * @param {object} client - The authenticated client.
+ * @returns {Promise<void>}
+ */
+const issueClientCredentialsToken = async (req, res, client) => {
+  if (!client.isConfidential()) {
+    return sendOAuthError(res, 400, 'unauthorized_client', 'Public clients cannot use the client credentials grant');
+  }
+
+  const scopes = parseScope(req.body.scope) || client.scopes;
+  if (!scopes.every(scope => client.scopes.includes(scope))) {
+    return sendOAuthError(res, 400, 'invalid_scope', 'The client may not request these scopes');
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json(issueAccessToken({
+    sub: client.clientId,
+    client_id: client.clientId,
+    scope: scopes.join(' '),
+  }));
+};
+
+// ----------------------------------------------------
+// 3. AUTHORIZATION ENDPOINT CONTROLLER FUNCTIONS
+// ----------------------------------------------------
+
+/**
+ * @desc    Checks an authorization request and tells the consent page what to show.
+ * @route   GET /oauth/authorize
+ * @access  Private
+ * @details Takes the parameters of the client's authorization request. Returns
+ * the client, the requested scopes and whether the user still has to consent.
+ * If the request is invalid, `redirectTo` (when present) sends the error back to the client.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.getAuthorization = async (req, res) => {
+  try {
+    const request = await checkAuthorizationRequest(req.query);
+    if (request.error) {
+      return res.status(400).json({
+        error: request.error,
+        error_description: request.description,
+        redirectTo: request.redirectTo,
+      });
+    }
+
+    const { client, scopes, redirectUri } = request;
+    const consent = await OAuthConsent.findOne({ user: req.user.id, clientId: client.clientId });
+    const consentRequired = !client.skipConsent
+      && !(consent && scopes.every(scope => consent.scopes.includes(scope)));
+
+    res.status(200).json({
+      client: {
+        clientId: client.clientId,
+        name: client.name,
+      },
+      scopes,
+      redirectUri,
+      consentRequired,
+    });
+  } catch (error) {
+    console.error('Error checking OAuth authorization request:', error);
+    res.status(500).json({ message: 'Server error while checking the authorization request' });
+  }
+};
+
+/**
+ * @desc    Records the user's decision and issues an authorization code.
+ * @route   POST /oauth/authorize
+ * @access  Private
+ * @details Takes the authorization request parameters plus `approve`. Responds
+ * with `redirectTo`, the client URL to send the user to: with a single-use code
+ * if approved, or with error=access_denied otherwise. The granted scopes are
+ * limited to the permissions of the user's role.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.authorize = async (req, res) => {
+  try {
+    const request = await checkAuthorizationRequest(req.body);
+    if (request.error) {
+      return res.status(400).json({
+        error: request.error,
+        error_description: request.description,
+        redirectTo: request.redirectTo,
+      });
+    }
+    const { client, redirectUri, scopes, state, codeChallenge } = request;
+
+    if (req.body.approve !== true) {
+      return res.status(200).json({
+        redirectTo: buildRedirect(redirectUri, {
+          error: 'access_denied',
+          error_description: 'The user denied the request',
+          state,
+        }),
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user || !user.isActive) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // A client can never get more than the user could do themselves
+    const rolePermissions = await getRolePermissions(user.role);
+    const grantedScopes = scopes.filter(scope => hasPermission(rolePermissions, scope));
+
+    await OAuthConsent.updateOne(
+      { user: user._id, clientId: client.clientId },
+      { $addToSet: { scopes: { $each: grantedScopes } } },
+      { upsert: true }
+    );
+
+    const code = crypto.randomBytes(32).toString('base64url');
+    await OAuthAuthorizationCode.create({
+      codeHash: hashValue(code),
+      clientId: client.clientId,
+      user: user._id,
+      redirectUri,
+      scopes: grantedScopes,
+      codeChallenge,
+      expiresAt: new Date(Date.now() + ms(getOAuthConfig().codeExpiresIn)),
+    });
+
+    res.status(200).json({ redirectTo: buildRedirect(redirectUri, { code, state }) });
+  } catch (error) {
+    console.error('Error during OAuth authorization:', error);
+    res.status(500).json({ message: 'Server error during authorization' });
+  }
+};
+
+// ----------------------------------------------------
+// 4. TOKEN ENDPOINT CONTROLLER FUNCTIONS
+// ----------------------------------------------------
+
+/**
+ * @desc    Issues access tokens to OAuth clients.
+ * @route   POST /oauth/token
+ * @access  Public (client authentication)
+ * @details Accepts application/x-www-form-urlencoded requests with
+ * grant_type=authorization_code or grant_type=client_credentials, as in RFC 6749.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.token = async (req, res) => {
+  try {
+    req.body = req.body || {};
+    const { client, error } = await authenticateClient(req);
+    if (error) {
+      return sendOAuthError(res, 401, 'invalid_client', error);
+    }
+
+    const grantType = req.body.grant_type;
+    if (!GRANT_TYPES.includes(grantType)) {
+      return sendOAuthError(res, 400, 'unsupported_grant_type', `Supported grant types: ${GRANT_TYPES.join(', ')}`);
+    }
+    if (!client.grantTypes.includes(grantType)) {
+      return sendOAuthError(res, 400, 'unauthorized_client', `The client may not use the ${grantType} grant`);
+    }
+
+    if (grantType === 'authorization_code') {
+      return await exchangeAuthorizationCode(req, res, client);
+    }
+    await issueClientCredentialsToken(req, res, client);
+  } catch (error) {
+    console.error('Error issuing OAuth token:', error);
+    sendOAuthError(res, 500, 'server_error', 'Server error while issuing the token');
+  }
+};
+
+// ----------------------------------------------------
+// 5. CLIENT MANAGEMENT CONTROLLER FUNCTIONS (ADMIN ONLY)
+// ----------------------------------------------------
+
+/**
+ * @desc    Registers a new OAuth client.
+ * @route   POST /oauth/clients
+ * @access  Private (Admin-only)
+ * @details Confidential clients get a client secret, which is returned only in
+ * this response; only its hash is stored.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.createClient = async (req, res) => {
+  try {
+    const { name, redirectUris = [], grantTypes = ['authorization_code'], scopes = [], confidential = true, skipConsent = false } = req.body;
+
+    const knownScopes = await getAllPermissions();
+    const unknownScopes = scopes.filter(scope => !knownScopes.includes(scope));
+    if (unknownScopes.length > 0) {
+      return res.status(400).json({ message: `Unknown scopes: ${unknownScopes.join(', ')}` });
+    }
+    if (grantTypes.includes('authorization_code') && redirectUris.length === 0) {
+      return res.status(400).json({ message: 'The authorization code grant needs at least one redirect URI' });
+    }
+    if (grantTypes.includes('client_credentials') && !confidential) {
+      return res.status(400).json({ message: 'Only confidential clients can use the client credentials grant' });
+    }
+
+    const clientSecret = confidential ? crypto.randomBytes(32).toString('base64url') : null;
+    const client = await OAuthClient.create({
+      clientId: crypto.randomBytes(16).toString('hex'),
+      clientSecretHash: clientSecret && hashValue(clientSecret),
+      name,
+      redirectUris,
+      grantTypes,
+      scopes,
+      skipConsent,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      message: 'OAuth client registered successfully. Store the client secret now: it cannot be shown again.',
+      client: {
+        id: client._id,
+        clientId: client.clientId,
+        name: client.name,
+        redirectUris: client.redirectUris,
+        grantTypes: client.grantTypes,
+        scopes: client.scopes,
+        skipConsent: client.skipConsent,
+      },
+      clientSecret,
+    });
+  } catch (error) {
+    console.error('Error registering OAuth client:', error);
+    res.status(500).json({ message: 'Server error while registering the client' });
+  }
+};
+
+/**
+ * @desc    Lists the registered OAuth clients.
+ * @route   GET /oauth/clients
+ * @access  Private (Admin-only)
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.getClients = async (req, res) => {
+  try {
+    const clients = await OAuthClient.find();
+    res.status(200).json({
+      message: 'OAuth clients fetched successfully',
+      count: clients.length,
+      clients,
+    });
+  } catch (error) {
+    console.error('Error fetching OAuth clients:', error);
+    res.status(500).json({ message: 'Server error while fetching the clients' });
+  }
+};
+
+/**
+ * @desc    Deletes an OAuth client and the consents given to it.
+ * @route   DELETE /oauth/clients/:id
+ * @access  Private (Admin-only)
+ * @details Access tokens already issued to the client stay valid until they expire.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.deleteClient = async (req, res) => {
+  try {
+    const client = await OAuthClient.findByIdAndDelete(req.params.id);
+    if (!client) {
+      return res.status(404).json({ message: 'OAuth client not found' });
+    }
+    await OAuthConsent.deleteMany({ clientId: client.clientId });
+    await OAuthAuthorizationCode.deleteMany({ clientId: client.clientId });
+
+    res.status(200).json({ message: 'OAuth client deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting OAuth client:', error);
+    res.status(500).json({ message: 'Server error while deleting the client' });
+  }
+};
+
+// ----------------------------------------------------
+// 6. DISCOVERY CONTROLLER FUNCTIONS
+// ----------------------------------------------------
+
+/**
+ * @desc    Publishes the authorization server metadata (RFC 8414).
+ * @route   GET /.well-known/oauth-authorization-server
+ * @access  Public
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.metadata = async (req, res) => {
+  try {
+    const { baseUrl, authorizationUrl } = getOAuthConfig();
+    const algorithm = process.env.JWT_ALGORITHM || 'HS256';
+    const scopes = await getAllPermissions();
+
+    res.set('Cache-Control', 'public, max-age=600');
+    res.status(200).json({
+      issuer: process.env.JWT_ISSUER || baseUrl,
+      authorization_endpoint: authorizationUrl,
+      token_endpoint: `${baseUrl}/oauth/token`,
+      ...(algorithm !== 'HS256' && { jwks_uri: `${baseUrl}/.well-known/jwks.json` }),
+      scopes_supported: scopes,
+      response_types_supported: ['code'],
+      grant_types_supported: GRANT_TYPES,
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+      code_challenge_methods_supported: ['S256'],
+    });
+  } catch (error) {
+    console.error('Error building OAuth metadata:', error);
+    res.status(500).json({ message: 'Server error while building the metadata' });
+  }
+};
@@ -0,0 +1,557 @@
+/**
+ * @file organizationController.js
+ * @description This file contains the controller functions for organizations:
+ * creating them, managing their members and the members' roles, and inviting
+ * people by email. The routes run organizationMiddleware first, so
+ * `req.organization` is the organization of the route and `req.organization.role`
+ * the caller's role in it. Every organization keeps at least one 'org_admin' member.
+ */
+
+// -------------------
+// 1. MODULE IMPORTS
+// -------------------
+
+const crypto = require('crypto');
+const ms = require('ms');
+const Organization = require('../models/organizationModel'); // Organizations (workspaces)
+const Membership = require('../models/membershipModel'); // Members and their roles per organization
+const Invitation = require('../models/invitationModel'); // Pending invitations
+const Session = require('../models/sessionModel'); // Sessions remember the active organization
+const User = require('../models/userModel'); // Import the Mongoose User model
+const { roleExists, getRolePermissions, hasPermission, isDenied } = require('../utils/permissionUtils'); // Role permissions
+const { sendMail } = require('../transports/mailTransport'); // Pluggable email delivery
+
+// -------------------
+// 2. HELPER FUNCTIONS
+// -------------------
+
+// The role of an organization's creator. It manages the organization and its
+// members but, unlike 'admin', grants no global rights. An organization cannot
+// lose its last one.
+const ORGANIZATION_ADMIN_ROLE = 'org_admin';
+
+/**
+ * Returns the fields of an organization that are shown to its members.
+ * @param {object} organization - The organization document.
+ * @param {string} [role] - The caller's role in the organization.
+ * @returns {object} - The organization.
+ */
+const formatOrganization = (organization, role) => {
+  return {
+    id: organization._id,
+    name: organization.name,
+    slug: organization.slug,
+    ...(role !== undefined && { role }),
+    createdAt: organization.createdAt,
+  };
+};
+
+/**
+ * Derives a slug from an organization name, e.g. 'Acme Inc.' becomes 'acme-inc'.
+ * @param {string} name - The organization name.
+ * @returns {string} - The slug, empty if the name has no letters or digits.
+ */
+const slugify = (name) => {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50);
+};
+
+/**
+ * Hashes an invitation token. Only the hash is stored, so a leaked database
+ * does not leak usable invitation links.
+ * @param {string} token - The plain invitation token.
+ * @returns {string} - The SHA-256 hash, hex encoded.
+ */
+const hashInvitationToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Tells whether a member may give someone a role: it must not allow anything
+ * the member's own role in the organization does not, so members cannot
+ * promote themselves or others above their own rank.
+ * @param {string} assignerRole - The role of the member assigning it.
+ * @param {string} role - The role to assign.
+ * @returns {Promise<boolean>} - True if the member may assign the role.
+ */
+const canAssignRole = async (assignerRole, role) => {
+  const assignerPermissions = await getRolePermissions(assignerRole);
+  const rolePermissions = await getRolePermissions(role);
+  return rolePermissions.every(permission => isDenied(permission) || hasPermission(assignerPermissions, permission));
+};
+
+/**
+ * Checks whether a member is the organization's last admin.
+ * @param {object} membership - The membership document.
+ * @returns {Promise<boolean>} - True if removing or demoting the member would
+ * leave the organization without an admin.
+ */
+const isLastAdmin = async (membership) => {
+  if (membership.role !== ORGANIZATION_ADMIN_ROLE) {
+    return false;
+  }
+  const admins = await Membership.countDocuments({
+    organization: membership.organization,
+    role: ORGANIZATION_ADMIN_ROLE,
+  });
+  return admins <= 1;
+};
+
+// ----------------------------------------------------
+// 3. ORGANIZATION CONTROLLER FUNCTIONS
+// ----------------------------------------------------
+
+/**
+ * @desc    Creates an organization with the caller as its first admin.
+ * @route   POST /api/v1/organizations
+ * @access  Private
+ * @details Takes a `name` and an optional `slug`, which is otherwise derived from the name.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.createOrganization = async (req, res) => {
+  try {
+    const { name } = req.body;
+    const slug = req.body.slug || slugify(name);
+    if (!slug) {
+      return res.status(400).json({ message: 'Please choose a slug for the organization' });
+    }
+    if (await Organization.exists({ slug })) {
+      return res.status(409).json({ message: `The slug '${slug}' is already taken` });
+    }
+
+    const organization = await Organization.create({ name, slug, createdBy: req.user.id });
+    try {
+      await Membership.create({ organization: organization._id, user: req.user.id, role: ORGANIZATION_ADMIN_ROLE });
+    } catch (membershipError) {
+      // An organization without an admin could never be managed
+      await organization.deleteOne();
+      throw membershipError;
+    }
+
+    res.status(201).json({
+      message: 'Organization created successfully',
+      organization: formatOrganization(organization, ORGANIZATION_ADMIN_ROLE),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'The slug is already taken' });
+    }
+    console.error('Error creating organization:', error);
+    res.status(500).json({ message: 'Server error while creating the organization' });
+  }
+};
+
+/**
+ * @desc    Lists the organizations the caller is a member of, with their role in each.
+ * @route   GET /api/v1/organizations
+ * @access  Private
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.getOrganizations = async (req, res) => {
+  try {
+    const memberships = await Membership.find({ user: req.user.id })
+      .populate('organization')
+      .sort({ createdAt: 1 });
+
+    const organizations = memberships
+      .filter(membership => membership.organization)
+      .map(membership => ({
+        ...formatOrganization(membership.organization, membership.role),
+        active: String(membership.organization._id) === String(req.user.org),
+      }));
+
+    res.status(200).json({
+      message: 'Organizations fetched successfully',
+      count: organizations.length,
+      organizations,
+    });
+  } catch (error) {
+    console.error('Error fetching organizations:', error);
+    res.status(500).json({ message: 'Server error while fetching the organizations' });
+  }
+};
+
+/**
+ * @desc    Gets an organization.
+ * @route   GET /api/v1/organizations/:orgId
+ * @access  Private (Members)
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.getOrganization = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.organization.id);
+    if (!organization) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    const memberCount = await Membership.countDocuments({ organization: organization._id });
+    res.status(200).json({
+      ...formatOrganization(organization, req.organization.role),
+      memberCount,
+    });
+  } catch (error) {
+    console.error('Error fetching organization:', error);
+    res.status(500).json({ message: 'Server error while fetching the organization' });
+  }
+};
+
+/**
+ * @desc    Renames an organization or changes its slug.
+ * @route   PATCH /api/v1/organizations/:orgId
+ * @access  Private (Organization admins)
+ * @details Requires 'update:organization' permission in the organization.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.updateOrganization = async (req, res) => {
+  try {
+    const { name, slug } = req.body;
+    const organization = await Organization.findByIdAndUpdate(
+      req.organization.id,
+      { name, slug },
+      { new: true, runValidators: true }
+    );
+    if (!organization) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    res.status(200).json({
+      message: 'Organization updated successfully',
+      organization: formatOrganization(organization, req.organization.role),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: `The slug '${req.body.slug}' is already taken` });
+    }
+    console.error('Error updating organization:', error);
+    res.status(500).json({ message: 'Server error while updating the organization' });
+  }
+};
+
+/**
+ * @desc    Deletes an organization with its memberships and invitations.
+ * @route   DELETE /api/v1/organizations/:orgId
+ * @access  Private (Organization admins)
+ * @details Requires 'delete:organization' permission in the organization.
+ * Sessions that had switched to it are switched back to no organization.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.deleteOrganization = async (req, res) => {
+  try {
+    const organization = await Organization.findByIdAndDelete(req.organization.id);
+    if (!organization) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    await Membership.deleteMany({ organization: organization._id });
+    await Invitation.deleteMany({ organization: organization._id });
+    await Session.updateMany({ organization: organization._id }, { organization: null });
+
+    res.status(200).json({ message: 'Organization deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting organization:', error);
+    res.status(500).json({ message: 'Server error while deleting the organization' });
+  }
+};
+
+// ----------------------------------------------------
+// 4. MEMBER CONTROLLER FUNCTIONS
+// ----------------------------------------------------
+
+/**
+ * @desc    Lists the members of an organization and their roles.
+ * @route   GET /api/v1/organizations/:orgId/members
+ * @access  Private (Members)
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.getMembers = async (req, res) => {
+  try {
+    const memberships = await Membership.find({ organization: req.organization.id })
+      .populate('user', 'email')
+      .sort({ createdAt: 1 });
+
+    const members = memberships
+      .filter(membership => membership.user)
+      .map(membership => ({
+        userId: membership.user._id,
+        email: membership.user.email,
+        role: membership.role,
+        joinedAt: membership.createdAt,
+      }));
+
+    res.status(200).json({
+      message: 'Members fetched successfully',
+      count: members.length,
+      members,
+    });
+  } catch (error) {
+    console.error('Error fetching members:', error);
+    res.status(500).json({ message: 'Server error while fetching the members' });
+  }
+};
+
+/**
+ * @desc    Changes a member's role in the organization.
+ * @route   PATCH /api/v1/organizations/:orgId/members/:userId
+ * @access  Private (Organization admins)
+ * @details Requires 'manage:member' permission in the organization. Takes the
+ * new `role`, which must exist and grant no more than the caller's own role;
+ * neither may the member's current role, so members above the caller cannot be
+ * demoted. The last admin cannot be demoted.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.updateMember = async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!(await roleExists(role))) {
+      return res.status(400).json({ message: `Role '${role}' does not exist` });
+    }
+    if (!(await canAssignRole(req.organization.role, role))) {
+      return res.status(403).json({ message: 'You cannot assign a role that grants more than your own' });
+    }
+
+    const membership = await Membership.findOne({ organization: req.organization.id, user: req.params.userId });
+    if (!membership) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    if (!(await canAssignRole(req.organization.role, membership.role))) {
+      return res.status(403).json({ message: 'You cannot change a member whose role grants more than your own' });
+    }
+    if (role !== ORGANIZATION_ADMIN_ROLE && await isLastAdmin(membership)) {
+      return res.status(409).json({ message: 'An organization needs at least one admin' });
+    }
+
+    membership.role = role;
+    await membership.save();
+
+    res.status(200).json({
+      message: 'Member updated successfully',
+      member: { userId: membership.user, role: membership.role },
+    });
+  } catch (error) {
+    console.error('Error updating member:', error);
+    res.status(500).json({ message: 'Server error while updating the member' });
+  }
+};
+
+/**
+ * @desc    Removes a member from the organization, or lets a member leave it.
+ * @route   DELETE /api/v1/organizations/:orgId/members/:userId
+ * @access  Private (Organization admins, or the member)
+ * @details Requires 'manage:member' permission in the organization, except for
+ * members removing themselves. The route loads the membership into
+ * `req.resource`. Members whose role grants more than the caller's can only
+ * leave by themselves. The last admin cannot leave.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.removeMember = async (req, res) => {
+  try {
+    const membership = req.resource;
+    if (String(membership.user) !== String(req.user.id)
+      && !(await canAssignRole(req.organization.role, membership.role))) {
+      return res.status(403).json({ message: 'You cannot remove a member whose role grants more than your own' });
+    }
+    if (await isLastAdmin(membership)) {
+      return res.status(409).json({ message: 'An organization needs at least one admin' });
+    }
+
+    await Membership.deleteOne({ _id: membership._id });
+    // The member's sessions can no longer work in the organization
+    await Session.updateMany(
+      { user: membership.user, organization: membership.organization },
+      { organization: null }
+    );
+
+    res.status(200).json({ message: 'Member removed successfully' });
+  } catch (error) {
+    console.error('Error removing member:', error);
+    res.status(500).json({ message: 'Server error while removing the member' });
+  }
+};
+
+// ----------------------------------------------------
+// 5. INVITATION CONTROLLER FUNCTIONS
+// ----------------------------------------------------
+
+/**
+ * @desc    Invites someone to the organization by email.
+ * @route   POST /api/v1/organizations/:orgId/invitations
+ * @access  Private (Organization admins)
+ * @details Requires 'manage:member' permission in the organization. Takes the
+ * `email` and the `role` the invitee gets, which must grant no more than the
+ * caller's own role. Emails a link that is valid for
+ * ORG_INVITATION_EXPIRES_IN (default: 7d); inviting the same address again
+ * replaces the previous invitation.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.createInvitation = async (req, res) => {
+  try {
+    const email = req.body.email.toLowerCase();
+    const { role } = req.body;
+    if (!(await roleExists(role))) {
+      return res.status(400).json({ message: `Role '${role}' does not exist` });
+    }
+    if (!(await canAssignRole(req.organization.role, role))) {
+      return res.status(403).json({ message: 'You cannot assign a role that grants more than your own' });
+    }
+
+    const existingUser = await User.findOne({ email }).select('_id').lean();
+    if (existingUser && await Membership.exists({ organization: req.organization.id, user: existingUser._id })) {
+      return res.status(409).json({ message: 'This person is already a member' });
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = await Invitation.findOneAndUpdate(
+      { organization: req.organization.id, email },
+      {
+        role,
+        tokenHash: hashInvitationToken(token),
+        invitedBy: req.user.id,
+        expiresAt: new Date(Date.now() + ms(process.env.ORG_INVITATION_EXPIRES_IN || '7d')),
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    const baseUrl = process.env.ORG_INVITATION_URL || 'http://localhost:3000/invitations';
+    const link = `${baseUrl}?token=${encodeURIComponent(token)}`;
+    await sendMail({
+      to: email,
+      subject: `You have been invited to ${req.organization.name}`,
+      text: `You have been invited to join ${req.organization.name}. Open this link to accept:\n\n${link}\n\nIf you were not expecting this invitation, you can ignore this email.`,
+    });
+
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      invitation: {
+        id: invitation._id,
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error('Error creating invitation:', error);
+    res.status(500).json({ message: 'Server error while sending the invitation' });
+  }
+};
+
+/**
+ * @desc    Lists the pending invitations of the organization.
+ * @route   GET /api/v1/organizations/:orgId/invitations
+ * @access  Private (Organization admins)
+ * @details Requires 'manage:member' permission in the organization.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.getInvitations = async (req, res) => {
+  try {
+    const invitations = await Invitation.find({
+      organization: req.organization.id,
+      expiresAt: { $gt: new Date() },
+    }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      message: 'Invitations fetched successfully',
+      count: invitations.length,
+      invitations: invitations.map(invitation => ({
+        id: invitation._id,
+        email: invitation.email,
+        role: invitation.role,
+        invitedBy: invitation.invitedBy,
+        expiresAt: invitation.expiresAt,
+        createdAt: invitation.createdAt,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({ message: 'Server error while fetching the invitations' });
+  }
+};
+
+/**
+ * @desc    Revokes a pending invitation.
+ * @route   DELETE /api/v1/organizations/:orgId/invitations/:invitationId
+ * @access  Private (Organization admins)
+ * @details Requires 'manage:member' permission in the organization.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.deleteInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findOneAndDelete({
+      _id: req.params.invitationId,
+      organization: req.organization.id,
+    });
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    res.status(200).json({ message: 'Invitation revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({ message: 'Server error while revoking the invitation' });
+  }
+};
+
+/**
+ * @desc    Accepts an invitation with the token from the emailed link.
+ * @route   POST /api/v1/organizations/invitations/accept
+ * @access  Private
+ * @details The caller must be logged in with the invited email address. They
+ * become a member with the invited role, and the invitation is deleted.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne({
+      tokenHash: hashInvitationToken(req.body.token),
+      expiresAt: { $gt: new Date() },
+    }).populate('organization');
+    if (!invitation || !invitation.organization) {
+      return res.status(400).json({ message: 'Invalid or expired invitation' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.email !== invitation.email) {
+      return res.status(403).json({ message: 'This invitation was sent to another email address' });
+    }
+
+    try {
+      await Membership.create({
+        organization: invitation.organization._id,
+        user: user._id,
+        role: invitation.role,
+      });
+    } catch (membershipError) {
+      // The invited role was deleted in the meantime
+      if (membershipError.name === 'ValidationError') {
+        return res.status(400).json({ message: `Role '${invitation.role}' does not exist anymore` });
+      }
+      if (membershipError.code !== 11000) {
+        throw membershipError;
+      }
+      await invitation.deleteOne();
+      return res.status(409).json({ message: 'You are already a member of this organization' });
+    }
+    await invitation.deleteOne();
+
+    res.status(200).json({
+      message: 'Invitation accepted successfully',
+      organization: formatOrganization(invitation.organization, invitation.role),
+    });
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    res.status(500).json({ message: 'Server error while accepting the invitation' });
+  }
+};
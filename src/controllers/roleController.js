@@ -0,0 +1,330 @@
+/**
+ * @file roleController.js
+ * @description This file contains the controller functions that let admins
+ * manage roles, the permissions assigned to them and the roles they inherit
+ * from. Changes that would make the inheritance circular are refused. Every
+ * change clears the role cache of this instance, so it applies from the next
+ * request on; other instances pick it up within ROLE_CACHE_TTL.
+ */
+
+// -------------------
+// 1. MODULE IMPORTS
+// -------------------
+
+const Role = require('../models/roleModel'); // Roles and their permissions
+const User = require('../models/userModel'); // Import the Mongoose User model
+const Membership = require('../models/membershipModel'); // Roles of organization members
+const { invalidateRoleCache, getRolePermissions, findInheritanceCycle, isDenied } = require('../utils/permissionUtils');
+
+// -------------------
+// 2. HELPER FUNCTIONS
+// -------------------
+
+// The message of changes refused by keepsAdminAccess.
+const ADMIN_ACCESS_MESSAGE = "The 'admin' role must keep the 'manage:all' permission and cannot deny permissions";
+
+/**
+ * Returns the fields of a role that are shown to admins.
+ * @param {object} role - The role document.
+ * @param {number} [userCount] - How many users have the role.
+ * @returns {object} - The role.
+ */
+const formatRole = (role, userCount) => {
+  return {
+    name: role.name,
+    description: role.description,
+    permissions: role.permissions,
+    inherits: role.inherits,
+    isSystem: role.isSystem,
+    ...(userCount !== undefined && { userCount }),
+    createdAt: role.createdAt,
+    updatedAt: role.updatedAt,
+  };
+};
+
+/**
+ * Checks that a change keeps the admin role able to do everything, so admins
+ * cannot lock themselves out of role management.
+ * @param {string} name - The role being changed.
+ * @param {string[]} permissions - The role's permissions after the change.
+ * @returns {boolean} - True if the change is allowed.
+ */
+const keepsAdminAccess = (name, permissions) => {
+  return name !== 'admin' || (permissions.includes('manage:all') && !permissions.some(isDenied));
+};
+
+/**
+ * Checks the roles a role should inherit from: they must exist, and the
+ * inheritance must not become circular.
+ * @param {string} name - The role being created or changed.
+ * @param {string[]} inherits - The role's parents after the change.
+ * @returns {Promise<string|null>} - An error message, or null if the parents are valid.
+ */
+const checkInheritance = async (name, inherits) => {
+  const roles = await Role.find().select('name inherits').lean();
+  const inheritance = new Map(roles.map(role => [role.name, role.inherits]));
+
+  const unknownRoles = inherits.filter(parent => !inheritance.has(parent));
+  if (unknownRoles.length > 0) {
+    return `Unknown roles: ${unknownRoles.join(', ')}`;
+  }
+
+  inheritance.set(name, inherits);
+  const cycle = findInheritanceCycle(inheritance);
+  return cycle ? `Role inheritance cycle: ${cycle.join(' > ')}` : null;
+};
+
+// ----------------------------------------------------
+// 3. ROLE CONTROLLER FUNCTIONS (ADMIN ONLY)
+// ----------------------------------------------------
+
+/**
+ * @desc    Lists every role with the number of users that have it.
+ * @route   GET /api/v1/auth/roles
+ * @access  Private (Admin-only)
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.getRoles = async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ name: 1 }),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+    ]);
+    const userCounts = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+    res.status(200).json({
+      message: 'Roles fetched successfully',
+      count: roles.length,
+      roles: roles.map(role => formatRole(role, userCounts.get(role.name) || 0)),
+    });
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({ message: 'Server error while fetching the roles' });
+  }
+};
+
+/**
+ * @desc    Gets a role by name.
+ * @route   GET /api/v1/auth/roles/:name
+ * @access  Private (Admin-only)
+ * @details Also returns `effectivePermissions`: the role's own permissions plus
+ * the inherited ones.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.getRole = async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    res.status(200).json({
+      ...formatRole(role, userCount),
+      effectivePermissions: await getRolePermissions(role.name),
+    });
+  } catch (error) {
+    console.error('Error fetching role:', error);
+    res.status(500).json({ message: 'Server error while fetching the role' });
+  }
+};
+
+/**
+ * @desc    Creates a role.
+ * @route   POST /api/v1/auth/roles
+ * @access  Private (Admin-only)
+ * @details Takes a `name`, an optional `description`, the role's `permissions`
+ * and the roles it `inherits` from. The name cannot be changed later.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.createRole = async (req, res) => {
+  try {
+    const { name, description = '', permissions = [], inherits = [] } = req.body;
+
+    if (await Role.exists({ name })) {
+      return res.status(409).json({ message: `Role '${name}' already exists` });
+    }
+    const inheritanceError = await checkInheritance(name, inherits);
+    if (inheritanceError) {
+      return res.status(400).json({ message: inheritanceError });
+    }
+
+    const role = await Role.create({ name, description, permissions, inherits });
+    invalidateRoleCache();
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role: formatRole(role, 0),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: `Role '${req.body.name}' already exists` });
+    }
+    console.error('Error creating role:', error);
+    res.status(500).json({ message: 'Server error while creating the role' });
+  }
+};
+
+/**
+ * @desc    Updates a role's description and/or replaces its permissions or parents.
+ * @route   PATCH /api/v1/auth/roles/:name
+ * @access  Private (Admin-only)
+ * @details The 'admin' role must keep the 'manage:all' permission and cannot
+ * have deny entries.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.updateRole = async (req, res) => {
+  try {
+    const { description, permissions, inherits } = req.body;
+
+    if (permissions !== undefined && !keepsAdminAccess(req.params.name, permissions)) {
+      return res.status(400).json({ message: ADMIN_ACCESS_MESSAGE });
+    }
+    if (inherits !== undefined && await Role.exists({ name: req.params.name })) {
+      const inheritanceError = await checkInheritance(req.params.name, inherits);
+      if (inheritanceError) {
+        return res.status(400).json({ message: inheritanceError });
+      }
+    }
+
+    const role = await Role.findOneAndUpdate(
+      { name: req.params.name },
+      { description, permissions, inherits },
+      { new: true, runValidators: true }
+    );
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    invalidateRoleCache();
+
+    res.status(200).json({
+      message: 'Role updated successfully',
+      role: formatRole(role),
+    });
+  } catch (error) {
+    console.error('Error updating role:', error);
+    res.status(500).json({ message: 'Server error while updating the role' });
+  }
+};
+
+/**
+ * @desc    Deletes a role.
+ * @route   DELETE /api/v1/auth/roles/:name
+ * @access  Private (Admin-only)
+ * @details Built-in roles, roles that users still have (globally or in an
+ * organization) and roles that other roles inherit from cannot be deleted.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    if (role.isSystem) {
+      return res.status(400).json({ message: 'Built-in roles cannot be deleted' });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return res.status(409).json({
+        message: `The role is still assigned to ${userCount} user(s). Assign them another role first.`,
+      });
+    }
+    const memberCount = await Membership.countDocuments({ role: role.name });
+    if (memberCount > 0) {
+      return res.status(409).json({
+        message: `The role is still assigned to ${memberCount} organization member(s). Assign them another role first.`,
+      });
+    }
+    const children = await Role.find({ inherits: role.name }).select('name').lean();
+    if (children.length > 0) {
+      return res.status(409).json({
+        message: `The role is inherited by: ${children.map(child => child.name).join(', ')}`,
+      });
+    }
+
+    await role.deleteOne();
+    invalidateRoleCache();
+
+    res.status(200).json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting role:', error);
+    res.status(500).json({ message: 'Server error while deleting the role' });
+  }
+};
+
+/**
+ * @desc    Assigns permissions to a role.
+ * @route   POST /api/v1/auth/roles/:name/permissions
+ * @access  Private (Admin-only)
+ * @details Takes `permissions`, which are added to the role's existing ones.
+ * Deny entries (e.g. '!delete:post') cannot be added to the 'admin' role.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.addRolePermissions = async (req, res) => {
+  try {
+    if (req.params.name === 'admin' && req.body.permissions.some(isDenied)) {
+      return res.status(400).json({ message: ADMIN_ACCESS_MESSAGE });
+    }
+
+    const role = await Role.findOneAndUpdate(
+      { name: req.params.name },
+      { $addToSet: { permissions: { $each: req.body.permissions } } },
+      { new: true }
+    );
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    invalidateRoleCache();
+
+    res.status(200).json({
+      message: 'Permissions assigned successfully',
+      role: formatRole(role),
+    });
+  } catch (error) {
+    console.error('Error assigning permissions:', error);
+    res.status(500).json({ message: 'Server error while assigning the permissions' });
+  }
+};
+
+/**
+ * @desc    Removes a permission from a role.
+ * @route   DELETE /api/v1/auth/roles/:name/permissions/:permission
+ * @access  Private (Admin-only)
+ * @details The 'admin' role must keep the 'manage:all' permission.
+ * @param   {object} req - The request object.
+ * @param   {object} res - The response object.
+ */
+exports.removeRolePermission = async (req, res) => {
+  try {
+    const { name, permission } = req.params;
+    if (name === 'admin' && permission === 'manage:all') {
+      return res.status(400).json({ message: ADMIN_ACCESS_MESSAGE });
+    }
+
+    const role = await Role.findOneAndUpdate(
+      { name },
+      { $pull: { permissions: permission } },
+      { new: true }
+    );
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    invalidateRoleCache();
+
+    res.status(200).json({
+      message: 'Permission removed successfully',
+      role: formatRole(role),
+    });
+  } catch (error) {
+    console.error('Error removing permission:', error);
+    res.status(500).json({ message: 'Server error while removing the permission' });
+  }
+};
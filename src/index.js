@@ -1,15 +1,48 @@
 // src/index.js
 
 const authMiddleware = require('./middleware/authMiddleware');
+const apiKeyMiddleware = require('./middleware/apiKeyMiddleware');
 const rbacMiddleware = require('./middleware/rbacMiddleware');
+const organizationMiddleware = require('./middleware/organizationMiddleware');
 const validatorMiddleware = require('./middleware/validatorMiddleware');
+const rateLimitMiddleware = require('./middleware/rateLimitMiddleware');
 const jwtUtils = require('./utils/jwtUtils');
 const passwordUtils = require('./utils/passwordUtils');
+const keyUtils = require('./utils/keyUtils');
+const mfaUtils = require('./utils/mfaUtils');
+const apiKeyUtils = require('./utils/apiKeyUtils');
+const permissionUtils = require('./utils/permissionUtils');
+const policyUtils = require('./utils/policyUtils');
+const revocationStore = require('./stores/revocationStore');
+const loginAttemptStore = require('./stores/loginAttemptStore');
+const rateLimitStore = require('./stores/rateLimitStore');
+const mailTransport = require('./transports/mailTransport');
+const oidcStrategy = require('./strategies/oidcStrategy');
+const { ConfigurationError } = require('./utils/errors');
 
 module.exports = {
   authMiddleware,
+  apiKeyMiddleware,
   rbacMiddleware,
+  organizationMiddleware,
   validatorMiddleware,
+  rateLimitMiddleware,
   jwtUtils,
   passwordUtils,
+  keyUtils,
+  mfaUtils,
+  apiKeyUtils,
+  permissionUtils,
+  policyUtils,
+  can: policyUtils.can,
+  revocationStore,
+  loginAttemptStore,
+  rateLimitStore,
+  mailTransport,
+  oidcStrategy,
+  // Factories for explicitly configured utility instances.
+  createJwtUtils: jwtUtils.createJwtUtils,
+  createPasswordUtils: passwordUtils.createPasswordUtils,
+  createOidcStrategy: oidcStrategy.createOidcStrategy,
+  ConfigurationError,
 };
\ No newline at end of file
@@ -0,0 +1,153 @@
+/**
+ * @file apiKeyMiddleware.js
+ * @description An Express.js middleware for authenticating machine-to-machine
+ * requests with an API key sent in the `X-API-Key` header.
+ * This middleware is responsible for:
+ * - Looking the key up by its visible prefix and comparing its hash.
+ * - Rejecting revoked or expired keys, and keys of inactive users.
+ * - Attaching the key owner's data to the request object (req.user), in the
+ * same shape as a JWT payload, so rbacMiddleware applies unchanged. A key
+ * restricted to some permissions gets them as its `scope`, and a key of a user
+ * who has not enrolled in mandatory two-factor authentication is restricted
+ * like their access tokens.
+ * - Recording when each key was last used.
+ *
+ * It can be mounted on its own, or enabled on authMiddleware with
+ * `authMiddleware({ apiKeys: true })` so a route accepts either a JWT or a key.
+ */
+
+const ApiKey = require('../models/apiKeyModel');
+const User = require('../models/userModel');
+const apiKeyUtils = require('../utils/apiKeyUtils');
+const mfaUtils = require('../utils/mfaUtils');
+const { getRolePermissions, hasPermission, isDenied } = require('../utils/permissionUtils');
+
+// =========================================================================
+// 1. Configuration & Constants
+// =========================================================================
+// Machine-readable codes sent in the `code` field of every failure response.
+const API_KEY_ERROR_CODES = Object.freeze({
+  MISSING: 'api_key_missing',
+  INVALID: 'api_key_invalid',
+  SERVER_ERROR: 'server_error',
+});
+
+// `lastUsedAt` is written at most this often per key, so busy keys do not
+// cost a database write on every request.
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// =========================================================================
+// 2. Key Verification
+// =========================================================================
+
+/**
+ * Builds the `req.user` of a request authenticated by an API key.
+ * A restricted key never grants more than the owner's role currently allows,
+ * even if the role was downgraded after the key was created. Owners who have
+ * not enrolled in mandatory two-factor authentication get the
+ * `mfa_enrollment_required` restriction, as in their access tokens.
+ * @param {object} apiKey - The API key document.
+ * @param {object} user - The key owner.
+ * @returns {Promise<object>} The request user.
+ */
+async function buildRequestUser(apiKey, user) {
+  const requestUser = {
+    id: String(user._id),
+    email: user.email,
+    role: user.role,
+    email_verified: Boolean(user.isEmailVerified),
+    api_key_id: String(apiKey._id),
+    ...(mfaUtils.isMfaEnrollmentRequired(user) && { mfa_enrollment_required: true }),
+  };
+  if (apiKey.permissions.length > 0) {
+    const rolePermissions = await getRolePermissions(user.role);
+    const permissions = apiKey.permissions.filter(permission => hasPermission(rolePermissions, permission));
+    // The role's deny entries still apply to wildcard key permissions
+    requestUser.scope = [...permissions, ...rolePermissions.filter(isDenied)].join(' ');
+  }
+  return requestUser;
+}
+
+/**
+ * Records that a key was used, unless that was already recorded recently.
+ * Failures are only logged: they must not fail the request.
+ * @param {object} apiKey - The API key document.
+ */
+function touchApiKey(apiKey) {
+  const now = Date.now();
+  if (apiKey.lastUsedAt && now - apiKey.lastUsedAt.getTime() < LAST_USED_RESOLUTION_MS) {
+    return;
+  }
+  ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(now) })
+    .catch(err => console.error('Could not record API key usage:', err.message));
+}
+
+/**
+ * Authenticates the API key of a request.
+ * @param {string} key - The presented key.
+ * @returns {Promise<object|null>} The request user, or null if the key is not accepted.
+ */
+async function verifyRequestApiKey(key) {
+  const prefix = apiKeyUtils.parseApiKey(key);
+  if (!prefix) {
+    return null;
+  }
+
+  const apiKey = await ApiKey.findOne({ prefix }).select('+keyHash');
+  if (!apiKey || !apiKeyUtils.verifyApiKey(key, apiKey.keyHash) || !apiKey.isUsable()) {
+    return null;
+  }
+
+  const user = await User.findById(apiKey.user);
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  touchApiKey(apiKey);
+  return buildRequestUser(apiKey, user);
+}
+
+// =========================================================================
+// 3. The API Key Middleware
+// =========================================================================
+
+/**
+ * @function apiKeyMiddleware
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @returns {Promise<void>}
+ * @description Authenticates a request by the API key in the `X-API-Key` header.
+ */
+async function apiKeyMiddleware(req, res, next) {
+  const key = req.headers[apiKeyUtils.API_KEY_HEADER];
+  if (!key) {
+    return res.status(401).json({ error: 'API key is missing.', code: API_KEY_ERROR_CODES.MISSING });
+  }
+
+  try {
+    const requestUser = await verifyRequestApiKey(key);
+    if (!requestUser) {
+      return res.status(401).json({
+        error: 'The API key is invalid, expired or revoked.',
+        code: API_KEY_ERROR_CODES.INVALID,
+      });
+    }
+    req.user = requestUser;
+  } catch (err) {
+    console.error('API key check failed:', err.message);
+    return res.status(500).json({
+      error: 'Could not verify the API key. Please try again later.',
+      code: API_KEY_ERROR_CODES.SERVER_ERROR,
+    });
+  }
+
+  next();
+}
+
+// =========================================================================
+// 4. Export the Middleware
+// =========================================================================
+
+module.exports = apiKeyMiddleware;
+module.exports.API_KEY_ERROR_CODES = API_KEY_ERROR_CODES;
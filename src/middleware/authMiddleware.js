@@ -2,56 +2,371 @@
  * @file authMiddleware.js
  * @description A detailed Express.js middleware for authenticating requests using JWTs.
  * This middleware is responsible for:
- * - Extracting the token from the Authorization header.
+ * - Extracting the token from a configurable list of sources: the Authorization
+ * header, the access token cookie (cookie mode) or a custom extractor.
+ * - Enforcing the double-submit CSRF token on state-changing requests that were
+ * authenticated by cookie.
  * - Verifying the token's validity and expiration using jwtUtils.
+ * - Rejecting tokens that have been revoked (logout, "logout everywhere"),
+ * whose `tokenVersion` is older than the user's (e.g. after a password change)
+ * or whose session (`sid` claim) has been revoked, and recording when each
+ * session was last seen. The user's current role replaces the `role` claim, so
+ * role changes apply to tokens that were already issued.
+ * - Optionally accepting an API key instead (`apiKeys: true`), which is
+ * checked by apiKeyMiddleware.
  * - Attaching the authenticated user's data to the request object (req.user)
- * for downstream middleware and route handlers to use.
+ * for downstream middleware and route handlers to use. When an admin
+ * impersonates a user (`act` claim), `req.user` is the impersonated user and
+ * `req.actor` the admin, whose account and role are checked on every request.
  * - Handling various authentication failures (missing token, invalid token, etc.)
- * by sending a 401 Unauthorized response.
+ * by sending a 401 Unauthorized response with a machine-readable `code` and an
+ * RFC 6750 `WWW-Authenticate` header. A `token_expired` code tells the client it
+ * can silently refresh; any other code means the user has to log in again.
  */
 
 const jwt = require('jsonwebtoken');
-const jwtUtils = require('../src/utils/jwtUtils');
+const jwtUtils = require('../utils/jwtUtils');
+const { getRevocationStore } = require('../stores/revocationStore');
+const cookieUtils = require('../utils/cookieUtils');
+const { ConfigurationError } = require('../utils/errors');
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const { getRolePermissions, hasPermission } = require('../utils/permissionUtils');
+const apiKeyMiddleware = require('./apiKeyMiddleware');
+const { API_KEY_HEADER } = require('../utils/apiKeyUtils');
+
+// =========================================================================
+// 1. Error Responses
+// =========================================================================
+// Machine-readable codes sent in the `code` field of every failure response.
+// The token-related ones match jwtUtils.TOKEN_FAILURE_REASONS.
+const AUTH_ERROR_CODES = Object.freeze({
+  ...jwtUtils.TOKEN_FAILURE_REASONS,
+  AUTHORIZATION_MALFORMED: 'authorization_malformed',
+  TOKEN_REVOKED: 'token_revoked',
+  CSRF_TOKEN_INVALID: 'csrf_token_invalid',
+  INSUFFICIENT_SCOPE: 'insufficient_scope',
+  IMPERSONATION_FORBIDDEN: 'impersonation_forbidden',
+  SERVER_ERROR: 'server_error',
+});
+
+// Human-readable descriptions for each token failure. They double as the
+// `error_description` of the WWW-Authenticate header, so they must not
+// contain double quotes or backslashes.
+const TOKEN_ERROR_MESSAGES = {
+  [AUTH_ERROR_CODES.MALFORMED]: 'The access token is malformed',
+  [AUTH_ERROR_CODES.EXPIRED]: 'The access token expired',
+  [AUTH_ERROR_CODES.NOT_ACTIVE]: 'The access token is not valid yet',
+  [AUTH_ERROR_CODES.INVALID]: 'The access token is invalid',
+  [AUTH_ERROR_CODES.TOKEN_REVOKED]: 'The access token has been revoked',
+  [AUTH_ERROR_CODES.INSUFFICIENT_SCOPE]: 'Tokens issued to OAuth clients cannot be used here',
+};
 
 /**
- * @function authMiddleware
+ * Sends an authentication failure with the matching WWW-Authenticate challenge.
+ * As RFC 6750 requires, a request without any credentials gets a bare
+ * `Bearer` challenge, a malformed Authorization header gets `invalid_request`
+ * (400), a token that is valid but not allowed gets `insufficient_scope` (403),
+ * and a rejected token gets `invalid_token` (401).
+ * @param {object} res - The Express response object.
+ * @param {string} code - One of AUTH_ERROR_CODES.
+ * @param {string} message - The human-readable error message.
+ * @returns {object} The Express response.
+ */
+function sendAuthError(res, code, message) {
+  let status = 401;
+  let challenge = 'Bearer';
+  if (code === AUTH_ERROR_CODES.AUTHORIZATION_MALFORMED) {
+    status = 400;
+    challenge = `Bearer error="invalid_request", error_description="${message}"`;
+  } else if (code === AUTH_ERROR_CODES.INSUFFICIENT_SCOPE) {
+    status = 403;
+    challenge = `Bearer error="insufficient_scope", error_description="${message}"`;
+  } else if (code !== AUTH_ERROR_CODES.MISSING) {
+    challenge = `Bearer error="invalid_token", error_description="${message}"`;
+  }
+  res.set('WWW-Authenticate', challenge);
+  return res.status(status).json({ error: `${message}.`, code });
+}
+
+// `lastSeenAt` of a session is written at most this often, so active sessions
+// do not cost a database write on every request.
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+// =========================================================================
+// 2. Token Extraction
+// =========================================================================
+// The built-in token sources. Custom sources are functions `(req) => token|null`.
+const TOKEN_SOURCES = ['header', 'cookie'];
+
+/**
+ * Returns the token sources used when a route does not configure its own:
+ * the Authorization header, plus the access token cookie in cookie mode.
+ * @returns {Array<string|function>} The default token sources.
+ */
+function defaultTokenSources() {
+  return cookieUtils.isCookieModeEnabled() ? ['header', 'cookie'] : ['header'];
+}
+
+/**
+ * Checks a list of token sources.
+ * @param {Array<string|function>} sources - The sources to check.
+ * @throws {ConfigurationError} Throws if a source is neither a known name nor a function.
+ */
+function validateTokenSources(sources) {
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw new ConfigurationError('tokenSources must be a non-empty array.', 'tokenSources');
+  }
+  sources.forEach(source => {
+    if (typeof source !== 'function' && !TOKEN_SOURCES.includes(source)) {
+      throw new ConfigurationError(
+        `Unknown token source '${source}'. Use ${TOKEN_SOURCES.join(', ')} or a function.`,
+        'tokenSources'
+      );
+    }
+  });
+}
+
+/**
+ * Finds the access token in the first source that provides one.
+ * @param {object} req - The Express request object.
+ * @param {Array<string|function>} sources - The sources to try, in order.
+ * @returns {{token?: string, source?: string, malformed?: boolean}|null} The token and
+ * its source, `{ malformed: true }` for an unusable Authorization header, or null.
+ */
+function extractToken(req, sources) {
+  for (const source of sources) {
+    if (typeof source === 'function') {
+      const token = source(req);
+      if (token) {
+        return { token, source: 'custom' };
+      }
+    } else if (source === 'header') {
+      const authHeader = req.headers.authorization;
+      if (authHeader) {
+        // The header format must be "Bearer TOKEN".
+        const [scheme, token, ...rest] = authHeader.split(' ');
+        if (!/^Bearer$/i.test(scheme) || !token || rest.length > 0) {
+          return { malformed: true };
+        }
+        return { token, source };
+      }
+    } else if (source === 'cookie') {
+      const token = cookieUtils.getCookie(req, cookieUtils.COOKIE_NAMES.ACCESS);
+      if (token) {
+        return { token, source };
+      }
+    }
+  }
+  return null;
+}
+
+// =========================================================================
+// 3. The Authentication Middleware
+// =========================================================================
+
+/**
+ * Checks that the admin behind an impersonation token (`act` claim) could
+ * still start it: the admin is active, their role still grants
+ * 'impersonate:user', and they have not logged out everywhere since.
+ * @param {object} store - The revocation store.
+ * @param {string} actorId - The admin's user ID.
+ * @param {number} issuedAt - When the token was issued, in milliseconds.
+ * @returns {Promise<boolean>} True if the admin may still impersonate.
+ */
+async function isActorAllowed(store, actorId, issuedAt) {
+  const actor = await User.findById(actorId).select('isActive role').lean();
+  if (!actor || !actor.isActive) {
+    return false;
+  }
+  if (!hasPermission(await getRolePermissions(actor.role), 'impersonate:user')) {
+    return false;
+  }
+  const actorRevokedAt = await store.getUserRevokedAt(actorId);
+  return !actorRevokedAt || issuedAt > actorRevokedAt.getTime();
+}
+
+/**
+ * @function authenticate
+ * @param {object} options - The options given to `authMiddleware` (see below).
  * @param {object} req - The Express request object.
  * @param {object} res - The Express response object.
  * @param {function} next - The next middleware function in the stack.
- * @returns {void}
+ * @returns {Promise<void>}
  * @description Authenticates a user based on the JWT provided in the
- * Authorization header.
+ * Authorization header or one of the other configured token sources.
  */
-function authMiddleware(req, res, next) {
-  // Check for the 'Authorization' header.
-  const authHeader = req.headers.authorization;
-  if (!authHeader) {
-    // If no header is present, authentication fails.
-    return res.status(401).json({ error: 'Authorization header is missing.' });
+async function authenticate(options, req, res, next) {
+  // On routes that accept API keys, a request carrying one is authenticated by it.
+  if (options.apiKeys && req.headers[API_KEY_HEADER]) {
+    return apiKeyMiddleware(req, res, next);
+  }
+
+  const sources = options.tokenSources || defaultTokenSources();
+
+  // Look for the token in each configured source.
+  const extracted = extractToken(req, sources);
+  if (!extracted) {
+    // If no source provides a token, authentication fails.
+    const message = sources.length === 1 && sources[0] === 'header'
+      ? 'Authorization header is missing'
+      : 'Access token is missing';
+    return sendAuthError(res, AUTH_ERROR_CODES.MISSING, message);
   }
 
-  // The header format is typically "Bearer TOKEN".
-  const token = authHeader.split(' ')[1];
+  // If the scheme or the token part of the header is wrong, the header format is invalid.
+  if (extracted.malformed) {
+    return sendAuthError(res, AUTH_ERROR_CODES.AUTHORIZATION_MALFORMED, 'Authorization header must be in the format Bearer token');
+  }
+  const { token, source } = extracted;
 
-  // If the token part is missing, the header format is invalid.
-  if (!token) {
-    return res.status(401).json({ error: 'Authorization token is missing or malformed.' });
+  // Browsers send cookies automatically, so a state-changing request authenticated
+  // by cookie must prove it came from our own frontend (double-submit CSRF token).
+  if (source === 'cookie' && !cookieUtils.verifyCsrfToken(req)) {
+    return res.status(403).json({
+      error: 'Missing or invalid CSRF token.',
+      code: AUTH_ERROR_CODES.CSRF_TOKEN_INVALID,
+    });
   }
 
   // Use the utility function to verify the token.
-  const decodedPayload = jwtUtils.verifyToken(token);
+  // Route-level expectations (e.g. the audience) override the configured ones.
+  const result = jwtUtils.verifyTokenDetailed(token, {
+    audience: options.audience,
+    issuer: options.issuer,
+  });
+
+  // If the token is invalid (e.g., expired, bad signature), report why.
+  if (!result.valid) {
+    return sendAuthError(res, result.reason, TOKEN_ERROR_MESSAGES[result.reason]);
+  }
+  const decodedPayload = result.payload;
+
+  // Tokens issued to OAuth clients (`client_id` claim) are limited to their
+  // scopes; routes that manage the user's own account can refuse them.
+  if (options.allowClientTokens === false && decodedPayload.client_id) {
+    return sendAuthError(res, AUTH_ERROR_CODES.INSUFFICIENT_SCOPE, TOKEN_ERROR_MESSAGES[AUTH_ERROR_CODES.INSUFFICIENT_SCOPE]);
+  }
+
+  // Reject tokens that were revoked individually (logout) or that were issued
+  // before the user logged out everywhere.
+  try {
+    const store = getRevocationStore();
+    if (decodedPayload.jti && await store.isRevoked(decodedPayload.jti)) {
+      return sendAuthError(res, AUTH_ERROR_CODES.TOKEN_REVOKED, TOKEN_ERROR_MESSAGES[AUTH_ERROR_CODES.TOKEN_REVOKED]);
+    }
+    // `iat` only has whole seconds: tokens without the millisecond `iat_ms` claim
+    // issued in the same second as the revocation count as revoked.
+    const userRevokedAt = decodedPayload.id && await store.getUserRevokedAt(String(decodedPayload.id));
+    const issuedAt = typeof decodedPayload.iat_ms === 'number' ? decodedPayload.iat_ms : decodedPayload.iat * 1000;
+    if (userRevokedAt && issuedAt <= userRevokedAt.getTime()) {
+      return sendAuthError(res, AUTH_ERROR_CODES.TOKEN_REVOKED, TOKEN_ERROR_MESSAGES[AUTH_ERROR_CODES.TOKEN_REVOKED]);
+    }
+
+    // Tokens issued by authController carry the user's token version. Once the
+    // version has been bumped (password change or reset), older tokens are dead.
+    if (decodedPayload.tokenVersion !== undefined) {
+      const user = await User.findById(decodedPayload.id).select('tokenVersion isActive role').lean();
+      if (!user || !user.isActive || (user.tokenVersion || 0) !== decodedPayload.tokenVersion) {
+        return sendAuthError(res, AUTH_ERROR_CODES.TOKEN_REVOKED, TOKEN_ERROR_MESSAGES[AUTH_ERROR_CODES.TOKEN_REVOKED]);
+      }
+      // rbacMiddleware checks the role the user has now, not the one in the token
+      decodedPayload.role = user.role;
+    }
+
+    // Tokens issued by a login belong to a session, which the user can revoke
+    // from another device.
+    if (decodedPayload.sid) {
+      const session = await Session.findById(decodedPayload.sid).select('revokedAt lastSeenAt').lean();
+      if (!session || session.revokedAt) {
+        return sendAuthError(res, AUTH_ERROR_CODES.TOKEN_REVOKED, TOKEN_ERROR_MESSAGES[AUTH_ERROR_CODES.TOKEN_REVOKED]);
+      }
+      if (!session.lastSeenAt || Date.now() - session.lastSeenAt.getTime() >= LAST_SEEN_RESOLUTION_MS) {
+        Session.updateOne({ _id: session._id }, { lastSeenAt: new Date(), ip: req.ip })
+          .catch(updateErr => console.error('Could not record session activity:', updateErr.message));
+      }
+    }
 
-  // If the token is invalid (e.g., expired, bad signature), the function returns null.
-  if (!decodedPayload) {
-    return res.status(401).json({ error: 'Invalid or expired token. Authentication failed.' });
+    // An impersonation token dies with the admin's right to impersonate.
+    if (decodedPayload.act && decodedPayload.act.sub
+      && !(await isActorAllowed(store, String(decodedPayload.act.sub), issuedAt))) {
+      return sendAuthError(res, AUTH_ERROR_CODES.TOKEN_REVOKED, TOKEN_ERROR_MESSAGES[AUTH_ERROR_CODES.TOKEN_REVOKED]);
+    }
+  } catch (err) {
+    console.error('Token revocation check failed:', err.message);
+    return res.status(500).json({
+      error: 'Could not verify the token. Please try again later.',
+      code: AUTH_ERROR_CODES.SERVER_ERROR,
+    });
   }
 
   // If the token is valid, attach the decoded user data to the request object.
   // This makes the user's information available to all subsequent middleware and routes.
   req.user = decodedPayload;
 
+  // An impersonation token acts as the user on behalf of the admin named in `act`.
+  if (decodedPayload.act && decodedPayload.act.sub) {
+    req.actor = { id: String(decodedPayload.act.sub) };
+  }
+
   // Proceed to the next middleware or the route handler.
   next();
 }
 
+/**
+ * @function authMiddleware
+ * @param {object} [reqOrOptions] - Either the Express request (when used directly as
+ * middleware) or an options object (when called to create a configured middleware).
+ * @param {string|string[]} [reqOrOptions.audience] - The audience(s) the token must be issued for on this route.
+ * @param {string|string[]} [reqOrOptions.issuer] - The issuer(s) to accept on this route.
+ * @param {Array<string|function>} [reqOrOptions.tokenSources] - Where to look for the token, in
+ * order: 'header', 'cookie' and/or functions `(req) => token|null`. Defaults to the header,
+ * plus the cookie in cookie mode.
+ * @param {boolean} [reqOrOptions.allowClientTokens=true] - Set to false to refuse tokens
+ * issued to OAuth clients (403 `insufficient_scope`).
+ * @param {boolean} [reqOrOptions.apiKeys=false] - Set to true to also accept an API key
+ * in the `X-API-Key` header (see apiKeyMiddleware).
+ * @param {object} [res] - The Express response object.
+ * @param {function} [next] - The next middleware function in the stack.
+ * @returns {function|Promise<void>} A configured middleware, or the result of authenticating the request.
+ * @description Can be mounted directly (`router.use(authMiddleware)`) to apply the
+ * default expectations, or called with options to require e.g. a specific audience
+ * on a route (`authMiddleware({ audience: 'billing-api' })`).
+ */
+function authMiddleware(reqOrOptions, res, next) {
+  if (typeof next === 'function') {
+    return authenticate({}, reqOrOptions, res, next);
+  }
+  const options = reqOrOptions || {};
+  if (options.tokenSources !== undefined) {
+    validateTokenSources(options.tokenSources);
+  }
+  return (req, res, next) => authenticate(options, req, res, next);
+}
+
+/**
+ * @function rejectImpersonation
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ * @description Refuses requests made with an impersonation token. Mount it after
+ * authMiddleware on routes only the real user may use, e.g. changing the
+ * password or the second factor.
+ */
+function rejectImpersonation(req, res, next) {
+  if (req.actor) {
+    return res.status(403).json({
+      error: 'This action is not available while impersonating a user.',
+      code: AUTH_ERROR_CODES.IMPERSONATION_FORBIDDEN,
+    });
+  }
+  next();
+}
+
+// =========================================================================
+// 4. Export the Middleware
+// =========================================================================
+
 module.exports = authMiddleware;
+module.exports.rejectImpersonation = rejectImpersonation;
+module.exports.AUTH_ERROR_CODES = AUTH_ERROR_CODES;
@@ -0,0 +1,109 @@
+/**
+ * @file organizationMiddleware.js
+ * @description An Express.js middleware that resolves the organization a request
+ * is about and checks that the authenticated user is a member of it. The
+ * organization is taken from, in order:
+ * - the route parameter (`:orgId` by default),
+ * - the `X-Organization-Id` header,
+ * - the `org` claim of the access token (the organization the user switched to).
+ *
+ * It sets `req.organization` to `{ id, name, slug, role }`, where `role` is the
+ * user's role within the organization. rbacMiddleware then checks that role
+ * instead of the user's global role. Routes opt in by using this middleware,
+ * so the header cannot change what global (admin) routes allow.
+ */
+
+const Membership = require('../models/membershipModel');
+// Registers the Organization model for populate()
+require('../models/organizationModel');
+
+// =========================================================================
+// 1. Organization Resolution
+// =========================================================================
+// The header naming the organization, lowercase as in `req.headers`.
+const ORGANIZATION_HEADER = 'x-organization-id';
+
+/**
+ * Finds the organization ID a request names.
+ * @param {object} req - The Express request object.
+ * @param {string} param - The name of the route parameter.
+ * @returns {string|null} The organization ID, or null if the request names none.
+ */
+function getRequestedOrganization(req, param) {
+  if (req.params && req.params[param]) {
+    return req.params[param];
+  }
+  if (req.headers[ORGANIZATION_HEADER]) {
+    return req.headers[ORGANIZATION_HEADER];
+  }
+  return req.user && req.user.org ? String(req.user.org) : null;
+}
+
+// =========================================================================
+// 2. The Organization Middleware
+// =========================================================================
+/**
+ * @function organizationMiddleware
+ * @param {object} [options]
+ * @param {string} [options.param='orgId'] - The route parameter holding the organization ID.
+ * @param {boolean} [options.required=true] - Set to false to let requests that name
+ * no organization through; rbacMiddleware then checks the global role.
+ * @returns {function} An Express.js middleware function. It must run after authMiddleware.
+ * @description Responds 400 `organization_required` when no organization is
+ * named (unless optional) or `organization_invalid` for a malformed ID, and 404
+ * `organization_not_found` when it does not exist or the user is not a member,
+ * so outsiders cannot tell which organizations exist.
+ */
+function organizationMiddleware({ param = 'orgId', required = true } = {}) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required.' });
+    }
+
+    const organizationId = getRequestedOrganization(req, param);
+    if (!organizationId) {
+      if (!required) {
+        return next();
+      }
+      return res.status(400).json({
+        error: 'Please choose an organization (route, X-Organization-Id header or switch to one).',
+        code: 'organization_required',
+      });
+    }
+    if (!/^[0-9a-f]{24}$/i.test(organizationId)) {
+      return res.status(400).json({ error: 'Invalid organization ID.', code: 'organization_invalid' });
+    }
+
+    // Tokens without a user (OAuth client credentials) are members of nothing
+    if (!req.user.id) {
+      return res.status(404).json({ error: 'Organization not found.', code: 'organization_not_found' });
+    }
+
+    let membership;
+    try {
+      membership = await Membership.findOne({ organization: organizationId, user: req.user.id })
+        .populate('organization', 'name slug')
+        .lean();
+    } catch (err) {
+      console.error('Membership lookup failed:', err.message);
+      return res.status(500).json({ error: 'Could not check your membership. Please try again later.' });
+    }
+    if (!membership || !membership.organization) {
+      return res.status(404).json({ error: 'Organization not found.', code: 'organization_not_found' });
+    }
+
+    req.organization = {
+      id: String(membership.organization._id),
+      name: membership.organization.name,
+      slug: membership.organization.slug,
+      role: membership.role,
+    };
+    next();
+  };
+}
+
+// =========================================================================
+// 3. Export the Middleware
+// =========================================================================
+module.exports = organizationMiddleware;
+module.exports.ORGANIZATION_HEADER = ORGANIZATION_HEADER;
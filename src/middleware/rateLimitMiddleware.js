@@ -0,0 +1,162 @@
+/**
+ * @file rateLimitMiddleware.js
+ * @description A configurable Express.js middleware that limits how many
+ * requests a client can make in a time window.
+ * This middleware is responsible for:
+ * - Identifying the client by IP address, user ID, API key or a custom function.
+ * - Counting its requests with a fixed-window or a sliding-window algorithm.
+ * The sliding window weighs the previous window's count by how much of it
+ * still overlaps, which avoids the burst a fixed window allows at its edges.
+ * - Sending the `RateLimit-Policy`, `RateLimit-Limit`, `RateLimit-Remaining`
+ * and `RateLimit-Reset` headers on every response, and `Retry-After` with a
+ * 429 Too Many Requests response once the limit is reached.
+ *
+ * Counters live in a pluggable store (see rateLimitStore). If the store fails,
+ * the request is let through: an outage of the counters must not take the API down.
+ */
+
+const ms = require('ms');
+const { getRateLimitStore } = require('../stores/rateLimitStore');
+const { ConfigurationError } = require('../utils/errors');
+
+// =========================================================================
+// 1. Configuration & Constants
+// =========================================================================
+const RATE_LIMIT_ALGORITHMS = ['fixed-window', 'sliding-window'];
+
+// The built-in ways to identify a client. Custom ones are functions `(req) => string`.
+const KEY_SOURCES = ['ip', 'user', 'apiKey'];
+
+// Names the limiters that were not given one, so they never share counters.
+let unnamedLimiters = 0;
+
+// =========================================================================
+// 2. Client Identification
+// =========================================================================
+
+/**
+ * Returns the key that identifies the client of a request. Requests without a
+ * user or an API key are counted by IP address. Both come from the
+ * authentication middleware, so a client cannot pick its own counter by
+ * sending a made-up header.
+ * @param {object} req - The Express request object.
+ * @param {string|function} keyBy - 'ip', 'user', 'apiKey' or `(req) => string`.
+ * @returns {string} The client key.
+ */
+function getClientKey(req, keyBy) {
+  if (typeof keyBy === 'function') {
+    return `custom:${keyBy(req)}`;
+  }
+  if (keyBy === 'user' && req.user && req.user.id) {
+    return `user:${req.user.id}`;
+  }
+  if (keyBy === 'apiKey' && req.user && req.user.api_key_id) {
+    return `key:${req.user.api_key_id}`;
+  }
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Checks the options of a limiter.
+ * @param {object} options - The options given to `rateLimitMiddleware`.
+ * @param {number} windowMs - The window, already converted to milliseconds.
+ * @throws {ConfigurationError} Throws if an option is invalid.
+ */
+function validateOptions({ limit, algorithm, keyBy, store }, windowMs) {
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new ConfigurationError('limit must be a positive integer.', 'limit');
+  }
+  if (!Number.isFinite(windowMs) || windowMs < 1000) {
+    throw new ConfigurationError('window must be at least one second, e.g. 60000 or \'1m\'.', 'window');
+  }
+  if (!RATE_LIMIT_ALGORITHMS.includes(algorithm)) {
+    throw new ConfigurationError(
+      `Unknown algorithm '${algorithm}'. Use ${RATE_LIMIT_ALGORITHMS.join(' or ')}.`,
+      'algorithm'
+    );
+  }
+  if (typeof keyBy !== 'function' && !KEY_SOURCES.includes(keyBy)) {
+    throw new ConfigurationError(`Unknown keyBy '${keyBy}'. Use ${KEY_SOURCES.join(', ')} or a function.`, 'keyBy');
+  }
+  if (store !== undefined && (typeof store.increment !== 'function' || typeof store.get !== 'function')) {
+    throw new ConfigurationError('store must implement increment and get.', 'store');
+  }
+}
+
+// =========================================================================
+// 3. The Rate Limit Middleware
+// =========================================================================
+
+/**
+ * @function rateLimitMiddleware
+ * @param {object} [options]
+ * @param {number} [options.limit=100] - The requests allowed per window.
+ * @param {string|number} [options.window='1m'] - The window length, in milliseconds or as an `ms` string.
+ * @param {string} [options.algorithm='fixed-window'] - 'fixed-window' or 'sliding-window'.
+ * @param {string|function} [options.keyBy='ip'] - How to identify clients: 'ip', 'user'
+ * or 'apiKey' (both mounted after the authentication middleware), or `(req) => string`.
+ * @param {string} [options.name] - Names the limiter's counters. Limiters with the same
+ * name share their counters; give each limiter its own when using a shared store.
+ * @param {object} [options.store] - A rate limit store. Defaults to the active one (see rateLimitStore).
+ * @param {string} [options.message] - The error message of the 429 response.
+ * @returns {function} An Express.js middleware function.
+ * @throws {ConfigurationError} Throws if an option is invalid.
+ * @description A higher-order function that returns the actual middleware, e.g.
+ * `router.post('/login', rateLimitMiddleware({ limit: 10, window: '15m' }), ...)`.
+ */
+function rateLimitMiddleware({
+  limit = 100,
+  window = '1m',
+  algorithm = 'fixed-window',
+  keyBy = 'ip',
+  name = `limiter${++unnamedLimiters}`,
+  store,
+  message = 'Too many requests. Please try again later.',
+} = {}) {
+  const windowMs = typeof window === 'number' ? window : ms(String(window));
+  validateOptions({ limit, algorithm, keyBy, store }, windowMs);
+  const policy = `${limit};w=${Math.ceil(windowMs / 1000)}`;
+
+  // Return the middleware function itself.
+  return async (req, res, next) => {
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const resetSeconds = Math.max(1, Math.ceil((windowStart + windowMs - now) / 1000));
+    const counterKey = `${name}:${getClientKey(req, keyBy)}`;
+
+    let used;
+    try {
+      const activeStore = store || getRateLimitStore();
+      if (algorithm === 'sliding-window') {
+        // The current counter is also read during the next window, so it lives twice as long.
+        const current = await activeStore.increment(`${counterKey}:${windowStart}`, new Date(windowStart + 2 * windowMs));
+        const previous = await activeStore.get(`${counterKey}:${windowStart - windowMs}`);
+        const overlap = (windowStart + windowMs - now) / windowMs;
+        used = Math.ceil(previous * overlap) + current;
+      } else {
+        used = await activeStore.increment(`${counterKey}:${windowStart}`, new Date(windowStart + windowMs));
+      }
+    } catch (err) {
+      console.error('Rate limit check failed:', err.message);
+      return next();
+    }
+
+    res.set('RateLimit-Policy', policy);
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(Math.max(0, limit - used)));
+    res.set('RateLimit-Reset', String(resetSeconds));
+
+    if (used > limit) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({ error: message, code: 'rate_limited' });
+    }
+    next();
+  };
+}
+
+// =========================================================================
+// 4. Export the Middleware
+// =========================================================================
+
+module.exports = rateLimitMiddleware;
+module.exports.RATE_LIMIT_ALGORITHMS = RATE_LIMIT_ALGORITHMS;
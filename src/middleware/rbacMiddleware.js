@@ -8,77 +8,153 @@
  * exporting the `rbacMiddleware` function for use in other files like `userRoutes.js`.
  */
 
-// =========================================================================
-// 1. Centralized Permissions Definition
-// =========================================================================
-// This object maps each role to an array of specific permissions.
-const permissions = {
-  admin: [
-    'create:user', 'read:user', 'update:user', 'delete:user',
-    'create:post', 'read:post', 'update:post', 'delete:post',
-    'view:dashboard',
-    'manage:all'
-  ],
-  editor: [
-    'create:post', 'read:post', 'update:post',
-    'view:own:stats',
-  ],
-  viewer: [
-    'read:post'
-  ],
-};
+// Roles and their permissions are stored in the database and cached in
+// process (see permissionUtils). The built-in roles are 'admin', 'editor',
+// 'user' and 'org_admin'; admins can change them and add their own. Permissions may use
+// wildcards, deny entries and conditions, so they are always checked through
+// policyUtils. On routes about an organization, organizationMiddleware runs
+// first and the user's role within that organization replaces the global role.
+const { getRolePermissions, getAllPermissions } = require('../utils/permissionUtils');
+const {
+  allOf,
+  anyOf,
+  not,
+  condition,
+  toRequirement,
+  getUnmetRequirements,
+  can,
+} = require('../utils/policyUtils');
 
 // =========================================================================
-// 2. The Core RBAC Middleware Function
+// 1. The Core RBAC Middleware Function
 // =========================================================================
 /**
  * @function rbacMiddleware
- * @param {string[]} requiredPermissions - An array of permissions required to access the route.
+ * @param {string[]|object} requiredPermissions - An array of permissions required to access
+ * the route, or an expression built with `anyOf`, `allOf`, `not` and `condition`.
+ * @param {object} [options]
+ * @param {function} [options.load] - `async (req) => resource`. Loads the resource
+ * the route is about, so that conditional grants such as 'update:own:post' can
+ * allow it. A missing resource gets a 404.
  * @returns {function} An Express.js middleware function.
- * @description A higher-order function that returns the actual middleware.
+ * @throws {ConfigurationError} Throws if the requirement is invalid.
+ * @description A higher-order function that returns the actual middleware, e.g.
+ * `rbacMiddleware(['update:post'], { load: req => Post.findById(req.params.id) })` or
+ * `rbacMiddleware(anyOf('delete:post', condition('own')), { load })`. After
+ * organizationMiddleware, the permissions are those of the user's role in
+ * `req.organization`.
  */
-function rbacMiddleware(requiredPermissions) {
+function rbacMiddleware(requiredPermissions, { load } = {}) {
+  const requirement = toRequirement(requiredPermissions);
+
   // Return the middleware function itself.
-  return (req, res, next) => {
+  return async (req, res, next) => {
     // Check if the user is authenticated. This middleware should run after your auth middleware.
     if (!req.user) {
       return res.status(401).json({ error: 'Authentication required.' });
     }
 
-    const userRole = req.user.role;
-    const userPermissions = permissions[userRole];
+    // With EMAIL_VERIFICATION=restrict, users who have not verified their email
+    // address yet are denied every permission-protected route.
+    if (process.env.EMAIL_VERIFICATION === 'restrict' && req.user.email_verified === false) {
+      return res.status(403).json({ error: 'Please verify your email address to access this resource.' });
+    }
 
-    // Check if the user's role has any permissions defined.
-    if (!userPermissions) {
-      return res.status(403).json({ error: 'Your role does not have any permissions defined.' });
+    // Users whose role requires two-factor authentication (MFA_REQUIRED_ROLES)
+    // are denied every permission-protected route until they have enrolled.
+    if (req.user.mfa_enrollment_required) {
+      return res.status(403).json({
+        error: 'Please set up two-factor authentication to access this resource.',
+        code: 'mfa_enrollment_required',
+      });
     }
 
-    // Check if the user has a special "manage:all" permission for all access.
-    if (userPermissions.includes('manage:all')) {
-      return next();
+    // Routes about a single resource load it first, so that conditional
+    // permissions (e.g. 'update:own:post') can be checked against it. The
+    // handler finds it in `req.resource`.
+    let resource;
+    if (load) {
+      try {
+        resource = await load(req);
+      } catch (err) {
+        console.error('Resource lookup failed:', err.message);
+        return res.status(500).json({ error: 'Could not load the resource. Please try again later.' });
+      }
+      if (!resource) {
+        return res.status(404).json({ error: 'Resource not found.' });
+      }
+      req.resource = resource;
     }
 
-    // Check if the user has all the required permissions for this route.
-    const hasRequiredPermissions = requiredPermissions.every(permission =>
-      userPermissions.includes(permission)
-    );
+    // Tokens issued to OAuth clients and restricted API keys carry a `scope`:
+    // they only grant the permissions listed there, and only while the user's
+    // current role (or their role in the organization) allows them as well.
+    // Client credentials tokens act for no user and are limited by their scope alone.
+    if (typeof req.user.scope === 'string') {
+      let unmetScopes;
+      try {
+        unmetScopes = await getUnmetRequirements(req.user.scope.split(' '), req.user, requirement, resource);
+      } catch (err) {
+        console.error('Permission check failed:', err.message);
+        return res.status(500).json({ error: 'Could not check your permissions. Please try again later.' });
+      }
+      if (unmetScopes.length > 0) {
+        return res.status(403).json({
+          error: 'Access denied. The token does not have the required scopes.',
+          failed: unmetScopes,
+        });
+      }
+      if (!req.organization && !req.user.id) {
+        return next();
+      }
+    }
+
+    // The role within the organization the route is about, if any, or else the global role.
+    const role = req.organization ? req.organization.role : req.user.role;
+    let userPermissions;
+    let unmetRequirements;
+    try {
+      userPermissions = await getRolePermissions(role);
+      // Wildcards (including "manage:all") grant many permissions at once, deny
+      // entries override them, and conditional grants are checked against the resource.
+      unmetRequirements = await getUnmetRequirements(userPermissions, req.user, requirement, resource);
+    } catch (err) {
+      console.error('Permission check failed:', err.message);
+      return res.status(500).json({ error: 'Could not check your permissions. Please try again later.' });
+    }
+
+    // Check if the user's role has any permissions defined.
+    if (userPermissions.length === 0) {
+      return res.status(403).json({ error: 'Your role does not have any permissions defined.' });
+    }
 
     // If the user has the necessary permissions, proceed to the next middleware/route handler.
-    if (hasRequiredPermissions) {
+    if (unmetRequirements.length === 0) {
       return next();
     } else {
-      // If the user lacks the required permissions, send a 403 Forbidden error.
-      return res.status(403).json({ error: 'Access denied. You do not have the required permissions.' });
+      // If the user lacks the required permissions, send a 403 Forbidden error
+      // that lists the requirements that were not met.
+      return res.status(403).json({
+        error: 'Access denied. You do not have the required permissions.',
+        failed: unmetRequirements,
+      });
     }
   };
 }
 
 // =========================================================================
-// 3. Export the Middleware
+// 2. Export the Middleware
 // =========================================================================
 
 /**
  * @exports {function} The rbacMiddleware function.
  * This is the crucial line that makes the function available for other files to use.
  */
-module.exports = rbacMiddleware;
\ No newline at end of file
+module.exports = rbacMiddleware;
+module.exports.getRolePermissions = getRolePermissions;
+module.exports.getAllPermissions = getAllPermissions;
+module.exports.can = can;
+module.exports.allOf = allOf;
+module.exports.anyOf = anyOf;
+module.exports.not = not;
+module.exports.condition = condition;
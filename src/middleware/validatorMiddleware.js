@@ -64,11 +64,311 @@ function validate(schemas) {
 }
 
 // =========================================================================
-// 2. Export the Middleware
+// 2. Predefined Validators for the Auth Routes
+// =========================================================================
+// Ready-made validation middlewares used by `authRoutes.js`.
+
+// The rules every new password must follow. They match the User model.
+const passwordRule = Joi.string().min(8).max(128);
+// A 6-digit TOTP code from an authenticator app.
+const totpCodeRule = Joi.string().pattern(/^\d{6}$/).messages({ 'string.pattern.base': '"code" must be a 6-digit code' });
+
+// A role name, e.g. 'support-agent'. It is stored on users and in tokens.
+const roleNameRule = Joi.string().pattern(/^[a-z][a-z0-9_-]*$/).max(50)
+  .messages({ 'string.pattern.base': '{{#label}} may only contain lowercase letters, digits, "_" and "-"' });
+
+// A role permission, possibly with wildcards ('read:*') or denied ('!delete:post').
+const permissionRule = Joi.string().pattern(/^!?[a-z0-9_*-]+(:[a-z0-9_*-]+)*$/).max(100)
+  .messages({ 'string.pattern.base': '{{#label}} must be ":"-separated segments of lowercase letters, digits, "_", "-" and "*", optionally starting with "!"' });
+
+// An organization slug, e.g. 'acme-inc'.
+const slugRule = Joi.string().pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/).max(50)
+  .messages({ 'string.pattern.base': '{{#label}} may only contain lowercase letters, digits and single "-" between them' });
+
+const authSchemas = {
+  // Schema for registering a new user. The role is assigned by the server,
+  // never chosen by the registrant.
+  userRegistration: Joi.object({
+    email: Joi.string().email().required(),
+    password: passwordRule.required(),
+  }),
+  // Schema for logging in
+  userLogin: Joi.object({
+    email: Joi.string().email().required(),
+    password: Joi.string().required(),
+  }),
+  // Schema for updating the authenticated user's own profile
+  profileUpdate: Joi.object({
+    email: Joi.string().email(),
+  }).min(1), // Ensures at least one field is provided for the update
+  // Schema for changing the password of the authenticated user
+  passwordChange: Joi.object({
+    currentPassword: Joi.string().required(),
+    newPassword: passwordRule.invalid(Joi.ref('currentPassword')).required()
+      .messages({ 'any.invalid': '"newPassword" must differ from "currentPassword"' }),
+  }),
+  // Schema for exchanging a refresh token for a new token pair.
+  // In cookie mode the refresh token comes from its cookie instead of the body.
+  refreshToken: Joi.object({
+    refreshToken: Joi.string(),
+  }),
+  // Schema for logging out; the refresh token of the session is optional
+  logout: Joi.object({
+    refreshToken: Joi.string(),
+  }),
+  // Schema for confirming an email address with the emailed token
+  emailVerification: Joi.object({
+    token: Joi.string().required(),
+  }),
+  // Schema for requesting a new verification email
+  resendVerification: Joi.object({
+    email: Joi.string().email().required(),
+  }),
+  // Schema for requesting a magic login link
+  magicLink: Joi.object({
+    email: Joi.string().email().required(),
+  }),
+  // Schema for logging in with the token from a magic link
+  magicLinkConsume: Joi.object({
+    token: Joi.string().required(),
+  }),
+  // Schema for requesting a password reset link
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required(),
+  }),
+  // Schema for setting a new password with a reset token
+  resetPassword: Joi.object({
+    token: Joi.string().hex().required(),
+    password: passwordRule.required(),
+  }),
+  // Schema for the second step of a two-factor login: a TOTP code or a recovery code
+  mfaVerification: Joi.object({
+    mfaToken: Joi.string().required(),
+    code: totpCodeRule,
+    recoveryCode: Joi.string().max(32),
+  }).xor('code', 'recoveryCode'),
+  // Schema for the endpoints that require a current TOTP code
+  mfaCode: Joi.object({
+    code: totpCodeRule.required(),
+  }),
+  // Schema for the authenticator's response to a passkey registration. The
+  // response itself is checked by the WebAuthn verification.
+  passkeyRegistration: Joi.object({
+    challengeToken: Joi.string().required(),
+    response: Joi.object({ id: Joi.string().required() }).unknown(true).required(),
+    name: Joi.string().trim().max(64),
+  }),
+  // Schema for the authenticator's response to a passkey login
+  passkeyLogin: Joi.object({
+    challengeToken: Joi.string().required(),
+    response: Joi.object({ id: Joi.string().required() }).unknown(true).required(),
+  }),
+  // Schema for routes addressing a passkey by its ID
+  passkeyId: Joi.object({
+    id: Joi.string().hex().length(24).required(),
+  }),
+  // Schema for routes addressing a linked external account by its ID
+  identityId: Joi.object({
+    id: Joi.string().hex().length(24).required(),
+  }),
+  // Schema for registering an OAuth client
+  oauthClientRegistration: Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    redirectUris: Joi.array().items(Joi.string().uri({ scheme: ['http', 'https'] })).unique(),
+    grantTypes: Joi.array().items(Joi.string().valid('authorization_code', 'client_credentials')).min(1).unique(),
+    scopes: Joi.array().items(Joi.string()).unique(),
+    confidential: Joi.boolean(),
+    skipConsent: Joi.boolean(),
+  }),
+  // Schema for routes addressing an OAuth client by its ID
+  oauthClientId: Joi.object({
+    id: Joi.string().hex().length(24).required(),
+  }),
+  // Schema for creating an API key; `permissions` restricts it to part of the owner's role
+  apiKeyCreation: Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    permissions: Joi.array().items(Joi.string()).unique(),
+    expiresAt: Joi.date().iso().greater('now').allow(null),
+  }),
+  // Schema for routes addressing an API key, on the admin routes together with its user
+  apiKeyId: Joi.object({
+    id: Joi.string().hex().length(24),
+    keyId: Joi.string().hex().length(24).required(),
+  }),
+  // Schema for admin routes addressing a user by its ID
+  userId: Joi.object({
+    id: Joi.string().hex().length(24).required(),
+  }),
+  // Schema for routes addressing a session by its ID
+  sessionId: Joi.object({
+    id: Joi.string().hex().length(24).required(),
+  }),
+  // Schema for starting an impersonation; the reason goes to the audit trail
+  impersonation: Joi.object({
+    reason: Joi.string().trim().max(500),
+  }),
+  // Schema for filtering the impersonation audit trail by admin or user
+  impersonationQuery: Joi.object({
+    actor: Joi.string().hex().length(24),
+    target: Joi.string().hex().length(24),
+  }),
+  // Schema for creating a custom role
+  roleCreation: Joi.object({
+    name: roleNameRule.required(),
+    description: Joi.string().trim().max(500).allow(''),
+    permissions: Joi.array().items(permissionRule).unique(),
+    inherits: Joi.array().items(roleNameRule).unique(),
+  }),
+  // Schema for changing a role; at least one field is required
+  roleUpdate: Joi.object({
+    description: Joi.string().trim().max(500).allow(''),
+    permissions: Joi.array().items(permissionRule).unique(),
+    inherits: Joi.array().items(roleNameRule).unique(),
+  }).min(1),
+  // Schema for routes addressing a role by its name
+  roleName: Joi.object({
+    name: roleNameRule.required(),
+  }),
+  // Schema for adding permissions to a role
+  rolePermissions: Joi.object({
+    permissions: Joi.array().items(permissionRule).unique().min(1).required(),
+  }),
+  // Schema for routes addressing one permission of a role
+  rolePermission: Joi.object({
+    name: roleNameRule.required(),
+    permission: permissionRule.required(),
+  }),
+  // Schema for creating an organization; the slug is derived from the name if omitted
+  organizationCreation: Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    slug: slugRule,
+  }),
+  // Schema for changing an organization; at least one field is required
+  organizationUpdate: Joi.object({
+    name: Joi.string().trim().max(100),
+    slug: slugRule,
+  }).min(1),
+  // Schema for routes addressing an organization by its ID
+  organizationId: Joi.object({
+    orgId: Joi.string().hex().length(24).required(),
+  }),
+  // Schema for switching the session's organization, or null for none
+  organizationSwitch: Joi.object({
+    organizationId: Joi.string().hex().length(24).allow(null).required(),
+  }),
+  // Schema for routes addressing a member of an organization
+  memberId: Joi.object({
+    orgId: Joi.string().hex().length(24).required(),
+    userId: Joi.string().hex().length(24).required(),
+  }),
+  // Schema for changing the role of a member
+  memberUpdate: Joi.object({
+    role: roleNameRule.required(),
+  }),
+  // Schema for inviting someone to an organization by email
+  invitationCreation: Joi.object({
+    email: Joi.string().email().required(),
+    role: roleNameRule.required(),
+  }),
+  // Schema for routes addressing an invitation of an organization
+  invitationId: Joi.object({
+    orgId: Joi.string().hex().length(24).required(),
+    invitationId: Joi.string().hex().length(24).required(),
+  }),
+  // Schema for accepting an invitation with the emailed token
+  invitationAcceptance: Joi.object({
+    token: Joi.string().hex().required(),
+  }),
+};
+
+const validateUserRegistration = validate({ body: authSchemas.userRegistration });
+const validateUserLogin = validate({ body: authSchemas.userLogin });
+const validateProfileUpdate = validate({ body: authSchemas.profileUpdate });
+const validatePasswordChange = validate({ body: authSchemas.passwordChange });
+const validateRefreshToken = validate({ body: authSchemas.refreshToken });
+const validateLogout = validate({ body: authSchemas.logout });
+const validateEmailVerification = validate({ body: authSchemas.emailVerification });
+const validateResendVerification = validate({ body: authSchemas.resendVerification });
+const validateMagicLink = validate({ body: authSchemas.magicLink });
+const validateMagicLinkConsume = validate({ body: authSchemas.magicLinkConsume });
+const validateForgotPassword = validate({ body: authSchemas.forgotPassword });
+const validateResetPassword = validate({ body: authSchemas.resetPassword });
+const validateMfaVerification = validate({ body: authSchemas.mfaVerification });
+const validateMfaCode = validate({ body: authSchemas.mfaCode });
+const validatePasskeyRegistration = validate({ body: authSchemas.passkeyRegistration });
+const validatePasskeyLogin = validate({ body: authSchemas.passkeyLogin });
+const validatePasskeyId = validate({ params: authSchemas.passkeyId });
+const validateIdentityId = validate({ params: authSchemas.identityId });
+const validateOAuthClientRegistration = validate({ body: authSchemas.oauthClientRegistration });
+const validateOAuthClientId = validate({ params: authSchemas.oauthClientId });
+const validateApiKeyCreation = validate({ body: authSchemas.apiKeyCreation });
+const validateApiKeyId = validate({ params: authSchemas.apiKeyId });
+const validateUserId = validate({ params: authSchemas.userId });
+const validateSessionId = validate({ params: authSchemas.sessionId });
+const validateImpersonation = validate({ params: authSchemas.userId, body: authSchemas.impersonation });
+const validateImpersonationQuery = validate({ query: authSchemas.impersonationQuery });
+const validateRoleCreation = validate({ body: authSchemas.roleCreation });
+const validateRoleUpdate = validate({ params: authSchemas.roleName, body: authSchemas.roleUpdate });
+const validateRoleName = validate({ params: authSchemas.roleName });
+const validateRolePermissions = validate({ params: authSchemas.roleName, body: authSchemas.rolePermissions });
+const validateRolePermission = validate({ params: authSchemas.rolePermission });
+const validateOrganizationCreation = validate({ body: authSchemas.organizationCreation });
+const validateOrganizationUpdate = validate({ params: authSchemas.organizationId, body: authSchemas.organizationUpdate });
+const validateOrganizationId = validate({ params: authSchemas.organizationId });
+const validateOrganizationSwitch = validate({ body: authSchemas.organizationSwitch });
+const validateMemberId = validate({ params: authSchemas.memberId });
+const validateMemberUpdate = validate({ params: authSchemas.memberId, body: authSchemas.memberUpdate });
+const validateInvitationCreation = validate({ params: authSchemas.organizationId, body: authSchemas.invitationCreation });
+const validateInvitationId = validate({ params: authSchemas.invitationId });
+const validateInvitationAcceptance = validate({ body: authSchemas.invitationAcceptance });
+
+// =========================================================================
+// 3. Export the Middleware
 // =========================================================================
 
 /**
  * @exports {function} The validate middleware function.
  * This is the crucial line that makes the function available for other files to use.
+ * The predefined validators are attached to it as named exports.
  */
-module.exports = validate;
\ No newline at end of file
+module.exports = validate;
+module.exports.validateUserRegistration = validateUserRegistration;
+module.exports.validateUserLogin = validateUserLogin;
+module.exports.validateProfileUpdate = validateProfileUpdate;
+module.exports.validatePasswordChange = validatePasswordChange;
+module.exports.validateRefreshToken = validateRefreshToken;
+module.exports.validateLogout = validateLogout;
+module.exports.validateEmailVerification = validateEmailVerification;
+module.exports.validateResendVerification = validateResendVerification;
+module.exports.validateMagicLink = validateMagicLink;
+module.exports.validateMagicLinkConsume = validateMagicLinkConsume;
+module.exports.validateForgotPassword = validateForgotPassword;
+module.exports.validateResetPassword = validateResetPassword;
+module.exports.validateMfaVerification = validateMfaVerification;
+module.exports.validateMfaCode = validateMfaCode;
+module.exports.validatePasskeyRegistration = validatePasskeyRegistration;
+module.exports.validatePasskeyLogin = validatePasskeyLogin;
+module.exports.validatePasskeyId = validatePasskeyId;
+module.exports.validateIdentityId = validateIdentityId;
+module.exports.validateOAuthClientRegistration = validateOAuthClientRegistration;
+module.exports.validateOAuthClientId = validateOAuthClientId;
+module.exports.validateApiKeyCreation = validateApiKeyCreation;
+module.exports.validateApiKeyId = validateApiKeyId;
+module.exports.validateUserId = validateUserId;
+module.exports.validateSessionId = validateSessionId;
+module.exports.validateImpersonation = validateImpersonation;
+module.exports.validateImpersonationQuery = validateImpersonationQuery;
+module.exports.validateRoleCreation = validateRoleCreation;
+module.exports.validateRoleUpdate = validateRoleUpdate;
+module.exports.validateRoleName = validateRoleName;
+module.exports.validateRolePermissions = validateRolePermissions;
+module.exports.validateRolePermission = validateRolePermission;
+module.exports.validateOrganizationCreation = validateOrganizationCreation;
+module.exports.validateOrganizationUpdate = validateOrganizationUpdate;
+module.exports.validateOrganizationId = validateOrganizationId;
+module.exports.validateOrganizationSwitch = validateOrganizationSwitch;
+module.exports.validateMemberId = validateMemberId;
+module.exports.validateMemberUpdate = validateMemberUpdate;
+module.exports.validateInvitationCreation = validateInvitationCreation;
+module.exports.validateInvitationId = validateInvitationId;
+module.exports.validateInvitationAcceptance = validateInvitationAcceptance;
@@ -0,0 +1,96 @@
+/**
+ * @file apiKeyModel.js
+ * @description Defines the Mongoose schema for the 'ApiKey' model.
+ * An API key lets a script or an integration (a cron job, a service account)
+ * act as a user without a JWT. Only a hash of the key is stored; the visible
+ * prefix identifies the key in listings and logs, and is used to look it up.
+ */
+
+// -------------------
+// 1. MODULE IMPORTS
+// -------------------
+
+const mongoose = require('mongoose');
+
+// -------------------
+// 2. SCHEMA DEFINITION
+// -------------------
+
+const apiKeySchema = new mongoose.Schema({
+  // The user (or service account) the key acts as.
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // A label chosen by the owner, e.g. 'nightly-export'.
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // The start of the key, e.g. 'qak_3f9a1c2e'. It is not secret.
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The SHA-256 hash of the whole key.
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // The permissions the key is restricted to. Empty means the key has every
+  // permission of the user's role.
+  permissions: {
+    type: [String],
+    default: []
+  },
+  // The key is refused after this date. Null means it never expires.
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // When the key last authenticated a request (updated at most once a minute).
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  // When the key was revoked. Revoked keys are kept so the listing shows them.
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // Who created the key: the owner, or an admin for a service account.
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+}, {
+  timestamps: true
+});
+
+// -------------------
+// 3. CUSTOM INSTANCE METHODS
+// -------------------
+
+/**
+ * Tells whether the key can still authenticate requests.
+ * @returns {boolean} - False once the key is revoked or expired.
+ */
+apiKeySchema.methods.isUsable = function() {
+  if (this.revokedAt) {
+    return false;
+  }
+  return !this.expiresAt || this.expiresAt > new Date();
+};
+
+// -------------------
+// 4. MODEL EXPORT
+// -------------------
+
+// Create and export the 'ApiKey' model based on the defined schema.
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+module.exports = ApiKey;
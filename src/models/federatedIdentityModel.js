@@ -0,0 +1,61 @@
+/**
+ * @file federatedIdentityModel.js
+ * @description Defines the Mongoose schema for the 'FederatedIdentity' model.
+ * An external identity is an account at an OpenID Connect provider (e.g. a
+ * Google account), identified by the provider and its `sub` claim. Linking it
+ * to a `User` lets that user log in through the provider.
+ */
+
+// -------------------
+// 1. MODULE IMPORTS
+// -------------------
+
+const mongoose = require('mongoose');
+
+// -------------------
+// 2. SCHEMA DEFINITION
+// -------------------
+
+const federatedIdentitySchema = new mongoose.Schema({
+  // The provider name as configured in OIDC_PROVIDERS, e.g. 'google'.
+  provider: {
+    type: String,
+    required: true
+  },
+  // The provider's stable identifier for the account (the `sub` claim).
+  subject: {
+    type: String,
+    required: true
+  },
+  // The user the identity is linked to.
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // The email address the provider reported, for display only. Never use it
+  // to find the identity: the email of an external account can change.
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  },
+}, {
+  timestamps: true
+});
+
+// An external account can be linked to one user only.
+federatedIdentitySchema.index({ provider: 1, subject: 1 }, { unique: true });
+
+// -------------------
+// 3. MODEL EXPORT
+// -------------------
+
+// Create and export the 'FederatedIdentity' model based on the defined schema.
+const FederatedIdentity = mongoose.model('FederatedIdentity', federatedIdentitySchema);
+module.exports = FederatedIdentity;
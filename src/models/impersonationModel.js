@@ -0,0 +1,76 @@
+/**
+ * @file impersonationModel.js
+ * @description Defines the Mongoose schema for the 'Impersonation' model.
+ * This is the audit trail of admin impersonation: every time a support admin
+ * acts as a user, a record stores who did it, as whom, why, from where, and
+ * when it started and stopped. Records are never deleted by the API.
+ */
+
+// -------------------
+// 1. MODULE IMPORTS
+// -------------------
+
+const mongoose = require('mongoose');
+
+// -------------------
+// 2. SCHEMA DEFINITION
+// -------------------
+
+const impersonationSchema = new mongoose.Schema({
+  // The admin who impersonates (the `act` claim of the token).
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // The user being impersonated.
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Why the admin impersonated the user, e.g. a support ticket number.
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // The `jti` of the impersonation token, used to stop it.
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Where the impersonation was started from.
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  // When the token expires on its own.
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // When the admin stopped impersonating. Null while active, or if the token
+  // simply expired.
+  endedAt: {
+    type: Date,
+    default: null
+  },
+}, {
+  timestamps: true
+});
+
+// -------------------
+// 3. MODEL EXPORT
+// -------------------
+
+// Create and export the 'Impersonation' model based on the defined schema.
+const Impersonation = mongoose.model('Impersonation', impersonationSchema);
+module.exports = Impersonation;
@@ -0,0 +1,71 @@
+/**
+ * @file invitationModel.js
+ * @description Defines the Mongoose schema for the 'Invitation' model.
+ * An invitation asks someone, by email address, to join an organization with
+ * a given role. The emailed link carries a random token of which only a hash
+ * is stored. Accepting the invitation creates the membership and deletes the
+ * invitation; MongoDB removes expired ones.
+ */
+
+// -------------------
+// 1. MODULE IMPORTS
+// -------------------
+
+const mongoose = require('mongoose');
+
+// -------------------
+// 2. SCHEMA DEFINITION
+// -------------------
+
+const invitationSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  // The invited email address. Only the account with this address can accept.
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // The role the invitee gets in the organization.
+  role: {
+    type: String,
+    required: true
+  },
+  // SHA-256 hash of the token in the emailed link.
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The member who sent the invitation.
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+}, {
+  timestamps: true
+});
+
+// An address has at most one pending invitation per organization.
+invitationSchema.index({ organization: 1, email: 1 }, { unique: true });
+
+// TTL index: MongoDB removes invitations once they expire.
+invitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// -------------------
+// 3. MODEL EXPORT
+// -------------------
+
+// Create and export the 'Invitation' model based on the defined schema.
+const Invitation = mongoose.model('Invitation', invitationSchema);
+module.exports = Invitation;
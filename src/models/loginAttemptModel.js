@@ -0,0 +1,51 @@
+/**
+ * @file loginAttemptModel.js
+ * @description Defines the Mongoose schema for the 'LoginAttempt' model.
+ * This is the persistence layer of the MongoDB login attempt store. It counts
+ * recent failed logins per account (by email) and per IP address, and records
+ * lockouts. A TTL index removes each counter once its window has passed.
+ */
+
+// -------------------
+// 1. MODULE IMPORTS
+// -------------------
+
+const mongoose = require('mongoose');
+
+// -------------------
+// 2. SCHEMA DEFINITION
+// -------------------
+
+const loginAttemptSchema = new mongoose.Schema({
+  // The counter key, e.g. 'account:<email>' or 'ip:<address>'.
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The failed attempts within the current window.
+  count: {
+    type: Number,
+    default: 0
+  },
+  // Attempts are refused until this time. Null when not locked.
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // When the counter (or the lockout) is forgotten.
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+});
+
+// TTL index: MongoDB removes the entry once it is no longer needed.
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// -------------------
+// 3. MODEL EXPORT
+// -------------------
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+module.exports = LoginAttempt;
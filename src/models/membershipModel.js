@@ -0,0 +1,54 @@
+/**
+ * @file membershipModel.js
+ * @description Defines the Mongoose schema for the 'Membership' model.
+ * A membership makes a user a member of an organization with a role that only
+ * applies within it: the same user can be an 'org_admin' in their own organization
+ * and a 'user' in a partner's. Roles are the ones stored in roleModel.
+ */
+
+// -------------------
+// 1. MODULE IMPORTS
+// -------------------
+
+const mongoose = require('mongoose');
+const { roleExists } = require('../utils/permissionUtils'); // Roles are stored in the database
+
+// -------------------
+// 2. SCHEMA DEFINITION
+// -------------------
+
+const membershipSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // The member's role within the organization. Must name an existing role.
+  role: {
+    type: String,
+    required: true,
+    validate: {
+      validator: roleExists,
+      message: props => `Role '${props.value}' does not exist`
+    }
+  },
+}, {
+  timestamps: true
+});
+
+// A user is a member of an organization at most once.
+membershipSchema.index({ organization: 1, user: 1 }, { unique: true });
+
+// -------------------
+// 3. MODEL EXPORT
+// -------------------
+
+// Create and export the 'Membership' model based on the defined schema.
+const Membership = mongoose.model('Membership', membershipSchema);
+module.exports = Membership;
@@ -0,0 +1,86 @@
+/**
+ * @file oauthAuthorizationCodeModel.js
+ * @description Defines the Mongoose schema for the 'OAuthAuthorizationCode' model.
+ * An authorization code is issued when a user approves an OAuth client, and the
+ * client exchanges it for an access token once. Only a hash of the code is
+ * stored, together with everything the token endpoint has to check: the client,
+ * the redirect URI, the granted scopes and the PKCE challenge.
+ */
+
+// -------------------
+// 1. MODULE IMPORTS
+// -------------------
+
+const mongoose = require('mongoose');
+
+// -------------------
+// 2. SCHEMA DEFINITION
+// -------------------
+
+const oauthAuthorizationCodeSchema = new mongoose.Schema({
+  // The SHA-256 hash of the code.
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The `clientId` of the client the code was issued to.
+  clientId: {
+    type: String,
+    required: true
+  },
+  // The user who approved the client.
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The redirect URI of the authorization request; the token request must repeat it.
+  redirectUri: {
+    type: String,
+    required: true
+  },
+  // The granted scopes.
+  scopes: {
+    type: [String],
+    default: []
+  },
+  // The PKCE challenge (S256).
+  codeChallenge: {
+    type: String,
+    required: true
+  },
+  // MongoDB removes the code once it has expired.
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+}, {
+  timestamps: true
+});
+
+// TTL index: expired codes are useless, so let MongoDB clean them up.
+oauthAuthorizationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// -------------------
+// 3. STATIC METHODS
+// -------------------
+
+/**
+ * Uses up an authorization code. The code is deleted atomically, so it can be
+ * exchanged once only.
+ * @param {string} codeHash - The hash of the presented code.
+ * @param {string} clientId - The client presenting the code.
+ * @returns {Promise<object|null>} - The code record, or null if unknown, used or expired.
+ */
+oauthAuthorizationCodeSchema.statics.consume = function(codeHash, clientId) {
+  return this.findOneAndDelete({ codeHash, clientId, expiresAt: { $gt: new Date() } });
+};
+
+// -------------------
+// 4. MODEL EXPORT
+// -------------------
+
+// Create and export the 'OAuthAuthorizationCode' model based on the defined schema.
+const OAuthAuthorizationCode = mongoose.model('OAuthAuthorizationCode', oauthAuthorizationCodeSchema);
+module.exports = OAuthAuthorizationCode;
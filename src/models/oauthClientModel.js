@@ -0,0 +1,93 @@
+/**
+ * @file oauthClientModel.js
+ * @description Defines the Mongoose schema for the 'OAuthClient' model.
+ * An OAuth client is an application that obtains access tokens from Quilox Auth
+ * acting as an OAuth 2.0 authorization server: either on behalf of a user
+ * (authorization code grant) or on its own behalf (client credentials grant).
+ */
+
+// -------------------
+// 1. MODULE IMPORTS
+// -------------------
+
+const mongoose = require('mongoose');
+
+// -------------------
+// 2. SCHEMA DEFINITION
+// -------------------
+
+const oauthClientSchema = new mongoose.Schema({
+  // The public client identifier.
+  clientId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The SHA-256 hash of the client secret. Public clients (SPAs, mobile apps)
+  // cannot keep a secret and have none; they must use PKCE.
+  clientSecretHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // The name shown to users on the consent screen.
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // The exact URLs the authorization code may be sent to.
+  redirectUris: {
+    type: [String],
+    default: []
+  },
+  // The grants the client may use.
+  grantTypes: {
+    type: [String],
+    enum: ['authorization_code', 'client_credentials'],
+    default: ['authorization_code']
+  },
+  // The scopes (permission strings) the client may be granted.
+  scopes: {
+    type: [String],
+    default: []
+  },
+  // First-party clients skip the consent screen.
+  skipConsent: {
+    type: Boolean,
+    default: false
+  },
+  // Inactive clients cannot obtain tokens.
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // The admin who registered the client.
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+}, {
+  timestamps: true
+});
+
+// -------------------
+// 3. CUSTOM INSTANCE METHODS
+// -------------------
+
+/**
+ * Tells whether the client has a secret (a confidential client).
+ * The secret hash must have been selected with `+clientSecretHash`.
+ * @returns {boolean} - True for confidential clients.
+ */
+oauthClientSchema.methods.isConfidential = function() {
+  return Boolean(this.clientSecretHash);
+};
+
+// -------------------
+// 4. MODEL EXPORT
+// -------------------
+
+// Create and export the 'OAuthClient' model based on the defined schema.
+const OAuthClient = mongoose.model('OAuthClient', oauthClientSchema);
+module.exports = OAuthClient;
@@ -0,0 +1,48 @@
+/**
+ * @file oauthConsentModel.js
+ * @description Defines the Mongoose schema for the 'OAuthConsent' model.
+ * Remembers which scopes a user has already approved for an OAuth client, so the
+ * consent screen is only shown again when the client asks for more.
+ */
+
+// -------------------
+// 1. MODULE IMPORTS
+// -------------------
+
+const mongoose = require('mongoose');
+
+// -------------------
+// 2. SCHEMA DEFINITION
+// -------------------
+
+const oauthConsentSchema = new mongoose.Schema({
+  // The user who gave the consent.
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The `clientId` of the approved client.
+  clientId: {
+    type: String,
+    required: true
+  },
+  // The approved scopes.
+  scopes: {
+    type: [String],
+    default: []
+  },
+}, {
+  timestamps: true
+});
+
+// A user has one consent record per client.
+oauthConsentSchema.index({ user: 1, clientId: 1 }, { unique: true });
+
+// -------------------
+// 3. MODEL EXPORT
+// -------------------
+
+// Create and export the 'OAuthConsent' model based on the defined schema.
+const OAuthConsent = mongoose.model('OAuthConsent', oauthConsentSchema);
+module.exports = OAuthConsent;
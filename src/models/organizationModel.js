@@ -0,0 +1,52 @@
+/**
+ * @file organizationModel.js
+ * @description Defines the Mongoose schema for the 'Organization' model.
+ * An organization is a workspace that users belong to through memberships
+ * (see membershipModel). Each member has a role within the organization,
+ * independent of their global role, and rbacMiddleware checks it on routes
+ * that are about the organization.
+ */
+
+// -------------------
+// 1. MODULE IMPORTS
+// -------------------
+
+const mongoose = require('mongoose');
+
+// -------------------
+// 2. SCHEMA DEFINITION
+// -------------------
+
+const organizationSchema = new mongoose.Schema({
+  // The display name, e.g. 'Acme Inc.'.
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true
+  },
+  // A unique, URL-friendly identifier, e.g. 'acme'.
+  slug: {
+    type: String,
+    required: [true, 'Organization slug is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slugs may only contain lowercase letters, digits and single "-" between them']
+  },
+  // The user who created the organization and became its first admin.
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+}, {
+  timestamps: true
+});
+
+// -------------------
+// 3. MODEL EXPORT
+// -------------------
+
+// Create and export the 'Organization' model based on the defined schema.
+const Organization = mongoose.model('Organization', organizationSchema);
+module.exports = Organization;
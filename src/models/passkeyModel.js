@@ -0,0 +1,77 @@
+/**
+ * @file passkeyModel.js
+ * @description Defines the Mongoose schema for the 'Passkey' model.
+ * Every WebAuthn credential (passkey) a user registers is stored here with its
+ * public key, so the user can later log in by proving possession of the
+ * matching private key, which never leaves their authenticator.
+ */
+
+// -------------------
+// 1. MODULE IMPORTS
+// -------------------
+
+const mongoose = require('mongoose');
+
+// -------------------
+// 2. SCHEMA DEFINITION
+// -------------------
+
+const passkeySchema = new mongoose.Schema({
+  // The credential ID chosen by the authenticator, base64url encoded.
+  credentialId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The user the passkey belongs to.
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // The credential's public key (COSE encoded).
+  publicKey: {
+    type: Buffer,
+    required: true
+  },
+  // The signature counter. Authenticators that support it increase it on every
+  // use; a counter that goes backwards points to a cloned authenticator.
+  counter: {
+    type: Number,
+    default: 0
+  },
+  // How the browser can reach the authenticator ('internal', 'usb', 'hybrid', ...).
+  transports: {
+    type: [String],
+    default: undefined
+  },
+  // Whether the passkey is synced between devices ('multiDevice') or bound to one ('singleDevice').
+  deviceType: {
+    type: String
+  },
+  backedUp: {
+    type: Boolean,
+    default: false
+  },
+  // A name chosen by the user, e.g. "Work laptop".
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 64
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+}, {
+  timestamps: true
+});
+
+// -------------------
+// 3. MODEL EXPORT
+// -------------------
+
+// Create and export the 'Passkey' model based on the defined schema.
+const Passkey = mongoose.model('Passkey', passkeySchema);
+module.exports = Passkey;
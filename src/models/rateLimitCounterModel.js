@@ -0,0 +1,46 @@
+/**
+ * @file rateLimitCounterModel.js
+ * @description Defines the Mongoose schema for the 'RateLimitCounter' model.
+ * This is the persistence layer of the MongoDB rate limit store. Each entry
+ * counts the requests of one client in one time window; a TTL index removes it
+ * once the window no longer matters.
+ */
+
+// -------------------
+// 1. MODULE IMPORTS
+// -------------------
+
+const mongoose = require('mongoose');
+
+// -------------------
+// 2. SCHEMA DEFINITION
+// -------------------
+
+const rateLimitCounterSchema = new mongoose.Schema({
+  // The counter key: '<limiter name>:<client key>:<window start>'.
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The requests counted in the window.
+  count: {
+    type: Number,
+    default: 0
+  },
+  // When the counter is no longer needed.
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+});
+
+// TTL index: MongoDB removes the entry once it is no longer needed.
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// -------------------
+// 3. MODEL EXPORT
+// -------------------
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+module.exports = RateLimitCounter;
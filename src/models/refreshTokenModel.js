@@ -0,0 +1,110 @@
+/**
+ * @file refreshTokenModel.js
+ * @description Defines the Mongoose schema for the 'RefreshToken' model.
+ * Every refresh token handed out to a client is recorded here so that it can
+ * be used exactly once. Tokens issued from the same login share a `family`
+ * identifier; when a token that has already been exchanged is presented
+ * again, the whole family is revoked (refresh token reuse detection).
+ */
+
+// -------------------
+// 1. MODULE IMPORTS
+// -------------------
+
+const mongoose = require('mongoose');
+
+// -------------------
+// 2. SCHEMA DEFINITION
+// -------------------
+
+const refreshTokenSchema = new mongoose.Schema({
+  // The unique `jti` claim of the signed refresh token.
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Identifier shared by every token descending from the same login.
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // The user the token was issued to.
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Set once the token has been exchanged for a new token pair.
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the token (or its whole family) has been revoked.
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // Mirrors the token's `exp` claim. MongoDB removes the document once it passes.
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+}, {
+  timestamps: true
+});
+
+// TTL index: expired refresh tokens are useless, so let MongoDB clean them up.
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// -------------------
+// 3. CUSTOM STATIC METHODS
+// -------------------
+
+/**
+ * Atomically marks a refresh token as used. Only a token that is neither used
+ * nor revoked can be consumed, so two concurrent refresh requests with the same
+ * token cannot both succeed.
+ * @param {string} jti - The `jti` claim of the presented refresh token.
+ * @returns {Promise<object|null>} - The consumed token document, or null if it could not be consumed.
+ */
+refreshTokenSchema.statics.consume = function(jti) {
+  return this.findOneAndUpdate(
+    { jti, usedAt: null, revokedAt: null },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+/**
+ * Revokes every refresh token belonging to a family.
+ * @param {string} family - The family identifier.
+ * @returns {Promise<object>} - The result of the update operation.
+ */
+refreshTokenSchema.statics.revokeFamily = function(family) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+/**
+ * Revokes every refresh token issued to a user, across all families.
+ * @param {string} userId - The user's database ID.
+ * @returns {Promise<object>} - The result of the update operation.
+ */
+refreshTokenSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// -------------------
+// 4. MODEL EXPORT
+// -------------------
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+module.exports = RefreshToken;
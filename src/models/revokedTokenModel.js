@@ -0,0 +1,47 @@
+/**
+ * @file revokedTokenModel.js
+ * @description Defines the Mongoose schema for the 'RevokedToken' model.
+ * This is the persistence layer of the MongoDB revocation store. It records
+ * revoked access tokens (by `jti`) and "logout everywhere" cut-off times (by
+ * user). Every entry only lives as long as the tokens it affects could still
+ * be valid; a TTL index removes it afterwards.
+ */
+
+// -------------------
+// 1. MODULE IMPORTS
+// -------------------
+
+const mongoose = require('mongoose');
+
+// -------------------
+// 2. SCHEMA DEFINITION
+// -------------------
+
+const revokedTokenSchema = new mongoose.Schema({
+  // The revocation key, e.g. 'jti:<token id>' or 'user:<user id>'.
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // When the revocation happened.
+  revokedAt: {
+    type: Date,
+    required: true
+  },
+  // When the revoked token(s) would have expired anyway.
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+});
+
+// TTL index: MongoDB removes the entry once it is no longer needed.
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// -------------------
+// 3. MODEL EXPORT
+// -------------------
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+module.exports = RevokedToken;
@@ -0,0 +1,63 @@
+/**
+ * @file roleModel.js
+ * @description Defines the Mongoose schema for the 'Role' model.
+ * A role is a named set of permission strings (e.g. 'read:post', 'read:*' or
+ * the deny entry '!delete:post') that can inherit the permissions of other
+ * roles. Users reference their role by name, and rbacMiddleware grants them
+ * the role's permissions. Roles are managed by admins through the API; the
+ * built-in roles are created on first use (see permissionUtils).
+ */
+
+// -------------------
+// 1. MODULE IMPORTS
+// -------------------
+
+const mongoose = require('mongoose');
+
+// -------------------
+// 2. SCHEMA DEFINITION
+// -------------------
+
+const roleSchema = new mongoose.Schema({
+  // The role name stored on users, e.g. 'editor'. It cannot be changed.
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_-]*$/, 'Role names may only contain lowercase letters, digits, "_" and "-"']
+  },
+  // What the role is for, shown to admins.
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // The permissions granted to users with this role. Entries starting with
+  // '!' deny permissions, even if they are granted elsewhere.
+  permissions: {
+    type: [String],
+    default: []
+  },
+  // The names of the roles whose permissions this role inherits.
+  inherits: {
+    type: [String],
+    default: []
+  },
+  // Built-in roles ('admin', 'editor', 'user', 'org_admin') cannot be deleted.
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+}, {
+  timestamps: true
+});
+
+// -------------------
+// 3. MODEL EXPORT
+// -------------------
+
+// Create and export the 'Role' model based on the defined schema.
+const Role = mongoose.model('Role', roleSchema);
+module.exports = Role;
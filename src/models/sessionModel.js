@@ -0,0 +1,103 @@
+/**
+ * @file sessionModel.js
+ * @description Defines the Mongoose schema for the 'Session' model.
+ * A session is one login on one device. It is created when a login issues a
+ * token pair and lives as long as its refresh tokens keep being rotated: the
+ * session ID is the refresh token `family`, and access tokens carry it in their
+ * `sid` claim. Revoking the session ends both. The session also remembers the
+ * organization the user switched to, so refreshed tokens keep it.
+ */
+
+// -------------------
+// 1. MODULE IMPORTS
+// -------------------
+
+const mongoose = require('mongoose');
+
+// -------------------
+// 2. SCHEMA DEFINITION
+// -------------------
+
+const sessionSchema = new mongoose.Schema({
+  // The user who logged in.
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // The User-Agent header of the login, to tell devices apart.
+  userAgent: {
+    type: String,
+    default: null
+  },
+  // The IP address the session was last used from.
+  ip: {
+    type: String,
+    default: null
+  },
+  // When the session last authenticated a request or refreshed its tokens
+  // (updated at most once a minute).
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // The organization the user is working in on this device. Access tokens of
+  // the session carry it in their `org` claim.
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // Set when the session has been revoked (logout or revoked from another device).
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // Mirrors the expiry of the session's latest refresh token. MongoDB removes
+  // the document once it passes.
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+}, {
+  timestamps: true
+});
+
+// TTL index: a session whose refresh token expired cannot be resumed.
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// -------------------
+// 3. CUSTOM STATIC METHODS
+// -------------------
+
+/**
+ * Revokes a session.
+ * @param {string} sessionId - The session ID.
+ * @returns {Promise<object>} - The result of the update operation.
+ */
+sessionSchema.statics.revoke = function(sessionId) {
+  return this.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+/**
+ * Revokes every session of a user.
+ * @param {string} userId - The user's database ID.
+ * @returns {Promise<object>} - The result of the update operation.
+ */
+sessionSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// -------------------
+// 4. MODEL EXPORT
+// -------------------
+
+const Session = mongoose.model('Session', sessionSchema);
+module.exports = Session;
@@ -11,6 +11,7 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs'); // For password hashing
+const { roleExists } = require('../utils/permissionUtils'); // Roles are stored in the database
 
 // -------------------
 // 2. SCHEMA DEFINITION
@@ -35,17 +36,88 @@ const userSchema = new mongoose.Schema({
     select: false
   },
   // Role field: controls user permissions for Role-Based Access Control (RBAC).
-  // Uses an enum to restrict values to 'user', 'editor', or 'admin'.
+  // Must name an existing role (see roleModel).
   role: {
     type: String,
-    enum: ['user', 'editor', 'admin'],
-    default: 'user'
+    default: 'user',
+    validate: {
+      validator: roleExists,
+      message: props => `Role '${props.value}' does not exist`
+    }
   },
   // Active status: allows for deactivating users without deleting their data.
   isActive: {
     type: Boolean,
     default: true
   },
+  // Token version: written into every access token and bumped whenever all
+  // existing tokens must stop working (e.g. after a password change).
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Email verification: set once the user has proven they own the email address.
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // The `jti` of the only verification token that is still valid. Cleared once
+  // the token is used, which makes verification links single-use.
+  emailVerificationJti: {
+    type: String,
+    select: false
+  },
+  // Password reset: the SHA-256 hash of the only valid reset token, and when it expires.
+  // Both are cleared once the token is used.
+  passwordResetTokenHash: {
+    type: String,
+    select: false,
+    index: true
+  },
+  passwordResetExpiresAt: {
+    type: Date,
+    select: false
+  },
+  // Magic link login: the `jti` of the only login link that is still valid,
+  // cleared once used, and when the last link was sent (for the cooldown).
+  magicLinkJti: {
+    type: String,
+    select: false
+  },
+  magicLinkSentAt: {
+    type: Date,
+    select: false
+  },
+  // Two-factor authentication (TOTP). The secret is stored as soon as enrollment
+  // starts, but only enforced once `mfaEnabled` is set by confirming a first code.
+  mfaEnabled: {
+    type: Boolean,
+    default: false
+  },
+  mfaSecret: {
+    type: String,
+    select: false
+  },
+  // The time step of the last accepted TOTP code, so a code cannot be replayed.
+  mfaLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  // SHA-256 hashes of the unused recovery codes. Each code is removed once used.
+  mfaRecoveryCodes: {
+    type: [String],
+    select: false,
+    default: undefined
+  },
+  // The `jti` of the pending two-step login and how many wrong codes it has seen.
+  mfaChallengeJti: {
+    type: String,
+    select: false
+  },
+  mfaChallengeAttempts: {
+    type: Number,
+    select: false
+  },
   // Timestamps for when the user was created and last updated.
   // Mongoose automatically manages these fields.
 }, {
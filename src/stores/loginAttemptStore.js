@@ -0,0 +1,188 @@
+/**
+ * @file loginAttemptStore.js
+ * @description Pluggable storage for failed login counters and lockouts, used
+ * by `authController` to slow down and stop password guessing. Counters are
+ * kept per account (by email) and per IP address. This module defines the store
+ * interface, ships an in-memory and a MongoDB implementation, and holds the
+ * store used by the controller.
+ *
+ * A custom store (e.g. Redis) only has to implement the four methods below.
+ */
+
+// =========================================================================
+// 1. Store Interface
+// =========================================================================
+/**
+ * @typedef {object} LoginAttemptEntry
+ * @property {number} count - The failed attempts within the current window.
+ * @property {Date|null} lockedUntil - Attempts are refused until this time.
+ */
+
+/**
+ * @typedef {object} LoginAttemptStore
+ * @property {function(string, number): Promise<number>} increment
+ * Records a failed attempt and resolves to the new count. The counter is
+ * forgotten `windowMs` milliseconds after the last failure.
+ * @property {function(string): Promise<LoginAttemptEntry|null>} get
+ * Resolves to the current counter, or null if there is none.
+ * @property {function(string, Date): Promise<void>} lock
+ * Locks the key until the given time and starts a fresh count after that.
+ * @property {function(string): Promise<void>} reset
+ * Forgets the counter and any lockout.
+ */
+
+// =========================================================================
+// 2. In-Memory Implementation
+// =========================================================================
+/**
+ * Creates a store that keeps counters in process memory. Suitable for
+ * development, tests and single-instance deployments. Entries are discarded
+ * as soon as they expire.
+ * @returns {LoginAttemptStore} The in-memory store.
+ */
+function createMemoryLoginAttemptStore() {
+  const entries = new Map();
+
+  // Drops every entry whose window has passed.
+  const purgeExpired = () => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt.getTime() <= now) {
+        entries.delete(key);
+      }
+    }
+  };
+
+  const getActive = (key) => {
+    const entry = entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt.getTime() <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  return {
+    async increment(key, windowMs) {
+      purgeExpired();
+      const entry = getActive(key) || { count: 0, lockedUntil: null };
+      entry.count += 1;
+      const expiresAt = new Date(Date.now() + windowMs);
+      // A lockout outlives the window if it is longer
+      entry.expiresAt = entry.lockedUntil && entry.lockedUntil > expiresAt ? entry.lockedUntil : expiresAt;
+      entries.set(key, entry);
+      return entry.count;
+    },
+    async get(key) {
+      const entry = getActive(key);
+      return entry ? { count: entry.count, lockedUntil: entry.lockedUntil } : null;
+    },
+    async lock(key, until) {
+      purgeExpired();
+      entries.set(key, { count: 0, lockedUntil: until, expiresAt: until });
+    },
+    async reset(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+// =========================================================================
+// 3. MongoDB Implementation
+// =========================================================================
+/**
+ * Creates a store backed by the `LoginAttempt` Mongoose model, so counters are
+ * shared between every instance of the application. A TTL index removes
+ * entries once they expire.
+ * @param {object} [options]
+ * @param {object} [options.model] - A Mongoose model with the `LoginAttempt` schema.
+ * @returns {LoginAttemptStore} The MongoDB store.
+ */
+function createMongoLoginAttemptStore({ model } = {}) {
+  const LoginAttempt = model || require('../models/loginAttemptModel');
+
+  // The TTL monitor only runs periodically, so expiry is checked on read as well.
+  const findActive = (key) => LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } });
+
+  // A lockout outlives the window if it is longer
+  const upsertEntry = (key, expiresAt) => LoginAttempt.findOneAndUpdate(
+    { key },
+    { $inc: { count: 1 }, $max: { expiresAt } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  return {
+    async increment(key, windowMs) {
+      const now = new Date();
+      const expiresAt = new Date(now.getTime() + windowMs);
+      // Start a fresh count if the previous window is over but not removed yet
+      await LoginAttempt.deleteOne({ key, expiresAt: { $lte: now } });
+      try {
+        return (await upsertEntry(key, expiresAt)).count;
+      } catch (err) {
+        // Two concurrent upserts of a new entry: the loser retries as an update
+        if (err.code === 11000) {
+          return (await upsertEntry(key, expiresAt)).count;
+        }
+        throw err;
+      }
+    },
+    async get(key) {
+      const entry = await findActive(key);
+      return entry ? { count: entry.count, lockedUntil: entry.lockedUntil } : null;
+    },
+    async lock(key, until) {
+      await LoginAttempt.updateOne(
+        { key },
+        { count: 0, lockedUntil: until, expiresAt: until },
+        { upsert: true }
+      );
+    },
+    async reset(key) {
+      await LoginAttempt.deleteOne({ key });
+    },
+  };
+}
+
+// =========================================================================
+// 4. Active Store
+// =========================================================================
+// The in-memory store is the default. Call `setLoginAttemptStore` during
+// start-up to share counters between instances.
+let activeStore = null;
+
+/**
+ * Returns the store used by the controllers.
+ * @returns {LoginAttemptStore} The active login attempt store.
+ */
+function getLoginAttemptStore() {
+  if (!activeStore) {
+    activeStore = createMemoryLoginAttemptStore();
+  }
+  return activeStore;
+}
+
+/**
+ * Replaces the store used by the controllers.
+ * @param {LoginAttemptStore} store - The store to use from now on.
+ */
+function setLoginAttemptStore(store) {
+  const methods = ['increment', 'get', 'lock', 'reset'];
+  if (!store || methods.some(method => typeof store[method] !== 'function')) {
+    throw new Error(`A login attempt store must implement: ${methods.join(', ')}.`);
+  }
+  activeStore = store;
+}
+
+// =========================================================================
+// 5. Export functions for use in other modules
+// =========================================================================
+module.exports = {
+  createMemoryLoginAttemptStore,
+  createMongoLoginAttemptStore,
+  getLoginAttemptStore,
+  setLoginAttemptStore,
+};
@@ -0,0 +1,156 @@
+/**
+ * @file rateLimitStore.js
+ * @description Pluggable storage for the request counters of
+ * `rateLimitMiddleware`. Each counter belongs to one client in one time window.
+ * This module defines the store interface, ships an in-memory and a MongoDB
+ * implementation, and holds the store used by limiters that do not get their own.
+ *
+ * A custom store (e.g. Redis) only has to implement the two methods below.
+ */
+
+// =========================================================================
+// 1. Store Interface
+// =========================================================================
+/**
+ * @typedef {object} RateLimitStore
+ * @property {function(string, Date): Promise<number>} increment
+ * Adds one to the counter and resolves to the new count. A new counter is
+ * kept until `expiresAt`; incrementing an existing one does not extend it.
+ * @property {function(string): Promise<number>} get
+ * Resolves to the current count, or 0 if there is no counter.
+ */
+
+// =========================================================================
+// 2. In-Memory Implementation
+// =========================================================================
+/**
+ * Creates a store that keeps counters in process memory. Suitable for
+ * development, tests and single-instance deployments. Expired counters are
+ * swept at most once a second.
+ * @returns {RateLimitStore} The in-memory store.
+ */
+function createMemoryRateLimitStore() {
+  const counters = new Map();
+  let lastPurge = 0;
+
+  // Drops every counter whose window is over. Limiters hit the store on every
+  // request, so the sweep is throttled.
+  const purgeExpired = () => {
+    const now = Date.now();
+    if (now - lastPurge < 1000) {
+      return;
+    }
+    lastPurge = now;
+    for (const [key, counter] of counters) {
+      if (counter.expiresAt.getTime() <= now) {
+        counters.delete(key);
+      }
+    }
+  };
+
+  const getActive = (key) => {
+    const counter = counters.get(key);
+    if (!counter) {
+      return null;
+    }
+    if (counter.expiresAt.getTime() <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return counter;
+  };
+
+  return {
+    async increment(key, expiresAt) {
+      purgeExpired();
+      const counter = getActive(key) || { count: 0, expiresAt };
+      counter.count += 1;
+      counters.set(key, counter);
+      return counter.count;
+    },
+    async get(key) {
+      const counter = getActive(key);
+      return counter ? counter.count : 0;
+    },
+  };
+}
+
+// =========================================================================
+// 3. MongoDB Implementation
+// =========================================================================
+/**
+ * Creates a store backed by the `RateLimitCounter` Mongoose model, so limits
+ * apply across every instance of the application. A TTL index removes
+ * counters once they expire.
+ * @param {object} [options]
+ * @param {object} [options.model] - A Mongoose model with the `RateLimitCounter` schema.
+ * @returns {RateLimitStore} The MongoDB store.
+ */
+function createMongoRateLimitStore({ model } = {}) {
+  const RateLimitCounter = model || require('../models/rateLimitCounterModel');
+
+  const upsertCounter = (key, expiresAt) => RateLimitCounter.findOneAndUpdate(
+    { key },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+    { upsert: true, new: true }
+  );
+
+  return {
+    async increment(key, expiresAt) {
+      try {
+        return (await upsertCounter(key, expiresAt)).count;
+      } catch (err) {
+        // Two concurrent upserts of a new counter: the loser retries as an update
+        if (err.code === 11000) {
+          return (await upsertCounter(key, expiresAt)).count;
+        }
+        throw err;
+      }
+    },
+    async get(key) {
+      // The TTL monitor only runs periodically, so expiry is checked on read as well.
+      const counter = await RateLimitCounter.findOne({ key, expiresAt: { $gt: new Date() } });
+      return counter ? counter.count : 0;
+    },
+  };
+}
+
+// =========================================================================
+// 4. Active Store
+// =========================================================================
+// The in-memory store is the default. Call `setRateLimitStore` during start-up
+// to share the counters between instances.
+let activeStore = null;
+
+/**
+ * Returns the store used by limiters that were not given their own.
+ * @returns {RateLimitStore} The active rate limit store.
+ */
+function getRateLimitStore() {
+  if (!activeStore) {
+    activeStore = createMemoryRateLimitStore();
+  }
+  return activeStore;
+}
+
+/**
+ * Replaces the store used by limiters that were not given their own.
+ * @param {RateLimitStore} store - The store to use from now on.
+ */
+function setRateLimitStore(store) {
+  const methods = ['increment', 'get'];
+  if (!store || methods.some(method => typeof store[method] !== 'function')) {
+    throw new Error(`A rate limit store must implement: ${methods.join(', ')}.`);
+  }
+  activeStore = store;
+}
+
+// =========================================================================
+// 5. Export functions for use in other modules
+// =========================================================================
+module.exports = {
+  createMemoryRateLimitStore,
+  createMongoRateLimitStore,
+  getRateLimitStore,
+  setRateLimitStore,
+};
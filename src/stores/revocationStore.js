@@ -0,0 +1,163 @@
+/**
+ * @file revocationStore.js
+ * @description Pluggable storage for revoked access tokens (the `jti` denylist).
+ * Access tokens are stateless, so logging out or killing a stolen token means
+ * remembering it until it would have expired on its own. This module defines
+ * the store interface, ships an in-memory and a MongoDB implementation, and
+ * holds the store used by `authMiddleware` and `authController`.
+ *
+ * A custom store (e.g. Redis) only has to implement the four methods below.
+ */
+
+// =========================================================================
+// 1. Store Interface
+// =========================================================================
+/**
+ * @typedef {object} RevocationStore
+ * @property {function(string, Date): Promise<void>} revoke
+ * Revokes a single token by its `jti` until `expiresAt`.
+ * @property {function(string): Promise<boolean>} isRevoked
+ * Resolves to true if the token with the given `jti` has been revoked.
+ * @property {function(string, Date, Date): Promise<void>} revokeUser
+ * Revokes every token issued to a user up to `revokedAt`. The entry is kept until `expiresAt`.
+ * @property {function(string): Promise<Date|null>} getUserRevokedAt
+ * Resolves to the latest "logout everywhere" time of a user, or null.
+ */
+
+const jtiKey = (jti) => `jti:${jti}`;
+const userKey = (userId) => `user:${userId}`;
+
+// =========================================================================
+// 2. In-Memory Implementation
+// =========================================================================
+/**
+ * Creates a store that keeps revocations in process memory. Suitable for
+ * development, tests and single-instance deployments. Entries are discarded
+ * as soon as they expire.
+ * @returns {RevocationStore} The in-memory store.
+ */
+function createMemoryRevocationStore() {
+  const entries = new Map();
+
+  // Drops every entry whose tokens can no longer be valid anyway.
+  const purgeExpired = () => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt.getTime() <= now) {
+        entries.delete(key);
+      }
+    }
+  };
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt.getTime() <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  return {
+    async revoke(jti, expiresAt) {
+      purgeExpired();
+      entries.set(jtiKey(jti), { revokedAt: new Date(), expiresAt });
+    },
+    async isRevoked(jti) {
+      return get(jtiKey(jti)) !== null;
+    },
+    async revokeUser(userId, revokedAt, expiresAt) {
+      purgeExpired();
+      entries.set(userKey(userId), { revokedAt, expiresAt });
+    },
+    async getUserRevokedAt(userId) {
+      const entry = get(userKey(userId));
+      return entry ? entry.revokedAt : null;
+    },
+  };
+}
+
+// =========================================================================
+// 3. MongoDB Implementation
+// =========================================================================
+/**
+ * Creates a store backed by the `RevokedToken` Mongoose model, so revocations
+ * are shared between every instance of the application. A TTL index removes
+ * entries once they expire.
+ * @param {object} [options]
+ * @param {object} [options.model] - A Mongoose model with the `RevokedToken` schema.
+ * @returns {RevocationStore} The MongoDB store.
+ */
+function createMongoRevocationStore({ model } = {}) {
+  const RevokedToken = model || require('../models/revokedTokenModel');
+
+  // The TTL monitor only runs periodically, so expiry is checked on read as well.
+  const findActive = (key) => RevokedToken.findOne({ key, expiresAt: { $gt: new Date() } });
+
+  return {
+    async revoke(jti, expiresAt) {
+      await RevokedToken.updateOne(
+        { key: jtiKey(jti) },
+        { revokedAt: new Date(), expiresAt },
+        { upsert: true }
+      );
+    },
+    async isRevoked(jti) {
+      return (await findActive(jtiKey(jti))) !== null;
+    },
+    async revokeUser(userId, revokedAt, expiresAt) {
+      await RevokedToken.updateOne(
+        { key: userKey(userId) },
+        { revokedAt, expiresAt },
+        { upsert: true }
+      );
+    },
+    async getUserRevokedAt(userId) {
+      const entry = await findActive(userKey(userId));
+      return entry ? entry.revokedAt : null;
+    },
+  };
+}
+
+// =========================================================================
+// 4. Active Store
+// =========================================================================
+// The in-memory store is the default. Call `setRevocationStore` during start-up
+// to share revocations between instances.
+let activeStore = null;
+
+/**
+ * Returns the store used by the middleware and controllers.
+ * @returns {RevocationStore} The active revocation store.
+ */
+function getRevocationStore() {
+  if (!activeStore) {
+    activeStore = createMemoryRevocationStore();
+  }
+  return activeStore;
+}
+
+/**
+ * Replaces the store used by the middleware and controllers.
+ * @param {RevocationStore} store - The store to use from now on.
+ */
+function setRevocationStore(store) {
+  const methods = ['revoke', 'isRevoked', 'revokeUser', 'getUserRevokedAt'];
+  if (!store || methods.some(method => typeof store[method] !== 'function')) {
+    throw new Error(`A revocation store must implement: ${methods.join(', ')}.`);
+  }
+  activeStore = store;
+}
+
+// =========================================================================
+// 5. Export functions for use in other modules
+// =========================================================================
+module.exports = {
+  createMemoryRevocationStore,
+  createMongoRevocationStore,
+  getRevocationStore,
+  setRevocationStore,
+};
@@ -0,0 +1,238 @@
+/**
+ * @file oidcStrategy.js
+ * @description A generic OpenID Connect strategy for Passport, and the registry
+ * of the identity providers configured for Quilox Auth (Google, Microsoft Entra
+ * ID, Okta, Keycloak, ... or any other provider that supports discovery).
+ *
+ * The strategy runs the authorization code flow with PKCE. Between the redirect
+ * to the provider and the callback, the `state`, `nonce` and PKCE verifier are
+ * kept in a short-lived, signed, HttpOnly cookie, so no server-side session is
+ * needed. On the callback, openid-client validates the ID token (signature,
+ * issuer, audience, expiry and nonce) before the strategy succeeds.
+ *
+ * Without a verify callback, the strategy succeeds with the external identity
+ * `{ provider, claims, linkUserId }` and leaves the account lookup to the caller.
+ */
+
+const passport = require('passport');
+const { Issuer, generators, errors } = require('openid-client');
+const cookieUtils = require('../utils/cookieUtils');
+const { ACTION_PURPOSES, generateActionToken, verifyActionToken } = require('../utils/actionTokenUtils');
+const { ConfigurationError } = require('../utils/errors');
+
+// =========================================================================
+// 1. The Strategy
+// =========================================================================
+/**
+ * @class OidcStrategy
+ * @description A Passport strategy for one OpenID Connect provider.
+ */
+class OidcStrategy extends passport.Strategy {
+  /**
+   * @param {object} options
+   * @param {string} options.name - The strategy (and provider) name, e.g. 'google'.
+   * @param {object} options.client - An openid-client `Client` for the provider.
+   * @param {string} options.redirectUri - The callback URL registered with the provider.
+   * @param {string} [options.scope='openid email profile'] - The scopes to request.
+   * @param {function} [verify] - `(identity, done)`, called with `{ provider, claims, linkUserId }`.
+   */
+  constructor({ name, client, redirectUri, scope = 'openid email profile' }, verify) {
+    super();
+    if (!name || !client || !redirectUri) {
+      throw new ConfigurationError('An OIDC strategy needs a name, a client and a redirectUri.', 'oidc');
+    }
+    this.name = name;
+    this._client = client;
+    this._redirectUri = redirectUri;
+    this._scope = scope;
+    this._verify = verify || ((identity, done) => done(null, identity));
+  }
+
+  /**
+   * Starts the login (redirect to the provider) or completes it (callback with
+   * `code` or `error` in the query string).
+   * @param {object} req - The Express request object.
+   * @param {object} [options] - Passport options.
+   * @param {string} [options.linkUserId] - Link the external identity to this user instead of logging in.
+   * @param {boolean} [options.returnAuthorizationUrl] - Put the authorization URL on
+   * `req.authorizationUrl` and pass to the next handler instead of redirecting.
+   */
+  authenticate(req, options = {}) {
+    const params = req.method === 'GET' ? this._client.callbackParams(req) : {};
+    const step = params.code || params.error
+      ? this._handleCallback(req, params)
+      : this._startLogin(req, options);
+    step.catch(err => this.error(err));
+  }
+
+  /**
+   * Remembers the transaction in a cookie and sends the user to the provider.
+   * @param {object} req - The Express request object.
+   * @param {object} options - Passport options (see `authenticate`).
+   * @returns {Promise<void>}
+   */
+  async _startLogin(req, options) {
+    const state = generators.state();
+    const nonce = generators.nonce();
+    const codeVerifier = generators.codeVerifier();
+
+    const { token } = generateActionToken({
+      purpose: ACTION_PURPOSES.OIDC_LOGIN,
+      userId: options.linkUserId,
+      expiresIn: process.env.OIDC_TRANSACTION_EXPIRES_IN || '10m',
+      claims: { provider: this.name, state, nonce, codeVerifier },
+    });
+    cookieUtils.setTransientCookie(req.res, cookieUtils.COOKIE_NAMES.OIDC_TRANSACTION, token);
+
+    const authorizationUrl = this._client.authorizationUrl({
+      redirect_uri: this._redirectUri,
+      scope: this._scope,
+      state,
+      nonce,
+      code_challenge: generators.codeChallenge(codeVerifier),
+      code_challenge_method: 'S256',
+    });
+
+    if (options.returnAuthorizationUrl) {
+      req.authorizationUrl = authorizationUrl;
+      return this.pass();
+    }
+    this.redirect(authorizationUrl);
+  }
+
+  /**
+   * Exchanges the authorization code and validates the ID token.
+   * @param {object} req - The Express request object.
+   * @param {object} params - The callback parameters.
+   * @returns {Promise<void>}
+   */
+  async _handleCallback(req, params) {
+    // The transaction cookie is single-use
+    const transaction = verifyActionToken(
+      cookieUtils.getCookie(req, cookieUtils.COOKIE_NAMES.OIDC_TRANSACTION),
+      ACTION_PURPOSES.OIDC_LOGIN
+    );
+    cookieUtils.clearTransientCookie(req.res, cookieUtils.COOKIE_NAMES.OIDC_TRANSACTION);
+    if (!transaction || transaction.provider !== this.name) {
+      return this.fail({ message: 'The login attempt is unknown or has expired. Please start again.' }, 400);
+    }
+    if (params.error) {
+      return this.fail({ message: `The identity provider refused the login: ${params.error}` }, 401);
+    }
+
+    let tokenSet;
+    try {
+      tokenSet = await this._client.callback(this._redirectUri, params, {
+        response_type: 'code',
+        state: transaction.state,
+        nonce: transaction.nonce,
+        code_verifier: transaction.codeVerifier,
+      });
+    } catch (err) {
+      // A wrong state, a rejected code or an invalid ID token fails the login
+      if (err instanceof errors.RPError || err instanceof errors.OPError) {
+        return this.fail({ message: `The login could not be verified: ${err.message}` }, 401);
+      }
+      throw err;
+    }
+
+    const identity = { provider: this.name, claims: tokenSet.claims(), linkUserId: transaction.id };
+    this._verify(identity, (err, user, info) => {
+      if (err) {
+        return this.error(err);
+      }
+      if (!user) {
+        return this.fail(info, 401);
+      }
+      this.success(user, info);
+    });
+  }
+}
+
+// =========================================================================
+// 2. Discovery
+// =========================================================================
+/**
+ * Creates a strategy from the provider's discovery document
+ * (`<issuerUrl>/.well-known/openid-configuration`).
+ * @param {object} options
+ * @param {string} options.name - The provider name.
+ * @param {string} options.issuerUrl - The provider's issuer URL.
+ * @param {string} options.clientId - The client ID registered with the provider.
+ * @param {string} [options.clientSecret] - The client secret, for confidential clients.
+ * @param {string} options.redirectUri - The callback URL registered with the provider.
+ * @param {string} [options.scope] - The scopes to request.
+ * @param {function} [verify] - See `OidcStrategy`.
+ * @returns {Promise<OidcStrategy>} The strategy.
+ */
+async function createOidcStrategy({ name, issuerUrl, clientId, clientSecret, redirectUri, scope }, verify) {
+  if (!issuerUrl || !clientId) {
+    throw new ConfigurationError(`The OIDC provider '${name}' needs an issuer URL and a client ID.`, 'oidc');
+  }
+  const issuer = await Issuer.discover(issuerUrl);
+  const client = new issuer.Client({
+    client_id: clientId,
+    client_secret: clientSecret,
+    redirect_uris: [redirectUri],
+    response_types: ['code'],
+    token_endpoint_auth_method: clientSecret ? 'client_secret_basic' : 'none',
+  });
+  return new OidcStrategy({ name, client, redirectUri, scope }, verify);
+}
+
+// =========================================================================
+// 3. Configured Providers
+// =========================================================================
+// Discovered strategies by provider name. Discovery runs on first use, and is
+// retried on the next request if it failed.
+const strategies = new Map();
+
+/**
+ * Returns the names of the providers listed in OIDC_PROVIDERS (comma-separated).
+ * @returns {string[]} The provider names, in lowercase.
+ */
+function getOidcProviderNames() {
+  return (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Returns the strategy of a configured provider. Each provider is configured with
+ * OIDC_<NAME>_ISSUER, OIDC_<NAME>_CLIENT_ID, OIDC_<NAME>_CLIENT_SECRET and
+ * optionally OIDC_<NAME>_SCOPE; its callback is OIDC_REDIRECT_BASE_URL/<name>/callback.
+ * @param {string} name - The provider name.
+ * @returns {Promise<OidcStrategy|null>} The strategy, or null if the provider is not configured.
+ */
+async function getOidcStrategy(name) {
+  const providerName = String(name).toLowerCase();
+  if (!getOidcProviderNames().includes(providerName)) {
+    return null;
+  }
+  if (!strategies.has(providerName)) {
+    const prefix = `OIDC_${providerName.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const baseUrl = process.env.OIDC_REDIRECT_BASE_URL || `http://localhost:${process.env.PORT || 3000}/api/v1/auth/oidc`;
+    const pending = createOidcStrategy({
+      name: providerName,
+      issuerUrl: process.env[`${prefix}ISSUER`],
+      clientId: process.env[`${prefix}CLIENT_ID`],
+      clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+      redirectUri: `${baseUrl}/${providerName}/callback`,
+      scope: process.env[`${prefix}SCOPE`],
+    });
+    strategies.set(providerName, pending);
+    pending.catch(() => strategies.delete(providerName));
+  }
+  return strategies.get(providerName);
+}
+
+// =========================================================================
+// 4. Export functions for use in other modules
+// =========================================================================
+module.exports = {
+  OidcStrategy,
+  createOidcStrategy,
+  getOidcProviderNames,
+  getOidcStrategy,
+};
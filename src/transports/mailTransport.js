@@ -0,0 +1,136 @@
+/**
+ * @file mailTransport.js
+ * @description Pluggable delivery of the emails sent by Quilox Auth (email
+ * verification links, etc.). This module defines the transport interface,
+ * ships a console and a file transport for local development and tests, and
+ * holds the transport used by `authController`.
+ *
+ * A production transport only has to implement `send`. For example, with nodemailer:
+ *
+ *   setMailTransport({ send: (message) => smtp.sendMail(message) });
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// =========================================================================
+// 1. Transport Interface
+// =========================================================================
+/**
+ * @typedef {object} MailMessage
+ * @property {string} from - The sender address.
+ * @property {string} to - The recipient address.
+ * @property {string} subject - The subject line.
+ * @property {string} text - The plain-text body.
+ * @property {string} [html] - The HTML body.
+ */
+
+/**
+ * @typedef {object} MailTransport
+ * @property {function(MailMessage): Promise<void>} send - Delivers a message.
+ */
+
+// =========================================================================
+// 2. Console Transport
+// =========================================================================
+/**
+ * Creates a transport that prints every message to the console instead of
+ * sending it. Handy during local development: the links can be copied from the log.
+ * @returns {MailTransport} The console transport.
+ */
+function createConsoleTransport() {
+  return {
+    async send(message) {
+      console.log([
+        '--- Outgoing email ---',
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        '',
+        message.text,
+        '----------------------',
+      ].join('\n'));
+    },
+  };
+}
+
+// =========================================================================
+// 3. File Transport
+// =========================================================================
+/**
+ * Creates a transport that writes every message as a JSON file into a
+ * directory, so tests can read the emails (and the links in them) back.
+ * @param {object} options
+ * @param {string} options.directory - The directory to write to. Created if missing.
+ * @returns {MailTransport} The file transport.
+ */
+function createFileTransport({ directory }) {
+  if (!directory) {
+    throw new Error('The file mail transport needs a directory.');
+  }
+  return {
+    async send(message) {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+      await fs.promises.writeFile(
+        path.join(directory, fileName),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+    },
+  };
+}
+
+// =========================================================================
+// 4. Active Transport
+// =========================================================================
+// The console transport is the default, or the file transport when
+// MAIL_TRANSPORT=file. Call `setMailTransport` during start-up to deliver real emails.
+let activeTransport = null;
+
+/**
+ * Returns the transport used by the controllers.
+ * @returns {MailTransport} The active mail transport.
+ */
+function getMailTransport() {
+  if (!activeTransport) {
+    activeTransport = process.env.MAIL_TRANSPORT === 'file'
+      ? createFileTransport({ directory: process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'mail') })
+      : createConsoleTransport();
+  }
+  return activeTransport;
+}
+
+/**
+ * Replaces the transport used by the controllers.
+ * @param {MailTransport} transport - The transport to use from now on.
+ */
+function setMailTransport(transport) {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('A mail transport must implement: send.');
+  }
+  activeTransport = transport;
+}
+
+/**
+ * Sends a message through the active transport, filling in the sender.
+ * @param {object} message - The message without `from` (see MailMessage).
+ * @returns {Promise<void>}
+ */
+function sendMail(message) {
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || 'no-reply@quilox-auth.local',
+    ...message,
+  });
+}
+
+// =========================================================================
+// 5. Export functions for use in other modules
+// =========================================================================
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  getMailTransport,
+  setMailTransport,
+  sendMail,
+};
@@ -0,0 +1,99 @@
+/**
+ * @file actionTokenUtils.js
+ * @description A utility module for short-lived, signed "action" tokens that are
+ * sent to users by email (email verification and login links) or handed out
+ * between the steps of a two-step login, a WebAuthn ceremony or an OpenID
+ * Connect login. Each token is bound to a purpose, and usually to a user and an
+ * email address, so a token issued for one action can never be used for another.
+ *
+ * Action tokens are signed with JWT_ACTION_SECRET, which must differ from the
+ * access and refresh token secrets. Making a token single-use is up to the
+ * caller: store the token's `jti` and clear it once the token has been used.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ConfigurationError } = require('./errors');
+
+// =========================================================================
+// 1. Configuration & Constants
+// =========================================================================
+// The purposes action tokens can be issued for.
+const ACTION_PURPOSES = Object.freeze({
+  EMAIL_VERIFICATION: 'email_verification',
+  MAGIC_LINK: 'magic_link',
+  MFA_LOGIN: 'mfa_login',
+  OIDC_LOGIN: 'oidc_login',
+  WEBAUTHN_REGISTRATION: 'webauthn_registration',
+  WEBAUTHN_AUTHENTICATION: 'webauthn_authentication',
+});
+
+/**
+ * Returns the secret used for action tokens.
+ * @returns {string} The secret.
+ * @throws {ConfigurationError} Throws if JWT_ACTION_SECRET is not set.
+ */
+function getSecret() {
+  const secret = process.env.JWT_ACTION_SECRET;
+  if (!secret) {
+    throw new ConfigurationError('JWT_ACTION_SECRET must be set to issue action tokens.', 'JWT_ACTION_SECRET');
+  }
+  return secret;
+}
+
+// =========================================================================
+// 2. Token Generation
+// =========================================================================
+/**
+ * Generates a signed action token.
+ * @param {object} options
+ * @param {string} options.purpose - One of ACTION_PURPOSES.
+ * @param {string} [options.userId] - The user the token is issued to, if known.
+ * @param {string} [options.email] - The email address the token is bound to.
+ * @param {string|number} options.expiresIn - The token lifetime, e.g. '24h'.
+ * @param {object} [options.claims] - Additional claims, e.g. a WebAuthn challenge.
+ * @returns {{token: string, jti: string}} The signed token and its unique ID.
+ */
+function generateActionToken({ purpose, userId, email, expiresIn, claims = {} }) {
+  const jti = crypto.randomUUID();
+  const payload = { ...claims, purpose, id: userId ? String(userId) : undefined, email };
+  const token = jwt.sign(payload, getSecret(), {
+    algorithm: 'HS256',
+    expiresIn,
+    jwtid: jti,
+  });
+  return { token, jti };
+}
+
+// =========================================================================
+// 3. Token Verification
+// =========================================================================
+/**
+ * Verifies an action token and checks that it was issued for the given purpose.
+ * @param {string} token - The token to verify.
+ * @param {string} purpose - The purpose the token must have been issued for.
+ * @returns {object|null} The decoded payload (`id`, `email`, `jti`, ...), or null if invalid.
+ */
+function verifyActionToken(token, purpose) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+  try {
+    const decoded = jwt.verify(token, getSecret(), { algorithms: ['HS256'] });
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (err) {
+    if (err instanceof ConfigurationError) {
+      throw err;
+    }
+    return null;
+  }
+}
+
+// =========================================================================
+// 4. Export functions for use in other modules
+// =========================================================================
+module.exports = {
+  ACTION_PURPOSES,
+  generateActionToken,
+  verifyActionToken,
+};
@@ -0,0 +1,78 @@
+/**
+ * @file apiKeyUtils.js
+ * @description A utility module for API keys. A key looks like
+ * `qak_3f9a1c2e_<secret>`: the part before the secret is the key's prefix,
+ * which is stored in the clear to find the key and to show it in listings.
+ * The whole key is only stored as a SHA-256 hash; a fast hash is enough because
+ * the secret is 32 random bytes, not a password.
+ */
+
+const crypto = require('crypto');
+
+// =========================================================================
+// 1. Configuration & Constants
+// =========================================================================
+// Marks a string as a Quilox Auth API key, which also helps secret scanners.
+const API_KEY_MARKER = 'qak';
+
+// The header that carries API keys.
+const API_KEY_HEADER = 'x-api-key';
+
+// `qak_` + 8 hex characters, `_`, then the base64url secret.
+const API_KEY_PATTERN = /^(qak_[0-9a-f]{8})_[A-Za-z0-9_-]{43}$/;
+
+// =========================================================================
+// 2. Key Generation and Parsing
+// =========================================================================
+/**
+ * Hashes an API key for storage and comparison.
+ * @param {string} key - The whole key.
+ * @returns {string} The SHA-256 hash, hex encoded.
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Generates a new API key.
+ * @returns {{key: string, prefix: string, keyHash: string}} The key to hand out
+ * once, and the prefix and hash to store.
+ */
+function generateApiKey() {
+  const prefix = `${API_KEY_MARKER}_${crypto.randomBytes(4).toString('hex')}`;
+  const key = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, prefix, keyHash: hashApiKey(key) };
+}
+
+/**
+ * Extracts the prefix of an API key.
+ * @param {string} key - The presented key.
+ * @returns {string|null} The prefix, or null if the string is not an API key.
+ */
+function parseApiKey(key) {
+  const match = typeof key === 'string' && key.match(API_KEY_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Compares a presented key with a stored hash in constant time.
+ * @param {string} key - The presented key.
+ * @param {string} keyHash - The stored hash.
+ * @returns {boolean} True if the key matches.
+ */
+function verifyApiKey(key, keyHash) {
+  const expected = Buffer.from(String(keyHash));
+  const actual = Buffer.from(hashApiKey(key));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// =========================================================================
+// 3. Export functions for use in other modules
+// =========================================================================
+module.exports = {
+  API_KEY_HEADER,
+  generateApiKey,
+  parseApiKey,
+  hashApiKey,
+  verifyApiKey,
+};
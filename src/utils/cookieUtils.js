@@ -0,0 +1,197 @@
+/**
+ * @file cookieUtils.js
+ * @description A utility module for the opt-in cookie mode (AUTH_COOKIES=true).
+ * In cookie mode, login hands the tokens to the browser as HttpOnly cookies
+ * instead of in the response body, so a browser SPA never has to keep them in
+ * localStorage where any injected script could read them.
+ *
+ * Because browsers attach cookies to every request automatically, state-changing
+ * requests authenticated by cookie are protected against CSRF with the
+ * double-submit pattern: a random CSRF token is set in a cookie that JavaScript
+ * can read, and the client must echo it in the `X-CSRF-Token` header.
+ */
+
+const crypto = require('crypto');
+const cookie = require('cookie');
+const jwt = require('jsonwebtoken');
+
+// =========================================================================
+// 1. Configuration & Constants
+// =========================================================================
+// The cookie names used for the access token, the refresh token and the CSRF token.
+const COOKIE_NAMES = Object.freeze({
+  ACCESS: 'qa_access_token',
+  REFRESH: 'qa_refresh_token',
+  CSRF: 'qa_csrf_token',
+  OIDC_TRANSACTION: 'qa_oidc_tx',
+});
+
+// The request header that must carry the CSRF token.
+const CSRF_HEADER = 'x-csrf-token';
+
+// Requests with these methods do not change state and need no CSRF token.
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Tells whether cookie mode is switched on.
+ * @returns {boolean} True if AUTH_COOKIES is 'true'.
+ */
+function isCookieModeEnabled() {
+  return process.env.AUTH_COOKIES === 'true';
+}
+
+/**
+ * Builds the options shared by every auth cookie from the environment.
+ * @returns {object} The cookie options for `res.cookie`.
+ */
+function baseCookieOptions() {
+  return {
+    secure: process.env.AUTH_COOKIE_SECURE !== 'false',
+    sameSite: process.env.AUTH_COOKIE_SAMESITE || 'strict',
+    domain: process.env.AUTH_COOKIE_DOMAIN || undefined,
+  };
+}
+
+/**
+ * Returns the expiry date of a JWT, so its cookie lives exactly as long as the token.
+ * @param {string} token - The JWT.
+ * @returns {Date|undefined} The expiry date, or undefined for a session cookie.
+ */
+function tokenExpiry(token) {
+  const decoded = jwt.decode(token);
+  return decoded && decoded.exp ? new Date(decoded.exp * 1000) : undefined;
+}
+
+// =========================================================================
+// 2. Reading Cookies
+// =========================================================================
+/**
+ * Reads a cookie from the request. Uses `req.cookies` if cookie-parser is
+ * mounted, otherwise parses the Cookie header.
+ * @param {object} req - The Express request object.
+ * @param {string} name - The cookie name.
+ * @returns {string|null} The cookie value, or null if it is not set.
+ */
+function getCookie(req, name) {
+  const cookies = req.cookies || cookie.parse(req.headers.cookie || '');
+  return cookies[name] || null;
+}
+
+// =========================================================================
+// 3. Setting and Clearing Cookies
+// =========================================================================
+/**
+ * Sets the access token, refresh token and a fresh CSRF token as cookies.
+ * The token cookies are HttpOnly; the CSRF cookie is readable by JavaScript so
+ * the client can echo it in the `X-CSRF-Token` header. The refresh token cookie
+ * is only sent to the auth routes (AUTH_COOKIE_REFRESH_PATH).
+ * @param {object} res - The Express response object.
+ * @param {object} tokens
+ * @param {string} tokens.token - The access token.
+ * @param {string} [tokens.refreshToken] - The refresh token.
+ * @returns {string} The new CSRF token.
+ */
+function setAuthCookies(res, { token, refreshToken }) {
+  const options = baseCookieOptions();
+  const csrfToken = crypto.randomBytes(32).toString('hex');
+
+  res.cookie(COOKIE_NAMES.ACCESS, token, {
+    ...options,
+    httpOnly: true,
+    path: '/',
+    expires: tokenExpiry(token),
+  });
+  if (refreshToken) {
+    res.cookie(COOKIE_NAMES.REFRESH, refreshToken, {
+      ...options,
+      httpOnly: true,
+      path: process.env.AUTH_COOKIE_REFRESH_PATH || '/api/v1/auth',
+      expires: tokenExpiry(refreshToken),
+    });
+  }
+  res.cookie(COOKIE_NAMES.CSRF, csrfToken, {
+    ...options,
+    httpOnly: false,
+    path: '/',
+    expires: tokenExpiry(refreshToken || token),
+  });
+
+  return csrfToken;
+}
+
+/**
+ * Clears every auth cookie (on logout).
+ * @param {object} res - The Express response object.
+ */
+function clearAuthCookies(res) {
+  const options = baseCookieOptions();
+  res.clearCookie(COOKIE_NAMES.ACCESS, { ...options, path: '/' });
+  res.clearCookie(COOKIE_NAMES.REFRESH, { ...options, path: process.env.AUTH_COOKIE_REFRESH_PATH || '/api/v1/auth' });
+  res.clearCookie(COOKIE_NAMES.CSRF, { ...options, path: '/' });
+}
+
+/**
+ * Sets a short-lived HttpOnly cookie holding a signed token, e.g. the state of
+ * an OpenID Connect login between the redirect and the callback. It uses
+ * SameSite=Lax so the browser still sends it when the identity provider
+ * redirects back, and it is independent of cookie mode.
+ * @param {object} res - The Express response object.
+ * @param {string} name - The cookie name.
+ * @param {string} token - The signed token (its `exp` sets the cookie expiry).
+ */
+function setTransientCookie(res, name, token) {
+  res.cookie(name, token, {
+    ...baseCookieOptions(),
+    sameSite: 'lax',
+    httpOnly: true,
+    path: '/',
+    expires: tokenExpiry(token),
+  });
+}
+
+/**
+ * Clears a cookie set with `setTransientCookie`.
+ * @param {object} res - The Express response object.
+ * @param {string} name - The cookie name.
+ */
+function clearTransientCookie(res, name) {
+  res.clearCookie(name, { ...baseCookieOptions(), sameSite: 'lax', path: '/' });
+}
+
+// =========================================================================
+// 4. CSRF Protection
+// =========================================================================
+/**
+ * Checks the double-submitted CSRF token of a cookie-authenticated request.
+ * Safe methods (GET, HEAD, OPTIONS) always pass.
+ * @param {object} req - The Express request object.
+ * @returns {boolean} True if the request may proceed.
+ */
+function verifyCsrfToken(req) {
+  if (SAFE_METHODS.includes(req.method)) {
+    return true;
+  }
+  const cookieToken = getCookie(req, COOKIE_NAMES.CSRF);
+  const headerToken = req.headers[CSRF_HEADER];
+  if (!cookieToken || typeof headerToken !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(cookieToken);
+  const actual = Buffer.from(headerToken);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// =========================================================================
+// 5. Export functions for use in other modules
+// =========================================================================
+module.exports = {
+  COOKIE_NAMES,
+  CSRF_HEADER,
+  isCookieModeEnabled,
+  getCookie,
+  setAuthCookies,
+  clearAuthCookies,
+  setTransientCookie,
+  clearTransientCookie,
+  verifyCsrfToken,
+};
@@ -0,0 +1,34 @@
+/**
+ * @file errors.js
+ * @description Error classes thrown by the Quilox Auth utilities.
+ * Having dedicated classes lets applications tell a misconfiguration apart
+ * from a runtime failure (`err instanceof ConfigurationError`) instead of
+ * parsing error messages.
+ */
+
+// =========================================================================
+// 1. Configuration Errors
+// =========================================================================
+/**
+ * Thrown when a utility is created with missing or invalid options, e.g. a
+ * JWT utility without a secret or a password utility with an invalid cost.
+ */
+class ConfigurationError extends Error {
+  /**
+   * @param {string} message - A description of the problem.
+   * @param {string} [option] - The name of the offending option.
+   */
+  constructor(message, option) {
+    super(message);
+    this.name = 'ConfigurationError';
+    this.code = 'ERR_QUILOX_CONFIGURATION';
+    this.option = option;
+  }
+}
+
+// =========================================================================
+// 2. Export the Error Classes
+// =========================================================================
+module.exports = {
+  ConfigurationError,
+};
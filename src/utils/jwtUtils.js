@@ -5,136 +5,322 @@
  * to ensure consistency and security across your application.
  *
  * It uses the popular 'jsonwebtoken' library and handles common use cases and errors.
+ * Tokens are signed with a shared secret (HS256), or with the asymmetric keys of a
+ * key ring from keyUtils (RS256/ES256).
+ *
+ * Use `createJwtUtils(options)` to get an instance configured explicitly. The
+ * module-level `generateToken` and `verifyToken` use a default instance that is
+ * configured from the environment the first time it is needed. Requiring this
+ * module has no side effects.
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const dotenv = require('dotenv');
-
-// Load environment variables from a .env file.
-// This is a crucial security step to keep your JWT secret key private.
-dotenv.config();
+const keyUtils = require('./keyUtils');
+const { ConfigurationError } = require('./errors');
 
 // =========================================================================
 // 1. Configuration & Constants
 // =========================================================================
-// The JWT secret key. This must be a long, complex, and random string.
-// DO NOT hardcode this value. Use environment variables.
-const JWT_SECRET = process.env.JWT_SECRET;
-if (!JWT_SECRET) {
-  // Gracefully handle a missing secret to prevent silent failures.
-  console.error('FATAL ERROR: JWT_SECRET is not defined in the environment variables.');
-  process.exit(1);
-}
+// HS256 signs with a shared secret; the other algorithms sign with a key ring.
+const SUPPORTED_ALGORITHMS = ['HS256', ...keyUtils.SUPPORTED_ALGORITHMS];
+
+// Machine-readable reasons for rejecting a token, returned by `verifyTokenDetailed`.
+const TOKEN_FAILURE_REASONS = Object.freeze({
+  MISSING: 'token_missing',       // No token was provided.
+  MALFORMED: 'token_malformed',   // The token is not a well-formed JWT.
+  EXPIRED: 'token_expired',       // The `exp` claim has passed; the client may refresh.
+  NOT_ACTIVE: 'token_not_active', // The `nbf` claim is still in the future.
+  INVALID: 'token_invalid',       // Bad signature, unknown key, wrong issuer/audience, etc.
+});
 
-// Token expiration time. Shorter expiration times enhance security.
-// You can use a library like 'ms' for more human-readable times (e.g., '1h', '30m').
+// Default token expiration time. Shorter expiration times enhance security.
+// Accepts a number of seconds or a string like '1h' or '30m'.
 const TOKEN_EXPIRATION = '1h';
 
-// =========================================================================
-// 2. Token Generation
-// =========================================================================
 /**
- * Generates a new JWT.
- * @param {object} payload - The data to encode in the token. Avoid storing sensitive
- * information like passwords. Typically includes user ID, role, etc.
- * @param {string} [expiresIn=TOKEN_EXPIRATION] - The expiration time for the token.
- * @returns {string} The signed JWT.
- * @throws {Error} Throws an error if payload is invalid or signing fails.
+ * Checks the options passed to `createJwtUtils`.
+ * @param {object} options - The options to check.
+ * @throws {ConfigurationError} Throws if an option is missing or invalid.
  */
-function generateToken(payload, expiresIn = TOKEN_EXPIRATION) {
-  if (!payload || typeof payload !== 'object') {
-    throw new Error('Payload must be a non-null object to generate a token.');
+function validateOptions({ secret, algorithm, keyRing, expiresIn, clockTolerance }) {
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new ConfigurationError(
+      `Unsupported JWT algorithm '${algorithm}'. Use one of: ${SUPPORTED_ALGORITHMS.join(', ')}.`,
+      'algorithm'
+    );
+  }
+  if (algorithm === 'HS256' && (typeof secret !== 'string' || secret.length === 0)) {
+    throw new ConfigurationError('A non-empty secret is required to sign tokens with HS256.', 'secret');
   }
-  try {
-    const token = jwt.sign(payload, JWT_SECRET, { expiresIn });
-    return token;
-  } catch (err) {
-    console.error('Error generating token:', err);
-    throw new Error('Could not generate token.');
+  if (algorithm !== 'HS256' &&
+    (!keyRing || typeof keyRing.getSigningKey !== 'function' || typeof keyRing.getVerificationKey !== 'function')) {
+    throw new ConfigurationError(`A key ring is required to sign tokens with ${algorithm}.`, 'keyRing');
+  }
+  if (typeof expiresIn !== 'string' && typeof expiresIn !== 'number') {
+    throw new ConfigurationError('expiresIn must be a number of seconds or a time span string like "15m".', 'expiresIn');
+  }
+  if (typeof clockTolerance !== 'number' || !Number.isFinite(clockTolerance) || clockTolerance < 0) {
+    throw new ConfigurationError('clockTolerance must be a non-negative number of seconds.', 'clockTolerance');
   }
 }
 
-// =========================================================================
-// 3. Token Verification
-// =========================================================================
 /**
- * Verifies a JWT and returns the decoded payload.
- * @param {string} token - The JWT string to verify.
- * @returns {object|null} The decoded payload if the token is valid, otherwise null.
+ * Translates a 'jsonwebtoken' verification error into a failure result.
+ * @param {Error} err - The error thrown by `jwt.verify`.
+ * @returns {{valid: false, reason: string, message: string, date?: Date}} The failure result.
  */
-function verifyToken(token) {
-  if (!token || typeof token !== 'string') {
-    return null;
+function describeVerificationError(err) {
+  // jwt.TokenExpiredError: the token has expired.
+  if (err instanceof jwt.TokenExpiredError) {
+    return { valid: false, reason: TOKEN_FAILURE_REASONS.EXPIRED, message: err.message, date: err.expiredAt };
+  }
+  // jwt.NotBeforeError: the 'nbf' claim is in the future.
+  if (err instanceof jwt.NotBeforeError) {
+    return { valid: false, reason: TOKEN_FAILURE_REASONS.NOT_ACTIVE, message: err.message, date: err.date };
   }
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    return decoded;
-  } catch (err) {
-    // This catch block handles various verification errors like:
-    // jwt.TokenExpiredError: if the token has expired.
-    // jwt.JsonWebTokenError: if the token is malformed or invalid signature.
-    // jwt.NotBeforeError: if the 'nbf' claim is in the future.
-    console.error('Token verification failed:', err.message);
-    return null;
+  // jwt.JsonWebTokenError: the token is malformed, or its signature or claims are invalid.
+  if (err instanceof jwt.JsonWebTokenError && /malformed|invalid token|jwt must be/.test(err.message)) {
+    return { valid: false, reason: TOKEN_FAILURE_REASONS.MALFORMED, message: err.message };
   }
+  return { valid: false, reason: TOKEN_FAILURE_REASONS.INVALID, message: err.message };
 }
 
 // =========================================================================
-// 4. Example Usage
+// 2. The JWT Utility Factory
 // =========================================================================
+/**
+ * Creates a set of JWT helpers bound to the given configuration.
+ * @param {object} options
+ * @param {string} [options.secret] - The signing secret. Required for HS256.
+ * @param {string} [options.algorithm='HS256'] - HS256, RS256 or ES256.
+ * @param {object} [options.keyRing] - A key ring from keyUtils. Required for RS256 and ES256.
+ * @param {string|number} [options.expiresIn='1h'] - The default token lifetime.
+ * @param {string} [options.issuer] - Written to the `iss` claim and required when verifying.
+ * @param {string|string[]} [options.audience] - Written to the `aud` claim and required when verifying.
+ * A token is accepted if any of its audiences matches any of the expected ones.
+ * @param {number} [options.clockTolerance=0] - Seconds of clock skew allowed when checking `exp` and `nbf`.
+ * @returns {{generateToken: function, verifyToken: function, verifyTokenDetailed: function}} The JWT helpers.
+ * @throws {ConfigurationError} Throws if an option is missing or invalid.
+ */
+function createJwtUtils({
+  secret,
+  algorithm = 'HS256',
+  keyRing,
+  expiresIn: defaultExpiresIn = TOKEN_EXPIRATION,
+  issuer,
+  audience,
+  clockTolerance = 0,
+} = {}) {
+  validateOptions({ secret, algorithm, keyRing, expiresIn: defaultExpiresIn, clockTolerance });
 
-// Example payload for a user.
-const userPayload = {
-  userId: '12345',
-  email: 'john.doe@example.com',
-  role: 'admin'
-};
+  /**
+   * Looks up the key and algorithm that must be used to verify a token.
+   * With asymmetric signing, the key is selected by the `kid` in the token header,
+   * so tokens signed by older (rotated, not yet retired) keys keep verifying.
+   * Only the algorithm of the selected key is accepted, which rules out
+   * algorithm confusion attacks.
+   * @param {string} token - The JWT string.
+   * @returns {{key: (string|object), algorithms: string[]}} The verification key and allowed algorithms.
+   * @throws {jwt.JsonWebTokenError} Throws if the token names an unknown key.
+   */
+  function getVerificationKey(token) {
+    if (algorithm === 'HS256') {
+      return { key: secret, algorithms: ['HS256'] };
+    }
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+      throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+    const kid = decoded.header.kid;
+    const verificationKey = kid && keyRing.getVerificationKey(kid);
+    if (!verificationKey) {
+      throw new jwt.JsonWebTokenError('unknown or missing key id');
+    }
+    return { key: verificationKey.publicKey, algorithms: [verificationKey.alg] };
+  }
 
-// Example of how to use the functions.
-console.log('--- JWT Utility Module Demo ---');
-
-// --- Step 1: Generate a token ---
-try {
-  const token = generateToken(userPayload);
-  console.log('\nGenerated JWT:');
-  console.log(token);
-
-  // --- Step 2: Verify the token ---
-  const decodedPayload = verifyToken(token);
-  if (decodedPayload) {
-    console.log('\nVerified Token Payload:');
-    console.log(decodedPayload);
-  } else {
-    console.log('\nToken verification failed.');
+  /**
+   * Generates a new JWT. Every token gets a unique `jti` (JWT ID) claim so that it
+   * can be revoked individually, unless the payload already provides one.
+   * @param {object} payload - The data to encode in the token. Avoid storing sensitive
+   * information like passwords. Typically includes user ID, role, etc.
+   * @param {string|number} [expiresIn] - The expiration time for the token. Defaults to the configured one.
+   * @returns {string} The signed JWT.
+   * @throws {Error} Throws an error if payload is invalid or signing fails.
+   */
+  function generateToken(payload, expiresIn = defaultExpiresIn) {
+    if (!payload || typeof payload !== 'object') {
+      throw new Error('Payload must be a non-null object to generate a token.');
+    }
+    try {
+      const options = { expiresIn, algorithm };
+      if (payload.jti === undefined) {
+        options.jwtid = crypto.randomUUID();
+      }
+      if (issuer && payload.iss === undefined) {
+        options.issuer = issuer;
+      }
+      if (audience && payload.aud === undefined) {
+        options.audience = audience;
+      }
+
+      let signingKey = secret;
+      if (algorithm !== 'HS256') {
+        // Sign with the active key of the key ring and name it in the header.
+        const { kid, alg, privateKey } = keyRing.getSigningKey();
+        options.algorithm = alg;
+        options.keyid = kid;
+        signingKey = privateKey;
+      }
+
+      const token = jwt.sign(payload, signingKey, options);
+      return token;
+    } catch (err) {
+      console.error('Error generating token:', err);
+      throw new Error('Could not generate token.');
+    }
+  }
+
+  /**
+   * Verifies a JWT and reports why verification failed, if it did.
+   * @param {string} token - The JWT string to verify.
+   * @param {object} [expected] - Per-call overrides of the expected claims.
+   * @param {string|string[]} [expected.audience] - The audience(s) to require instead of the configured one.
+   * @param {string|string[]} [expected.issuer] - The issuer(s) to require instead of the configured one.
+   * @returns {{valid: boolean, payload?: object, reason?: string, message?: string, date?: Date}}
+   * `{ valid: true, payload }` for a valid token, otherwise `{ valid: false, reason, message }`
+   * where `reason` is one of TOKEN_FAILURE_REASONS. Expired and not-yet-valid tokens
+   * also carry the relevant `date`.
+   */
+  function verifyTokenDetailed(token, expected = {}) {
+    if (!token || typeof token !== 'string') {
+      return { valid: false, reason: TOKEN_FAILURE_REASONS.MISSING, message: 'No token was provided.' };
+    }
+    try {
+      const { key, algorithms } = getVerificationKey(token);
+      const payload = jwt.verify(token, key, {
+        algorithms,
+        issuer: expected.issuer || issuer,
+        audience: expected.audience || audience,
+        clockTolerance,
+      });
+      return { valid: true, payload };
+    } catch (err) {
+      return describeVerificationError(err);
+    }
   }
 
-  // --- Step 3: Simulate an expired token for testing ---
-  // Create a token that expires in 1 second.
-  const expiredToken = generateToken(userPayload, '1s');
-  console.log('\nSimulating a token that expires in 1 second...');
-  setTimeout(() => {
-    const verificationResult = verifyToken(expiredToken);
-    if (!verificationResult) {
-      console.log('\nSuccessfully handled expired token.');
+  /**
+   * Verifies a JWT and returns the decoded payload.
+   * Use `verifyTokenDetailed` to find out why a token was rejected.
+   * @param {string} token - The JWT string to verify.
+   * @param {object} [expected] - Per-call overrides of the expected claims (see `verifyTokenDetailed`).
+   * @returns {object|null} The decoded payload if the token is valid, otherwise null.
+   */
+  function verifyToken(token, expected) {
+    const result = verifyTokenDetailed(token, expected);
+    if (!result.valid) {
+      if (result.reason !== TOKEN_FAILURE_REASONS.MISSING) {
+        console.error('Token verification failed:', result.message);
+      }
+      return null;
     }
-  }, 1500); // Wait 1.5 seconds to ensure it's expired.
-
-  // --- Step 4: Simulate an invalid token ---
-  const invalidToken = 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.invalid.signature';
-  console.log('\nVerifying an invalid token...');
-  const invalidResult = verifyToken(invalidToken);
-  if (!invalidResult) {
-    console.log('Successfully handled invalid token.');
+    return result.payload;
   }
 
-} catch (err) {
-  console.error('\nAn error occurred during the demo:', err.message);
+  return {
+    generateToken,
+    verifyToken,
+    verifyTokenDetailed,
+  };
 }
 
 // =========================================================================
-// 5. Export functions for use in other modules
+// 3. The Default Instance
+// =========================================================================
+// Configured from the environment on first use:
+// JWT_ALGORITHM, JWT_SECRET (HS256) or the keyUtils key ring (RS256/ES256),
+// JWT_ISSUER, JWT_AUDIENCE (comma-separated) and JWT_CLOCK_TOLERANCE (seconds).
+let defaultJwtUtils = null;
+
+/**
+ * Parses a comma-separated environment variable into a string or a list.
+ * @param {string} [value] - The raw value.
+ * @returns {string|string[]|undefined} A single value, a list of values, or undefined if empty.
+ */
+function parseList(value) {
+  const items = (value || '').split(',').map(item => item.trim()).filter(Boolean);
+  if (items.length === 0) {
+    return undefined;
+  }
+  return items.length === 1 ? items[0] : items;
+}
+
+/**
+ * Returns the default JWT helpers, creating them from the environment if needed.
+ * @returns {{generateToken: function, verifyToken: function, verifyTokenDetailed: function}} The JWT helpers.
+ * @throws {ConfigurationError} Throws if the environment is not configured correctly.
+ */
+function getDefaultJwtUtils() {
+  if (!defaultJwtUtils) {
+    const algorithm = process.env.JWT_ALGORITHM || 'HS256';
+    defaultJwtUtils = createJwtUtils({
+      algorithm,
+      secret: process.env.JWT_SECRET,
+      issuer: process.env.JWT_ISSUER || undefined,
+      audience: parseList(process.env.JWT_AUDIENCE),
+      clockTolerance: process.env.JWT_CLOCK_TOLERANCE === undefined ? 0 : Number(process.env.JWT_CLOCK_TOLERANCE),
+      // Resolve the key ring on every use, so `keyUtils.setKeyRing` takes effect.
+      keyRing: algorithm === 'HS256' ? undefined : {
+        getSigningKey: () => keyUtils.getKeyRing().getSigningKey(),
+        getVerificationKey: (kid) => keyUtils.getKeyRing().getVerificationKey(kid),
+      },
+    });
+  }
+  return defaultJwtUtils;
+}
+
+/**
+ * Generates a new JWT with the default configuration.
+ * @see createJwtUtils
+ * @param {object} payload - The data to encode in the token.
+ * @param {string|number} [expiresIn] - The expiration time for the token.
+ * @returns {string} The signed JWT.
+ */
+function generateToken(payload, expiresIn) {
+  return getDefaultJwtUtils().generateToken(payload, expiresIn);
+}
+
+/**
+ * Verifies a JWT with the default configuration.
+ * @see createJwtUtils
+ * @param {string} token - The JWT string to verify.
+ * @param {object} [expected] - Per-call overrides of the expected claims.
+ * @returns {object|null} The decoded payload if the token is valid, otherwise null.
+ */
+function verifyToken(token, expected) {
+  return getDefaultJwtUtils().verifyToken(token, expected);
+}
+
+/**
+ * Verifies a JWT with the default configuration and reports why it failed, if it did.
+ * @see createJwtUtils
+ * @param {string} token - The JWT string to verify.
+ * @param {object} [expected] - Per-call overrides of the expected claims.
+ * @returns {object} The verification result.
+ */
+function verifyTokenDetailed(token, expected) {
+  return getDefaultJwtUtils().verifyTokenDetailed(token, expected);
+}
+
+// =========================================================================
+// 4. Export functions for use in other modules
 // =========================================================================
 module.exports = {
+  TOKEN_FAILURE_REASONS,
+  createJwtUtils,
   generateToken,
   verifyToken,
-};
\ No newline at end of file
+  verifyTokenDetailed,
+};
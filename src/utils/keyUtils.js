@@ -0,0 +1,300 @@
+/**
+ * @file keyUtils.js
+ * @description A utility module for managing the asymmetric signing keys used for JWTs
+ * (RS256 and ES256). Keys are kept in a "key ring" and identified by their `kid`
+ * (key ID), which is written into the header of every token they sign.
+ *
+ * Key rotation works in three steps:
+ * 1. Add a new key and make it the active (signing) key.
+ * 2. Keep the previous keys in the ring: they no longer sign, but tokens they
+ *    signed still verify, and they are still published in the JWKS.
+ * 3. Once every token signed by an old key has expired, retire that key.
+ *
+ * Only public keys ever leave this module (through `toJWKS`), so downstream
+ * services can verify tokens without holding any signing secret.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ConfigurationError } = require('./errors');
+
+// =========================================================================
+// 1. Configuration & Constants
+// =========================================================================
+// The asymmetric algorithms supported for signing, and how to create keys for them.
+const KEY_GENERATION_OPTIONS = {
+  RS256: { type: 'rsa', options: { modulusLength: 2048 } },
+  ES256: { type: 'ec', options: { namedCurve: 'prime256v1' } },
+};
+
+const SUPPORTED_ALGORITHMS = Object.keys(KEY_GENERATION_OPTIONS);
+
+/**
+ * Works out which algorithm a key can be used with from its type.
+ * @param {crypto.KeyObject} key - A public or private key.
+ * @returns {string} The JWT algorithm (RS256 or ES256).
+ * @throws {Error} Throws an error if the key type is not supported.
+ */
+function algorithmForKey(key) {
+  if (key.asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+  if (key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+  throw new Error(`Unsupported key type '${key.asymmetricKeyType}'. Use an RSA or P-256 EC key.`);
+}
+
+// =========================================================================
+// 2. The Key Ring
+// =========================================================================
+/**
+ * Creates an empty key ring.
+ * @param {object} [options]
+ * @param {string} [options.algorithm='RS256'] - The algorithm used for keys generated by `generateKey` and `rotate`.
+ * @returns {object} The key ring.
+ */
+function createKeyRing({ algorithm = 'RS256' } = {}) {
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new ConfigurationError(
+      `Unsupported signing algorithm '${algorithm}'. Use one of: ${SUPPORTED_ALGORITHMS.join(', ')}.`,
+      'algorithm'
+    );
+  }
+
+  // kid -> { kid, alg, privateKey, publicKey }
+  const keys = new Map();
+  let activeKid = null;
+
+  const keyRing = {
+    /**
+     * Adds a key to the ring. Keys added with only a public key can verify but never sign.
+     * @param {object} key
+     * @param {string} key.kid - The key ID.
+     * @param {string|Buffer|crypto.KeyObject} [key.privateKey] - The private key (PEM or KeyObject).
+     * @param {string|Buffer|crypto.KeyObject} [key.publicKey] - The public key. Derived from the private key when omitted.
+     * @returns {string} The key ID.
+     */
+    addKey({ kid, privateKey, publicKey }) {
+      if (!kid || typeof kid !== 'string') {
+        throw new Error('A key must have a string kid.');
+      }
+      if (keys.has(kid)) {
+        throw new Error(`A key with kid '${kid}' already exists.`);
+      }
+      if (!privateKey && !publicKey) {
+        throw new Error(`Key '${kid}' needs a private key or a public key.`);
+      }
+
+      let privateKeyObject = null;
+      if (privateKey) {
+        privateKeyObject = privateKey instanceof crypto.KeyObject ? privateKey : crypto.createPrivateKey(privateKey);
+      }
+      const publicKeyObject = crypto.createPublicKey(publicKey || privateKeyObject);
+      keys.set(kid, {
+        kid,
+        alg: algorithmForKey(publicKeyObject),
+        privateKey: privateKeyObject,
+        publicKey: publicKeyObject,
+      });
+      return kid;
+    },
+
+    /**
+     * Generates a new key pair and adds it to the ring (without activating it).
+     * @param {object} [options]
+     * @param {string} [options.kid] - The key ID. A random one is generated when omitted.
+     * @param {string} [options.algorithm] - RS256 or ES256. Defaults to the ring's algorithm.
+     * @returns {string} The key ID of the new key.
+     */
+    generateKey({ kid = crypto.randomUUID(), algorithm: alg = algorithm } = {}) {
+      const generation = KEY_GENERATION_OPTIONS[alg];
+      if (!generation) {
+        throw new Error(`Unsupported signing algorithm '${alg}'. Use one of: ${SUPPORTED_ALGORITHMS.join(', ')}.`);
+      }
+      const { privateKey } = crypto.generateKeyPairSync(generation.type, generation.options);
+      return keyRing.addKey({ kid, privateKey });
+    },
+
+    /**
+     * Makes a key the one used to sign new tokens.
+     * @param {string} kid - The key ID. The key must hold a private key.
+     */
+    setActiveKey(kid) {
+      const key = keys.get(kid);
+      if (!key) {
+        throw new Error(`No key with kid '${kid}' exists.`);
+      }
+      if (!key.privateKey) {
+        throw new Error(`Key '${kid}' has no private key and cannot sign.`);
+      }
+      activeKid = kid;
+    },
+
+    /**
+     * Rotates the signing key: generates a new key and activates it. The
+     * previous key stays in the ring to verify the tokens it already signed.
+     * @param {object} [options] - The same options as `generateKey`.
+     * @returns {string} The key ID of the new active key.
+     */
+    rotate(options) {
+      const kid = keyRing.generateKey(options);
+      keyRing.setActiveKey(kid);
+      return kid;
+    },
+
+    /**
+     * Removes a key from the ring. Tokens it signed no longer verify.
+     * @param {string} kid - The key ID.
+     */
+    retireKey(kid) {
+      if (kid === activeKid) {
+        throw new Error(`Key '${kid}' is the active signing key. Rotate before retiring it.`);
+      }
+      keys.delete(kid);
+    },
+
+    /**
+     * Returns the key used to sign new tokens.
+     * @returns {{kid: string, alg: string, privateKey: crypto.KeyObject}} The active key.
+     * @throws {Error} Throws an error if no key is active.
+     */
+    getSigningKey() {
+      if (!activeKid) {
+        throw new Error('The key ring has no active signing key.');
+      }
+      const { kid, alg, privateKey } = keys.get(activeKid);
+      return { kid, alg, privateKey };
+    },
+
+    /**
+     * Returns the key that verifies tokens carrying the given `kid`.
+     * @param {string} kid - The key ID from the token header.
+     * @returns {{kid: string, alg: string, publicKey: crypto.KeyObject}|null} The key, or null if unknown.
+     */
+    getVerificationKey(kid) {
+      const key = keys.get(kid);
+      return key ? { kid: key.kid, alg: key.alg, publicKey: key.publicKey } : null;
+    },
+
+    /**
+     * Lists the keys in the ring (without key material).
+     * @returns {object[]} The key descriptions.
+     */
+    listKeys() {
+      return [...keys.values()].map(({ kid, alg, privateKey }) => ({
+        kid,
+        alg,
+        active: kid === activeKid,
+        canSign: Boolean(privateKey),
+      }));
+    },
+
+    /**
+     * Exports the public keys as a JSON Web Key Set (RFC 7517).
+     * @returns {{keys: object[]}} The JWKS document.
+     */
+    toJWKS() {
+      return {
+        keys: [...keys.values()].map(({ kid, alg, publicKey }) => ({
+          ...publicKey.export({ format: 'jwk' }),
+          kid,
+          alg,
+          use: 'sig',
+        })),
+      };
+    },
+  };
+
+  return keyRing;
+}
+
+// =========================================================================
+// 3. Loading Keys from Disk
+// =========================================================================
+/**
+ * Creates a key ring from a directory of PEM files. The file name (without
+ * extension) is the key ID:
+ * - `<kid>.pem` holds a private key; it can sign and verify.
+ * - `<kid>.pub.pem` holds a public key only; it can just verify.
+ * @param {string} directory - The directory to read.
+ * @param {object} [options]
+ * @param {string} [options.activeKid] - The key used for signing. Required if the directory holds more than one private key.
+ * @param {string} [options.algorithm] - Passed on to `createKeyRing`.
+ * @returns {object} The key ring.
+ */
+function loadKeyRing(directory, { activeKid, algorithm } = {}) {
+  const keyRing = createKeyRing({ algorithm });
+  const signingKids = [];
+
+  fs.readdirSync(directory)
+    .filter(file => file.endsWith('.pem'))
+    .sort()
+    .forEach(file => {
+      const pem = fs.readFileSync(path.join(directory, file), 'utf8');
+      if (file.endsWith('.pub.pem')) {
+        keyRing.addKey({ kid: path.basename(file, '.pub.pem'), publicKey: pem });
+      } else {
+        signingKids.push(keyRing.addKey({ kid: path.basename(file, '.pem'), privateKey: pem }));
+      }
+    });
+
+  if (activeKid) {
+    keyRing.setActiveKey(activeKid);
+  } else if (signingKids.length === 1) {
+    keyRing.setActiveKey(signingKids[0]);
+  } else {
+    throw new ConfigurationError(
+      `Found ${signingKids.length} private keys in ${directory}. Set the active key ID explicitly.`,
+      'activeKid'
+    );
+  }
+
+  return keyRing;
+}
+
+// =========================================================================
+// 4. The Application Key Ring
+// =========================================================================
+// Created on first use from JWT_KEYS_DIR and JWT_ACTIVE_KID, unless one was
+// provided with `setKeyRing`.
+let defaultKeyRing = null;
+
+/**
+ * Returns the key ring used by jwtUtils and the JWKS endpoint.
+ * @returns {object} The key ring.
+ * @throws {ConfigurationError} Throws an error if JWT_KEYS_DIR is not configured.
+ */
+function getKeyRing() {
+  if (!defaultKeyRing) {
+    const directory = process.env.JWT_KEYS_DIR;
+    if (!directory) {
+      throw new ConfigurationError('JWT_KEYS_DIR must be set when signing tokens with RS256 or ES256.', 'JWT_KEYS_DIR');
+    }
+    defaultKeyRing = loadKeyRing(directory, {
+      activeKid: process.env.JWT_ACTIVE_KID,
+      algorithm: process.env.JWT_ALGORITHM,
+    });
+  }
+  return defaultKeyRing;
+}
+
+/**
+ * Replaces the key ring used by jwtUtils and the JWKS endpoint.
+ * @param {object} keyRing - A key ring created with `createKeyRing` or `loadKeyRing`.
+ */
+function setKeyRing(keyRing) {
+  defaultKeyRing = keyRing;
+}
+
+// =========================================================================
+// 5. Export functions for use in other modules
+// =========================================================================
+module.exports = {
+  SUPPORTED_ALGORITHMS,
+  createKeyRing,
+  loadKeyRing,
+  getKeyRing,
+  setKeyRing,
+};
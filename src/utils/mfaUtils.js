@@ -0,0 +1,238 @@
+/**
+ * @file mfaUtils.js
+ * @description A utility module for two-factor authentication: time-based
+ * one-time passwords (TOTP, RFC 6238) as produced by authenticator apps such as
+ * Google Authenticator or 1Password, single-use recovery codes, and the roles
+ * for which two-factor authentication is mandatory.
+ *
+ * TOTP secrets are base32 encoded, as authenticator apps expect. Codes are
+ * 6 digits, change every 30 seconds and are computed with HMAC-SHA1, which are
+ * the defaults every authenticator app supports.
+ */
+
+const crypto = require('crypto');
+
+// =========================================================================
+// 1. Configuration & Constants
+// =========================================================================
+// The TOTP parameters shared by the server and the authenticator app.
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // seconds
+const TOTP_ALGORITHM = 'sha1';
+
+// The RFC 4648 base32 alphabet.
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// How many recovery codes are issued at once.
+const RECOVERY_CODE_COUNT = 10;
+
+// =========================================================================
+// 2. Base32 Encoding
+// =========================================================================
+/**
+ * Encodes bytes as base32 without padding.
+ * @param {Buffer} buffer - The bytes to encode.
+ * @returns {string} The base32 string.
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decodes a base32 string. Case, spaces and padding are ignored.
+ * @param {string} input - The base32 string.
+ * @returns {Buffer} The decoded bytes.
+ * @throws {Error} Throws if the string contains characters outside the alphabet.
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character '${char}'.`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// =========================================================================
+// 3. TOTP
+// =========================================================================
+/**
+ * Generates a new random TOTP secret.
+ * @returns {string} A 160-bit secret, base32 encoded.
+ */
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Builds the `otpauth://` URI that authenticator apps import, usually as a QR code.
+ * @param {object} options
+ * @param {string} options.secret - The base32 TOTP secret.
+ * @param {string} options.accountName - The account shown in the app, e.g. the email.
+ * @param {string} options.issuer - The service name shown in the app.
+ * @returns {string} The otpauth URI.
+ */
+function buildOtpauthUri({ secret, accountName, issuer }) {
+  // Spaces must be encoded as %20: some authenticator apps show a '+' literally.
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = [
+    `secret=${secret}`,
+    `issuer=${encodeURIComponent(issuer)}`,
+    `algorithm=${TOTP_ALGORITHM.toUpperCase()}`,
+    `digits=${TOTP_DIGITS}`,
+    `period=${TOTP_PERIOD}`,
+  ];
+  return `otpauth://totp/${label}?${params.join('&')}`;
+}
+
+/**
+ * Computes the TOTP code for a time step (RFC 4226 HOTP with the step as counter).
+ * @param {string} secret - The base32 TOTP secret.
+ * @param {number} step - The time step (Unix time divided by the period).
+ * @returns {string} The zero-padded code.
+ */
+function generateTotp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac(TOTP_ALGORITHM, base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Returns the current TOTP time step.
+ * @param {number} [now=Date.now()] - The current time in milliseconds.
+ * @returns {number} The time step.
+ */
+function currentTimeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD);
+}
+
+/**
+ * Checks a TOTP code. To tolerate clock drift between the server and the
+ * phone, the codes of the neighbouring time steps are accepted as well.
+ * @param {string} secret - The base32 TOTP secret.
+ * @param {string} code - The code entered by the user.
+ * @param {object} [options]
+ * @param {number} [options.window=1] - How many steps before and after now to accept.
+ * @param {number} [options.now=Date.now()] - The current time in milliseconds.
+ * @returns {number|null} The time step the code belongs to, or null if it is wrong.
+ * Callers should store the step and reject codes for the same or earlier steps,
+ * so a code cannot be replayed.
+ */
+function verifyTotp(secret, code, { window = 1, now = Date.now() } = {}) {
+  if (!secret || typeof code !== 'string' || !/^\d+$/.test(code) || code.length !== TOTP_DIGITS) {
+    return null;
+  }
+  const step = currentTimeStep(now);
+  const actual = Buffer.from(code);
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = Buffer.from(generateTotp(secret, step + offset));
+    if (crypto.timingSafeEqual(expected, actual)) {
+      return step + offset;
+    }
+  }
+  return null;
+}
+
+// =========================================================================
+// 4. Recovery Codes
+// =========================================================================
+/**
+ * Normalizes a recovery code as typed by the user: case, spaces and dashes are ignored.
+ * @param {string} code - The recovery code.
+ * @returns {string} The normalized code.
+ */
+function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Hashes a recovery code. Only the hashes are stored, so a leaked database
+ * does not leak usable recovery codes.
+ * @param {string} code - The recovery code.
+ * @returns {string} The SHA-256 hash, hex encoded.
+ */
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * Generates a set of random recovery codes, formatted as `xxxxx-xxxxx`.
+ * @param {number} [count=RECOVERY_CODE_COUNT] - How many codes to generate.
+ * @returns {{codes: string[], hashes: string[]}} The codes to show to the user
+ * once, and the hashes to store.
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// =========================================================================
+// 5. Mandatory Enrollment
+// =========================================================================
+/**
+ * Returns the roles for which two-factor authentication is mandatory
+ * (MFA_REQUIRED_ROLES, a comma-separated list).
+ * @returns {string[]} The role names.
+ */
+function getMfaRequiredRoles() {
+  return (process.env.MFA_REQUIRED_ROLES || '').split(',').map(role => role.trim()).filter(Boolean);
+}
+
+/**
+ * Tells whether a user must enroll in two-factor authentication before using
+ * their role. Every way of acting as the user (access tokens, API keys) must
+ * apply this rule, or it can be bypassed.
+ * @param {object} user - The user document.
+ * @returns {boolean} True if the role requires 2FA and the user has not enabled it.
+ */
+function isMfaEnrollmentRequired(user) {
+  return !user.mfaEnabled && getMfaRequiredRoles().includes(user.role);
+}
+
+// =========================================================================
+// 6. Export functions for use in other modules
+// =========================================================================
+module.exports = {
+  generateTotpSecret,
+  buildOtpauthUri,
+  generateTotp,
+  currentTimeStep,
+  verifyTotp,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  getMfaRequiredRoles,
+  isMfaEnrollmentRequired,
+};
@@ -0,0 +1,350 @@
+/**
+ * @file permissionUtils.js
+ * @description A utility module that resolves roles to their permissions.
+ * Roles are stored in MongoDB (see roleModel) so admins can change them at run
+ * time. Checking permissions happens on nearly every request, so all roles are
+ * kept in an in-process cache: it is cleared whenever this instance changes a
+ * role, and reloaded after ROLE_CACHE_TTL (default: 1m) so that changes made
+ * by other instances are picked up as well.
+ *
+ * A role grants its own permissions plus those of the roles it inherits from.
+ * Permissions are matched segment by segment, so grants can use wildcards:
+ * `*:post` matches every action on posts, `read:*` every read, and a trailing
+ * `*` also matches several segments (`view:*` matches `view:own:stats`). `*`
+ * and the legacy `manage:all` grant everything. An entry starting with `!`
+ * denies the matching permissions, and a deny always overrides an allow, also
+ * when either one is inherited.
+ *
+ * Built-in roles that are missing when the roles are loaded, e.g. on first use
+ * or after an upgrade added one, are created.
+ */
+
+const ms = require('ms');
+const Role = require('../models/roleModel');
+const { ConfigurationError } = require('./errors');
+
+// =========================================================================
+// 1. Configuration & Constants
+// =========================================================================
+// The built-in roles, each inheriting from the one below it: admin > editor > user.
+// 'user' is the role of newly registered users. 'org_admin' is meant for
+// memberships: it manages an organization without any global admin rights.
+const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    description: 'Full access, including user and role management.',
+    inherits: ['editor'],
+    permissions: [
+      'create:user', 'read:user', 'update:user', 'delete:user',
+      'delete:post',
+      'view:dashboard',
+      'impersonate:user',
+      'update:organization', 'delete:organization', 'manage:member',
+      'manage:all',
+    ],
+  },
+  {
+    name: 'editor',
+    description: 'Writes and edits posts.',
+    inherits: ['user'],
+    permissions: [
+      'create:post', 'update:post',
+      'view:own:stats',
+    ],
+  },
+  {
+    name: 'user',
+    description: 'The default role of registered users.',
+    inherits: [],
+    permissions: [
+      'read:post',
+      'read:self:user', 'update:self:user',
+    ],
+  },
+  {
+    name: 'org_admin',
+    description: 'Manages an organization and its members.',
+    inherits: ['editor'],
+    permissions: [
+      'update:organization', 'delete:organization', 'manage:member',
+    ],
+  },
+];
+
+// Grants that match every permission.
+const WILDCARD_GRANTS = ['*', 'manage:all'];
+
+// Marks a deny entry, e.g. '!delete:post'.
+const DENY_PREFIX = '!';
+
+/**
+ * Returns how long the role cache is used before it is reloaded.
+ * @returns {number} The cache lifetime in milliseconds.
+ */
+function getRoleCacheTtl() {
+  const ttl = process.env.ROLE_CACHE_TTL;
+  return ttl ? ms(ttl) : ms('1m');
+}
+
+// =========================================================================
+// 2. Permission Matching
+// =========================================================================
+/**
+ * Checks whether a grant matches a permission. Each `*` segment matches any
+ * one segment; a trailing `*` matches one or more.
+ * @param {string} grant - The granted permission, possibly with wildcards.
+ * @param {string} permission - The permission to check, e.g. 'read:post'.
+ * @returns {boolean} True if the grant covers the permission.
+ */
+function matchPermission(grant, permission) {
+  if (WILDCARD_GRANTS.includes(grant)) {
+    return true;
+  }
+  const grantSegments = grant.split(':');
+  const permissionSegments = permission.split(':');
+  for (let i = 0; i < grantSegments.length; i++) {
+    if (grantSegments[i] === '*' && i === grantSegments.length - 1) {
+      return permissionSegments.length > i;
+    }
+    if (grantSegments[i] !== '*' && grantSegments[i] !== permissionSegments[i]) {
+      return false;
+    }
+  }
+  return grantSegments.length === permissionSegments.length;
+}
+
+/**
+ * Checks whether a list of grants allows a permission. Deny entries (`!...`)
+ * override every allow.
+ * @param {string[]} grants - Role permissions or token scopes.
+ * @param {string} permission - The permission to check.
+ * @returns {boolean} True if the permission is allowed and not denied.
+ */
+function hasPermission(grants, permission) {
+  let allowed = false;
+  for (const grant of grants) {
+    if (grant.startsWith(DENY_PREFIX)) {
+      if (matchPermission(grant.slice(DENY_PREFIX.length), permission)) {
+        return false;
+      }
+    } else if (!allowed) {
+      allowed = matchPermission(grant, permission);
+    }
+  }
+  return allowed;
+}
+
+/**
+ * Checks whether a grant is a deny entry.
+ * @param {string} grant - A role permission.
+ * @returns {boolean} True for entries starting with `!`.
+ */
+function isDenied(grant) {
+  return grant.startsWith(DENY_PREFIX);
+}
+
+// =========================================================================
+// 3. Role Inheritance
+// =========================================================================
+/**
+ * Looks for a cycle in the inheritance of roles, e.g. 'a' inherits 'b' which
+ * inherits 'a'. Parents that do not exist are ignored.
+ * @param {Map<string, string[]>} inheritance - The parents of each role, by name.
+ * @returns {string[]|null} The roles forming the first cycle found, starting and
+ * ending with the same role, or null if there is none.
+ */
+function findInheritanceCycle(inheritance) {
+  const done = new Set();
+  const path = [];
+
+  const visit = (name) => {
+    const index = path.indexOf(name);
+    if (index !== -1) {
+      return [...path.slice(index), name];
+    }
+    if (done.has(name) || !inheritance.has(name)) {
+      return null;
+    }
+    path.push(name);
+    for (const parent of inheritance.get(name)) {
+      const cycle = visit(parent);
+      if (cycle) {
+        return cycle;
+      }
+    }
+    path.pop();
+    done.add(name);
+    return null;
+  };
+
+  for (const name of inheritance.keys()) {
+    const cycle = visit(name);
+    if (cycle) {
+      return cycle;
+    }
+  }
+  return null;
+}
+
+/**
+ * Computes the effective permissions of every role: its own plus everything
+ * its ancestors grant or deny.
+ * @param {object[]} roles - The roles, with `name`, `permissions` and `inherits`.
+ * @returns {Map<string, string[]>} The effective permissions of each role, by name.
+ * @throws {ConfigurationError} Throws if the inheritance contains a cycle.
+ */
+function resolveRoles(roles) {
+  const inheritance = new Map(roles.map(role => [role.name, role.inherits || []]));
+  const cycle = findInheritanceCycle(inheritance);
+  if (cycle) {
+    throw new ConfigurationError(`Role inheritance cycle: ${cycle.join(' > ')}`, 'inherits');
+  }
+
+  const own = new Map(roles.map(role => [role.name, role.permissions]));
+  const resolved = new Map();
+  const resolve = (name) => {
+    if (!resolved.has(name)) {
+      const inherited = inheritance.get(name).filter(parent => own.has(parent)).map(resolve);
+      resolved.set(name, [...new Set([...own.get(name), ...inherited.flat()])]);
+    }
+    return resolved.get(name);
+  };
+  roles.forEach(role => resolve(role.name));
+  return resolved;
+}
+
+// =========================================================================
+// 4. Role Cache
+// =========================================================================
+// `cache` holds a Map of role name to effective permissions. `loading` is the
+// load in progress, shared by concurrent callers. `generation` is bumped by
+// every invalidation so a load that started before it is not cached.
+let cache = null;
+let loading = null;
+let generation = 0;
+
+/**
+ * Creates the built-in roles that do not exist yet. Existing roles are left
+ * untouched, so admins' changes to them are kept.
+ * @returns {Promise<void>}
+ */
+async function seedDefaultRoles() {
+  try {
+    await Role.bulkWrite(DEFAULT_ROLES.map(role => ({
+      updateOne: {
+        filter: { name: role.name },
+        update: { $setOnInsert: { ...role, isSystem: true } },
+        upsert: true,
+      },
+    })), { ordered: false });
+  } catch (err) {
+    // Another instance seeded the same role at the same time
+    if (err.code !== 11000) {
+      throw err;
+    }
+  }
+}
+
+/**
+ * Reads every role from the database, seeding the built-in roles first if
+ * any of them is missing.
+ * @returns {Promise<Map<string, string[]>>} The effective permissions of each role, by name.
+ * @throws {ConfigurationError} Throws if the stored roles inherit in a cycle.
+ */
+async function fetchRoles() {
+  let roles = await Role.find().select('name permissions inherits').lean();
+  if (DEFAULT_ROLES.some(({ name }) => !roles.some(role => role.name === name))) {
+    await seedDefaultRoles();
+    roles = await Role.find().select('name permissions inherits').lean();
+  }
+  return resolveRoles(roles);
+}
+
+/**
+ * Returns every role, from the cache when it is fresh.
+ * @returns {Promise<Map<string, string[]>>} The effective permissions of each role, by name.
+ */
+async function loadRoles() {
+  if (cache && Date.now() - cache.loadedAt < getRoleCacheTtl()) {
+    return cache.roles;
+  }
+  if (!loading) {
+    const loadGeneration = generation;
+    const load = fetchRoles()
+      .then((roles) => {
+        if (loadGeneration === generation) {
+          cache = { roles, loadedAt: Date.now() };
+        }
+        return roles;
+      })
+      .finally(() => {
+        if (loading === load) {
+          loading = null;
+        }
+      });
+    loading = load;
+  }
+  return loading;
+}
+
+/**
+ * Clears the role cache. Call it after changing a role; the next permission
+ * check reloads the roles.
+ */
+function invalidateRoleCache() {
+  generation += 1;
+  cache = null;
+  loading = null;
+}
+
+// =========================================================================
+// 5. Permission Lookups
+// =========================================================================
+/**
+ * Returns the effective permissions of a role, including inherited ones and
+ * deny entries. Check them with `hasPermission`.
+ * @param {string} role - The role name.
+ * @returns {Promise<string[]>} The role's permissions, or an empty array for unknown roles.
+ */
+async function getRolePermissions(role) {
+  const roles = await loadRoles();
+  return roles.get(role) || [];
+}
+
+/**
+ * Checks whether a role exists.
+ * @param {string} role - The role name.
+ * @returns {Promise<boolean>} True if the role exists.
+ */
+async function roleExists(role) {
+  const roles = await loadRoles();
+  return roles.has(role);
+}
+
+/**
+ * Returns every permission any role allows, without wildcards and deny
+ * entries. These are also the scopes OAuth clients can be granted.
+ * @returns {Promise<string[]>} The distinct permission strings.
+ */
+async function getAllPermissions() {
+  const roles = await loadRoles();
+  const permissions = [...roles.values()].flat()
+    .filter(permission => !isDenied(permission) && !permission.split(':').includes('*'));
+  return [...new Set(permissions)];
+}
+
+// =========================================================================
+// 6. Export functions for use in other modules
+// =========================================================================
+module.exports = {
+  DEFAULT_ROLES,
+  matchPermission,
+  hasPermission,
+  isDenied,
+  findInheritanceCycle,
+  seedDefaultRoles,
+  invalidateRoleCache,
+  getRolePermissions,
+  roleExists,
+  getAllPermissions,
+};
@@ -0,0 +1,347 @@
+/**
+ * @file policyUtils.js
+ * @description Attribute-based checks on top of role permissions. A permission
+ * may carry conditions between its action and its resource type:
+ * `update:own:post` allows updating the posts for which the `own` condition
+ * holds, while `update:post` allows updating any post. Several conditions must
+ * all hold (`update:own:draft:post`).
+ *
+ * Conditions are named functions `(user, resource) => boolean` (or a promise).
+ * Two are built in:
+ * - `own`: the resource belongs to the user (its `owner`, `ownerId`, `user`,
+ * `userId`, `author`, `authorId` or `createdBy` is the user's ID).
+ * - `self`: the resource is the user (its `_id` or `id` is the user's ID).
+ * Register others with `defineCondition`, e.g. `draft` for posts whose status
+ * is 'draft'.
+ *
+ * Requirements can be combined into expressions with `anyOf`, `allOf` and
+ * `not`, nested arbitrarily; `condition(name)` requires a condition to hold
+ * on the resource regardless of permissions, e.g.
+ * `anyOf('delete:post', condition('own'))`.
+ *
+ * Use `can(user, requirement, resource)` in handlers, or
+ * `rbacMiddleware(requirement, { load })` to check routes. Within an
+ * organization, pass `{ organization: req.organization }` to `can` so the
+ * user's role there is checked.
+ */
+
+const { getRolePermissions, hasPermission, matchPermission, isDenied } = require('./permissionUtils');
+const { ConfigurationError } = require('./errors');
+
+// =========================================================================
+// 1. Conditions
+// =========================================================================
+// The fields that name a resource's owner, in the order they are looked up.
+const OWNER_FIELDS = ['owner', 'ownerId', 'user', 'userId', 'author', 'authorId', 'createdBy'];
+
+/**
+ * Returns the ID of a value that is either an ID or a populated document.
+ * @param {*} value - An ID, a document or null.
+ * @returns {string|null} The ID as a string.
+ */
+function toId(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return String(value._id || value);
+}
+
+// The registered conditions, by name.
+const conditions = new Map([
+  ['own', (user, resource) => {
+    const field = OWNER_FIELDS.find(name => resource[name] !== undefined && resource[name] !== null);
+    return field !== undefined && toId(resource[field]) === String(user.id);
+  }],
+  ['self', (user, resource) => toId(resource._id || resource.id) === String(user.id)],
+]);
+
+/**
+ * Registers a condition, or replaces one (e.g. `own` for resources whose owner
+ * is stored in another field).
+ * @param {string} name - The name used in permissions, e.g. 'draft' for 'update:draft:post'.
+ * @param {function(object, object): (boolean|Promise<boolean>)} condition - Receives
+ * `req.user` and the resource, and tells whether the condition holds.
+ * @throws {ConfigurationError} Throws if the name or the condition is invalid.
+ */
+function defineCondition(name, condition) {
+  if (typeof name !== 'string' || !/^[a-z][a-z0-9_-]*$/.test(name)) {
+    throw new ConfigurationError('A condition name may only contain lowercase letters, digits, "_" and "-".', 'name');
+  }
+  if (typeof condition !== 'function') {
+    throw new ConfigurationError(`The condition '${name}' must be a function.`, 'condition');
+  }
+  conditions.set(name, condition);
+}
+
+// =========================================================================
+// 2. Policy Checks
+// =========================================================================
+/**
+ * Returns the conditional grants that could allow a permission: grants of the
+ * form `action:condition...:type` whose conditions are all registered.
+ * @param {string[]} grants - Role permissions or token scopes.
+ * @param {string} action - The action, e.g. 'update'.
+ * @param {string} type - The resource type, e.g. 'post'.
+ * @returns {string[][]} The condition names of each candidate grant.
+ */
+function getConditionalGrants(grants, action, type) {
+  return grants
+    .filter(grant => !isDenied(grant))
+    .map(grant => grant.split(':'))
+    .filter(segments => segments.length > 2
+      && (segments[0] === action || segments[0] === '*')
+      && (segments[segments.length - 1] === type || segments[segments.length - 1] === '*'))
+    .map(segments => segments.slice(1, -1))
+    .filter(names => names.every(name => conditions.has(name)));
+}
+
+/**
+ * Checks a permission against a list of grants, evaluating conditions on the
+ * resource where a grant has them.
+ * @param {string[]} grants - Role permissions or token scopes.
+ * @param {object} user - The user, as in `req.user`.
+ * @param {string} permission - The permission to check, e.g. 'update:post'.
+ * @param {object} [resource] - The resource the permission is about.
+ * @returns {Promise<boolean>} True if the permission is granted.
+ */
+async function isAllowed(grants, user, permission, resource) {
+  if (hasPermission(grants, permission)) {
+    return true;
+  }
+  // A denied permission stays denied whatever the conditions
+  const segments = permission.split(':');
+  const denied = grants.some(grant => isDenied(grant) && matchPermission(grant.slice(1), permission));
+  if (!resource || segments.length !== 2 || denied) {
+    return false;
+  }
+
+  const [action, type] = segments;
+  for (const names of getConditionalGrants(grants, action, type)) {
+    // Deny entries also apply to the conditional permission, e.g. '!update:own:*'
+    if (!hasPermission(grants, [action, ...names, type].join(':'))) {
+      continue;
+    }
+    const results = await Promise.all(names.map(name => conditions.get(name)(user, resource)));
+    if (results.every(Boolean)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// =========================================================================
+// 3. Requirement Expressions
+// =========================================================================
+// A requirement is a permission string, or an expression node built by the
+// functions below: `{ op: 'allOf' | 'anyOf' | 'not', of: [...] }` or
+// `{ op: 'condition', name }`.
+const EXPRESSION_OPS = ['allOf', 'anyOf', 'not', 'condition'];
+
+/**
+ * Checks that a value is a requirement.
+ * @param {*} requirement - The value to check.
+ * @throws {ConfigurationError} Throws if it is neither a permission nor an expression.
+ */
+function assertRequirement(requirement) {
+  if (typeof requirement === 'string' && requirement.length > 0) {
+    return;
+  }
+  if (!requirement || !EXPRESSION_OPS.includes(requirement.op)) {
+    throw new ConfigurationError(
+      'A requirement must be a permission string or built with anyOf, allOf, not or condition.',
+      'requirement'
+    );
+  }
+}
+
+/**
+ * Builds an expression node.
+ * @param {string} op - 'allOf', 'anyOf' or 'not'.
+ * @param {Array} requirements - The operands.
+ * @returns {object} The frozen expression.
+ */
+function buildExpression(op, requirements) {
+  requirements.forEach(assertRequirement);
+  return Object.freeze({ op, of: Object.freeze([...requirements]) });
+}
+
+/**
+ * Requires every one of the given requirements.
+ * @param {...(string|object)} requirements - Permissions or expressions.
+ * @returns {object} The expression.
+ * @throws {ConfigurationError} Throws if no requirement is given or one is invalid.
+ */
+function allOf(...requirements) {
+  if (requirements.length === 0) {
+    throw new ConfigurationError('allOf needs at least one requirement.', 'requirement');
+  }
+  return buildExpression('allOf', requirements);
+}
+
+/**
+ * Requires at least one of the given requirements.
+ * @param {...(string|object)} requirements - Permissions or expressions.
+ * @returns {object} The expression.
+ * @throws {ConfigurationError} Throws if no requirement is given or one is invalid.
+ */
+function anyOf(...requirements) {
+  if (requirements.length === 0) {
+    throw new ConfigurationError('anyOf needs at least one requirement.', 'requirement');
+  }
+  return buildExpression('anyOf', requirements);
+}
+
+/**
+ * Requires that a requirement is not met.
+ * @param {string|object} requirement - A permission or an expression.
+ * @returns {object} The expression.
+ * @throws {ConfigurationError} Throws if the requirement is invalid.
+ */
+function not(requirement) {
+  return buildExpression('not', [requirement]);
+}
+
+/**
+ * Requires a condition to hold on the resource, whatever the user's
+ * permissions. Without a resource, the condition does not hold.
+ * @param {string} name - A built-in or registered condition, e.g. 'own'.
+ * @returns {object} The expression.
+ * @throws {ConfigurationError} Throws if the name is not a string.
+ */
+function condition(name) {
+  if (typeof name !== 'string') {
+    throw new ConfigurationError('condition needs the name of a condition.', 'condition');
+  }
+  return Object.freeze({ op: 'condition', name });
+}
+
+/**
+ * Describes a requirement for error responses, e.g. 'anyOf(delete:post, condition(own))'.
+ * @param {string|object} requirement - A permission or an expression.
+ * @returns {string} The description.
+ */
+function describeRequirement(requirement) {
+  if (typeof requirement === 'string') {
+    return requirement;
+  }
+  if (requirement.op === 'condition') {
+    return `condition(${requirement.name})`;
+  }
+  return `${requirement.op}(${requirement.of.map(describeRequirement).join(', ')})`;
+}
+
+/**
+ * Turns what route definitions pass in into a requirement: a list of
+ * permissions means all of them, as it always has.
+ * @param {string|object|Array} requirement - A permission, an expression or a list of them.
+ * @returns {string|object} The requirement.
+ * @throws {ConfigurationError} Throws if the requirement is invalid.
+ */
+function toRequirement(requirement) {
+  if (Array.isArray(requirement)) {
+    return buildExpression('allOf', requirement);
+  }
+  assertRequirement(requirement);
+  return requirement;
+}
+
+/**
+ * Evaluates a requirement and returns the parts of it that are not met. For
+ * `allOf` these are its unmet operands; an unmet `anyOf` or `not` is reported
+ * as a whole.
+ * @param {string[]} grants - Role permissions or token scopes.
+ * @param {object} user - The user, as in `req.user`.
+ * @param {string|object} requirement - A permission or an expression.
+ * @param {object} [resource] - The resource the requirement is about.
+ * @returns {Promise<string[]>} Descriptions of the unmet requirements; empty if it is met.
+ * @throws {ConfigurationError} Throws if an expression uses an unknown condition.
+ */
+async function getUnmetRequirements(grants, user, requirement, resource) {
+  if (typeof requirement === 'string') {
+    return (await isAllowed(grants, user, requirement, resource)) ? [] : [requirement];
+  }
+
+  switch (requirement.op) {
+    case 'allOf': {
+      const unmet = [];
+      for (const operand of requirement.of) {
+        unmet.push(...await getUnmetRequirements(grants, user, operand, resource));
+      }
+      return unmet;
+    }
+    case 'anyOf': {
+      for (const operand of requirement.of) {
+        if ((await getUnmetRequirements(grants, user, operand, resource)).length === 0) {
+          return [];
+        }
+      }
+      return [describeRequirement(requirement)];
+    }
+    case 'not': {
+      const unmet = await getUnmetRequirements(grants, user, requirement.of[0], resource);
+      return unmet.length === 0 ? [describeRequirement(requirement)] : [];
+    }
+    default: {
+      const check = conditions.get(requirement.name);
+      if (!check) {
+        throw new ConfigurationError(`Unknown condition '${requirement.name}'.`, 'condition');
+      }
+      const holds = Boolean(resource) && Boolean(await check(user, resource));
+      return holds ? [] : [describeRequirement(requirement)];
+    }
+  }
+}
+
+/**
+ * Checks whether a user may do something, optionally to a given resource.
+ * Tokens with a `scope` (OAuth clients, restricted API keys) are limited to it,
+ * and those acting for a user to what the user's role allows as well.
+ * @param {object} user - The user, as in `req.user` (needs `id` and `role`, or `scope`).
+ * @param {string|object} requirement - A permission, e.g. 'update:post', or an
+ * expression such as `anyOf('delete:post', condition('own'))`.
+ * @param {object} [resource] - The resource, e.g. the post to update. Without
+ * it, only unconditional grants count.
+ * @param {object} [options]
+ * @param {object} [options.organization] - `req.organization`, set by
+ * organizationMiddleware: the user's role there is checked instead of the global role.
+ * @returns {Promise<boolean>} True if the user meets the requirement.
+ * @example
+ * if (!(await can(req.user, 'update:post', post))) {
+ *   return res.status(403).json({ message: 'You cannot edit this post' });
+ * }
+ */
+async function can(user, requirement, resource, { organization } = {}) {
+  if (!user) {
+    return false;
+  }
+  const expression = toRequirement(requirement);
+  const grantLists = [];
+  if (typeof user.scope === 'string') {
+    grantLists.push(user.scope.split(' '));
+  }
+  if (organization || user.id || grantLists.length === 0) {
+    grantLists.push(await getRolePermissions(organization ? organization.role : user.role));
+  }
+  for (const grants of grantLists) {
+    if ((await getUnmetRequirements(grants, user, expression, resource)).length > 0) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// =========================================================================
+// 4. Export functions for use in other modules
+// =========================================================================
+module.exports = {
+  defineCondition,
+  isAllowed,
+  allOf,
+  anyOf,
+  not,
+  condition,
+  describeRequirement,
+  toRequirement,
+  getUnmetRequirements,
+  can,
+};
@@ -0,0 +1,196 @@
+/**
+ * @file apiKey.test.js
+ * @description Checks API keys end to end: creating a key, authenticating with
+ * it in the X-API-Key header, restricting it to some permissions, refusing
+ * revoked or expired keys, and mandatory two-factor authentication. The
+ * Mongoose models are replaced with in-memory doubles, so no database is needed.
+ */
+
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { setTestEnv, createRequest, createResponse, call } = require('./helpers/express');
+
+setTestEnv();
+
+const apiKeyController = require('../src/controllers/apiKeyController');
+const apiKeyMiddleware = require('../src/middleware/apiKeyMiddleware');
+const authMiddleware = require('../src/middleware/authMiddleware');
+const rbacMiddleware = require('../src/middleware/rbacMiddleware');
+const User = require('../src/models/userModel');
+const ApiKey = require('../src/models/apiKeyModel');
+const Role = require('../src/models/roleModel');
+const { DEFAULT_ROLES, invalidateRoleCache } = require('../src/utils/permissionUtils');
+const { hashApiKey } = require('../src/utils/apiKeyUtils');
+
+let user;
+let apiKeys;
+
+beforeEach(() => {
+  mock.restoreAll();
+  invalidateRoleCache();
+  delete process.env.MFA_REQUIRED_ROLES;
+  apiKeys = [];
+  user = { _id: new mongoose.Types.ObjectId(), email: 'ci@example.com', role: 'editor', isActive: true };
+
+  mock.method(User, 'findById', async (id) => (String(id) === String(user._id) ? user : null));
+  mock.method(ApiKey, 'create', async (fields) => {
+    const apiKey = new ApiKey(fields);
+    apiKeys.push(apiKey);
+    return apiKey;
+  });
+  mock.method(ApiKey, 'findOne', ({ prefix }) => ({
+    select: async () => apiKeys.find(apiKey => apiKey.prefix === prefix) || null,
+  }));
+  mock.method(ApiKey, 'find', ({ user: owner }) => ({
+    sort: async () => apiKeys.filter(apiKey => String(apiKey.user) === String(owner)),
+  }));
+  mock.method(ApiKey, 'findOneAndUpdate', async ({ _id }, update) => {
+    const apiKey = apiKeys.find(stored => String(stored._id) === String(_id) && !stored.revokedAt);
+    return apiKey ? Object.assign(apiKey, update) : null;
+  });
+  mock.method(ApiKey, 'updateOne', async ({ _id }, update) => {
+    Object.assign(apiKeys.find(stored => String(stored._id) === String(_id)), update);
+  });
+  mock.method(Role, 'find', () => ({ select: () => ({ lean: async () => DEFAULT_ROLES }) }));
+});
+
+const me = () => ({ id: String(user._id), role: user.role });
+const createKey = (body = {}) => call(apiKeyController.createApiKey, { user: me(), body: { name: 'CI', ...body } });
+
+/**
+ * Runs a middleware with an API key in the X-API-Key header.
+ * @param {function} middleware - The middleware to run.
+ * @param {string} key - The API key.
+ * @returns {Promise<{req: object, res: object, passed: boolean}>} The request, the response and whether `next` was called.
+ */
+async function authenticate(middleware, key) {
+  const req = createRequest({ headers: { 'x-api-key': key } });
+  const res = createResponse();
+  let passed = false;
+  await middleware(req, res, () => {
+    passed = true;
+  });
+  return { req, res, passed };
+}
+
+/**
+ * Runs rbacMiddleware for a request user.
+ * @param {string[]} permissions - The permissions the route requires.
+ * @param {object} requestUser - The request user.
+ * @returns {Promise<boolean>} Whether the request was let through.
+ */
+async function allows(permissions, requestUser) {
+  let allowed = false;
+  await rbacMiddleware(permissions)(createRequest({ user: requestUser }), createResponse(), () => { allowed = true; });
+  return allowed;
+}
+
+test('a new key is shown once, stored as a hash, and authenticates as its owner', async () => {
+  const res = await createKey();
+
+  assert.equal(res.statusCode, 201);
+  const { key } = res.body;
+  assert.match(key, /^qak_[0-9a-f]{8}_/);
+  assert.equal(res.body.apiKey.prefix, key.slice(0, 12));
+  assert.equal(apiKeys[0].keyHash, hashApiKey(key));
+  assert.equal(res.body.apiKey.keyHash, undefined);
+
+  const { req, passed } = await authenticate(apiKeyMiddleware, key);
+  assert.equal(passed, true);
+  assert.equal(req.user.id, String(user._id));
+  assert.equal(req.user.role, 'editor');
+  assert.equal(req.user.api_key_id, String(apiKeys[0]._id));
+  assert.equal(req.user.scope, undefined);
+  assert.ok(apiKeys[0].lastUsedAt);
+  assert.equal(await allows(['update:post'], req.user), true);
+});
+
+test('a restricted key only grants its permissions', async () => {
+  const { body: { key } } = await createKey({ permissions: ['read:post'] });
+
+  const { req } = await authenticate(apiKeyMiddleware, key);
+
+  assert.equal(req.user.scope, 'read:post');
+  assert.equal(await allows(['read:post'], req.user), true);
+  assert.equal(await allows(['update:post'], req.user), false);
+});
+
+test('a key cannot grant more than its owner\'s role', async () => {
+  const res = await createKey({ permissions: ['read:post', 'delete:user'] });
+
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.message, /delete:user/);
+  assert.equal(apiKeys.length, 0);
+});
+
+test('revoked, expired and tampered keys are refused', async () => {
+  const { body: { key, apiKey } } = await createKey();
+  const revoked = await call(apiKeyController.revokeApiKey, { user: me(), params: { keyId: String(apiKey.id) } });
+  assert.equal(revoked.statusCode, 200);
+  assert.equal((await authenticate(apiKeyMiddleware, key)).res.body.code, 'api_key_invalid');
+
+  const { body: { key: expiring } } = await createKey({ expiresAt: new Date(Date.now() - 1000) });
+  assert.equal((await authenticate(apiKeyMiddleware, expiring)).passed, false);
+
+  const { body: { key: valid } } = await createKey();
+  const tampered = `${valid.slice(0, -1)}${valid.endsWith('A') ? 'B' : 'A'}`;
+  assert.equal((await authenticate(apiKeyMiddleware, tampered)).res.statusCode, 401);
+  assert.equal((await authenticate(apiKeyMiddleware, 'not-a-key')).res.statusCode, 401);
+});
+
+test('the key of a deactivated user stops working', async () => {
+  const { body: { key } } = await createKey();
+  user.isActive = false;
+
+  const { passed, res } = await authenticate(apiKeyMiddleware, key);
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+});
+
+test('no key is created for an owner who has not enrolled in required 2FA', async () => {
+  process.env.MFA_REQUIRED_ROLES = 'admin, editor';
+
+  const res = await createKey();
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.code, 'mfa_enrollment_required');
+  assert.equal(apiKeys.length, 0);
+
+  user.mfaEnabled = true;
+  assert.equal((await createKey()).statusCode, 201);
+});
+
+test('an existing key is restricted while its owner has not enrolled in required 2FA', async () => {
+  const { body: { key } } = await createKey();
+  process.env.MFA_REQUIRED_ROLES = 'editor';
+
+  const { req, passed } = await authenticate(apiKeyMiddleware, key);
+
+  assert.equal(passed, true);
+  assert.equal(req.user.mfa_enrollment_required, true);
+  assert.equal(await allows(['read:post'], req.user), false);
+});
+
+test('authMiddleware accepts keys only where enabled', async () => {
+  const { body: { key } } = await createKey();
+
+  assert.equal((await authenticate(authMiddleware({ apiKeys: true }), key)).passed, true);
+
+  const { passed, res } = await authenticate(authMiddleware, key);
+  assert.equal(passed, false);
+  assert.equal(res.body.code, 'token_missing');
+});
+
+test('the listing never shows key hashes', async () => {
+  await createKey({ name: 'first' });
+  await createKey({ name: 'second' });
+
+  const res = await call(apiKeyController.getApiKeys, { user: me() });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.count, 2);
+  assert.deepEqual(res.body.apiKeys.map(apiKey => apiKey.name), ['first', 'second']);
+  assert.ok(res.body.apiKeys.every(apiKey => apiKey.keyHash === undefined && apiKey.prefix));
+});
@@ -0,0 +1,121 @@
+/**
+ * @file changePassword.test.js
+ * @description Checks change-password and the token version: once the version
+ * is bumped, every access token issued before is rejected.
+ */
+
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { setTestEnv, createRequest, createResponse, call } = require('./helpers/express');
+const { mockSessions } = require('./helpers/sessions');
+
+setTestEnv();
+
+const authController = require('../src/controllers/authController');
+const authMiddleware = require('../src/middleware/authMiddleware');
+const User = require('../src/models/userModel');
+const RefreshToken = require('../src/models/refreshTokenModel');
+const { setRevocationStore, createMemoryRevocationStore } = require('../src/stores/revocationStore');
+
+const PASSWORD = 'correct horse battery staple';
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+let user;
+
+/**
+ * Wraps a value like a Mongoose query: it can be awaited directly or after
+ * `select`, and `select().lean()` works as well.
+ * @param {*} value - The query result.
+ * @returns {object} The query stand-in.
+ */
+const query = (value) => {
+  const selected = Promise.resolve(value);
+  selected.lean = async () => value;
+  return {
+    select: () => selected,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+};
+
+beforeEach(() => {
+  mock.restoreAll();
+  mockSessions();
+  setRevocationStore(createMemoryRevocationStore());
+  user = new User({ email: 'ada@example.com', password: passwordHash, role: 'user' });
+
+  mock.method(User, 'findOne', () => query(user));
+  mock.method(User, 'findById', () => query(user));
+  // Saving is mocked, so hash the password the way the model's pre-save hook does.
+  mock.method(User.prototype, 'save', async function() {
+    this.password = await bcrypt.hash(this.password, 4);
+    return this;
+  });
+  mock.method(RefreshToken, 'create', async () => {});
+  mock.method(RefreshToken, 'updateMany', async () => {});
+});
+
+/**
+ * Runs the auth middleware with an access token.
+ * @param {string} token - The access token.
+ * @returns {Promise<{req: object, res: object, passed: boolean}>} The request, the response and whether `next` was called.
+ */
+async function authenticate(token) {
+  const req = createRequest({ headers: { authorization: `Bearer ${token}` } });
+  const res = createResponse();
+  let passed = false;
+  await authMiddleware(req, res, () => {
+    passed = true;
+  });
+  return { req, res, passed };
+}
+
+const login = () => call(authController.login, { body: { email: user.email, password: PASSWORD } });
+
+test('changing the password rejects older tokens and hands out a fresh pair', async () => {
+  const { body: { token: oldToken } } = await login();
+  assert.equal(jwt.decode(oldToken).tokenVersion, 0);
+  const { req } = await authenticate(oldToken);
+
+  const res = await call(authController.changePassword, {
+    user: req.user,
+    body: { currentPassword: PASSWORD, newPassword: 'a brand new passphrase' },
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(user.tokenVersion, 1);
+  assert.equal(await user.comparePassword('a brand new passphrase'), true);
+  assert.deepEqual(RefreshToken.updateMany.mock.calls[0].arguments[0], { user: user._id, revokedAt: null });
+
+  const stale = await authenticate(oldToken);
+  assert.equal(stale.passed, false);
+  assert.equal(stale.res.body.code, 'token_revoked');
+
+  assert.equal(jwt.decode(res.body.token).tokenVersion, 1);
+  assert.equal((await authenticate(res.body.token)).passed, true);
+});
+
+test('the current password is required to change it', async () => {
+  const { body: { token } } = await login();
+  const { req } = await authenticate(token);
+
+  const res = await call(authController.changePassword, {
+    user: req.user,
+    body: { currentPassword: 'a wrong guess', newPassword: 'a brand new passphrase' },
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(user.tokenVersion, 0);
+  assert.equal((await authenticate(token)).passed, true);
+});
+
+test('tokens of a deactivated user are rejected', async () => {
+  const { body: { token } } = await login();
+  user.isActive = false;
+
+  const { passed, res } = await authenticate(token);
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.code, 'token_revoked');
+});
@@ -0,0 +1,77 @@
+/**
+ * @file claimValidation.test.js
+ * @description Checks issuer and audience validation, the clock tolerance and
+ * per-route audiences.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { setTestEnv, createRequest, createResponse } = require('./helpers/express');
+
+setTestEnv();
+
+const authMiddleware = require('../src/middleware/authMiddleware');
+const jwtUtils = require('../src/utils/jwtUtils');
+const { setRevocationStore, createMemoryRevocationStore } = require('../src/stores/revocationStore');
+const { ConfigurationError } = require('../src/utils/errors');
+
+setRevocationStore(createMemoryRevocationStore());
+
+const SECRET = 'a-secret-for-the-claim-tests-00000000000000';
+const now = () => Math.floor(Date.now() / 1000);
+
+test('issuer and audience are written into tokens and required on verification', () => {
+  const utils = jwtUtils.createJwtUtils({ secret: SECRET, issuer: 'https://auth.example.com', audience: 'api' });
+  const token = utils.generateToken({ sub: 'user-1' });
+
+  const payload = utils.verifyToken(token);
+  assert.equal(payload.iss, 'https://auth.example.com');
+  assert.equal(payload.aud, 'api');
+
+  const otherIssuer = jwtUtils.createJwtUtils({ secret: SECRET, issuer: 'https://evil.example.com', audience: 'api' });
+  const otherAudience = jwtUtils.createJwtUtils({ secret: SECRET, issuer: 'https://auth.example.com', audience: 'billing' });
+  assert.equal(otherIssuer.verifyTokenDetailed(token).reason, 'token_invalid');
+  assert.equal(otherAudience.verifyTokenDetailed(token).reason, 'token_invalid');
+});
+
+test('a token is accepted when any of its audiences is expected', () => {
+  const utils = jwtUtils.createJwtUtils({ secret: SECRET, audience: ['api', 'billing'] });
+  const token = jwt.sign({ sub: 'user-1', aud: ['reports', 'billing'] }, SECRET);
+
+  assert.equal(utils.verifyToken(token).sub, 'user-1');
+  assert.equal(utils.verifyToken(token, { audience: 'api' }), null);
+});
+
+test('the clock tolerance allows a little skew on exp and nbf, and no more', () => {
+  const strict = jwtUtils.createJwtUtils({ secret: SECRET });
+  const lenient = jwtUtils.createJwtUtils({ secret: SECRET, clockTolerance: 30 });
+  const justExpired = jwt.sign({ sub: 'user-1', exp: now() - 10 }, SECRET);
+  const longExpired = jwt.sign({ sub: 'user-1', exp: now() - 60 }, SECRET);
+  const almostActive = jwt.sign({ sub: 'user-1', nbf: now() + 10 }, SECRET);
+
+  assert.equal(strict.verifyTokenDetailed(justExpired).reason, 'token_expired');
+  assert.equal(lenient.verifyTokenDetailed(justExpired).valid, true);
+  assert.equal(lenient.verifyTokenDetailed(longExpired).reason, 'token_expired');
+  assert.equal(strict.verifyTokenDetailed(almostActive).reason, 'token_not_active');
+  assert.equal(lenient.verifyTokenDetailed(almostActive).valid, true);
+
+  assert.throws(() => jwtUtils.createJwtUtils({ secret: SECRET, clockTolerance: -1 }), ConfigurationError);
+});
+
+test('a route can require its own audience', async () => {
+  const requireBilling = authMiddleware({ audience: 'billing-api' });
+  const billingToken = jwtUtils.generateToken({ id: 'user-1', aud: 'billing-api' });
+  const reportsToken = jwtUtils.generateToken({ id: 'user-1', aud: 'reports-api' });
+
+  const accepted = { req: createRequest({ headers: { authorization: `Bearer ${billingToken}` } }), res: createResponse() };
+  let nextCalled = false;
+  await requireBilling(accepted.req, accepted.res, () => { nextCalled = true; });
+  assert.equal(nextCalled, true);
+  assert.equal(accepted.req.user.aud, 'billing-api');
+
+  const rejected = { req: createRequest({ headers: { authorization: `Bearer ${reportsToken}` } }), res: createResponse() };
+  await requireBilling(rejected.req, rejected.res, () => assert.fail('next must not be called'));
+  assert.equal(rejected.res.statusCode, 401);
+  assert.equal(rejected.res.body.code, 'token_invalid');
+});
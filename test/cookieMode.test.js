@@ -0,0 +1,179 @@
+/**
+ * @file cookieMode.test.js
+ * @description Checks the opt-in cookie mode: tokens are handed out as HttpOnly
+ * cookies, and requests authenticated by cookie must carry the CSRF token.
+ */
+
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { setTestEnv, createRequest, createResponse, call } = require('./helpers/express');
+const { mockSessions } = require('./helpers/sessions');
+
+setTestEnv();
+process.env.AUTH_COOKIES = 'true';
+
+const authController = require('../src/controllers/authController');
+const authMiddleware = require('../src/middleware/authMiddleware');
+const User = require('../src/models/userModel');
+const RefreshToken = require('../src/models/refreshTokenModel');
+const { setRevocationStore, createMemoryRevocationStore } = require('../src/stores/revocationStore');
+const { COOKIE_NAMES, CSRF_HEADER } = require('../src/utils/cookieUtils');
+const { ConfigurationError } = require('../src/utils/errors');
+
+const PASSWORD = 'correct horse battery staple';
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+let user;
+let refreshTokens;
+
+/**
+ * Wraps a value like a Mongoose query: it can be awaited directly or after `select().lean()`.
+ * @param {*} value - The query result.
+ * @returns {object} The query stand-in.
+ */
+const query = (value) => ({
+  select: () => ({ lean: async () => value }),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+});
+
+beforeEach(() => {
+  mock.restoreAll();
+  mockSessions();
+  setRevocationStore(createMemoryRevocationStore());
+  refreshTokens = [];
+  user = {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'ada@example.com',
+    password: passwordHash,
+    role: 'user',
+    isActive: true,
+  };
+
+  mock.method(User, 'findOne', () => ({ select: async () => user }));
+  mock.method(User, 'findById', () => query(user));
+  mock.method(RefreshToken, 'create', async (fields) => {
+    refreshTokens.push({ ...fields, usedAt: null, revokedAt: null });
+  });
+  mock.method(RefreshToken, 'findOneAndUpdate', async (filter, update) => {
+    const record = refreshTokens.find(stored => stored.jti === filter.jti && !stored.usedAt && !stored.revokedAt);
+    return record ? Object.assign(record, update) : null;
+  });
+  mock.method(RefreshToken, 'updateMany', async (filter, update) => {
+    refreshTokens.filter(record => record.family === filter.family).forEach(record => Object.assign(record, update));
+  });
+});
+
+/**
+ * Logs in and returns the cookies and the CSRF token the client received.
+ * @returns {Promise<{res: object, cookieHeader: string, csrfToken: string}>} The login
+ * response, a Cookie header carrying every cookie it set, and the CSRF token.
+ */
+async function login() {
+  const res = await call(authController.login, { body: { email: user.email, password: PASSWORD } });
+  const cookieHeader = Object.entries(res.cookies).map(([name, { value }]) => `${name}=${value}`).join('; ');
+  return { res, cookieHeader, csrfToken: res.body.csrfToken };
+}
+
+/**
+ * Runs the auth middleware for a request.
+ * @param {object} fields - The request fields, as for `createRequest`.
+ * @param {object} [options] - Options for `authMiddleware`.
+ * @returns {Promise<{req: object, res: object, nextCalled: boolean}>} The request, the response and whether `next` was called.
+ */
+async function authenticate(fields, options = {}) {
+  const req = createRequest(fields);
+  const res = createResponse();
+  let nextCalled = false;
+  await authMiddleware(options)(req, res, () => {
+    nextCalled = true;
+  });
+  return { req, res, nextCalled };
+}
+
+test('login sets the tokens as HttpOnly cookies and only returns the CSRF token', async () => {
+  const { res, csrfToken } = await login();
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.token, undefined);
+  assert.equal(res.body.refreshToken, undefined);
+  assert.match(csrfToken, /^[0-9a-f]{64}$/);
+
+  const { ACCESS, REFRESH, CSRF } = COOKIE_NAMES;
+  assert.equal(res.cookies[ACCESS].options.httpOnly, true);
+  assert.equal(res.cookies[ACCESS].options.secure, true);
+  assert.equal(res.cookies[ACCESS].options.sameSite, 'strict');
+  assert.equal(res.cookies[REFRESH].options.httpOnly, true);
+  assert.equal(res.cookies[REFRESH].options.path, '/api/v1/auth');
+  assert.equal(res.cookies[CSRF].options.httpOnly, false);
+  assert.equal(res.cookies[CSRF].value, csrfToken);
+});
+
+test('a cookie-authenticated request needs the CSRF token unless it is safe', async () => {
+  const { cookieHeader, csrfToken } = await login();
+
+  const read = await authenticate({ method: 'GET', headers: { cookie: cookieHeader } });
+  assert.equal(read.nextCalled, true);
+  assert.equal(read.req.user.id, String(user._id));
+
+  const forged = await authenticate({ method: 'POST', headers: { cookie: cookieHeader } });
+  assert.equal(forged.nextCalled, false);
+  assert.equal(forged.res.statusCode, 403);
+  assert.equal(forged.res.body.code, 'csrf_token_invalid');
+
+  const wrong = await authenticate({ method: 'POST', headers: { cookie: cookieHeader, [CSRF_HEADER]: 'f'.repeat(64) } });
+  assert.equal(wrong.res.statusCode, 403);
+
+  const write = await authenticate({ method: 'POST', headers: { cookie: cookieHeader, [CSRF_HEADER]: csrfToken } });
+  assert.equal(write.nextCalled, true);
+});
+
+test('the refresh token cookie can only be exchanged with the CSRF token', async () => {
+  const { cookieHeader, csrfToken } = await login();
+
+  const forged = await call(authController.refresh, { method: 'POST', headers: { cookie: cookieHeader } });
+  assert.equal(forged.statusCode, 403);
+
+  const res = await call(authController.refresh, {
+    method: 'POST',
+    headers: { cookie: cookieHeader, [CSRF_HEADER]: csrfToken },
+  });
+  assert.equal(res.statusCode, 200);
+  assert.ok(res.cookies[COOKIE_NAMES.ACCESS].value);
+  assert.notEqual(res.body.csrfToken, csrfToken);
+});
+
+test('logout clears the auth cookies and revokes the refresh token family', async () => {
+  const { cookieHeader, csrfToken } = await login();
+  const { req } = await authenticate({ method: 'POST', headers: { cookie: cookieHeader, [CSRF_HEADER]: csrfToken } });
+
+  const res = createResponse();
+  await authController.logout(req, res);
+
+  assert.equal(res.statusCode, 200);
+  for (const name of [COOKIE_NAMES.ACCESS, COOKIE_NAMES.REFRESH, COOKIE_NAMES.CSRF]) {
+    assert.equal(res.cookies[name].cleared, true);
+  }
+  assert.ok(refreshTokens.every(record => record.revokedAt));
+});
+
+test('a route can choose where the token comes from', async () => {
+  const { res: loginRes } = await login();
+  const token = loginRes.cookies[COOKIE_NAMES.ACCESS].value;
+
+  const headerOnly = await authenticate(
+    { method: 'GET', headers: { cookie: `${COOKIE_NAMES.ACCESS}=${token}` } },
+    { tokenSources: ['header'] }
+  );
+  assert.equal(headerOnly.res.statusCode, 401);
+  assert.equal(headerOnly.res.body.code, 'token_missing');
+
+  const custom = await authenticate(
+    { method: 'POST', query: { access_token: token } },
+    { tokenSources: ['header', req => req.query.access_token] }
+  );
+  assert.equal(custom.nextCalled, true);
+
+  assert.throws(() => authMiddleware({ tokenSources: ['query'] }), ConfigurationError);
+  assert.throws(() => authMiddleware({ tokenSources: [] }), ConfigurationError);
+});
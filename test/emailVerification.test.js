@@ -0,0 +1,161 @@
+/**
+ * @file emailVerification.test.js
+ * @description Checks email verification: the emailed link is single-use, and
+ * the 'block' and 'restrict' modes keep unverified users out. Emails are
+ * captured by an in-memory mail transport.
+ */
+
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { setTestEnv, createRequest, createResponse, call } = require('./helpers/express');
+const { mockSessions } = require('./helpers/sessions');
+
+setTestEnv();
+
+const authController = require('../src/controllers/authController');
+const rbacMiddleware = require('../src/middleware/rbacMiddleware');
+const User = require('../src/models/userModel');
+const RefreshToken = require('../src/models/refreshTokenModel');
+const Role = require('../src/models/roleModel');
+const { DEFAULT_ROLES, invalidateRoleCache } = require('../src/utils/permissionUtils');
+const { setMailTransport } = require('../src/transports/mailTransport');
+
+const PASSWORD = 'correct horse battery staple';
+let users;
+let sentMail;
+
+/**
+ * Wraps a value like a Mongoose query: it can be awaited directly or after `select`.
+ * @param {*} value - The query result.
+ * @returns {object} The query stand-in.
+ */
+const query = (value) => ({
+  select: async () => value,
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+});
+
+const findUser = (filter) => users.find(user => Object.entries(filter).every(([key, value]) => String(user[key]) === String(value))) || null;
+
+beforeEach(() => {
+  mock.restoreAll();
+  invalidateRoleCache();
+  mockSessions();
+  delete process.env.EMAIL_VERIFICATION;
+  users = [];
+  sentMail = [];
+  setMailTransport({ send: async (message) => { sentMail.push(message); } });
+
+  // Saving is mocked, so hash the password the way the model's pre-save hook does.
+  mock.method(User.prototype, 'save', async function() {
+    this.password = await bcrypt.hash(this.password, 4);
+    users.push(this);
+    return this;
+  });
+  mock.method(User, 'findOne', (filter) => query(findUser(filter)));
+  mock.method(User, 'updateOne', async (filter, update) => {
+    Object.assign(findUser(filter), update);
+  });
+  mock.method(User, 'findOneAndUpdate', async (filter, { $unset, ...update }) => {
+    const user = findUser(filter);
+    if (!user) {
+      return null;
+    }
+    Object.assign(user, update);
+    Object.keys($unset || {}).forEach(key => { user[key] = undefined; });
+    return user;
+  });
+  mock.method(RefreshToken, 'create', async () => {});
+  mock.method(Role, 'find', () => ({ select: () => ({ lean: async () => DEFAULT_ROLES }) }));
+});
+
+/**
+ * Returns the token from the link in the latest email.
+ * @returns {string} The verification token.
+ */
+const latestToken = () => decodeURIComponent(sentMail.at(-1).text.match(/token=(\S+)/)[1]);
+
+const register = () => call(authController.register, { body: { email: 'ada@example.com', password: PASSWORD } });
+const verify = (token) => call(authController.verifyEmail, { body: { token } });
+
+test('registering sends a verification link that can be used once', async () => {
+  const registered = await register();
+
+  assert.equal(registered.statusCode, 201);
+  assert.equal(jwt.decode(registered.body.token).email_verified, false);
+  assert.equal(sentMail.length, 1);
+  assert.equal(sentMail[0].to, 'ada@example.com');
+
+  const token = latestToken();
+  const verified = await verify(token);
+  assert.equal(verified.statusCode, 200);
+  assert.equal(verified.body.user.isEmailVerified, true);
+  assert.equal(users[0].isEmailVerified, true);
+
+  const replay = await verify(token);
+  assert.equal(replay.statusCode, 400);
+});
+
+test('a new link invalidates the previous one', async () => {
+  await register();
+  const first = latestToken();
+
+  const resent = await call(authController.resendVerification, { body: { email: 'ada@example.com' } });
+  assert.equal(resent.statusCode, 200);
+  assert.equal(sentMail.length, 2);
+
+  assert.equal((await verify(first)).statusCode, 400);
+  assert.equal((await verify(latestToken())).statusCode, 200);
+});
+
+test('resending answers the same for unknown addresses and sends nothing', async () => {
+  const res = await call(authController.resendVerification, { body: { email: 'nobody@example.com' } });
+
+  assert.equal(res.statusCode, 200);
+  assert.match(res.body.message, /^If an unverified account exists/);
+  assert.equal(sentMail.length, 0);
+});
+
+test('a token signed with another secret is rejected', async () => {
+  await register();
+  const { id, email, jti } = jwt.decode(latestToken());
+  const forged = jwt.sign({ purpose: 'email_verification', id, email }, 'some-other-secret', { jwtid: jti });
+
+  assert.equal((await verify(forged)).statusCode, 400);
+  assert.notEqual(users[0].isEmailVerified, true);
+});
+
+test('in block mode unverified users get no tokens and cannot log in', async () => {
+  process.env.EMAIL_VERIFICATION = 'block';
+
+  const registered = await register();
+  assert.equal(registered.statusCode, 201);
+  assert.equal(registered.body.token, undefined);
+
+  const login = () => call(authController.login, { body: { email: 'ada@example.com', password: PASSWORD } });
+  const refused = await login();
+  assert.equal(refused.statusCode, 403);
+  assert.equal(refused.body.code, 'email_not_verified');
+
+  await verify(latestToken());
+  const allowed = await login();
+  assert.equal(allowed.statusCode, 200);
+  assert.equal(jwt.decode(allowed.body.token).email_verified, true);
+});
+
+test('in restrict mode unverified users are denied protected routes', async () => {
+  process.env.EMAIL_VERIFICATION = 'restrict';
+  const check = async (user) => {
+    const res = createResponse();
+    let allowed = false;
+    await rbacMiddleware(['read:post'])(createRequest({ user }), res, () => { allowed = true; });
+    return { allowed, res };
+  };
+
+  const unverified = await check({ id: 'user-1', role: 'user', email_verified: false });
+  assert.equal(unverified.allowed, false);
+  assert.equal(unverified.res.statusCode, 403);
+
+  assert.equal((await check({ id: 'user-1', role: 'user', email_verified: true })).allowed, true);
+});
@@ -0,0 +1,132 @@
+/**
+ * @file mockOidcProvider.js
+ * @description A local OpenID Connect provider for tests. It publishes a
+ * discovery document and its signing keys, and runs the authorization code
+ * flow with PKCE: `/authorize` immediately "logs in" the configured user and
+ * redirects back with a code, and `/token` exchanges the code for an RS256
+ * signed ID token that carries the login's nonce.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Starts a mock provider on a free local port.
+ * @param {object} options
+ * @param {string} options.clientId - The only client the provider knows.
+ * @param {string} options.clientSecret - The client's secret (HTTP Basic authentication).
+ * @returns {Promise<object>} The provider: `issuer`, `setUser(claims)`, `failNextLogin(error)` and `close()`.
+ */
+async function startMockOidcProvider({ clientId, clientSecret }) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'test-key';
+  const codes = new Map();
+  let user = { sub: 'user-1', email: 'ada@example.com', email_verified: true };
+  let nextError = null;
+  let issuer;
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  const readForm = async (req) => {
+    let raw = '';
+    for await (const chunk of req) {
+      raw += chunk;
+    }
+    return Object.fromEntries(new URLSearchParams(raw));
+  };
+
+  const handleAuthorize = (url, res) => {
+    const params = Object.fromEntries(url.searchParams);
+    const redirect = new URL(params.redirect_uri);
+    redirect.searchParams.set('state', params.state);
+    if (nextError) {
+      redirect.searchParams.set('error', nextError);
+      nextError = null;
+    } else {
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, { ...params, user });
+      redirect.searchParams.set('code', code);
+    }
+    res.writeHead(302, { Location: redirect.toString() });
+    res.end();
+  };
+
+  const handleToken = async (req, res) => {
+    const expected = `Basic ${Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`).toString('base64')}`;
+    if (req.headers.authorization !== expected) {
+      return send(res, 401, { error: 'invalid_client' });
+    }
+    const form = await readForm(req);
+    const grant = codes.get(form.code);
+    codes.delete(form.code);
+    const challenge = form.code_verifier
+      && crypto.createHash('sha256').update(form.code_verifier).digest('base64url');
+    if (!grant || form.grant_type !== 'authorization_code' || form.redirect_uri !== grant.redirect_uri
+      || challenge !== grant.code_challenge) {
+      return send(res, 400, { error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign({ ...grant.user, nonce: grant.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer,
+      audience: clientId,
+      expiresIn: '5m',
+    });
+    send(res, 200, {
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken,
+    });
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, issuer);
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return send(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+      });
+    }
+    if (url.pathname === '/jwks') {
+      return send(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+    }
+    if (url.pathname === '/authorize') {
+      return handleAuthorize(url, res);
+    }
+    if (url.pathname === '/token' && req.method === 'POST') {
+      return handleToken(req, res).catch(err => send(res, 500, { error: err.message }));
+    }
+    send(res, 404, { error: 'not_found' });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    setUser(claims) {
+      user = claims;
+    },
+    failNextLogin(error) {
+      nextError = error;
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+module.exports = { startMockOidcProvider };
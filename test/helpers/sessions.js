@@ -0,0 +1,88 @@
+/**
+ * @file sessions.js
+ * @description An in-memory stand-in for the Session model, so tests that log
+ * in can issue and check session-bound tokens without a database.
+ */
+
+const { mock } = require('node:test');
+const Session = require('../../src/models/sessionModel');
+
+/**
+ * Tells whether a stored session matches a query. Supports plain values (a
+ * null value matches an unset field, as in MongoDB) and `$gt`.
+ * @param {object} session - The stored session.
+ * @param {object} filter - The query.
+ * @returns {boolean} True if every field matches.
+ */
+function matches(session, filter) {
+  return Object.entries(filter).every(([key, value]) => {
+    if (value && value.$gt !== undefined) {
+      return session[key] > value.$gt;
+    }
+    return String(session[key] ?? null) === String(value ?? null);
+  });
+}
+
+/**
+ * Wraps a result in a stand-in for a Mongoose query.
+ * @param {*} value - The result.
+ * @returns {object} A thenable with `select` and `lean`.
+ */
+function query(value) {
+  const result = {
+    select: () => result,
+    lean: () => result,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return result;
+}
+
+/**
+ * Replaces the Session model's database calls with an in-memory collection.
+ * Call it after `mock.restoreAll()`.
+ * @returns {object[]} The stored sessions, newest last.
+ */
+function mockSessions() {
+  const sessions = [];
+  const findOne = (filter) => sessions.find(session => matches(session, filter)) || null;
+
+  mock.method(Session.prototype, 'save', async function () {
+    if (!sessions.includes(this)) {
+      sessions.push(this);
+    }
+    return this;
+  });
+  mock.method(Session, 'findById', (id) => query(findOne({ _id: id })));
+  mock.method(Session, 'findOne', (filter) => query(findOne(filter)));
+  mock.method(Session, 'find', (filter) => ({
+    sort: async () => sessions.filter(session => matches(session, filter)).reverse(),
+  }));
+  mock.method(Session, 'updateOne', async (filter, update) => {
+    const session = findOne(filter);
+    if (session) {
+      session.set(update);
+    }
+    return { modifiedCount: session ? 1 : 0 };
+  });
+  mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    const session = findOne(filter);
+    if (session) {
+      session.set(update);
+    }
+    return session;
+  });
+  mock.method(Session, 'updateMany', async (filter, update) => {
+    const matching = sessions.filter(session => matches(session, filter));
+    matching.forEach(session => session.set(update));
+    return { modifiedCount: matching.length };
+  });
+  mock.method(Session, 'deleteMany', async (filter) => {
+    const remaining = sessions.filter(session => !matches(session, filter));
+    const deletedCount = sessions.length - remaining.length;
+    sessions.splice(0, sessions.length, ...remaining);
+    return { deletedCount };
+  });
+  return sessions;
+}
+
+module.exports = { mockSessions };
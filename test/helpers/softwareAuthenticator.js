@@ -0,0 +1,156 @@
+/**
+ * @file softwareAuthenticator.js
+ * @description A WebAuthn authenticator implemented in software, for tests.
+ * It answers the options returned by the passkey endpoints the way a browser
+ * and a platform authenticator would: `createCredential` for
+ * `navigator.credentials.create()` ('none' attestation, ES256 key) and
+ * `getAssertion` for `navigator.credentials.get()`. It always reports user
+ * presence and user verification.
+ */
+
+const crypto = require('crypto');
+const { isoCBOR, isoBase64URL } = require('@simplewebauthn/server/helpers');
+
+// Authenticator data flags (WebAuthn §6.1)
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+
+/**
+ * Encodes bytes as base64url, as browsers do in `PublicKeyCredential.toJSON()`.
+ * @param {Buffer} bytes - The bytes.
+ * @returns {string} The base64url string.
+ */
+function toBase64Url(bytes) {
+  return isoBase64URL.fromBuffer(new Uint8Array(bytes));
+}
+
+/**
+ * Builds the authenticator data of a ceremony.
+ * @param {string} rpId - The relying party ID.
+ * @param {number} flags - The flags byte.
+ * @param {number} counter - The signature counter.
+ * @param {Buffer} [attestedCredentialData] - Included when registering.
+ * @returns {Buffer} The authenticator data.
+ */
+function buildAuthenticatorData(rpId, flags, counter, attestedCredentialData = Buffer.alloc(0)) {
+  const counterBytes = Buffer.alloc(4);
+  counterBytes.writeUInt32BE(counter);
+  return Buffer.concat([
+    crypto.createHash('sha256').update(rpId).digest(),
+    Buffer.from([flags]),
+    counterBytes,
+    attestedCredentialData,
+  ]);
+}
+
+/**
+ * Creates a software authenticator.
+ * @param {object} [options]
+ * @param {string} [options.origin='http://localhost:3000'] - The origin the "browser" runs on.
+ * @returns {{createCredential: function, getAssertion: function}} The authenticator.
+ */
+function createSoftwareAuthenticator({ origin = 'http://localhost:3000' } = {}) {
+  const credentials = new Map();
+
+  /**
+   * Creates a passkey for registration options.
+   * @param {object} options - The `options` returned by the registration options endpoint.
+   * @returns {object} The registration response to send to the verify endpoint.
+   */
+  function createCredential(options) {
+    const credentialId = crypto.randomBytes(16);
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const jwk = publicKey.export({ format: 'jwk' });
+    const cosePublicKey = isoCBOR.encode(new Map([
+      [1, 2], // kty: EC2
+      [3, -7], // alg: ES256
+      [-1, 1], // crv: P-256
+      [-2, isoBase64URL.toBuffer(jwk.x)],
+      [-3, isoBase64URL.toBuffer(jwk.y)],
+    ]));
+
+    const credentialIdLength = Buffer.alloc(2);
+    credentialIdLength.writeUInt16BE(credentialId.length);
+    const attestedCredentialData = Buffer.concat([
+      Buffer.alloc(16), // AAGUID
+      credentialIdLength,
+      credentialId,
+      Buffer.from(cosePublicKey),
+    ]);
+    const authenticatorData = buildAuthenticatorData(
+      options.rp.id,
+      FLAG_USER_PRESENT | FLAG_USER_VERIFIED | FLAG_ATTESTED_CREDENTIAL,
+      0,
+      attestedCredentialData
+    );
+    const attestationObject = isoCBOR.encode(new Map([
+      ['fmt', 'none'],
+      ['attStmt', new Map()],
+      ['authData', new Uint8Array(authenticatorData)],
+    ]));
+    const clientDataJSON = Buffer.from(JSON.stringify({
+      type: 'webauthn.create',
+      challenge: options.challenge,
+      origin,
+    }));
+
+    const id = toBase64Url(credentialId);
+    credentials.set(id, { privateKey, rpId: options.rp.id, userHandle: options.user.id, counter: 0 });
+
+    return {
+      id,
+      rawId: id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: toBase64Url(clientDataJSON),
+        attestationObject: toBase64Url(Buffer.from(attestationObject)),
+        transports: ['internal'],
+      },
+      clientExtensionResults: {},
+    };
+  }
+
+  /**
+   * Signs a login challenge with a passkey created earlier.
+   * @param {object} options - The `options` returned by the login options endpoint.
+   * @param {string} [credentialId] - The passkey to use; defaults to the first one.
+   * @returns {object} The authentication response to send to the verify endpoint.
+   */
+  function getAssertion(options, credentialId = credentials.keys().next().value) {
+    const credential = credentials.get(credentialId);
+    credential.counter += 1;
+
+    const authenticatorData = buildAuthenticatorData(
+      options.rpId,
+      FLAG_USER_PRESENT | FLAG_USER_VERIFIED,
+      credential.counter
+    );
+    const clientDataJSON = Buffer.from(JSON.stringify({
+      type: 'webauthn.get',
+      challenge: options.challenge,
+      origin,
+    }));
+    const signature = crypto.sign('sha256', Buffer.concat([
+      authenticatorData,
+      crypto.createHash('sha256').update(clientDataJSON).digest(),
+    ]), credential.privateKey);
+
+    return {
+      id: credentialId,
+      rawId: credentialId,
+      type: 'public-key',
+      response: {
+        clientDataJSON: toBase64Url(clientDataJSON),
+        authenticatorData: toBase64Url(authenticatorData),
+        signature: toBase64Url(signature),
+        userHandle: credential.userHandle,
+      },
+      clientExtensionResults: {},
+    };
+  }
+
+  return { createCredential, getAssertion };
+}
+
+module.exports = { createSoftwareAuthenticator };
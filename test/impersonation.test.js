@@ -0,0 +1,211 @@
+/**
+ * @file impersonation.test.js
+ * @description Checks admin impersonation: the token it issues, who may be
+ * impersonated, the routes an impersonation token cannot use, that the token
+ * dies with the admin's right to impersonate, stopping, and the audit trail. The Mongoose models are replaced with in-memory doubles, so
+ * no database is needed.
+ */
+
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { setTestEnv, createRequest, createResponse, call } = require('./helpers/express');
+
+setTestEnv();
+
+const authController = require('../src/controllers/authController');
+const authMiddleware = require('../src/middleware/authMiddleware');
+const { rejectImpersonation } = authMiddleware;
+const User = require('../src/models/userModel');
+const Impersonation = require('../src/models/impersonationModel');
+const Role = require('../src/models/roleModel');
+const { DEFAULT_ROLES, invalidateRoleCache } = require('../src/utils/permissionUtils');
+const { createMemoryRevocationStore, setRevocationStore } = require('../src/stores/revocationStore');
+
+let users;
+let impersonations;
+let store;
+
+/**
+ * Wraps a value in a stand-in for a Mongoose query.
+ * @param {*} value - The result.
+ * @returns {object} A thenable with `select`, `lean`, `sort`, `limit` and `populate`.
+ */
+function query(value) {
+  const result = {
+    select: () => result,
+    lean: () => result,
+    sort: () => result,
+    limit: () => result,
+    populate: () => result,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return result;
+}
+
+beforeEach(() => {
+  mock.restoreAll();
+  invalidateRoleCache();
+  store = createMemoryRevocationStore();
+  setRevocationStore(store);
+  impersonations = [];
+  users = {
+    admin: { _id: 'admin', email: 'admin@example.com', role: 'admin', isActive: true, tokenVersion: 0 },
+    support: { _id: 'support', email: 'support@example.com', role: 'admin', isActive: true, tokenVersion: 0 },
+    customer: { _id: 'customer', email: 'customer@example.com', role: 'user', isActive: true, tokenVersion: 0 },
+  };
+
+  mock.method(User, 'findById', (id) => query(users[id] || null));
+  mock.method(Impersonation, 'create', async (fields) => {
+    impersonations.push({ ...fields, endedAt: null });
+  });
+  mock.method(Impersonation, 'updateOne', async ({ jti }, update) => {
+    Object.assign(impersonations.find(record => record.jti === jti), update);
+  });
+  mock.method(Impersonation, 'find', (filter) => query(impersonations.filter(record => (
+    Object.entries(filter).every(([key, value]) => record[key] === value)
+  ))));
+  mock.method(Role, 'find', () => ({ select: () => ({ lean: async () => DEFAULT_ROLES }) }));
+});
+
+/**
+ * Starts an impersonation.
+ * @param {string} actor - The ID of the admin.
+ * @param {string} target - The ID of the user to impersonate.
+ * @returns {Promise<object>} The response.
+ */
+const impersonate = (actor, target) => call(authController.impersonateUser, {
+  user: { id: actor, role: users[actor].role },
+  params: { id: target },
+  body: { reason: 'Ticket 42' },
+});
+
+/**
+ * Runs authMiddleware, then `rejectImpersonation` if asked, with a token.
+ * @param {string} token - The access token.
+ * @param {boolean} [realUserOnly] - Whether the route uses `rejectImpersonation`.
+ * @returns {Promise<{req: object, res: object, passed: boolean}>} The request, the response and whether the route was reached.
+ */
+async function authenticate(token, realUserOnly = false) {
+  const req = createRequest({ headers: { authorization: `Bearer ${token}` } });
+  const res = createResponse();
+  let passed = false;
+  await authMiddleware(req, res, () => {
+    if (!realUserOnly) {
+      passed = true;
+      return;
+    }
+    rejectImpersonation(req, res, () => {
+      passed = true;
+    });
+  });
+  return { req, res, passed };
+}
+
+test('an admin gets a short-lived token that acts as the user and is audited', async () => {
+  const res = await impersonate('admin', 'customer');
+
+  assert.equal(res.statusCode, 200);
+  const claims = jwt.decode(res.body.token);
+  assert.equal(claims.id, 'customer');
+  assert.deepEqual(claims.act, { sub: 'admin' });
+  assert.equal(claims.sid, undefined);
+  assert.equal(claims.exp - claims.iat, 15 * 60);
+  assert.equal(res.body.refreshToken, undefined);
+
+  assert.equal(impersonations.length, 1);
+  assert.equal(impersonations[0].actor, 'admin');
+  assert.equal(impersonations[0].target, 'customer');
+  assert.equal(impersonations[0].reason, 'Ticket 42');
+  assert.equal(impersonations[0].jti, claims.jti);
+
+  const { req, passed } = await authenticate(res.body.token);
+  assert.equal(passed, true);
+  assert.equal(req.user.id, 'customer');
+  assert.deepEqual(req.actor, { id: 'admin' });
+});
+
+test('an impersonation token stops working once the admin is deactivated', async () => {
+  const { body: { token } } = await impersonate('admin', 'customer');
+  users.admin.isActive = false;
+
+  const { res, passed } = await authenticate(token);
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.code, 'token_revoked');
+});
+
+test('an impersonation token stops working once the admin loses the permission', async () => {
+  const { body: { token } } = await impersonate('admin', 'customer');
+  users.admin.role = 'editor';
+
+  const { res, passed } = await authenticate(token);
+
+  assert.equal(passed, false);
+  assert.equal(res.body.code, 'token_revoked');
+});
+
+test('an impersonation token stops working once the admin logs out everywhere', async () => {
+  const { body: { token } } = await impersonate('admin', 'customer');
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await store.revokeUser('admin', new Date(), new Date(Date.now() + 60000));
+
+  const { res, passed } = await authenticate(token);
+
+  assert.equal(passed, false);
+  assert.equal(res.body.code, 'token_revoked');
+});
+
+test('admins cannot impersonate other admins or themselves', async () => {
+  const other = await impersonate('admin', 'support');
+  const self = await impersonate('admin', 'admin');
+
+  assert.equal(other.statusCode, 403);
+  assert.equal(other.body.code, 'impersonation_forbidden');
+  assert.equal(self.statusCode, 400);
+  assert.equal(impersonations.length, 0);
+});
+
+test('an impersonation token cannot use the routes kept for the real user', async () => {
+  const { body: { token } } = await impersonate('admin', 'customer');
+  const own = jwt.sign({ id: 'customer', tokenVersion: 0 }, process.env.JWT_SECRET, { expiresIn: '15m' });
+
+  const { res, passed } = await authenticate(token, true);
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.code, 'impersonation_forbidden');
+  assert.equal((await authenticate(own, true)).passed, true);
+});
+
+test('stopping revokes the token and ends the audit record', async () => {
+  const { body: { token } } = await impersonate('admin', 'customer');
+  const { req } = await authenticate(token);
+
+  const res = await call(authController.stopImpersonation, { user: req.user, actor: req.actor });
+
+  assert.equal(res.statusCode, 200);
+  assert.ok(impersonations[0].endedAt);
+  const after = await authenticate(token);
+  assert.equal(after.passed, false);
+  assert.equal(after.res.body.code, 'token_revoked');
+});
+
+test('stopping needs an impersonation token', async () => {
+  const res = await call(authController.stopImpersonation, { user: { id: 'customer' } });
+
+  assert.equal(res.statusCode, 400);
+});
+
+test('the audit trail can be filtered by admin', async () => {
+  users.customer2 = { ...users.customer, _id: 'customer2' };
+  await impersonate('admin', 'customer');
+  await impersonate('support', 'customer2');
+
+  const res = await call(authController.getImpersonations, { query: { actor: 'support' } });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.count, 1);
+  assert.equal(res.body.impersonations[0].target, 'customer2');
+});
@@ -0,0 +1,142 @@
+/**
+ * @file keyRing.test.js
+ * @description Checks asymmetric signing with the key ring: RS256/ES256 tokens,
+ * key rotation and retirement, loading keys from disk and the JWKS endpoint.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const jwt = require('jsonwebtoken');
+const { setTestEnv, call } = require('./helpers/express');
+
+setTestEnv();
+
+const keyUtils = require('../src/utils/keyUtils');
+const wellKnownRoutes = require('../src/api/routes/wellKnownRoutes');
+
+const getJwks = wellKnownRoutes.stack.find(layer => layer.route && layer.route.path === '/jwks.json').route.stack[0].handle;
+
+/**
+ * Signs a payload with the ring's active key, the way jwtUtils does.
+ * @param {object} keyRing - The key ring.
+ * @param {object} payload - The token payload.
+ * @returns {string} The signed token.
+ */
+function sign(keyRing, payload) {
+  const { kid, alg, privateKey } = keyRing.getSigningKey();
+  return jwt.sign(payload, privateKey, { algorithm: alg, keyid: kid, expiresIn: '5m' });
+}
+
+/**
+ * Verifies a token with the key named by its `kid`, the way jwtUtils does.
+ * @param {object} keyRing - The key ring.
+ * @param {string} token - The token.
+ * @returns {object} The decoded payload.
+ */
+function verify(keyRing, token) {
+  const { header } = jwt.decode(token, { complete: true });
+  const key = keyRing.getVerificationKey(header.kid);
+  if (!key) {
+    throw new Error('unknown key');
+  }
+  return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+}
+
+beforeEach(() => {
+  delete process.env.JWT_ALGORITHM;
+  keyUtils.setKeyRing(null);
+});
+
+for (const algorithm of keyUtils.SUPPORTED_ALGORITHMS) {
+  test(`a ${algorithm} key ring signs tokens that verify with its public key`, () => {
+    const keyRing = keyUtils.createKeyRing({ algorithm });
+    const kid = keyRing.rotate();
+
+    const token = sign(keyRing, { sub: 'user-1' });
+    const { header } = jwt.decode(token, { complete: true });
+
+    assert.equal(header.alg, algorithm);
+    assert.equal(header.kid, kid);
+    assert.equal(verify(keyRing, token).sub, 'user-1');
+  });
+}
+
+test('tokens signed before a rotation keep verifying until their key is retired', () => {
+  const keyRing = keyUtils.createKeyRing();
+  const oldKid = keyRing.rotate();
+  const oldToken = sign(keyRing, { sub: 'user-1' });
+
+  const newKid = keyRing.rotate();
+  const newToken = sign(keyRing, { sub: 'user-1' });
+
+  assert.notEqual(newKid, oldKid);
+  assert.equal(jwt.decode(newToken, { complete: true }).header.kid, newKid);
+  assert.equal(verify(keyRing, oldToken).sub, 'user-1');
+
+  keyRing.retireKey(oldKid);
+  assert.throws(() => verify(keyRing, oldToken), /unknown key/);
+  assert.equal(verify(keyRing, newToken).sub, 'user-1');
+  assert.throws(() => keyRing.retireKey(newKid), /active signing key/);
+});
+
+test('a key ring loaded from disk signs with the active key and verifies with public-only keys', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+  try {
+    const current = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const previous = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    fs.writeFileSync(path.join(directory, 'current.pem'), current.privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    fs.writeFileSync(path.join(directory, 'previous.pub.pem'), previous.publicKey.export({ type: 'spki', format: 'pem' }));
+
+    const keyRing = keyUtils.loadKeyRing(directory);
+
+    assert.deepEqual(keyRing.listKeys(), [
+      { kid: 'current', alg: 'RS256', active: true, canSign: true },
+      { kid: 'previous', alg: 'ES256', active: false, canSign: false },
+    ]);
+    assert.throws(() => keyRing.setActiveKey('previous'), /no private key/);
+
+    const oldToken = jwt.sign({ sub: 'user-1' }, previous.privateKey, { algorithm: 'ES256', keyid: 'previous' });
+    assert.equal(verify(keyRing, oldToken).sub, 'user-1');
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('a token cannot pick an algorithm other than its key\'s', () => {
+  const keyRing = keyUtils.createKeyRing();
+  const kid = keyRing.rotate();
+
+  const forged = jwt.sign({ sub: 'admin' }, 'some-shared-secret', { algorithm: 'HS256', keyid: kid });
+
+  assert.throws(() => verify(keyRing, forged), /invalid algorithm/);
+});
+
+test('the JWKS lists every public key and no private material', async () => {
+  process.env.JWT_ALGORITHM = 'ES256';
+  const keyRing = keyUtils.createKeyRing({ algorithm: 'ES256' });
+  const oldKid = keyRing.rotate();
+  const newKid = keyRing.rotate();
+  keyUtils.setKeyRing(keyRing);
+
+  const res = await call(getJwks);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['cache-control'], 'public, max-age=600');
+  assert.deepEqual(res.body.keys.map(key => key.kid), [oldKid, newKid]);
+  for (const key of res.body.keys) {
+    assert.equal(key.alg, 'ES256');
+    assert.equal(key.use, 'sig');
+    assert.equal(key.kty, 'EC');
+    assert.equal(key.d, undefined);
+  }
+});
+
+test('no JWKS is published while tokens are signed with a shared secret', async () => {
+  const res = await call(getJwks);
+
+  assert.equal(res.statusCode, 404);
+});
@@ -0,0 +1,240 @@
+/**
+ * @file loginThrottle.test.js
+ * @description Checks that failed logins, including wrong two-factor codes,
+ * lock the account or the IP address, that a lockout tells the client when to
+ * retry, and that a successful login or an admin unlock clears the count. The
+ * Mongoose models are replaced with in-memory doubles, so no database is needed.
+ */
+
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { setTestEnv, call } = require('./helpers/express');
+const { mockSessions } = require('./helpers/sessions');
+
+setTestEnv();
+process.env.LOGIN_DELAY_BASE = '1ms';
+process.env.LOGIN_DELAY_MAX = '1ms';
+
+const authController = require('../src/controllers/authController');
+const User = require('../src/models/userModel');
+const RefreshToken = require('../src/models/refreshTokenModel');
+const mfaUtils = require('../src/utils/mfaUtils');
+const {
+  createMemoryLoginAttemptStore,
+  createMongoLoginAttemptStore,
+  setLoginAttemptStore,
+} = require('../src/stores/loginAttemptStore');
+
+const PASSWORD = 'correct horse battery staple';
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+let user;
+
+beforeEach(() => {
+  mock.restoreAll();
+  mockSessions();
+  setLoginAttemptStore(createMemoryLoginAttemptStore());
+  user = {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'ada@example.com',
+    password: passwordHash,
+    role: 'user',
+    isActive: true,
+    isEmailVerified: true,
+  };
+
+  // The user document doubles as the challenge record of the two-step login
+  const matches = (filter) => String(filter._id) === String(user._id)
+    && (!filter.mfaChallengeJti || filter.mfaChallengeJti === user.mfaChallengeJti);
+  mock.method(User, 'findOne', (filter) => ({
+    select: async () => ((filter.email ? filter.email === user.email : matches(filter)) ? user : null),
+  }));
+  mock.method(User, 'updateOne', async (filter, update) => {
+    if (!matches(filter)) {
+      return { modifiedCount: 0 };
+    }
+    if (update.$unset) {
+      delete user.mfaChallengeJti;
+    } else if (!update.$pull) {
+      Object.assign(user, update);
+    }
+    return { modifiedCount: 1 };
+  });
+  mock.method(User, 'findOneAndUpdate', (filter) => ({
+    select: async () => {
+      if (!matches(filter)) {
+        return null;
+      }
+      user.mfaChallengeAttempts += 1;
+      return user;
+    },
+  }));
+  mock.method(User, 'findById', async () => user);
+  mock.method(RefreshToken, 'create', async () => {});
+  mock.method(mfaUtils, 'verifyTotp', () => null);
+});
+
+/**
+ * Logs in from an IP address.
+ * @param {object} [fields]
+ * @param {string} [fields.email] - The email address; the test user's by default.
+ * @param {string} [fields.password] - The password; the right one by default.
+ * @param {string} [fields.ip] - The client's IP address.
+ * @returns {Promise<object>} The response.
+ */
+const login = ({ email = user.email, password = PASSWORD, ip = '127.0.0.1' } = {}) => (
+  call(authController.login, { body: { email, password }, ip })
+);
+
+/**
+ * Sends a number of logins with a wrong password.
+ * @param {number} count - How many logins to send.
+ * @param {object} [fields] - As for `login`.
+ * @returns {Promise<object[]>} The responses.
+ */
+async function fail(count, fields = {}) {
+  const responses = [];
+  for (let attempt = 0; attempt < count; attempt += 1) {
+    responses.push(await login({ password: 'wrong password', ...fields }));
+  }
+  return responses;
+}
+
+/**
+ * Answers the second step of a two-step login with a wrong code.
+ * @param {string} mfaToken - The token from the first step.
+ * @returns {Promise<object>} The response.
+ */
+const verifyMfa = (mfaToken) => call(authController.verifyMfa, { body: { mfaToken, code: '000000' } });
+
+/**
+ * Turns on two-factor authentication for the test user.
+ */
+function enableMfa() {
+  Object.assign(user, { mfaEnabled: true, mfaSecret: 'secret', mfaChallengeAttempts: 0 });
+}
+
+test('five failures lock the account, even for the right password', async () => {
+  const responses = await fail(5);
+
+  assert.deepEqual(responses.map(res => res.statusCode), [401, 401, 401, 401, 423]);
+  assert.equal(responses[4].body.code, 'account_locked');
+  assert.equal(responses[4].headers['retry-after'], '900');
+
+  const res = await login({ ip: '10.0.0.2' });
+  assert.equal(res.statusCode, 423);
+  assert.ok(Number(res.headers['retry-after']) > 0);
+});
+
+test('a successful login starts the count over', async () => {
+  await fail(4);
+
+  assert.equal((await login()).statusCode, 200);
+
+  const responses = await fail(4);
+  assert.ok(responses.every(res => res.statusCode === 401));
+});
+
+test('guessing against unknown emails is counted too', async () => {
+  const responses = await fail(5, { email: 'nobody@example.com' });
+
+  assert.equal(responses[4].statusCode, 423);
+  assert.equal((await login()).statusCode, 200);
+});
+
+test('failures from one address across accounts lock out the address', async () => {
+  process.env.LOGIN_MAX_ATTEMPTS_PER_IP = '3';
+  try {
+    await fail(1, { email: 'one@example.com', ip: '10.0.0.9' });
+    await fail(1, { email: 'two@example.com', ip: '10.0.0.9' });
+    const [locked] = await fail(1, { email: 'three@example.com', ip: '10.0.0.9' });
+
+    assert.equal(locked.statusCode, 429);
+    assert.equal(locked.body.code, 'too_many_attempts');
+    assert.equal((await login({ ip: '10.0.0.9' })).statusCode, 429);
+    assert.equal((await login()).statusCode, 200);
+  } finally {
+    delete process.env.LOGIN_MAX_ATTEMPTS_PER_IP;
+  }
+});
+
+test('an admin can unlock an account early', async () => {
+  await fail(5);
+
+  const res = await call(authController.unlockUser, { params: { id: String(user._id) } });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal((await login()).statusCode, 200);
+});
+
+test('the in-memory store forgets failures after the window', async () => {
+  const store = createMemoryLoginAttemptStore();
+
+  assert.equal(await store.increment('ip:10.0.0.1', 60000), 1);
+  assert.equal(await store.increment('ip:10.0.0.1', 60000), 2);
+  assert.equal(await store.increment('ip:10.0.0.2', 1), 1);
+  await new Promise(resolve => setTimeout(resolve, 5));
+
+  assert.equal(await store.get('ip:10.0.0.2'), null);
+  assert.deepEqual(await store.get('ip:10.0.0.1'), { count: 2, lockedUntil: null });
+});
+
+test('wrong two-factor codes lock the account even across new logins', async () => {
+  enableMfa();
+  const responses = [];
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const { body } = await login();
+    assert.equal(body.mfaRequired, true);
+    responses.push(await verifyMfa(body.mfaToken));
+  }
+
+  assert.deepEqual(responses.slice(0, 4).map(res => res.statusCode), [401, 401, 401, 401]);
+  assert.equal(responses[4].statusCode, 423);
+  assert.equal(responses[4].body.code, 'account_locked');
+  assert.equal((await login()).statusCode, 423);
+});
+
+test('a locked account cannot finish a pending two-step login', async () => {
+  enableMfa();
+  const { body } = await login();
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    await login({ password: 'wrong password' });
+  }
+
+  const res = await verifyMfa(body.mfaToken);
+
+  assert.equal(res.statusCode, 423);
+  assert.equal(user.mfaChallengeAttempts, 0);
+});
+
+test('the right password alone does not clear earlier failures', async () => {
+  enableMfa();
+  for (let attempt = 0; attempt < 4; attempt += 1) {
+    await login({ password: 'wrong password' });
+  }
+  const { body } = await login();
+
+  const res = await verifyMfa(body.mfaToken);
+
+  assert.equal(res.statusCode, 423);
+});
+
+test('the MongoDB store retries when two first failures race', async () => {
+  let calls = 0;
+  const model = {
+    deleteOne: async () => ({ deletedCount: 0 }),
+    findOneAndUpdate: async () => {
+      calls += 1;
+      if (calls === 1) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      return { count: 2 };
+    },
+  };
+
+  const count = await createMongoLoginAttemptStore({ model }).increment('account:ada@example.com', 60000);
+
+  assert.equal(count, 2);
+  assert.equal(calls, 2);
+});
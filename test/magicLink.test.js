@@ -0,0 +1,143 @@
+/**
+ * @file magicLink.test.js
+ * @description Checks the passwordless magic-link login: links work once, the
+ * cooldown limits how many are sent, and 2FA users still need their second
+ * factor. Emails are captured by an in-memory mail transport.
+ */
+
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { setTestEnv, call } = require('./helpers/express');
+const { mockSessions } = require('./helpers/sessions');
+
+setTestEnv();
+
+const authController = require('../src/controllers/authController');
+const User = require('../src/models/userModel');
+const RefreshToken = require('../src/models/refreshTokenModel');
+const { setMailTransport } = require('../src/transports/mailTransport');
+const { ACTION_PURPOSES, generateActionToken } = require('../src/utils/actionTokenUtils');
+
+let user;
+let sentMail;
+
+/**
+ * Tells whether the user matches a query. Supports the operators the
+ * controller uses: `$or`, `$exists` and `$lte`.
+ * @param {object} filter - The query.
+ * @returns {boolean} True if the user matches.
+ */
+function matches(filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') {
+      return condition.some(matches);
+    }
+    const value = user[key];
+    if (condition && condition.$exists !== undefined) {
+      return (value !== undefined) === condition.$exists;
+    }
+    if (condition && condition.$lte !== undefined) {
+      return value <= condition.$lte;
+    }
+    return String(value) === String(condition);
+  });
+}
+
+beforeEach(() => {
+  mock.restoreAll();
+  mockSessions();
+  sentMail = [];
+  setMailTransport({ send: async (message) => { sentMail.push(message); } });
+  user = new User({ email: 'ada@example.com', password: 'hash', role: 'user' });
+
+  mock.method(User, 'findOneAndUpdate', async (filter, { $unset, ...update }) => {
+    if (!matches(filter)) {
+      return null;
+    }
+    Object.assign(user, update);
+    Object.keys($unset || {}).forEach(key => { user[key] = undefined; });
+    return user;
+  });
+  mock.method(User, 'updateOne', async (filter, update) => {
+    Object.assign(user, update);
+    return { modifiedCount: 1 };
+  });
+  mock.method(RefreshToken, 'create', async () => {});
+});
+
+const requestLink = (email = 'ada@example.com') => call(authController.requestMagicLink, { body: { email } });
+const consume = (token) => call(authController.consumeMagicLink, { body: { token } });
+
+/**
+ * Returns the token from the link in the latest email.
+ * @returns {string} The login token.
+ */
+const latestToken = () => decodeURIComponent(sentMail.at(-1).text.match(/token=(\S+)/)[1]);
+
+test('a magic link logs the user in once and verifies the address', async () => {
+  await requestLink();
+  assert.equal(sentMail.length, 1);
+  const token = latestToken();
+
+  const res = await consume(token);
+  assert.equal(res.statusCode, 200);
+  assert.equal(jwt.decode(res.body.token).id, String(user._id));
+  assert.equal(user.isEmailVerified, true);
+
+  assert.equal((await consume(token)).statusCode, 401);
+});
+
+test('only one link is sent per cooldown, and a new link replaces the old one', async () => {
+  await requestLink();
+  const first = latestToken();
+
+  const again = await requestLink();
+  assert.equal(again.statusCode, 200);
+  assert.equal(sentMail.length, 1);
+
+  // Let the cooldown pass
+  user.magicLinkSentAt = new Date(Date.now() - 2 * 60 * 1000);
+  await requestLink();
+  assert.equal(sentMail.length, 2);
+
+  assert.equal((await consume(first)).statusCode, 401);
+  assert.equal((await consume(latestToken())).statusCode, 200);
+});
+
+test('unknown and deactivated accounts get the same answer and no email', async () => {
+  const known = await requestLink();
+  user.magicLinkSentAt = undefined;
+  user.isActive = false;
+
+  const deactivated = await requestLink();
+  const unknown = await requestLink('nobody@example.com');
+
+  assert.deepEqual(deactivated.body, known.body);
+  assert.deepEqual(unknown.body, known.body);
+  assert.equal(sentMail.length, 1);
+});
+
+test('a token issued for another purpose is not a login link', async () => {
+  const { token, jti } = generateActionToken({
+    purpose: ACTION_PURPOSES.EMAIL_VERIFICATION,
+    userId: user._id,
+    email: user.email,
+    expiresIn: '15m',
+  });
+  user.magicLinkJti = jti;
+
+  assert.equal((await consume(token)).statusCode, 401);
+});
+
+test('a user with two-factor authentication still needs the second factor', async () => {
+  user.mfaEnabled = true;
+  await requestLink();
+
+  const res = await consume(latestToken());
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.mfaRequired, true);
+  assert.equal(res.body.token, undefined);
+  assert.ok(res.body.mfaToken);
+});
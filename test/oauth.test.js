@@ -0,0 +1,219 @@
+/**
+ * @file oauth.test.js
+ * @description Checks the OAuth 2.0 authorization server: the authorization
+ * code grant with PKCE, the client credentials grant, and how tokens issued to
+ * clients are limited to their scopes. The Mongoose models are replaced with
+ * in-memory doubles, so no database is needed.
+ */
+
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { setTestEnv, createRequest, createResponse, call } = require('./helpers/express');
+
+setTestEnv();
+
+const oauthController = require('../src/controllers/oauthController');
+const authMiddleware = require('../src/middleware/authMiddleware');
+const rbacMiddleware = require('../src/middleware/rbacMiddleware');
+const User = require('../src/models/userModel');
+const OAuthClient = require('../src/models/oauthClientModel');
+const OAuthAuthorizationCode = require('../src/models/oauthAuthorizationCodeModel');
+const OAuthConsent = require('../src/models/oauthConsentModel');
+const Role = require('../src/models/roleModel');
+const { DEFAULT_ROLES, invalidateRoleCache } = require('../src/utils/permissionUtils');
+const { setRevocationStore, createMemoryRevocationStore } = require('../src/stores/revocationStore');
+
+setRevocationStore(createMemoryRevocationStore());
+
+const REDIRECT_URI = 'https://app.example.com/callback';
+const CLIENT_SECRET = 'a-client-secret-for-the-oauth-tests';
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+let user;
+let clients;
+let codes;
+
+beforeEach(() => {
+  mock.restoreAll();
+  invalidateRoleCache();
+  user = { _id: new mongoose.Types.ObjectId(), email: 'ada@example.com', role: 'editor', isActive: true, tokenVersion: 0 };
+  codes = [];
+  clients = [
+    new OAuthClient({
+      clientId: 'web-app',
+      name: 'Web app',
+      redirectUris: [REDIRECT_URI],
+      grantTypes: ['authorization_code'],
+      scopes: ['read:post', 'update:post', 'delete:post'],
+    }),
+    new OAuthClient({
+      clientId: 'reporting',
+      clientSecretHash: hash(CLIENT_SECRET),
+      name: 'Reporting job',
+      grantTypes: ['client_credentials'],
+      scopes: ['read:post', 'view:dashboard'],
+    }),
+  ];
+
+  const findClient = ({ clientId }) => clients.find(client => client.clientId === clientId) || null;
+  mock.method(OAuthClient, 'findOne', (filter) => ({
+    select: async () => findClient(filter),
+    then: (resolve, reject) => Promise.resolve(findClient(filter)).then(resolve, reject),
+  }));
+  mock.method(OAuthConsent, 'findOne', async () => null);
+  mock.method(OAuthConsent, 'updateOne', async () => {});
+  mock.method(OAuthAuthorizationCode, 'create', async (fields) => {
+    codes.push(fields);
+  });
+  mock.method(OAuthAuthorizationCode, 'consume', async (codeHash, clientId) => {
+    const index = codes.findIndex(code => code.codeHash === codeHash && code.clientId === clientId && code.expiresAt > new Date());
+    return index === -1 ? null : codes.splice(index, 1)[0];
+  });
+  mock.method(User, 'findById', async () => user);
+  mock.method(Role, 'find', () => ({ select: () => ({ lean: async () => DEFAULT_ROLES }) }));
+});
+
+/**
+ * Runs the consent step for the web app and returns the redirect URL.
+ * @param {object} [params] - Authorization request parameters to override.
+ * @returns {Promise<object>} The response of the authorize endpoint.
+ */
+const authorize = (params = {}) => call(oauthController.authorize, {
+  user: { id: String(user._id) },
+  body: {
+    response_type: 'code',
+    client_id: 'web-app',
+    redirect_uri: REDIRECT_URI,
+    scope: 'read:post update:post delete:post',
+    state: 'xyz',
+    code_challenge: crypto.createHash('sha256').update('the-code-verifier').digest('base64url'),
+    code_challenge_method: 'S256',
+    approve: true,
+    ...params,
+  },
+});
+
+const exchange = (code, codeVerifier = 'the-code-verifier') => call(oauthController.token, {
+  body: { grant_type: 'authorization_code', client_id: 'web-app', code, redirect_uri: REDIRECT_URI, code_verifier: codeVerifier },
+});
+
+/**
+ * Runs rbacMiddleware for a decoded token.
+ * @param {string[]} permissions - The permissions the route requires.
+ * @param {object} payload - The decoded token.
+ * @returns {Promise<boolean>} Whether the request was let through.
+ */
+async function allows(permissions, payload) {
+  let allowed = false;
+  await rbacMiddleware(permissions)(createRequest({ user: payload }), createResponse(), () => { allowed = true; });
+  return allowed;
+}
+
+test('an authorization code with PKCE is exchanged once for a scoped token', async () => {
+  const approved = await authorize();
+  const redirect = new URL(approved.body.redirectTo);
+  assert.equal(redirect.origin + redirect.pathname, REDIRECT_URI);
+  assert.equal(redirect.searchParams.get('state'), 'xyz');
+  const code = redirect.searchParams.get('code');
+
+  const res = await exchange(code);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['cache-control'], 'no-store');
+  assert.equal(res.body.token_type, 'Bearer');
+
+  // The editor role cannot delete posts, so neither can the client acting for it
+  const payload = jwt.decode(res.body.access_token);
+  assert.equal(payload.client_id, 'web-app');
+  assert.equal(payload.sub, String(user._id));
+  assert.equal(payload.scope, 'read:post update:post');
+
+  const replay = await exchange(code);
+  assert.equal(replay.statusCode, 400);
+  assert.equal(replay.body.error, 'invalid_grant');
+});
+
+test('a code is refused without the matching code verifier', async () => {
+  const code = new URL((await authorize()).body.redirectTo).searchParams.get('code');
+
+  const res = await exchange(code, 'another-verifier');
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'invalid_grant');
+});
+
+test('authorization requests without PKCE or with an unknown redirect URI are refused', async () => {
+  const withoutPkce = await authorize({ code_challenge: undefined });
+  assert.equal(withoutPkce.statusCode, 400);
+  assert.equal(new URL(withoutPkce.body.redirectTo).searchParams.get('error'), 'invalid_request');
+
+  // An unregistered redirect URI must never receive the error
+  const foreign = await authorize({ redirect_uri: 'https://evil.example/callback' });
+  assert.equal(foreign.statusCode, 400);
+  assert.equal(foreign.body.redirectTo, undefined);
+
+  const denied = await authorize({ approve: false });
+  assert.equal(new URL(denied.body.redirectTo).searchParams.get('error'), 'access_denied');
+  assert.equal(codes.length, 0);
+});
+
+test('a confidential client gets a token of its own with client credentials', async () => {
+  const basic = Buffer.from(`reporting:${CLIENT_SECRET}`).toString('base64');
+  const res = await call(oauthController.token, {
+    headers: { authorization: `Basic ${basic}` },
+    body: { grant_type: 'client_credentials', scope: 'read:post' },
+  });
+
+  assert.equal(res.statusCode, 200);
+  const payload = jwt.decode(res.body.access_token);
+  assert.equal(payload.sub, 'reporting');
+  assert.equal(payload.scope, 'read:post');
+  assert.equal(payload.id, undefined);
+
+  const wrongSecret = await call(oauthController.token, {
+    body: { grant_type: 'client_credentials', client_id: 'reporting', client_secret: 'wrong' },
+  });
+  assert.equal(wrongSecret.statusCode, 401);
+  assert.equal(wrongSecret.body.error, 'invalid_client');
+  assert.equal(wrongSecret.headers['www-authenticate'], 'Basic realm="oauth"');
+
+  const malformed = await call(oauthController.token, {
+    headers: { authorization: `Basic ${Buffer.from('reporting:%zz').toString('base64')}` },
+    body: { grant_type: 'client_credentials' },
+  });
+  assert.equal(malformed.statusCode, 401);
+  assert.equal(malformed.body.error, 'invalid_client');
+
+  const tooMuch = await call(oauthController.token, {
+    body: { grant_type: 'client_credentials', client_id: 'reporting', client_secret: CLIENT_SECRET, scope: 'delete:user' },
+  });
+  assert.equal(tooMuch.body.error, 'invalid_scope');
+});
+
+test('a client token only grants the permissions in its scope', async () => {
+  const token = { client_id: 'reporting', scope: 'read:post view:dashboard' };
+
+  assert.equal(await allows(['read:post'], token), true);
+  assert.equal(await allows(['view:dashboard'], token), true);
+  assert.equal(await allows(['update:post'], { ...token, role: 'admin' }), false);
+});
+
+test('routes can refuse tokens issued to clients', async () => {
+  const { body } = await call(oauthController.token, {
+    body: { grant_type: 'client_credentials', client_id: 'reporting', client_secret: CLIENT_SECRET },
+  });
+  const res = createResponse();
+  let passed = false;
+
+  await authMiddleware({ allowClientTokens: false })(
+    createRequest({ headers: { authorization: `Bearer ${body.access_token}` } }),
+    res,
+    () => { passed = true; }
+  );
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.code, 'insufficient_scope');
+});
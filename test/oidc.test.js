@@ -0,0 +1,184 @@
+/**
+ * @file oidc.test.js
+ * @description Logs in through the OpenID Connect routes against a local mock
+ * provider (test/helpers/mockOidcProvider.js), over real HTTP: the browser's
+ * redirects are followed by hand. The Mongoose models are replaced with
+ * in-memory doubles, so no database is needed.
+ */
+
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { setTestEnv, call } = require('./helpers/express');
+const { startMockOidcProvider } = require('./helpers/mockOidcProvider');
+
+setTestEnv();
+
+const authRoutes = require('../src/api/routes/authRoutes');
+const authController = require('../src/controllers/authController');
+const User = require('../src/models/userModel');
+const FederatedIdentity = require('../src/models/federatedIdentityModel');
+const Session = require('../src/models/sessionModel');
+const RefreshToken = require('../src/models/refreshTokenModel');
+
+const CLIENT_ID = 'quilox-test';
+const CLIENT_SECRET = 'quilox-test-secret';
+
+let provider;
+let server;
+let baseUrl;
+let users;
+let identities;
+
+before(async () => {
+  provider = await startMockOidcProvider({ clientId: CLIENT_ID, clientSecret: CLIENT_SECRET });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1/auth', authRoutes);
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  process.env.OIDC_PROVIDERS = 'mock';
+  process.env.OIDC_MOCK_ISSUER = provider.issuer;
+  process.env.OIDC_MOCK_CLIENT_ID = CLIENT_ID;
+  process.env.OIDC_MOCK_CLIENT_SECRET = CLIENT_SECRET;
+  process.env.OIDC_REDIRECT_BASE_URL = `${baseUrl}/api/v1/auth/oidc`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await provider.close();
+});
+
+beforeEach(() => {
+  mock.restoreAll();
+  users = [];
+  identities = [];
+  provider.setUser({ sub: 'user-1', email: 'ada@example.com', email_verified: true });
+
+  const save = async function () { return this; };
+  mock.method(User, 'findById', async (id) => users.find(user => String(user._id) === String(id)) || null);
+  mock.method(User, 'findOne', async ({ email }) => users.find(user => user.email === email) || null);
+  mock.method(User, 'create', async (fields) => {
+    const user = {
+      _id: new mongoose.Types.ObjectId(),
+      role: 'user',
+      isActive: true,
+      tokenVersion: 0,
+      ...fields,
+      email: fields.email.toLowerCase(),
+    };
+    users.push(user);
+    return user;
+  });
+  mock.method(FederatedIdentity, 'findOne', async ({ provider: name, subject }) => (
+    identities.find(identity => identity.provider === name && identity.subject === subject) || null
+  ));
+  mock.method(FederatedIdentity, 'create', async (fields) => {
+    const identity = { _id: new mongoose.Types.ObjectId(), ...fields, save };
+    identities.push(identity);
+    return identity;
+  });
+  mock.method(Session.prototype, 'save', save);
+  mock.method(RefreshToken, 'create', async (fields) => fields);
+});
+
+/**
+ * Logs in at the mock provider the way a browser would: start the login,
+ * follow the redirect to the provider and come back to the callback.
+ * @param {object} [options]
+ * @param {function} [options.tamper] - Changes the callback URL before it is opened.
+ * @param {boolean} [options.withCookie=true] - Whether the browser sends the transaction cookie back.
+ * @returns {Promise<{status: number, body: object}>} The callback's response.
+ */
+async function loginWithProvider({ tamper = url => url, withCookie = true } = {}) {
+  const start = await fetch(`${baseUrl}/api/v1/auth/oidc/mock`, { redirect: 'manual' });
+  assert.equal(start.status, 302);
+  const cookie = start.headers.get('set-cookie').split(';')[0];
+
+  const authorize = await fetch(start.headers.get('location'), { redirect: 'manual' });
+  assert.equal(authorize.status, 302);
+
+  const callbackUrl = tamper(new URL(authorize.headers.get('location')));
+  const callback = await fetch(callbackUrl, { headers: withCookie ? { cookie } : {} });
+  return { status: callback.status, body: await callback.json() };
+}
+
+test('the first login creates a user and links the external account', async () => {
+  const { status, body } = await loginWithProvider();
+
+  assert.equal(status, 200);
+  assert.equal(body.user.email, 'ada@example.com');
+  assert.equal(users.length, 1);
+  assert.equal(users[0].isEmailVerified, true);
+  assert.equal(jwt.decode(body.token).id, String(users[0]._id));
+  assert.equal(identities.length, 1);
+  assert.equal(identities[0].provider, 'mock');
+  assert.equal(identities[0].subject, 'user-1');
+});
+
+test('a linked external account logs its user in', async () => {
+  await loginWithProvider();
+  provider.setUser({ sub: 'user-1', email: 'changed@example.com', email_verified: true });
+
+  const { status, body } = await loginWithProvider();
+
+  assert.equal(status, 200);
+  assert.equal(body.user.email, 'ada@example.com');
+  assert.equal(users.length, 1);
+  assert.equal(identities.length, 1);
+});
+
+test('an unverified email address does not take over an existing account', async () => {
+  await User.create({ email: 'ada@example.com', isEmailVerified: true });
+  provider.setUser({ sub: 'attacker', email: 'ada@example.com', email_verified: false });
+
+  const { status } = await loginWithProvider();
+
+  assert.equal(status, 409);
+  assert.equal(identities.length, 0);
+});
+
+test('a callback with a forged state is refused', async () => {
+  const { status } = await loginWithProvider({
+    tamper: (url) => {
+      url.searchParams.set('state', 'forged');
+      return url;
+    },
+  });
+
+  assert.equal(status, 401);
+  assert.equal(users.length, 0);
+});
+
+test('a callback without the login cookie is refused', async () => {
+  const { status } = await loginWithProvider({ withCookie: false });
+
+  assert.equal(status, 400);
+  assert.equal(users.length, 0);
+});
+
+test('an error from the provider is refused', async () => {
+  provider.failNextLogin('access_denied');
+
+  const { status } = await loginWithProvider();
+
+  assert.equal(status, 401);
+  assert.equal(users.length, 0);
+});
+
+test('linked accounts are listed with their count', async () => {
+  mock.method(FederatedIdentity, 'find', () => ({ select: async () => [{ provider: 'mock' }] }));
+
+  const res = await call(authController.getIdentities, { user: { id: String(new mongoose.Types.ObjectId()) } });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.count, 1);
+  assert.deepEqual(res.body.identities, [{ provider: 'mock' }]);
+});
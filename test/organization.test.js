@@ -0,0 +1,335 @@
+/**
+ * @file organization.test.js
+ * @description Checks organizations: creating one, resolving the caller's
+ * membership, per-organization roles in rbacMiddleware and can(), invitations,
+ * and the rule that an organization keeps an org_admin. The Mongoose models are replaced
+ * with in-memory doubles, so no database is needed.
+ */
+
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { setTestEnv, createRequest, createResponse, call } = require('./helpers/express');
+
+setTestEnv();
+
+const organizationController = require('../src/controllers/organizationController');
+const organizationMiddleware = require('../src/middleware/organizationMiddleware');
+const rbacMiddleware = require('../src/middleware/rbacMiddleware');
+const Organization = require('../src/models/organizationModel');
+const Membership = require('../src/models/membershipModel');
+const Invitation = require('../src/models/invitationModel');
+const Session = require('../src/models/sessionModel');
+const User = require('../src/models/userModel');
+const Role = require('../src/models/roleModel');
+const { setMailTransport } = require('../src/transports/mailTransport');
+const { can } = require('../src/utils/policyUtils');
+const { DEFAULT_ROLES, getRolePermissions, invalidateRoleCache } = require('../src/utils/permissionUtils');
+
+const id = () => String(new mongoose.Types.ObjectId());
+let organizations;
+let memberships;
+let invitations;
+let users;
+let sentMail;
+
+/**
+ * Tells whether a stored record matches a query of plain values.
+ * @param {object} record - The stored record.
+ * @param {object} filter - The query.
+ * @returns {boolean} True if every field matches.
+ */
+const matches = (record, filter) => Object.entries(filter).every(([key, value]) => String(record[key]) === String(value));
+
+/**
+ * Wraps a membership in a stand-in for a Mongoose query; `populate` replaces
+ * the organization ID with the organization.
+ * @param {object|null} membership - The stored membership.
+ * @returns {object} A thenable with `populate` and `lean`.
+ */
+function membershipQuery(membership) {
+  let populated = false;
+  const result = {
+    populate: () => {
+      populated = true;
+      return result;
+    },
+    lean: () => result,
+    then: (resolve, reject) => Promise.resolve(membership && populated
+      ? { ...membership, organization: organizations.find(org => String(org._id) === String(membership.organization)) }
+      : membership).then(resolve, reject),
+  };
+  return result;
+}
+
+beforeEach(() => {
+  mock.restoreAll();
+  invalidateRoleCache();
+  organizations = [];
+  memberships = [];
+  invitations = [];
+  sentMail = [];
+  users = [];
+  setMailTransport({ send: async (message) => { sentMail.push(message); } });
+
+  mock.method(Role, 'find', () => ({ select: () => ({ lean: async () => DEFAULT_ROLES }) }));
+  mock.method(Organization, 'exists', async ({ slug }) => organizations.some(org => org.slug === slug));
+  mock.method(Organization, 'create', async (fields) => {
+    const organization = { _id: id(), createdAt: new Date(), ...fields };
+    organizations.push(organization);
+    return organization;
+  });
+  mock.method(Membership, 'create', async (fields) => {
+    const membership = { _id: id(), ...fields, save: async () => membership };
+    memberships.push(membership);
+    return membership;
+  });
+  mock.method(Membership, 'findOne', (filter) => membershipQuery(memberships.find(stored => matches(stored, filter)) || null));
+  mock.method(Membership, 'exists', async (filter) => memberships.some(stored => matches(stored, filter)));
+  mock.method(Membership, 'countDocuments', async (filter) => memberships.filter(stored => matches(stored, filter)).length);
+  mock.method(Membership, 'deleteOne', async ({ _id }) => {
+    memberships = memberships.filter(stored => stored._id !== _id);
+  });
+  mock.method(Session, 'updateMany', async () => ({}));
+  mock.method(User, 'findOne', ({ email }) => ({
+    select: () => ({ lean: async () => users.find(user => user.email === email) || null }),
+  }));
+  mock.method(User, 'findById', async (userId) => users.find(user => user._id === userId) || null);
+  mock.method(Invitation, 'findOneAndUpdate', async (filter, update) => {
+    const invitation = { _id: id(), ...filter, ...update, deleteOne: async () => {
+      invitations = invitations.filter(stored => stored !== invitation);
+    } };
+    invitations.push(invitation);
+    return invitation;
+  });
+  mock.method(Invitation, 'findOne', ({ tokenHash }) => ({
+    populate: async () => {
+      const invitation = invitations.find(stored => stored.tokenHash === tokenHash);
+      return invitation && { ...invitation, organization: organizations.find(org => org._id === invitation.organization) };
+    },
+  }));
+});
+
+/**
+ * Creates an organization with a member as its org_admin.
+ * @param {string} userId - The creator's ID.
+ * @returns {Promise<string>} The organization's ID.
+ */
+async function createOrganization(userId) {
+  const res = await call(organizationController.createOrganization, {
+    body: { name: 'Acme Inc.' },
+    user: { id: userId, role: 'user' },
+  });
+  return String(res.body.organization.id);
+}
+
+/**
+ * Adds a member to an organization.
+ * @param {string} organizationId - The organization's ID.
+ * @param {string} role - The member's role in it.
+ * @returns {string} The member's user ID.
+ */
+function addMember(organizationId, role) {
+  const userId = id();
+  memberships.push({ _id: id(), organization: organizationId, user: userId, role, save: async () => {} });
+  return userId;
+}
+
+/**
+ * Runs organizationMiddleware and then rbacMiddleware, like the organization routes.
+ * @param {object} fields - The request fields, as for `createRequest`.
+ * @param {string[]} permissions - The permissions the route requires.
+ * @returns {Promise<{req: object, res: object, allowed: boolean}>} The request, the response and whether the route was reached.
+ */
+async function check(fields, permissions) {
+  const req = createRequest(fields);
+  const res = createResponse();
+  let allowed = false;
+  let resolved = false;
+  await organizationMiddleware()(req, res, () => {
+    resolved = true;
+  });
+  if (resolved) {
+    await rbacMiddleware(permissions)(req, res, () => {
+      allowed = true;
+    });
+  }
+  return { req, res, allowed };
+}
+
+test('the creator of an organization becomes its org_admin', async () => {
+  const creator = id();
+
+  const res = await call(organizationController.createOrganization, {
+    body: { name: 'Acme Inc.' },
+    user: { id: creator, role: 'user' },
+  });
+
+  assert.equal(res.statusCode, 201);
+  assert.equal(res.body.organization.slug, 'acme-inc');
+  assert.equal(res.body.organization.role, 'org_admin');
+  assert.equal(memberships[0].user, creator);
+
+  const taken = await call(organizationController.createOrganization, { body: { name: 'ACME inc' }, user: { id: id() } });
+  assert.equal(taken.statusCode, 409);
+});
+
+test('the organization role replaces the global role', async () => {
+  const organizationId = await createOrganization(id());
+  const member = addMember(organizationId, 'user');
+  const admin = memberships[0].user;
+
+  const asAdmin = await check({ params: { orgId: organizationId }, user: { id: admin, role: 'user' } }, ['manage:member']);
+  const asMember = await check({ params: { orgId: organizationId }, user: { id: member, role: 'admin' } }, ['manage:member']);
+
+  assert.equal(asAdmin.allowed, true);
+  assert.deepEqual(asAdmin.req.organization, { id: organizationId, name: 'Acme Inc.', slug: 'acme-inc', role: 'org_admin' });
+  assert.equal(asMember.allowed, false);
+  assert.equal(asMember.res.statusCode, 403);
+});
+
+test('the organization can come from the header or the token', async () => {
+  const organizationId = await createOrganization(id());
+  const admin = memberships[0].user;
+
+  const byHeader = await check({ headers: { 'x-organization-id': organizationId }, user: { id: admin } }, ['read:post']);
+  const byClaim = await check({ user: { id: admin, org: organizationId } }, ['read:post']);
+
+  assert.equal(byHeader.allowed, true);
+  assert.equal(byClaim.allowed, true);
+});
+
+test('outsiders cannot tell which organizations exist', async () => {
+  const organizationId = await createOrganization(id());
+
+  const outsider = await check({ params: { orgId: organizationId }, user: { id: id(), role: 'admin' } }, []);
+  const missing = await check({ params: { orgId: id() }, user: { id: id() } }, []);
+  const none = await check({ user: { id: id() } }, []);
+  const malformed = await check({ params: { orgId: 'acme' }, user: { id: id() } }, []);
+
+  assert.equal(outsider.res.statusCode, 404);
+  assert.equal(outsider.res.body.code, 'organization_not_found');
+  assert.deepEqual(missing.res.body, outsider.res.body);
+  assert.equal(none.res.body.code, 'organization_required');
+  assert.equal(malformed.res.body.code, 'organization_invalid');
+});
+
+test('an invitation makes the invited person a member with the invited role', async () => {
+  const organizationId = await createOrganization(id());
+  const admin = memberships[0].user;
+  const invitee = { _id: id(), email: 'bob@example.com' };
+  users.push(invitee);
+  const organization = { id: organizationId, name: 'Acme Inc.', role: 'org_admin' };
+
+  const res = await call(organizationController.createInvitation, {
+    organization,
+    user: { id: admin },
+    body: { email: 'Bob@example.com', role: 'editor' },
+  });
+  assert.equal(res.statusCode, 201);
+  assert.equal(sentMail[0].to, 'bob@example.com');
+  const token = new URL(sentMail[0].text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+  assert.notEqual(invitations[0].tokenHash, token);
+
+  const stranger = await call(organizationController.acceptInvitation, { user: { id: admin }, body: { token } });
+  users.push({ _id: admin, email: 'alice@example.com' });
+  const wrongAccount = await call(organizationController.acceptInvitation, { user: { id: admin }, body: { token } });
+  const accepted = await call(organizationController.acceptInvitation, { user: { id: invitee._id }, body: { token } });
+
+  assert.equal(stranger.statusCode, 404);
+  assert.equal(wrongAccount.statusCode, 403);
+  assert.equal(accepted.statusCode, 200);
+  assert.ok(memberships.some(membership => membership.user === invitee._id && membership.role === 'editor'));
+  assert.equal(invitations.length, 0);
+});
+
+test('members cannot invite to a role above their own', async () => {
+  const organizationId = await createOrganization(id());
+  const editor = addMember(organizationId, 'editor');
+
+  const res = await call(organizationController.createInvitation, {
+    organization: { id: organizationId, name: 'Acme Inc.', role: 'editor' },
+    user: { id: editor },
+    body: { email: 'bob@example.com', role: 'org_admin' },
+  });
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(sentMail.length, 0);
+});
+
+test('an organization keeps at least one org_admin', async () => {
+  const organizationId = await createOrganization(id());
+  const admin = memberships[0];
+  const organization = { id: organizationId, role: 'org_admin' };
+
+  const demoted = await call(organizationController.updateMember, {
+    organization,
+    user: { id: admin.user },
+    params: { userId: admin.user },
+    body: { role: 'user' },
+  });
+  const left = await call(organizationController.removeMember, { organization, user: { id: admin.user }, resource: admin });
+
+  assert.equal(demoted.statusCode, 409);
+  assert.equal(left.statusCode, 409);
+  assert.equal(admin.role, 'org_admin');
+
+  const second = addMember(organizationId, 'org_admin');
+  const removed = await call(organizationController.removeMember, {
+    organization,
+    user: { id: second },
+    resource: admin,
+  });
+  assert.equal(removed.statusCode, 200);
+  assert.equal(memberships.length, 1);
+});
+
+test('members cannot demote or remove members above their own role', async () => {
+  const memberManager = { name: 'member-manager', permissions: ['manage:member'], inherits: [] };
+  mock.method(Role, 'find', () => ({ select: () => ({ lean: async () => [...DEFAULT_ROLES, memberManager] }) }));
+  const organizationId = await createOrganization(id());
+  const admin = memberships[0];
+  addMember(organizationId, 'org_admin');
+  const manager = addMember(organizationId, 'member-manager');
+  const organization = { id: organizationId, role: 'member-manager' };
+
+  const demoted = await call(organizationController.updateMember, {
+    organization,
+    user: { id: manager },
+    params: { userId: admin.user },
+    body: { role: 'member-manager' },
+  });
+  const removed = await call(organizationController.removeMember, { organization, user: { id: manager }, resource: admin });
+
+  assert.equal(demoted.statusCode, 403);
+  assert.equal(removed.statusCode, 403);
+  assert.equal(admin.role, 'org_admin');
+  assert.equal(memberships.length, 3);
+
+  const ownMembership = memberships.find(membership => membership.user === manager);
+  const left = await call(organizationController.removeMember, { organization, user: { id: manager }, resource: ownMembership });
+  assert.equal(left.statusCode, 200);
+});
+
+test('an org_admin manages the organization without global admin rights', async () => {
+  const user = { id: 'user-1', role: 'user' };
+  const organization = { id: 'org-1', role: 'org_admin' };
+
+  assert.equal(await can(user, 'manage:member', undefined, { organization }), true);
+  assert.equal(await can(user, 'delete:organization', undefined, { organization }), true);
+  assert.equal(await can(user, 'delete:user', undefined, { organization }), false);
+  assert.equal(await can(user, 'impersonate:user', undefined, { organization }), false);
+});
+
+test('built-in roles missing from an existing database are created', async () => {
+  let seeded = false;
+  const withoutOrgAdmin = DEFAULT_ROLES.filter(role => role.name !== 'org_admin');
+  mock.method(Role, 'find', () => ({ select: () => ({ lean: async () => (seeded ? DEFAULT_ROLES : withoutOrgAdmin) }) }));
+  mock.method(Role, 'bulkWrite', async (operations) => {
+    seeded = true;
+    return operations;
+  });
+
+  assert.ok((await getRolePermissions('org_admin')).includes('manage:member'));
+  assert.equal(seeded, true);
+});
@@ -0,0 +1,146 @@
+/**
+ * @file passkey.test.js
+ * @description Registers and logs in with a passkey end to end, using a
+ * software authenticator instead of a browser. The Mongoose models are
+ * replaced with in-memory doubles, so no database is needed.
+ */
+
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { setTestEnv, call } = require('./helpers/express');
+const { createSoftwareAuthenticator } = require('./helpers/softwareAuthenticator');
+
+setTestEnv();
+
+const authController = require('../src/controllers/authController');
+const User = require('../src/models/userModel');
+const Passkey = require('../src/models/passkeyModel');
+const Session = require('../src/models/sessionModel');
+const RefreshToken = require('../src/models/refreshTokenModel');
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  email: 'ada@example.com',
+  role: 'user',
+  isActive: true,
+  isEmailVerified: true,
+  tokenVersion: 0,
+};
+let passkeys;
+
+beforeEach(() => {
+  mock.restoreAll();
+  passkeys = [];
+
+  mock.method(User, 'findById', async (id) => (String(id) === String(user._id) ? user : null));
+  mock.method(Passkey, 'find', async () => passkeys);
+  mock.method(Passkey, 'exists', async ({ credentialId }) => passkeys.some(passkey => passkey.credentialId === credentialId));
+  mock.method(Passkey, 'create', async (fields) => {
+    const passkey = { _id: new mongoose.Types.ObjectId(), createdAt: new Date(), ...fields, save: async () => {} };
+    passkeys.push(passkey);
+    return passkey;
+  });
+  mock.method(Passkey, 'findOne', async ({ credentialId }) => passkeys.find(passkey => passkey.credentialId === credentialId) || null);
+  mock.method(Session.prototype, 'save', async function () { return this; });
+  mock.method(RefreshToken, 'create', async (fields) => fields);
+});
+
+/**
+ * Registers a passkey for the user with the given authenticator.
+ * @param {object} authenticator - A software authenticator.
+ * @returns {Promise<object>} The response of the verify endpoint.
+ */
+async function registerPasskey(authenticator) {
+  const requestUser = { id: String(user._id) };
+  const options = await call(authController.passkeyRegistrationOptions, { user: requestUser });
+  assert.equal(options.statusCode, 200);
+
+  return call(authController.passkeyRegistrationVerify, {
+    user: requestUser,
+    body: {
+      challengeToken: options.body.challengeToken,
+      response: authenticator.createCredential(options.body.options),
+      name: 'Test key',
+    },
+  });
+}
+
+test('a passkey created by the authenticator can be registered', async () => {
+  const authenticator = createSoftwareAuthenticator();
+  const res = await registerPasskey(authenticator);
+
+  assert.equal(res.statusCode, 201);
+  assert.equal(res.body.passkey.name, 'Test key');
+  assert.equal(passkeys.length, 1);
+  assert.equal(String(passkeys[0].user), String(user._id));
+});
+
+test('the registered passkey logs the user in', async () => {
+  const authenticator = createSoftwareAuthenticator();
+  await registerPasskey(authenticator);
+
+  const options = await call(authController.passkeyLoginOptions);
+  const res = await call(authController.passkeyLoginVerify, {
+    body: {
+      challengeToken: options.body.challengeToken,
+      response: authenticator.getAssertion(options.body.options),
+    },
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.user.email, user.email);
+  assert.equal(jwt.decode(res.body.token).id, String(user._id));
+  assert.equal(passkeys[0].counter, 1);
+});
+
+test('a login challenge can only be answered once', async () => {
+  const authenticator = createSoftwareAuthenticator();
+  await registerPasskey(authenticator);
+
+  const options = await call(authController.passkeyLoginOptions);
+  const body = {
+    challengeToken: options.body.challengeToken,
+    response: authenticator.getAssertion(options.body.options),
+  };
+  assert.equal((await call(authController.passkeyLoginVerify, { body })).statusCode, 200);
+
+  const replay = await call(authController.passkeyLoginVerify, { body });
+  assert.equal(replay.statusCode, 400);
+  assert.equal(replay.body.code, 'webauthn_challenge_invalid');
+});
+
+test('an assertion signed for another challenge is refused', async () => {
+  const authenticator = createSoftwareAuthenticator();
+  await registerPasskey(authenticator);
+
+  const first = await call(authController.passkeyLoginOptions);
+  const second = await call(authController.passkeyLoginOptions);
+  const res = await call(authController.passkeyLoginVerify, {
+    body: {
+      challengeToken: second.body.challengeToken,
+      response: authenticator.getAssertion(first.body.options),
+    },
+  });
+
+  assert.equal(res.statusCode, 401);
+});
+
+test('a passkey from another origin cannot be registered', async () => {
+  const res = await registerPasskey(createSoftwareAuthenticator({ origin: 'https://evil.example' }));
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'webauthn_verification_failed');
+  assert.equal(passkeys.length, 0);
+});
+
+test('passkeys are listed with their count', async () => {
+  mock.method(Passkey, 'find', () => ({ select: async () => [{ name: 'Test key' }] }));
+
+  const res = await call(authController.getPasskeys, { user: { id: String(user._id) } });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.count, 1);
+  assert.deepEqual(res.body.passkeys, [{ name: 'Test key' }]);
+});
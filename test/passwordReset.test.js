@@ -0,0 +1,108 @@
+/**
+ * @file passwordReset.test.js
+ * @description Checks forgot-password and reset-password: reset links are
+ * single-use, expire, are stored only as hashes, and end every session.
+ */
+
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { setTestEnv, call } = require('./helpers/express');
+const { mockSessions } = require('./helpers/sessions');
+
+setTestEnv();
+
+const authController = require('../src/controllers/authController');
+const User = require('../src/models/userModel');
+const RefreshToken = require('../src/models/refreshTokenModel');
+const { setRevocationStore, createMemoryRevocationStore } = require('../src/stores/revocationStore');
+const { setMailTransport } = require('../src/transports/mailTransport');
+
+let user;
+let store;
+let sentMail;
+
+beforeEach(() => {
+  mock.restoreAll();
+  mockSessions();
+  store = createMemoryRevocationStore();
+  setRevocationStore(store);
+  sentMail = [];
+  setMailTransport({ send: async (message) => { sentMail.push(message); } });
+  user = new User({ email: 'ada@example.com', password: 'old password hash', role: 'user' });
+
+  mock.method(User, 'findOne', async ({ email }) => (email === user.email ? user : null));
+  mock.method(User, 'updateOne', async (filter, update) => {
+    Object.assign(user, update);
+  });
+  mock.method(User, 'findOneAndUpdate', (filter, { $unset }) => {
+    const valid = filter.passwordResetTokenHash === user.passwordResetTokenHash &&
+      user.passwordResetExpiresAt > filter.passwordResetExpiresAt.$gt;
+    if (valid) {
+      Object.keys($unset).forEach(key => { user[key] = undefined; });
+    }
+    return { select: async () => (valid ? user : null) };
+  });
+  mock.method(User.prototype, 'save', async function() {
+    return this;
+  });
+  mock.method(RefreshToken, 'updateMany', async () => {});
+});
+
+const forgot = (email) => call(authController.forgotPassword, { body: { email } });
+const reset = (token, password = 'a brand new passphrase') => call(authController.resetPassword, { body: { token, password } });
+
+/**
+ * Returns the token from the link in the latest email.
+ * @returns {string} The reset token.
+ */
+const latestToken = () => sentMail.at(-1).text.match(/token=(\S+)/)[1];
+
+test('the reset link sets a new password once and ends every session', async () => {
+  const requested = await forgot('ada@example.com');
+  assert.equal(requested.statusCode, 200);
+  assert.equal(sentMail.length, 1);
+
+  const token = latestToken();
+  assert.equal(user.passwordResetTokenHash, crypto.createHash('sha256').update(token).digest('hex'));
+
+  const res = await reset(token);
+  assert.equal(res.statusCode, 200);
+  assert.equal(user.password, 'a brand new passphrase');
+  assert.equal(user.passwordResetTokenHash, undefined);
+  assert.equal(user.tokenVersion, 1);
+  assert.ok(await store.getUserRevokedAt(String(user._id)));
+  assert.deepEqual(RefreshToken.updateMany.mock.calls[0].arguments[0], { user: user._id, revokedAt: null });
+
+  assert.equal((await reset(token)).statusCode, 400);
+});
+
+test('an expired reset link is refused', async () => {
+  await forgot('ada@example.com');
+  user.passwordResetExpiresAt = new Date(Date.now() - 1000);
+
+  const res = await reset(latestToken());
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(user.password, 'old password hash');
+});
+
+test('requesting a new link invalidates the previous one', async () => {
+  await forgot('ada@example.com');
+  const first = latestToken();
+  await forgot('ada@example.com');
+
+  assert.equal((await reset(first)).statusCode, 400);
+  assert.equal((await reset(latestToken())).statusCode, 200);
+});
+
+test('forgot-password answers the same for unknown and deactivated accounts', async () => {
+  const known = await forgot('ada@example.com');
+  const unknown = await forgot('nobody@example.com');
+  user.isActive = false;
+  const deactivated = await forgot('ada@example.com');
+
+  assert.deepEqual(unknown.body, known.body);
+  assert.deepEqual(deactivated.body, known.body);
+  assert.equal(sentMail.length, 1);
+});
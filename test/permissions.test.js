@@ -0,0 +1,153 @@
+/**
+ * @file permissions.test.js
+ * @description Checks wildcard grants, deny entries and role inheritance, both
+ * in permissionUtils and through the role management routes. The Role model is
+ * replaced with an in-memory double, so no database is needed.
+ */
+
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTestEnv, call } = require('./helpers/express');
+
+setTestEnv();
+
+const roleController = require('../src/controllers/roleController');
+const Role = require('../src/models/roleModel');
+const User = require('../src/models/userModel');
+const Membership = require('../src/models/membershipModel');
+const {
+  DEFAULT_ROLES,
+  matchPermission,
+  hasPermission,
+  findInheritanceCycle,
+  getRolePermissions,
+  getAllPermissions,
+  invalidateRoleCache,
+} = require('../src/utils/permissionUtils');
+
+let roles;
+
+/**
+ * Wraps a value in a stand-in for a Mongoose query.
+ * @param {*} value - The result.
+ * @returns {object} A thenable with `select` and `lean`.
+ */
+function query(value) {
+  const result = {
+    select: () => result,
+    lean: () => result,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return result;
+}
+
+beforeEach(() => {
+  mock.restoreAll();
+  invalidateRoleCache();
+  roles = DEFAULT_ROLES.map(role => ({ ...role, isSystem: true }));
+
+  mock.method(Role, 'find', (filter = {}) => query(roles.filter(role => (
+    !filter.inherits || role.inherits.includes(filter.inherits)
+  ))));
+  mock.method(Role, 'findOne', ({ name }) => query(roles.find(role => role.name === name) || null));
+  mock.method(Role, 'exists', async ({ name }) => roles.some(role => role.name === name));
+  mock.method(Role, 'create', async (fields) => {
+    roles.push(fields);
+    return fields;
+  });
+  mock.method(Role, 'findOneAndUpdate', async ({ name }, update) => {
+    const role = roles.find(stored => stored.name === name);
+    for (const [key, value] of Object.entries(update)) {
+      if (value !== undefined) {
+        role[key] = value;
+      }
+    }
+    return role;
+  });
+  mock.method(User, 'countDocuments', async () => 0);
+  mock.method(Membership, 'countDocuments', async () => 0);
+});
+
+test('wildcards match whole segments', () => {
+  assert.equal(matchPermission('*:post', 'delete:post'), true);
+  assert.equal(matchPermission('read:*', 'read:user'), true);
+  assert.equal(matchPermission('read:*', 'update:user'), false);
+  assert.equal(matchPermission('view:*', 'view:own:stats'), true);
+  assert.equal(matchPermission('*:post', 'read:post:draft'), false);
+  assert.equal(matchPermission('read:post', 'read:post:draft'), false);
+  assert.equal(matchPermission('manage:all', 'delete:user'), true);
+  assert.equal(matchPermission('*', 'delete:user'), true);
+});
+
+test('a deny entry overrides every allow', () => {
+  assert.equal(hasPermission(['*:post', '!delete:post'], 'update:post'), true);
+  assert.equal(hasPermission(['*:post', '!delete:post'], 'delete:post'), false);
+  assert.equal(hasPermission(['!delete:*', 'manage:all'], 'delete:user'), false);
+  assert.equal(hasPermission([], 'read:post'), false);
+});
+
+test('the built-in roles inherit from each other', async () => {
+  const editor = await getRolePermissions('editor');
+  const admin = await getRolePermissions('admin');
+
+  assert.equal(hasPermission(editor, 'read:post'), true);
+  assert.equal(hasPermission(editor, 'delete:post'), false);
+  assert.ok(['read:post', 'update:post', 'view:own:stats'].every(permission => admin.includes(permission)));
+});
+
+test('an inherited deny entry still applies', async () => {
+  roles.push({ name: 'moderator', permissions: ['*:post', '!delete:*'], inherits: [] });
+  roles.push({ name: 'lead', permissions: ['delete:post'], inherits: ['moderator'] });
+
+  const lead = await getRolePermissions('lead');
+
+  assert.equal(hasPermission(lead, 'update:post'), true);
+  assert.equal(hasPermission(lead, 'delete:post'), false);
+});
+
+test('wildcards and deny entries are not offered as scopes', async () => {
+  roles.push({ name: 'moderator', permissions: ['*:post', '!delete:*', 'hide:comment'], inherits: [] });
+
+  const permissions = await getAllPermissions();
+
+  assert.ok(permissions.includes('hide:comment'));
+  assert.ok(!permissions.some(permission => permission.includes('*') || permission.startsWith('!')));
+});
+
+test('inheritance cycles are found', () => {
+  assert.equal(findInheritanceCycle(new Map([['a', ['b']], ['b', []]])), null);
+  assert.deepEqual(findInheritanceCycle(new Map([['a', ['b']], ['b', ['c']], ['c', ['a']]])), ['a', 'b', 'c', 'a']);
+});
+
+test('a role cannot inherit in a cycle or from an unknown role', async () => {
+  const cycle = await call(roleController.updateRole, { params: { name: 'user' }, body: { inherits: ['admin'] } });
+  const unknown = await call(roleController.createRole, { body: { name: 'support', inherits: ['nobody'] } });
+
+  assert.equal(cycle.statusCode, 400);
+  assert.match(cycle.body.message, /cycle/);
+  assert.equal(unknown.statusCode, 400);
+  assert.deepEqual(roles.find(role => role.name === 'user').inherits, []);
+});
+
+test('a role shows its effective permissions and cannot be deleted while inherited', async () => {
+  await call(roleController.createRole, { body: { name: 'support', permissions: ['read:user'], inherits: ['user'] } });
+  roles.push({ name: 'senior-support', permissions: [], inherits: ['support'] });
+
+  const res = await call(roleController.getRole, { params: { name: 'support' } });
+  const deletion = await call(roleController.deleteRole, { params: { name: 'support' } });
+
+  assert.deepEqual(res.body.effectivePermissions, ['read:user', 'read:post', 'read:self:user', 'update:self:user']);
+  assert.equal(deletion.statusCode, 409);
+  assert.match(deletion.body.message, /senior-support/);
+});
+
+test('the admin role cannot get deny entries', async () => {
+  const res = await call(roleController.addRolePermissions, { params: { name: 'admin' }, body: { permissions: ['!delete:user'] } });
+  const update = await call(roleController.updateRole, {
+    params: { name: 'admin' },
+    body: { permissions: ['manage:all', '!delete:user'] },
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(update.statusCode, 400);
+});
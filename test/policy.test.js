@@ -0,0 +1,123 @@
+/**
+ * @file policy.test.js
+ * @description Checks conditional permissions: the built-in `own` and `self`
+ * conditions, custom conditions, deny entries on conditional grants, and
+ * rbacMiddleware's resource loader. The Role model is replaced with an
+ * in-memory double, so no database is needed.
+ */
+
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTestEnv, createRequest, createResponse } = require('./helpers/express');
+
+setTestEnv();
+
+const rbacMiddleware = require('../src/middleware/rbacMiddleware');
+const Role = require('../src/models/roleModel');
+const { can, defineCondition } = require('../src/utils/policyUtils');
+const { DEFAULT_ROLES, invalidateRoleCache } = require('../src/utils/permissionUtils');
+const { ConfigurationError } = require('../src/utils/errors');
+
+const AUTHOR = { id: 'author-1', role: 'author' };
+const OTHER = { id: 'author-2', role: 'author' };
+let roles;
+
+beforeEach(() => {
+  mock.restoreAll();
+  invalidateRoleCache();
+  roles = [
+    ...DEFAULT_ROLES,
+    { name: 'author', permissions: ['read:post', 'update:own:post', 'delete:own:draft:post'], inherits: [] },
+    { name: 'restricted-author', permissions: ['!update:post'], inherits: ['author'] },
+  ];
+  mock.method(Role, 'find', () => ({ select: () => ({ lean: async () => roles }) }));
+});
+
+defineCondition('draft', (user, post) => post.status === 'draft');
+
+/**
+ * Runs rbacMiddleware with a resource loader.
+ * @param {string[]} permissions - The permissions the route requires.
+ * @param {object} user - The request user.
+ * @param {function} load - The resource loader.
+ * @returns {Promise<{req: object, res: object, allowed: boolean}>} The request, the response and whether `next` was called.
+ */
+async function check(permissions, user, load) {
+  const req = createRequest({ user, params: { id: 'post-1' } });
+  const res = createResponse();
+  let allowed = false;
+  await rbacMiddleware(permissions, { load })(req, res, () => {
+    allowed = true;
+  });
+  return { req, res, allowed };
+}
+
+test('own grants only apply to the user\'s resources', async () => {
+  const post = { _id: 'post-1', authorId: 'author-1', status: 'published' };
+
+  assert.equal(await can(AUTHOR, 'update:post', post), true);
+  assert.equal(await can(OTHER, 'update:post', post), false);
+  assert.equal(await can(AUTHOR, 'update:post'), false);
+  assert.equal(await can({ id: 'editor-1', role: 'editor' }, 'update:post', post), true);
+});
+
+test('every condition of a grant must hold', async () => {
+  const draft = { authorId: 'author-1', status: 'draft' };
+  const published = { authorId: 'author-1', status: 'published' };
+
+  assert.equal(await can(AUTHOR, 'delete:post', draft), true);
+  assert.equal(await can(AUTHOR, 'delete:post', published), false);
+  assert.equal(await can(OTHER, 'delete:post', draft), false);
+});
+
+test('the self condition lets users read their own account', async () => {
+  const user = { id: 'user-1', role: 'user' };
+
+  assert.equal(await can(user, 'read:user', { _id: 'user-1' }), true);
+  assert.equal(await can(user, 'read:user', { _id: 'user-2' }), false);
+  assert.equal(await can(user, 'delete:user', { _id: 'user-1' }), false);
+});
+
+test('a deny entry also denies the conditional grant', async () => {
+  const post = { authorId: 'author-1' };
+
+  assert.equal(await can({ id: 'author-1', role: 'restricted-author' }, 'update:post', post), false);
+  assert.equal(await can({ id: 'author-1', role: 'restricted-author' }, 'read:post', post), true);
+});
+
+test('scopes can carry conditions as well', async () => {
+  const token = { ...AUTHOR, client_id: 'app', scope: 'update:own:post' };
+
+  assert.equal(await can(token, 'update:post', { authorId: 'author-1' }), true);
+  assert.equal(await can(token, 'update:post', { authorId: 'author-2' }), false);
+});
+
+test('rbacMiddleware checks the loaded resource and passes it on', async () => {
+  const post = { _id: 'post-1', authorId: 'author-1' };
+
+  const own = await check(['update:post'], AUTHOR, async () => post);
+  const other = await check(['update:post'], OTHER, async () => post);
+
+  assert.equal(own.allowed, true);
+  assert.equal(own.req.resource, post);
+  assert.equal(other.allowed, false);
+  assert.equal(other.res.statusCode, 403);
+});
+
+test('a missing resource gets 404 and a failing loader 500', async (t) => {
+  t.mock.method(console, 'error', () => {});
+
+  const missing = await check(['update:post'], AUTHOR, async () => null);
+  const failing = await check(['update:post'], AUTHOR, async () => {
+    throw new Error('database down');
+  });
+
+  assert.equal(missing.res.statusCode, 404);
+  assert.equal(failing.res.statusCode, 500);
+  assert.equal(missing.allowed || failing.allowed, false);
+});
+
+test('condition names are checked when they are defined', () => {
+  assert.throws(() => defineCondition('Not valid', () => true), ConfigurationError);
+  assert.throws(() => defineCondition('draft', 'yes'), ConfigurationError);
+});
@@ -0,0 +1,138 @@
+/**
+ * @file rateLimit.test.js
+ * @description Checks rateLimitMiddleware: the 429 response and its headers,
+ * how clients and API keys are told apart, the sliding window, and that a
+ * failing store lets requests through.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRequest, createResponse } = require('./helpers/express');
+const rateLimitMiddleware = require('../src/middleware/rateLimitMiddleware');
+const { createMemoryRateLimitStore } = require('../src/stores/rateLimitStore');
+const { ConfigurationError } = require('../src/utils/errors');
+const { generateApiKey } = require('../src/utils/apiKeyUtils');
+
+/**
+ * Sends requests through a limiter.
+ * @param {function} limiter - The limiter middleware.
+ * @param {object[]} requests - The request fields, as for `createRequest`.
+ * @returns {Promise<object[]>} The responses; `passed` tells whether `next` was called.
+ */
+async function send(limiter, requests) {
+  const responses = [];
+  for (const fields of requests) {
+    const res = createResponse();
+    res.passed = false;
+    await limiter(createRequest(fields), res, () => {
+      res.passed = true;
+    });
+    responses.push(res);
+  }
+  return responses;
+}
+
+test('requests over the limit get 429 with Retry-After', async () => {
+  const limiter = rateLimitMiddleware({ limit: 2, window: '1m', store: createMemoryRateLimitStore() });
+
+  const responses = await send(limiter, [{}, {}, {}]);
+
+  assert.deepEqual(responses.map(res => res.passed), [true, true, false]);
+  assert.equal(responses[0].headers['ratelimit-policy'], '2;w=60');
+  assert.equal(responses[0].headers['ratelimit-limit'], '2');
+  assert.deepEqual(responses.map(res => res.headers['ratelimit-remaining']), ['1', '0', '0']);
+  assert.equal(responses[2].statusCode, 429);
+  assert.equal(responses[2].body.code, 'rate_limited');
+  const reset = Number(responses[2].headers['retry-after']);
+  assert.ok(reset >= 1 && reset <= 60);
+  assert.equal(responses[2].headers['ratelimit-reset'], String(reset));
+});
+
+test('clients are counted separately', async () => {
+  const store = createMemoryRateLimitStore();
+  const byIp = rateLimitMiddleware({ limit: 1, window: '1m', store });
+  const byUser = rateLimitMiddleware({ limit: 1, window: '1m', keyBy: 'user', store });
+
+  const ips = await send(byIp, [{ ip: '10.0.0.1' }, { ip: '10.0.0.2' }, { ip: '10.0.0.1' }]);
+  const users = await send(byUser, [
+    { user: { id: 'user-1' } },
+    { user: { id: 'user-2' } },
+    { user: { id: 'user-1' } },
+  ]);
+
+  assert.deepEqual(ips.map(res => res.passed), [true, true, false]);
+  assert.deepEqual(users.map(res => res.passed), [true, true, false]);
+});
+
+test('authenticated API keys are counted separately', async () => {
+  const limiter = rateLimitMiddleware({ limit: 1, window: '1m', keyBy: 'apiKey', store: createMemoryRateLimitStore() });
+
+  const responses = await send(limiter, [
+    { user: { id: 'user-1', api_key_id: 'key-1' } },
+    { user: { id: 'user-1', api_key_id: 'key-2' } },
+    { user: { id: 'user-1', api_key_id: 'key-1' } },
+  ]);
+
+  assert.deepEqual(responses.map(res => res.passed), [true, true, false]);
+});
+
+test('an unverified API key header does not escape the IP limit', async () => {
+  const limiter = rateLimitMiddleware({ limit: 1, window: '1m', keyBy: 'apiKey', store: createMemoryRateLimitStore() });
+
+  const responses = await send(limiter, [
+    { headers: { 'x-api-key': generateApiKey().key } },
+    { headers: { 'x-api-key': generateApiKey().key } },
+  ]);
+
+  assert.deepEqual(responses.map(res => res.passed), [true, false]);
+});
+
+test('limiters with different names keep their own counters', async () => {
+  const store = createMemoryRateLimitStore();
+  const login = rateLimitMiddleware({ limit: 1, window: '1m', name: 'login', store });
+  const register = rateLimitMiddleware({ limit: 1, window: '1m', name: 'register', store });
+
+  assert.equal((await send(login, [{}]))[0].passed, true);
+  assert.equal((await send(register, [{}]))[0].passed, true);
+  assert.equal((await send(login, [{}]))[0].passed, false);
+});
+
+test('the sliding window counts the overlapping part of the previous window', async () => {
+  // The previous window used the whole limit; the fixed window ignores it
+  const store = { increment: async () => 1, get: async () => 10 };
+  const sliding = rateLimitMiddleware({ limit: 10, window: '1h', algorithm: 'sliding-window', store });
+  const fixed = rateLimitMiddleware({ limit: 10, window: '1h', store });
+
+  const [slid] = await send(sliding, [{}]);
+  const [fix] = await send(fixed, [{}]);
+
+  const windowMs = 60 * 60 * 1000;
+  const overlap = 1 - (Date.now() % windowMs) / windowMs;
+  assert.equal(slid.headers['ratelimit-remaining'], String(Math.max(0, 10 - Math.ceil(10 * overlap) - 1)));
+  assert.equal(fix.headers['ratelimit-remaining'], '9');
+});
+
+test('a failing store lets requests through', async (t) => {
+  const store = { increment: async () => { throw new Error('store down'); }, get: async () => 0 };
+  const limiter = rateLimitMiddleware({ limit: 1, window: '1m', store });
+  t.mock.method(console, 'error', () => {});
+
+  const responses = await send(limiter, [{}, {}]);
+
+  assert.deepEqual(responses.map(res => res.passed), [true, true]);
+  assert.equal(responses[0].headers['ratelimit-limit'], undefined);
+});
+
+test('invalid options are refused when the limiter is created', () => {
+  const invalid = [
+    { limit: 0 },
+    { window: '10ms' },
+    { algorithm: 'token-bucket' },
+    { keyBy: 'session' },
+    { store: {} },
+  ];
+  for (const options of invalid) {
+    assert.throws(() => rateLimitMiddleware(options), ConfigurationError);
+  }
+});
+
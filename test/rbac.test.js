@@ -0,0 +1,65 @@
+/**
+ * @file rbac.test.js
+ * @description Checks how rbacMiddleware combines token scopes with roles. The
+ * built-in roles are served from an in-memory Role model, so no database is needed.
+ */
+
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTestEnv, createRequest, createResponse } = require('./helpers/express');
+
+setTestEnv();
+
+const rbacMiddleware = require('../src/middleware/rbacMiddleware');
+const { can } = require('../src/utils/policyUtils');
+const { DEFAULT_ROLES, invalidateRoleCache } = require('../src/utils/permissionUtils');
+const Role = require('../src/models/roleModel');
+
+beforeEach(() => {
+  mock.restoreAll();
+  invalidateRoleCache();
+  mock.method(Role, 'find', () => ({ select: () => ({ lean: async () => DEFAULT_ROLES }) }));
+});
+
+/**
+ * Runs rbacMiddleware for a request user.
+ * @param {string[]} permissions - The permissions the route requires.
+ * @param {object} user - The request user (the decoded token).
+ * @returns {Promise<{allowed: boolean, res: object}>} Whether `next` was called, and the response.
+ */
+async function check(permissions, user) {
+  const res = createResponse();
+  let allowed = false;
+  await rbacMiddleware(permissions)(createRequest({ user }), res, () => {
+    allowed = true;
+  });
+  return { allowed, res };
+}
+
+test('an OAuth token needs a scope for the permission', async () => {
+  const { allowed, res } = await check(['update:post'], {
+    id: 'user-1', role: 'admin', client_id: 'app', scope: 'read:post',
+  });
+
+  assert.equal(allowed, false);
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(res.body.failed, ['update:post']);
+});
+
+test('an OAuth token acting for a user needs the user\'s current role as well', async () => {
+  const user = { id: 'user-1', role: 'user', client_id: 'app', scope: 'read:post update:post' };
+
+  assert.equal((await check(['read:post'], user)).allowed, true);
+
+  const { allowed, res } = await check(['update:post'], user);
+  assert.equal(allowed, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(await can(user, 'update:post'), false);
+});
+
+test('a client credentials token is limited by its scope alone', async () => {
+  const client = { client_id: 'app', scope: 'update:post' };
+
+  assert.equal((await check(['update:post'], client)).allowed, true);
+  assert.equal(await can(client, 'update:post'), true);
+});
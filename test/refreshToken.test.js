@@ -0,0 +1,103 @@
+/**
+ * @file refreshToken.test.js
+ * @description Checks refresh token rotation and reuse detection. The Mongoose
+ * models are replaced with in-memory doubles, so no database is needed.
+ */
+
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { setTestEnv, call } = require('./helpers/express');
+const { mockSessions } = require('./helpers/sessions');
+
+setTestEnv();
+
+const authController = require('../src/controllers/authController');
+const User = require('../src/models/userModel');
+const RefreshToken = require('../src/models/refreshTokenModel');
+
+const PASSWORD = 'correct horse battery staple';
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+let user;
+let refreshTokens;
+
+/**
+ * Tells whether a stored refresh token matches a query; a null value matches
+ * an unset field, as in MongoDB.
+ * @param {object} record - The stored token.
+ * @param {object} filter - The query.
+ * @returns {boolean} True if every field matches.
+ */
+const matches = (record, filter) => Object.entries(filter).every(([key, value]) => (record[key] ?? null) === value);
+
+beforeEach(() => {
+  mock.restoreAll();
+  mockSessions();
+  refreshTokens = [];
+  user = {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'ada@example.com',
+    password: passwordHash,
+    role: 'user',
+    isActive: true,
+  };
+
+  mock.method(User, 'findOne', () => ({ select: async () => user }));
+  mock.method(User, 'findById', async () => user);
+  mock.method(RefreshToken, 'create', async (fields) => {
+    refreshTokens.push({ ...fields, usedAt: null, revokedAt: null });
+  });
+  mock.method(RefreshToken, 'findOne', async (filter) => refreshTokens.find(record => matches(record, filter)) || null);
+  mock.method(RefreshToken, 'findOneAndUpdate', async (filter, update) => {
+    const record = refreshTokens.find(stored => matches(stored, filter));
+    return record ? Object.assign(record, update) : null;
+  });
+  mock.method(RefreshToken, 'updateMany', async (filter, update) => {
+    refreshTokens.filter(record => matches(record, filter)).forEach(record => Object.assign(record, update));
+  });
+});
+
+const login = () => call(authController.login, { body: { email: user.email, password: PASSWORD } });
+const refresh = (refreshToken) => call(authController.refresh, { body: { refreshToken } });
+
+test('a refresh token is exchanged for a new pair of the same family', async () => {
+  const { body: tokens } = await login();
+
+  const res = await refresh(tokens.refreshToken);
+
+  assert.equal(res.statusCode, 200);
+  assert.notEqual(res.body.refreshToken, tokens.refreshToken);
+  assert.equal(jwt.decode(res.body.token).id, String(user._id));
+  assert.equal(jwt.decode(res.body.refreshToken).family, jwt.decode(tokens.refreshToken).family);
+});
+
+test('replaying a used refresh token revokes its whole family', async () => {
+  const { body: tokens } = await login();
+  const { body: rotated } = await refresh(tokens.refreshToken);
+
+  const replay = await refresh(tokens.refreshToken);
+
+  assert.equal(replay.statusCode, 401);
+  assert.ok(refreshTokens.every(record => record.revokedAt));
+  assert.equal((await refresh(rotated.refreshToken)).statusCode, 401);
+});
+
+test('a deactivated user cannot refresh', async () => {
+  const { body: tokens } = await login();
+  user.isActive = false;
+
+  const res = await refresh(tokens.refreshToken);
+
+  assert.equal(res.statusCode, 401);
+});
+
+test('a refresh token signed with another secret is refused', async () => {
+  const forged = jwt.sign({ id: String(user._id), family: 'family' }, 'another-secret', { jwtid: 'jti' });
+
+  const res = await refresh(forged);
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(refreshTokens.length, 0);
+});
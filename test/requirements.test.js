@@ -0,0 +1,113 @@
+/**
+ * @file requirements.test.js
+ * @description Checks requirement expressions: `anyOf`, `allOf`, `not` and
+ * `condition` in rbacMiddleware and `can()`, and the `failed` list of a 403.
+ * The Role model is replaced with an in-memory double, so no database is needed.
+ */
+
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTestEnv, createRequest, createResponse } = require('./helpers/express');
+
+setTestEnv();
+
+const rbacMiddleware = require('../src/middleware/rbacMiddleware');
+const { anyOf, allOf, not, condition, can } = rbacMiddleware;
+const Role = require('../src/models/roleModel');
+const { defineCondition } = require('../src/utils/policyUtils');
+const { DEFAULT_ROLES, invalidateRoleCache } = require('../src/utils/permissionUtils');
+const { ConfigurationError } = require('../src/utils/errors');
+
+const ADMIN = { id: 'admin-1', role: 'admin' };
+const AUTHOR = { id: 'author-1', role: 'user' };
+const READER = { id: 'reader-1', role: 'user' };
+const POST = { _id: 'post-1', authorId: 'author-1' };
+
+beforeEach(() => {
+  mock.restoreAll();
+  invalidateRoleCache();
+  mock.method(Role, 'find', () => ({ select: () => ({ lean: async () => DEFAULT_ROLES }) }));
+});
+
+defineCondition('suspended', (user, account) => account.isActive === false);
+
+/**
+ * Runs rbacMiddleware for a request user and a resource.
+ * @param {string[]|object} requirement - The route's requirement.
+ * @param {object} user - The request user.
+ * @param {object} [resource] - The resource the loader returns.
+ * @returns {Promise<{allowed: boolean, res: object}>} Whether `next` was called, and the response.
+ */
+async function check(requirement, user, resource) {
+  const res = createResponse();
+  let allowed = false;
+  const options = resource ? { load: async () => resource } : {};
+  await rbacMiddleware(requirement, options)(createRequest({ user }), res, () => {
+    allowed = true;
+  });
+  return { allowed, res };
+}
+
+test('anyOf is met by any of its requirements', async () => {
+  const requirement = anyOf('delete:post', condition('own'));
+
+  assert.equal((await check(requirement, ADMIN, POST)).allowed, true);
+  assert.equal((await check(requirement, AUTHOR, POST)).allowed, true);
+
+  const { allowed, res } = await check(requirement, READER, POST);
+  assert.equal(allowed, false);
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(res.body.failed, ['anyOf(delete:post, condition(own))']);
+});
+
+test('not inverts a requirement', async () => {
+  const requirement = allOf('read:user', not(condition('suspended')));
+
+  assert.equal((await check(requirement, ADMIN, { _id: 'user-1', isActive: true })).allowed, true);
+
+  const { allowed, res } = await check(requirement, ADMIN, { _id: 'user-1', isActive: false });
+  assert.equal(allowed, false);
+  assert.deepEqual(res.body.failed, ['not(condition(suspended))']);
+});
+
+test('a list still requires every permission and reports the missing ones', async () => {
+  const { allowed, res } = await check(['read:post', 'update:post', 'delete:post'], READER);
+
+  assert.equal(allowed, false);
+  assert.deepEqual(res.body.failed, ['update:post', 'delete:post']);
+});
+
+test('expressions nest and work in can()', async () => {
+  const requirement = anyOf(allOf('read:post', condition('own')), 'manage:all');
+
+  assert.equal(await can(AUTHOR, requirement, POST), true);
+  assert.equal(await can(READER, requirement, POST), false);
+  assert.equal(await can(ADMIN, requirement, POST), true);
+  assert.equal(await can(AUTHOR, condition('own')), false);
+});
+
+test('scoped tokens report the missing scopes', async () => {
+  const token = { client_id: 'app', scope: 'read:post' };
+
+  const { allowed, res } = await check(allOf('read:post', 'update:post'), token);
+
+  assert.equal(allowed, false);
+  assert.deepEqual(res.body.failed, ['update:post']);
+});
+
+test('invalid expressions are refused when the route is defined', () => {
+  assert.throws(() => anyOf(), ConfigurationError);
+  assert.throws(() => allOf('read:post', 42), ConfigurationError);
+  assert.throws(() => not({ op: 'xor' }), ConfigurationError);
+  assert.throws(() => condition(), ConfigurationError);
+  assert.throws(() => rbacMiddleware(''), ConfigurationError);
+});
+
+test('an unknown condition fails the request with 500', async (t) => {
+  t.mock.method(console, 'error', () => {});
+
+  const { allowed, res } = await check(condition('archived'), ADMIN, POST);
+
+  assert.equal(allowed, false);
+  assert.equal(res.statusCode, 500);
+});
@@ -0,0 +1,115 @@
+/**
+ * @file revocation.test.js
+ * @description Checks that logging out revokes access tokens and refresh
+ * tokens. Revocations go to the in-memory store, and the refresh token model
+ * is replaced with an in-memory double, so no database is needed.
+ */
+
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { setTestEnv, call, createRequest, createResponse } = require('./helpers/express');
+const { mockSessions } = require('./helpers/sessions');
+
+setTestEnv();
+
+const authController = require('../src/controllers/authController');
+const authMiddleware = require('../src/middleware/authMiddleware');
+const jwtUtils = require('../src/utils/jwtUtils');
+const RefreshToken = require('../src/models/refreshTokenModel');
+const { createMemoryRevocationStore, setRevocationStore } = require('../src/stores/revocationStore');
+
+let revokedFamilies;
+let revokedUsers;
+
+beforeEach(() => {
+  mock.restoreAll();
+  mockSessions();
+  setRevocationStore(createMemoryRevocationStore());
+  revokedFamilies = [];
+  revokedUsers = [];
+  mock.method(RefreshToken, 'revokeFamily', async (family) => revokedFamilies.push(family));
+  mock.method(RefreshToken, 'revokeAllForUser', async (userId) => revokedUsers.push(userId));
+});
+
+/**
+ * Authenticates a request with an access token.
+ * @param {string} token - The access token.
+ * @returns {Promise<{req: object, res: object, passed: boolean}>} The request, the response and whether `next` was called.
+ */
+async function authenticate(token) {
+  const req = createRequest({ headers: { authorization: `Bearer ${token}` } });
+  const res = createResponse();
+  let passed = false;
+  await authMiddleware(req, res, () => {
+    passed = true;
+  });
+  return { req, res, passed };
+}
+
+test('every access token gets its own jti', () => {
+  const first = jwt.decode(jwtUtils.generateToken({ id: 'user-1' }));
+  const second = jwt.decode(jwtUtils.generateToken({ id: 'user-1' }));
+
+  assert.ok(first.jti);
+  assert.notEqual(first.jti, second.jti);
+});
+
+test('logging out revokes the access token and the refresh token family', async () => {
+  const token = jwtUtils.generateToken({ id: 'user-1' });
+  const { req, passed } = await authenticate(token);
+  assert.equal(passed, true);
+  const refreshToken = jwt.sign({ id: 'user-1', family: 'family-1' }, process.env.JWT_REFRESH_SECRET);
+
+  const res = await call(authController.logout, { user: req.user, body: { refreshToken } });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(revokedFamilies, ['family-1']);
+  const after = await authenticate(token);
+  assert.equal(after.passed, false);
+  assert.equal(after.res.statusCode, 401);
+});
+
+test('logging out does not revoke the refresh tokens of another user', async () => {
+  const { req } = await authenticate(jwtUtils.generateToken({ id: 'user-1' }));
+  const refreshToken = jwt.sign({ id: 'user-2', family: 'family-2' }, process.env.JWT_REFRESH_SECRET);
+
+  await call(authController.logout, { user: req.user, body: { refreshToken } });
+
+  assert.deepEqual(revokedFamilies, []);
+});
+
+test('logging out everywhere revokes every token issued so far', async () => {
+  const first = jwtUtils.generateToken({ id: 'user-1' });
+  const second = jwtUtils.generateToken({ id: 'user-1' });
+  const other = jwtUtils.generateToken({ id: 'user-2' });
+  const { req } = await authenticate(first);
+
+  const res = await call(authController.logoutAll, { user: req.user });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(revokedUsers, ['user-1']);
+  assert.equal((await authenticate(first)).passed, false);
+  assert.equal((await authenticate(second)).passed, false);
+  assert.equal((await authenticate(other)).passed, true);
+});
+
+test('a token issued right after logging out everywhere stays valid', async () => {
+  const { req } = await authenticate(jwtUtils.generateToken({ id: 'user-1' }));
+  await call(authController.logoutAll, { user: req.user });
+
+  // Issued in the same second as the revocation, so only `iat_ms` tells them apart.
+  const token = jwtUtils.generateToken({ id: 'user-1', iat_ms: Date.now() + 1 });
+
+  assert.equal((await authenticate(token)).passed, true);
+});
+
+test('revocations are forgotten once the token has expired anyway', async () => {
+  const store = createMemoryRevocationStore();
+
+  await store.revoke('expired', new Date(Date.now() - 1000));
+  await store.revoke('valid', new Date(Date.now() + 60000));
+
+  assert.equal(await store.isRevoked('expired'), false);
+  assert.equal(await store.isRevoked('valid'), true);
+});
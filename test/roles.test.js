@@ -0,0 +1,211 @@
+/**
+ * @file roles.test.js
+ * @description Checks that roles are loaded from the database, seeded on first
+ * use and cached, and that admins' changes to them apply from the next
+ * request. The Mongoose models are replaced with in-memory doubles, so no
+ * database is needed.
+ */
+
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTestEnv, createRequest, createResponse, call } = require('./helpers/express');
+
+setTestEnv();
+
+const roleController = require('../src/controllers/roleController');
+const rbacMiddleware = require('../src/middleware/rbacMiddleware');
+const Role = require('../src/models/roleModel');
+const User = require('../src/models/userModel');
+const Membership = require('../src/models/membershipModel');
+const { getRolePermissions, invalidateRoleCache } = require('../src/utils/permissionUtils');
+
+let roles;
+let roleReads;
+let userRoles;
+
+/**
+ * Wraps a value in a stand-in for a Mongoose query.
+ * @param {*} value - The result.
+ * @returns {object} A thenable with `select`, `lean` and `sort`.
+ */
+function query(value) {
+  const result = {
+    select: () => result,
+    lean: () => result,
+    sort: () => result,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return result;
+}
+
+/**
+ * Stores a role in the in-memory collection.
+ * @param {object} fields - The role's fields.
+ * @returns {object} The stored role, with a `deleteOne` method.
+ */
+function storeRole(fields) {
+  const role = {
+    description: '',
+    permissions: [],
+    isSystem: false,
+    ...fields,
+    async deleteOne() {
+      roles = roles.filter(stored => stored !== role);
+    },
+  };
+  roles.push(role);
+  return role;
+}
+
+/**
+ * Applies a role update the way MongoDB would, for the operators the
+ * controller uses.
+ * @param {object} role - The stored role.
+ * @param {object} update - The update.
+ */
+function applyUpdate(role, update) {
+  for (const [key, value] of Object.entries(update)) {
+    if (key === '$addToSet') {
+      role.permissions = [...new Set([...role.permissions, ...value.permissions.$each])];
+    } else if (key === '$pull') {
+      role.permissions = role.permissions.filter(permission => permission !== value.permissions);
+    } else if (value !== undefined) {
+      role[key] = value;
+    }
+  }
+}
+
+beforeEach(() => {
+  mock.restoreAll();
+  invalidateRoleCache();
+  roles = [];
+  roleReads = 0;
+  userRoles = ['admin', 'editor', 'user', 'user'];
+
+  mock.method(Role, 'find', (filter = {}) => {
+    roleReads += 1;
+    const matching = roles.filter(role => !filter.inherits || (role.inherits || []).includes(filter.inherits));
+    return query(matching.map(role => ({ ...role })));
+  });
+  mock.method(Role, 'findOne', ({ name }) => query(roles.find(role => role.name === name) || null));
+  mock.method(Role, 'exists', async ({ name }) => roles.some(role => role.name === name));
+  mock.method(Role, 'create', async (fields) => storeRole(fields));
+  mock.method(Role, 'findOneAndUpdate', async ({ name }, update) => {
+    const role = roles.find(stored => stored.name === name);
+    if (role) {
+      applyUpdate(role, update);
+    }
+    return role || null;
+  });
+  mock.method(Role, 'bulkWrite', async (operations) => {
+    for (const { updateOne: { filter, update } } of operations) {
+      if (!roles.some(role => role.name === filter.name)) {
+        storeRole(update.$setOnInsert);
+      }
+    }
+  });
+  mock.method(User, 'countDocuments', async ({ role }) => userRoles.filter(name => name === role).length);
+  mock.method(User, 'aggregate', async () => [...new Set(userRoles)].map(name => ({
+    _id: name,
+    count: userRoles.filter(role => role === name).length,
+  })));
+  mock.method(Membership, 'countDocuments', async () => 0);
+});
+
+/**
+ * Runs rbacMiddleware for a user with a role.
+ * @param {string[]} permissions - The permissions the route requires.
+ * @param {string} role - The user's role.
+ * @returns {Promise<boolean>} Whether the request was let through.
+ */
+async function allows(permissions, role) {
+  let allowed = false;
+  await rbacMiddleware(permissions)(createRequest({ user: { id: 'user-1', role } }), createResponse(), () => {
+    allowed = true;
+  });
+  return allowed;
+}
+
+test('the built-in roles are created on first use', async () => {
+  assert.deepEqual(await getRolePermissions('user'), ['read:post', 'read:self:user', 'update:self:user']);
+
+  assert.deepEqual(roles.map(role => role.name), ['admin', 'editor', 'user', 'org_admin']);
+  assert.ok(roles.every(role => role.isSystem));
+  assert.equal(await allows(['update:post'], 'editor'), true);
+  assert.equal(await allows(['update:post'], 'user'), false);
+});
+
+test('roles are read from the database once per cache lifetime', async () => {
+  await getRolePermissions('admin');
+  const reads = roleReads;
+
+  await Promise.all([getRolePermissions('editor'), allows(['read:post'], 'user')]);
+
+  assert.equal(roleReads, reads);
+});
+
+test('a new role can be used from the next request', async () => {
+  assert.equal(await allows(['read:post'], 'support'), false);
+
+  const res = await call(roleController.createRole, {
+    body: { name: 'support', description: 'Helps customers.', permissions: ['read:user', 'read:post'] },
+  });
+
+  assert.equal(res.statusCode, 201);
+  assert.equal(res.body.role.userCount, 0);
+  assert.equal(await allows(['read:user'], 'support'), true);
+
+  const duplicate = await call(roleController.createRole, { body: { name: 'support' } });
+  assert.equal(duplicate.statusCode, 409);
+});
+
+test('changed permissions apply from the next request', async () => {
+  assert.equal(await allows(['delete:post'], 'editor'), false);
+
+  await call(roleController.addRolePermissions, { params: { name: 'editor' }, body: { permissions: ['delete:post'] } });
+  assert.equal(await allows(['delete:post'], 'editor'), true);
+
+  await call(roleController.removeRolePermission, { params: { name: 'editor', permission: 'delete:post' } });
+  assert.equal(await allows(['delete:post'], 'editor'), false);
+
+  const res = await call(roleController.updateRole, { params: { name: 'user' }, body: { permissions: [] } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(await allows(['read:post'], 'user'), false);
+});
+
+test('the admin role keeps manage:all', async () => {
+  await getRolePermissions('admin');
+
+  const update = await call(roleController.updateRole, { params: { name: 'admin' }, body: { permissions: ['read:user'] } });
+  const removal = await call(roleController.removeRolePermission, { params: { name: 'admin', permission: 'manage:all' } });
+
+  assert.equal(update.statusCode, 400);
+  assert.equal(removal.statusCode, 400);
+  assert.ok((await getRolePermissions('admin')).includes('manage:all'));
+});
+
+test('only unused custom roles can be deleted', async () => {
+  await getRolePermissions('admin');
+  storeRole({ name: 'support', permissions: ['read:user'] });
+  storeRole({ name: 'auditor', permissions: ['read:user'] });
+  userRoles.push('support');
+
+  const builtIn = await call(roleController.deleteRole, { params: { name: 'user' } });
+  const inUse = await call(roleController.deleteRole, { params: { name: 'support' } });
+  const unused = await call(roleController.deleteRole, { params: { name: 'auditor' } });
+
+  assert.equal(builtIn.statusCode, 400);
+  assert.equal(inUse.statusCode, 409);
+  assert.equal(unused.statusCode, 200);
+  assert.deepEqual(await getRolePermissions('auditor'), []);
+});
+
+test('roles are listed with how many users have them', async () => {
+  await getRolePermissions('admin');
+
+  const res = await call(roleController.getRoles);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.count, 4);
+  assert.deepEqual(res.body.roles.map(role => [role.name, role.userCount]), [['admin', 1], ['editor', 1], ['user', 2], ['org_admin', 0]]);
+});
@@ -0,0 +1,179 @@
+/**
+ * @file sessions.test.js
+ * @description Checks that each login starts a session, that refreshing keeps
+ * it, and that revoking a session logs that device out: its refresh token and
+ * access tokens stop working. The Mongoose models are replaced with in-memory
+ * doubles, so no database is needed.
+ */
+
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { setTestEnv, createRequest, createResponse, call } = require('./helpers/express');
+const { mockSessions } = require('./helpers/sessions');
+
+setTestEnv();
+
+const authController = require('../src/controllers/authController');
+const authMiddleware = require('../src/middleware/authMiddleware');
+const User = require('../src/models/userModel');
+const RefreshToken = require('../src/models/refreshTokenModel');
+const { createMemoryRevocationStore, setRevocationStore } = require('../src/stores/revocationStore');
+
+const PASSWORD = 'correct horse battery staple';
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+let user;
+let sessions;
+let refreshTokens;
+
+/**
+ * Tells whether a stored refresh token matches a query; a null value matches
+ * an unset field, as in MongoDB.
+ * @param {object} record - The stored token.
+ * @param {object} filter - The query.
+ * @returns {boolean} True if every field matches.
+ */
+const matches = (record, filter) => Object.entries(filter).every(([key, value]) => (
+  String(record[key] ?? null) === String(value ?? null)
+));
+
+/**
+ * Wraps a value in a stand-in for a Mongoose query.
+ * @param {*} value - The result.
+ * @returns {object} A thenable with `select` and `lean`.
+ */
+function query(value) {
+  const result = {
+    select: () => result,
+    lean: () => result,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return result;
+}
+
+beforeEach(() => {
+  mock.restoreAll();
+  sessions = mockSessions();
+  setRevocationStore(createMemoryRevocationStore());
+  refreshTokens = [];
+  user = {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'ada@example.com',
+    password: passwordHash,
+    role: 'user',
+    isActive: true,
+    tokenVersion: 0,
+  };
+
+  mock.method(User, 'findOne', () => ({ select: async () => user }));
+  mock.method(User, 'findById', () => query(user));
+  mock.method(RefreshToken, 'create', async (fields) => {
+    refreshTokens.push({ ...fields, usedAt: null, revokedAt: null });
+  });
+  mock.method(RefreshToken, 'findOne', async (filter) => refreshTokens.find(record => matches(record, filter)) || null);
+  mock.method(RefreshToken, 'findOneAndUpdate', async (filter, update) => {
+    const record = refreshTokens.find(stored => matches(stored, filter));
+    return record ? Object.assign(record, update) : null;
+  });
+  mock.method(RefreshToken, 'updateMany', async (filter, update) => {
+    refreshTokens.filter(record => matches(record, filter)).forEach(record => Object.assign(record, update));
+  });
+});
+
+/**
+ * Logs in from a device.
+ * @param {string} userAgent - The device's User-Agent header.
+ * @returns {Promise<object>} The token pair.
+ */
+async function login(userAgent) {
+  const res = await call(authController.login, {
+    body: { email: user.email, password: PASSWORD },
+    headers: { 'user-agent': userAgent },
+  });
+  return res.body;
+}
+
+/**
+ * Authenticates a request with an access token.
+ * @param {string} token - The access token.
+ * @returns {Promise<object>} The request if it was let through, otherwise null.
+ */
+async function authenticate(token) {
+  const req = createRequest({ headers: { authorization: `Bearer ${token}` } });
+  let passed = false;
+  await authMiddleware(req, createResponse(), () => {
+    passed = true;
+  });
+  return passed ? req : null;
+}
+
+test('each login starts a session that refreshing keeps', async () => {
+  const tokens = await login('Laptop');
+
+  assert.equal(sessions.length, 1);
+  const sid = String(sessions[0]._id);
+  assert.equal(sessions[0].userAgent, 'Laptop');
+  assert.equal(sessions[0].ip, '127.0.0.1');
+  assert.equal(jwt.decode(tokens.token).sid, sid);
+  assert.equal(jwt.decode(tokens.refreshToken).family, sid);
+
+  const refreshed = await call(authController.refresh, { body: { refreshToken: tokens.refreshToken } });
+
+  assert.equal(refreshed.statusCode, 200);
+  assert.equal(sessions.length, 1);
+  assert.equal(jwt.decode(refreshed.body.token).sid, sid);
+});
+
+test('the session list marks the current device', async () => {
+  const laptop = await login('Laptop');
+  await login('Phone');
+  const req = await authenticate(laptop.token);
+
+  const res = await call(authController.getSessions, { user: req.user });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.count, 2);
+  assert.deepEqual(res.body.sessions.map(session => [session.userAgent, session.current]), [['Phone', false], ['Laptop', true]]);
+});
+
+test('revoking a session logs that device out and no other', async () => {
+  const laptop = await login('Laptop');
+  const phone = await login('Phone');
+  const { user: requestUser } = await authenticate(laptop.token);
+
+  const res = await call(authController.deleteSession, {
+    user: requestUser,
+    params: { id: jwt.decode(phone.token).sid },
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(await authenticate(phone.token), null);
+  assert.equal((await call(authController.refresh, { body: { refreshToken: phone.refreshToken } })).statusCode, 401);
+  assert.ok(await authenticate(laptop.token));
+});
+
+test('another user\'s session cannot be revoked', async () => {
+  const laptop = await login('Laptop');
+
+  const res = await call(authController.deleteSession, {
+    user: { id: String(new mongoose.Types.ObjectId()) },
+    params: { id: jwt.decode(laptop.token).sid },
+  });
+
+  assert.equal(res.statusCode, 404);
+  assert.ok(await authenticate(laptop.token));
+});
+
+test('logging out everywhere revokes every session', async () => {
+  const laptop = await login('Laptop');
+  await login('Phone');
+  const { user: requestUser } = await authenticate(laptop.token);
+
+  await call(authController.logoutAll, { user: requestUser });
+
+  assert.ok(sessions.every(session => session.revokedAt));
+  const res = await call(authController.getSessions, { user: requestUser });
+  assert.deepEqual(res.body.sessions, []);
+});
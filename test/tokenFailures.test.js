@@ -0,0 +1,112 @@
+/**
+ * @file tokenFailures.test.js
+ * @description Checks that rejected tokens report why they failed, and that the
+ * auth middleware answers with the matching RFC 6750 WWW-Authenticate challenge.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { setTestEnv, createRequest, createResponse } = require('./helpers/express');
+
+setTestEnv();
+
+const authMiddleware = require('../src/middleware/authMiddleware');
+const jwtUtils = require('../src/utils/jwtUtils');
+const { setRevocationStore, createMemoryRevocationStore } = require('../src/stores/revocationStore');
+
+const store = createMemoryRevocationStore();
+setRevocationStore(store);
+
+const { AUTH_ERROR_CODES } = authMiddleware;
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Runs the auth middleware with the given Authorization header.
+ * @param {string} [authorization] - The header value; omitted when undefined.
+ * @returns {Promise<{req: object, res: object, nextCalled: boolean}>} The request, the response and whether `next` was called.
+ */
+async function authenticate(authorization) {
+  const req = createRequest({ headers: authorization === undefined ? {} : { authorization } });
+  const res = createResponse();
+  let nextCalled = false;
+  await authMiddleware(req, res, () => { nextCalled = true; });
+  return { req, res, nextCalled };
+}
+
+test('verifyTokenDetailed reports why a token was rejected', () => {
+  const secret = process.env.JWT_SECRET;
+  const expired = jwt.sign({ id: 'user-1', exp: now() - 60 }, secret);
+  const notYet = jwt.sign({ id: 'user-1', nbf: now() + 600 }, secret);
+  const forged = jwt.sign({ id: 'user-1' }, 'some-other-secret');
+
+  assert.equal(jwtUtils.verifyTokenDetailed(undefined).reason, 'token_missing');
+  assert.equal(jwtUtils.verifyTokenDetailed('not-a-jwt').reason, 'token_malformed');
+  assert.equal(jwtUtils.verifyTokenDetailed(forged).reason, 'token_invalid');
+
+  const expiredResult = jwtUtils.verifyTokenDetailed(expired);
+  assert.equal(expiredResult.reason, 'token_expired');
+  assert.ok(expiredResult.date instanceof Date);
+
+  const notYetResult = jwtUtils.verifyTokenDetailed(notYet);
+  assert.equal(notYetResult.reason, 'token_not_active');
+  assert.ok(notYetResult.date instanceof Date);
+
+  const valid = jwtUtils.verifyTokenDetailed(jwtUtils.generateToken({ id: 'user-1' }));
+  assert.equal(valid.valid, true);
+  assert.equal(valid.payload.id, 'user-1');
+});
+
+test('a request without credentials gets a bare Bearer challenge', async () => {
+  const { res, nextCalled } = await authenticate();
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.headers['www-authenticate'], 'Bearer');
+  assert.equal(res.body.code, AUTH_ERROR_CODES.MISSING);
+});
+
+test('a malformed Authorization header is a 400 invalid_request', async () => {
+  for (const header of ['Basic abc', 'Bearer', 'Bearer a b']) {
+    const { res } = await authenticate(header);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.headers['www-authenticate'], /^Bearer error="invalid_request"/);
+    assert.equal(res.body.code, 'authorization_malformed');
+  }
+});
+
+test('an expired token is a 401 invalid_token the client can refresh', async () => {
+  const expired = jwt.sign({ id: 'user-1', exp: now() - 60 }, process.env.JWT_SECRET);
+
+  const { res } = await authenticate(`Bearer ${expired}`);
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(
+    res.headers['www-authenticate'],
+    'Bearer error="invalid_token", error_description="The access token expired"'
+  );
+  assert.deepEqual(res.body, { error: 'The access token expired.', code: 'token_expired' });
+});
+
+test('a revoked token reports token_revoked', async () => {
+  const token = jwtUtils.generateToken({ id: 'user-1' });
+  const { jti, exp } = jwtUtils.verifyToken(token);
+  await store.revoke(jti, new Date(exp * 1000));
+
+  const { res } = await authenticate(`Bearer ${token}`);
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.code, 'token_revoked');
+  assert.match(res.headers['www-authenticate'], /error="invalid_token"/);
+});
+
+test('a valid token passes and its payload is attached to the request', async () => {
+  const token = jwtUtils.generateToken({ id: 'user-1', role: 'user' });
+
+  const { req, res, nextCalled } = await authenticate(`bearer ${token}`);
+
+  assert.equal(nextCalled, true);
+  assert.equal(res.headers['www-authenticate'], undefined);
+  assert.equal(req.user.id, 'user-1');
+});
@@ -0,0 +1,221 @@
+/**
+ * @file twoFactor.test.js
+ * @description Checks TOTP two-factor authentication: enrollment, the two-step
+ * login, single-use codes and recovery codes, and roles that require 2FA. The
+ * user document is kept in memory and updated like MongoDB would.
+ */
+
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { setTestEnv, createRequest, createResponse, call } = require('./helpers/express');
+const { mockSessions } = require('./helpers/sessions');
+
+setTestEnv();
+process.env.LOGIN_DELAY_BASE = '1ms';
+process.env.LOGIN_DELAY_MAX = '1ms';
+
+const authController = require('../src/controllers/authController');
+const rbacMiddleware = require('../src/middleware/rbacMiddleware');
+const User = require('../src/models/userModel');
+const RefreshToken = require('../src/models/refreshTokenModel');
+const mfaUtils = require('../src/utils/mfaUtils');
+const { createMemoryLoginAttemptStore, setLoginAttemptStore } = require('../src/stores/loginAttemptStore');
+
+const PASSWORD = 'correct horse battery staple';
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+let user;
+let step;
+
+/**
+ * Tells whether the user matches a query. Supports the operators the
+ * controller uses: `$or`, `$exists` and `$lt`, and matching an array element.
+ * @param {object} filter - The query.
+ * @returns {boolean} True if the user matches.
+ */
+function matches(filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') {
+      return condition.some(matches);
+    }
+    const value = user[key];
+    if (condition && condition.$exists !== undefined) {
+      return (value !== undefined) === condition.$exists;
+    }
+    if (condition && condition.$lt !== undefined) {
+      return value < condition.$lt;
+    }
+    if (Array.isArray(value)) {
+      return value.includes(condition);
+    }
+    return String(value) === String(condition);
+  });
+}
+
+/**
+ * Applies an update to the user, supporting `$set`, `$unset`, `$inc` and `$pull`.
+ * @param {object} update - The update.
+ */
+function applyUpdate({ $set, $unset, $inc, $pull, ...fields }) {
+  Object.assign(user, fields, $set);
+  Object.keys($unset || {}).forEach(key => { user[key] = undefined; });
+  Object.entries($inc || {}).forEach(([key, by]) => { user[key] = (user[key] || 0) + by; });
+  Object.entries($pull || {}).forEach(([key, item]) => { user[key] = user[key].filter(value => value !== item); });
+}
+
+/**
+ * Wraps a value like a Mongoose query: it can be awaited directly or after `select`.
+ * @param {*} value - The query result.
+ * @returns {object} The query stand-in.
+ */
+const query = (value) => ({
+  select: async () => value,
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+});
+
+beforeEach(() => {
+  mock.restoreAll();
+  mockSessions();
+  setLoginAttemptStore(createMemoryLoginAttemptStore());
+  delete process.env.MFA_REQUIRED_ROLES;
+  // Codes are taken relative to a fixed step, so a test does not break when the clock ticks over.
+  step = mfaUtils.currentTimeStep();
+  user = new User({ email: 'ada@example.com', password: passwordHash, role: 'user', isEmailVerified: true });
+
+  mock.method(User, 'findById', () => query(user));
+  mock.method(User, 'findOne', (filter) => query(matches(filter) ? user : null));
+  mock.method(User, 'updateOne', async (filter, update) => {
+    if (!matches(filter)) {
+      return { modifiedCount: 0 };
+    }
+    applyUpdate(update);
+    return { modifiedCount: 1 };
+  });
+  mock.method(User, 'findOneAndUpdate', (filter, update) => {
+    const found = matches(filter);
+    if (found) {
+      applyUpdate(update);
+    }
+    return query(found ? user : null);
+  });
+  mock.method(User.prototype, 'save', async function() {
+    return this;
+  });
+  mock.method(RefreshToken, 'create', async () => {});
+});
+
+const me = () => ({ id: String(user._id), role: user.role });
+const codeFor = (offset = 0) => mfaUtils.generateTotp(user.mfaSecret, step + offset);
+const login = () => call(authController.login, { body: { email: user.email, password: PASSWORD } });
+const verifyMfa = (body) => call(authController.verifyMfa, { body });
+
+/**
+ * Enrolls the user in 2FA with the code of the current time step.
+ * @returns {Promise<string[]>} The recovery codes.
+ */
+async function enroll() {
+  await call(authController.setupTotp, { user: me() });
+  const res = await call(authController.confirmTotp, { user: me(), body: { code: codeFor() } });
+  assert.equal(res.statusCode, 200);
+  return res.body.recoveryCodes;
+}
+
+test('TOTP codes match the RFC 6238 test vector', () => {
+  // The RFC secret "12345678901234567890", base32 encoded
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+  assert.equal(mfaUtils.generateTotp(secret, 1), '287082');
+  assert.equal(mfaUtils.verifyTotp(secret, '287082', { now: 59000 }), 1);
+  assert.equal(mfaUtils.verifyTotp(secret, '287082', { now: 59000 + 5 * 30000 }), null);
+});
+
+test('enrolling takes a first code and hands out recovery codes', async () => {
+  const setup = await call(authController.setupTotp, { user: me() });
+  assert.equal(setup.statusCode, 200);
+  assert.match(setup.body.otpauthUri, /^otpauth:\/\/totp\/.+secret=/);
+  assert.equal(user.mfaEnabled, false);
+
+  const wrong = await call(authController.confirmTotp, { user: me(), body: { code: '000000' } });
+  assert.equal(wrong.statusCode, 400);
+
+  const recoveryCodes = await enroll();
+  assert.equal(user.mfaEnabled, true);
+  assert.equal(recoveryCodes.length, 10);
+  assert.deepEqual(user.mfaRecoveryCodes, recoveryCodes.map(mfaUtils.hashRecoveryCode));
+});
+
+test('login asks for a second factor, and each code works only once', async () => {
+  await enroll();
+
+  const first = await login();
+  assert.equal(first.body.mfaRequired, true);
+  assert.equal(first.body.token, undefined);
+
+  // The code used to confirm the enrollment has been used up
+  const replay = await verifyMfa({ mfaToken: first.body.mfaToken, code: codeFor() });
+  assert.equal(replay.statusCode, 401);
+  assert.equal(replay.body.code, 'mfa_code_invalid');
+
+  const res = await verifyMfa({ mfaToken: first.body.mfaToken, code: codeFor(1) });
+  assert.equal(res.statusCode, 200);
+  assert.equal(jwt.decode(res.body.token).id, String(user._id));
+
+  // The pending token was used up as well
+  const again = await verifyMfa({ mfaToken: first.body.mfaToken, code: codeFor(1) });
+  assert.equal(again.body.code, 'mfa_challenge_invalid');
+});
+
+test('a recovery code replaces the TOTP code once', async () => {
+  const [recoveryCode] = await enroll();
+
+  const { body: { mfaToken } } = await login();
+  const res = await verifyMfa({ mfaToken, recoveryCode: recoveryCode.toUpperCase() });
+  assert.equal(res.statusCode, 200);
+  assert.equal(user.mfaRecoveryCodes.length, 9);
+
+  const { body: { mfaToken: next } } = await login();
+  assert.equal((await verifyMfa({ mfaToken: next, recoveryCode })).statusCode, 401);
+});
+
+test('too many wrong codes end the two-step login', async () => {
+  // Wrong codes also count as failed logins; raise that limit to reach this one.
+  process.env.LOGIN_MAX_ATTEMPTS = '10';
+  try {
+    await enroll();
+    const { body: { mfaToken } } = await login();
+
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      assert.equal((await verifyMfa({ mfaToken, code: '000000' })).body.code, 'mfa_code_invalid');
+    }
+
+    const res = await verifyMfa({ mfaToken, code: codeFor(1) });
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.code, 'mfa_challenge_invalid');
+  } finally {
+    delete process.env.LOGIN_MAX_ATTEMPTS;
+  }
+});
+
+test('a role that requires 2FA is restricted until the user enrolls', async () => {
+  process.env.MFA_REQUIRED_ROLES = 'admin, editor';
+  user.role = 'admin';
+
+  const { body: { token } } = await login();
+  const payload = jwt.decode(token);
+  assert.equal(payload.mfa_enrollment_required, true);
+
+  const res = createResponse();
+  let allowed = false;
+  await rbacMiddleware(['read:post'])(createRequest({ user: { ...payload, role: 'admin' } }), res, () => { allowed = true; });
+  assert.equal(allowed, false);
+  assert.equal(res.body.code, 'mfa_enrollment_required');
+
+  await call(authController.setupTotp, { user: me() });
+  const confirmed = await call(authController.confirmTotp, { user: me(), body: { code: codeFor() } });
+  assert.equal(jwt.decode(confirmed.body.token).mfa_enrollment_required, undefined);
+
+  const disabled = await call(authController.disableTotp, { user: me(), body: { code: codeFor(1) } });
+  assert.equal(disabled.statusCode, 403);
+  assert.equal(user.mfaEnabled, true);
+});
@@ -0,0 +1,83 @@
+/**
+ * @file utilityFactories.test.js
+ * @description Checks the jwtUtils and passwordUtils factories: they reject
+ * invalid configuration with a ConfigurationError and create independent instances.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+
+const { createJwtUtils, createPasswordUtils, keyUtils, ConfigurationError } = require('../src');
+
+const SECRET = 'a-secret-for-the-factory-tests-0000000000000';
+
+test('requiring the utilities has no side effects, even without any configuration', () => {
+  const root = path.join(__dirname, '..');
+  const result = spawnSync(process.execPath, ['-e', `
+    require('./src/utils/jwtUtils');
+    require('./src/utils/passwordUtils');
+    require('./src/utils/keyUtils');
+    console.log('loaded');
+  `], { cwd: root, env: { PATH: process.env.PATH }, encoding: 'utf8' });
+
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(result.stdout.trim(), 'loaded');
+});
+
+test('createJwtUtils refuses incomplete configuration with a ConfigurationError', () => {
+  const cases = [
+    [{}, 'secret'],
+    [{ secret: '' }, 'secret'],
+    [{ secret: SECRET, algorithm: 'none' }, 'algorithm'],
+    [{ algorithm: 'RS256' }, 'keyRing'],
+    [{ secret: SECRET, expiresIn: null }, 'expiresIn'],
+  ];
+  for (const [options, option] of cases) {
+    assert.throws(() => createJwtUtils(options), (err) => {
+      assert.ok(err instanceof ConfigurationError);
+      assert.equal(err.code, 'ERR_QUILOX_CONFIGURATION');
+      assert.equal(err.option, option);
+      return true;
+    });
+  }
+});
+
+test('JWT instances are independent of each other and of the environment', () => {
+  const first = createJwtUtils({ secret: SECRET, expiresIn: '2m' });
+  const second = createJwtUtils({ secret: `${SECRET}-other` });
+
+  const token = first.generateToken({ sub: 'user-1' });
+  const decoded = first.verifyToken(token);
+
+  assert.equal(decoded.sub, 'user-1');
+  assert.equal(decoded.exp - decoded.iat, 120);
+  assert.equal(second.verifyToken(token), null);
+});
+
+test('a JWT instance can sign with a key ring', () => {
+  const keyRing = keyUtils.createKeyRing({ algorithm: 'ES256' });
+  const kid = keyRing.rotate();
+  const utils = createJwtUtils({ algorithm: 'ES256', keyRing });
+
+  const token = utils.generateToken({ sub: 'user-1' });
+
+  assert.deepEqual(jwt.decode(token, { complete: true }).header, { alg: 'ES256', typ: 'JWT', kid });
+  assert.equal(utils.verifyToken(token).sub, 'user-1');
+});
+
+test('createPasswordUtils validates the cost and hashes with it', async () => {
+  for (const cost of [3, 32, 10.5, '10']) {
+    assert.throws(() => createPasswordUtils({ cost }), ConfigurationError);
+  }
+
+  const { hashPassword, comparePassword } = createPasswordUtils({ cost: 4 });
+  const hash = await hashPassword('correct horse battery staple');
+
+  assert.equal(bcrypt.getRounds(hash), 4);
+  assert.equal(await comparePassword('correct horse battery staple', hash), true);
+  assert.equal(await comparePassword('wrong', hash), false);
+});